@@ -1,4 +1,4 @@
-const { app, BrowserWindow, shell } = require('electron');
+const { app, BrowserWindow, shell, ipcMain, dialog } = require('electron');
 const path = require('path');
 
 const isDev = process.env.NODE_ENV === 'development';
@@ -56,6 +56,15 @@ function createWindow() {
   });
 }
 
+// Folder picker for a chat's workspace
+ipcMain.handle('select-workspace', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Choose workspace folder',
+    properties: ['openDirectory', 'createDirectory']
+  });
+  return result.canceled ? null : result.filePaths[0];
+});
+
 // App lifecycle
 app.on('ready', () => {
   console.log('Electron app ready');
@@ -4,8 +4,9 @@ const SERVER_URL = 'http://localhost:3001';
 
 // Expose safe API to renderer process via contextBridge
 contextBridge.exposeInMainWorld('electronAPI', {
-  // Send a chat message to the backend with chat ID, provider, and model
-  sendMessage: async (message, chatId, provider = 'claude', model = null) => {
+  // Send a chat message to the backend with chat ID, provider, model and
+  // extra request options (e.g. workspaceRoot, confineToWorkspace)
+  sendMessage: async (message, chatId, provider = 'claude', model = null, options = {}) => {
     return new Promise((resolve, reject) => {
       console.log('[PRELOAD] Sending message to backend:', message);
       console.log('[PRELOAD] Chat ID:', chatId);
@@ -17,7 +18,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ message, chatId, provider, model })
+        body: JSON.stringify({ message, chatId, provider, model, ...options })
       })
         .then(response => {
 
@@ -60,6 +61,22 @@ contextBridge.exposeInMainWorld('electronAPI', {
     });
   },
 
+  // Cancel an in-flight chat run by the run ID from the session_init event
+  cancelRun: async (runId) => {
+    try {
+      const response = await fetch(`${SERVER_URL}/api/chat/${encodeURIComponent(runId)}/cancel`, {
+        method: 'POST'
+      });
+      return await response.json();
+    } catch (error) {
+      console.error('[PRELOAD] Error cancelling run:', error);
+      return { error: error.message };
+    }
+  },
+
+  // Pick a workspace folder with the native dialog (resolves to null if cancelled)
+  selectWorkspace: () => ipcRenderer.invoke('select-workspace'),
+
   // Get available providers from backend
   getProviders: async () => {
     try {
@@ -29,6 +29,9 @@ const stepsCount = document.getElementById('stepsCount');
 const toolCallsList = document.getElementById('toolCallsList');
 const emptySteps = document.getElementById('emptySteps');
 const emptyTools = document.getElementById('emptyTools');
+const jobsSection = document.getElementById('jobsSection');
+const jobsList = document.getElementById('jobsList');
+const jobsCount = document.getElementById('jobsCount');
 
 // DOM Elements - Left Sidebar (Chat History)
 const chatHistoryList = document.getElementById('chatHistoryList');
@@ -45,6 +48,9 @@ let selectedProvider = 'antigravity';
 let selectedModel = 'claude-sonnet-4-5-thinking';
 let thinkingMode = 'normal'; // 'normal' or 'extended'
 let isWaitingForResponse = false;
+let currentRunId = null; // Run ID of the in-flight request, used to cancel it
+let workspace = { root: null, confine: false }; // Folder the current chat's tools work in
+let jobsPollTimer = null; // Polls the background job list while the chat has running jobs
 
 let activeBrowserSession = null; // { url: string, sessionId: string, inlineElement: HTMLElement }
 let browserDisplayMode = 'hidden'; // 'inline' | 'sidebar' | 'hidden'
@@ -82,6 +88,13 @@ const providerModels = {
     { value: 'anthropic/claude-sonnet-4-5-20250929', label: 'Claude Sonnet 4.5', desc: 'Best balance' },
     { value: 'anthropic/claude-opus-4-5-20251101', label: 'Claude Opus 4.5', desc: 'Most capable' },
     { value: 'anthropic/claude-haiku-4-5-20251001', label: 'Claude Haiku 4.5', desc: 'Fastest' }
+  ],
+  local: [
+    // Ollama / llama.cpp / LM Studio models with tool calling
+    { value: 'qwen2.5-coder:7b', label: 'Qwen 2.5 Coder 7B', desc: 'Coding, fits most GPUs', default: true },
+    { value: 'llama3.1:8b', label: 'Llama 3.1 8B', desc: 'General purpose' },
+    { value: 'mistral-nemo', label: 'Mistral Nemo', desc: 'Long context' },
+    { value: 'qwen3:14b', label: 'Qwen 3 14B', desc: 'Reasoning with thinking' }
   ]
 };
 
@@ -186,98 +199,122 @@ function hideLoading() {
 
 // ==================== PERMISSION DIALOGS ====================
 
-let pendingPermissionChecks = null;
+// Requests pushed on the chat stream wait here while another dialog is open
+const permissionQueue = [];
+let activePermission = null;
+
+// Queue a permission/deletion request from the chat stream
+function enqueuePermissionRequest(request) {
+  permissionQueue.push(request);
+  if (!activePermission) showNextPermissionDialog();
+}
+
+// Drop a request that was settled on the server (timed out or run cancelled)
+function dismissPermissionRequest(id) {
+  const queued = permissionQueue.findIndex(request => request.id === id);
+  if (queued !== -1) permissionQueue.splice(queued, 1);
+  if (activePermission?.request.id === id) {
+    activePermission.overlay.remove();
+    activePermission = null;
+    showNextPermissionDialog();
+  }
+}
 
-// Show permission dialog for sensitive path access
+// The run is over - nothing is waiting on the remaining requests
+function clearPermissionRequests() {
+  permissionQueue.length = 0;
+  activePermission?.overlay.remove();
+  activePermission = null;
+}
+
+function showNextPermissionDialog() {
+  const request = permissionQueue.shift();
+  if (request) showPermissionDialog(request);
+}
+
+// Show permission dialog for sensitive path access or a deletion
 function showPermissionDialog(permission) {
-  return new Promise((resolve) => {
-    const overlay = document.createElement('div');
-    overlay.className = 'permission-overlay';
-    overlay.innerHTML = `
-      <div class="permission-dialog">
-        <div class="permission-header">
-          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" class="permission-icon">
-            <path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/>
-          </svg>
-          <h3>Permission Required</h3>
-        </div>
-        <div class="permission-content">
-          <p class="permission-message">${permission.message}</p>
-          <div class="permission-details">
-            <div class="permission-detail-row">
-              <span class="permission-label">Path:</span>
-              <span class="permission-value">${permission.path}</span>
-            </div>
-            <div class="permission-detail-row">
-              <span class="permission-label">Operation:</span>
-              <span class="permission-value">${permission.operation}</span>
-            </div>
-            ${permission.reason ? `
-            <div class="permission-detail-row">
-              <span class="permission-label">Reason:</span>
-              <span class="permission-value">${permission.reason}</span>
-            </div>
-            ` : ''}
+  const isDeletion = permission.kind === 'deletion';
+  const overlay = document.createElement('div');
+  overlay.className = 'permission-overlay';
+  overlay.innerHTML = `
+    <div class="permission-dialog">
+      <div class="permission-header">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" class="permission-icon">
+          <path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/>
+        </svg>
+        <h3>${isDeletion ? 'Confirm Deletion' : 'Permission Required'}</h3>
+      </div>
+      <div class="permission-content">
+        <p class="permission-message">${escapeHtml(permission.message)}</p>
+        <div class="permission-details">
+          <div class="permission-detail-row">
+            <span class="permission-label">Path:</span>
+            <span class="permission-value">${escapeHtml(permission.path)}</span>
+          </div>
+          ${permission.paths?.length > 1 ? `
+          <div class="permission-detail-row">
+            <span class="permission-label">Paths:</span>
+            <ul class="permission-value permission-paths">
+              ${permission.paths.slice(0, 10).map(p => `<li>${escapeHtml(p)}</li>`).join('')}
+              ${permission.paths.length > 10 ? `<li>… and ${permission.paths.length - 10} more</li>` : ''}
+            </ul>
+          </div>
+          ` : ''}
+          <div class="permission-detail-row">
+            <span class="permission-label">${isDeletion ? 'Type:' : 'Operation:'}</span>
+            <span class="permission-value">${escapeHtml(isDeletion
+              ? (permission.is_directory ? `directory (${permission.file_count} files)` : 'file')
+              : permission.operation)}</span>
+          </div>
+          ${permission.command ? `
+          <div class="permission-detail-row">
+            <span class="permission-label">Command:</span>
+            <code class="permission-value">${escapeHtml(permission.command)}</code>
           </div>
+          ` : ''}
+          ${permission.reason ? `
+          <div class="permission-detail-row">
+            <span class="permission-label">Reason:</span>
+            <span class="permission-value">${escapeHtml(permission.reason)}</span>
+          </div>
+          ` : ''}
         </div>
-        <div class="permission-actions">
-          <button class="permission-btn deny" id="denyPermission">Deny</button>
-          <button class="permission-btn allow" id="allowPermission">Allow</button>
+        ${permission.untrusted_sources?.length ? `
+        <div class="permission-warning">
+          Web content read in this turn is in the agent's context and may be steering it. Check this action is what you asked for.
+          <ul class="permission-paths">
+            ${permission.untrusted_sources.slice(0, 5).map(source => `<li>${escapeHtml(source)}</li>`).join('')}
+            ${permission.untrusted_sources.length > 5 ? `<li>… and ${permission.untrusted_sources.length - 5} more</li>` : ''}
+          </ul>
         </div>
+        ` : ''}
       </div>
-    `;
-
-    document.body.appendChild(overlay);
+      <div class="permission-actions">
+        <button class="permission-btn deny" data-action="deny">Deny</button>
+        <button class="permission-btn allow" data-action="allow">${isDeletion ? 'Delete' : 'Allow'}</button>
+      </div>
+    </div>
+  `;
 
-    document.getElementById('allowPermission').onclick = async () => {
-      await fetch('http://localhost:3001/api/confirm-permission', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ permissionId: permission.permission_id })
-      });
-      overlay.remove();
-      resolve(true);
-    };
+  document.body.appendChild(overlay);
+  activePermission = { request: permission, overlay };
 
-    document.getElementById('denyPermission').onclick = async () => {
-      await fetch('http://localhost:3001/api/deny-permission', {
+  const respond = async (approved) => {
+    try {
+      await fetch(`http://localhost:3001/api/${approved ? 'confirm' : 'deny'}-permission`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ permissionId: permission.permission_id })
+        body: JSON.stringify({ permissionId: permission.id })
       });
-      overlay.remove();
-      resolve(false);
-    };
-  });
-}
-
-// Check for pending permissions periodically
-async function checkPendingPermissions() {
-  try {
-    const response = await fetch(`http://localhost:3001/api/pending-permissions?sessionId=${currentChatId}`);
-    const data = await response.json();
-
-    if (data.pending && data.pending.length > 0) {
-      for (const permission of data.pending) {
-        await showPermissionDialog(permission);
-      }
+    } catch (error) {
+      showToast('Permission', `Could not send your answer: ${error.message}`, 'error');
     }
-  } catch (error) {
-    // Silently ignore - server might not be running
-  }
-}
-
-// Start checking for permissions when chat is active
-function startPermissionChecks() {
-  if (pendingPermissionChecks) return;
-  pendingPermissionChecks = setInterval(checkPendingPermissions, 1000);
-}
+    dismissPermissionRequest(permission.id);
+  };
 
-function stopPermissionChecks() {
-  if (pendingPermissionChecks) {
-    clearInterval(pendingPermissionChecks);
-    pendingPermissionChecks = null;
-  }
+  overlay.querySelector('[data-action="allow"]').onclick = () => respond(true);
+  overlay.querySelector('[data-action="deny"]').onclick = () => respond(false);
 }
 
 function generateId() {
@@ -293,10 +330,13 @@ function saveState() {
     title: chatTitle.textContent,
     messages: Array.from(chatMessages.children).map(msg => ({
       class: msg.className,
-      content: msg.querySelector('.message-content')?.dataset.rawContent || msg.querySelector('.message-content')?.textContent || ''
+      content: msg.querySelector('.message-content')?.dataset.rawContent || msg.querySelector('.message-content')?.textContent || '',
+      usage: msg.dataset.usage ? JSON.parse(msg.dataset.usage) : undefined,
+      toolUseIds: msg.dataset.toolUseIds ? JSON.parse(msg.dataset.toolUseIds) : undefined
     })),
     todos,
     toolCalls,
+    workspace,
     provider: selectedProvider,
     model: selectedModel,
     updatedAt: Date.now()
@@ -364,7 +404,8 @@ function updateProviderUI(provider) {
   const providerLabels = {
     antigravity: 'Antigravity',
     claude: 'Claude',
-    opencode: 'Opencode'
+    opencode: 'Opencode',
+    local: 'Local'
   };
   const providerLabel = providerLabels[provider] || provider;
   document.querySelectorAll('.provider-selector .provider-label').forEach(l => {
@@ -389,6 +430,9 @@ function loadChat(chat) {
   isFirstMessage = false;
   todos = chat.todos || [];
   toolCalls = chat.toolCalls || [];
+  workspace = chat.workspace || { root: null, confine: false };
+  updateWorkspaceUI();
+  refreshJobs();
 
   // Restore provider/model for this chat
   if (chat.provider && providerModels[chat.provider]) {
@@ -446,8 +490,22 @@ function loadChat(chat) {
             <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
           </svg>
         </button>
+        <button class="action-btn" title="Revert files to here" onclick="revertToMessage(this)">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polyline points="1 4 1 10 7 10"></polyline>
+            <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>
+          </svg>
+        </button>
       `;
       messageDiv.appendChild(actionsDiv);
+
+      if (msgData.usage) {
+        messageDiv.dataset.usage = JSON.stringify(msgData.usage);
+        renderMessageUsage(messageDiv);
+      }
+      if (msgData.toolUseIds) {
+        messageDiv.dataset.toolUseIds = JSON.stringify(msgData.toolUseIds);
+      }
     }
 
     chatMessages.appendChild(messageDiv);
@@ -513,6 +571,10 @@ window.deleteChat = function(chatId, event) {
   allChats = allChats.filter(c => c.id !== chatId);
   localStorage.setItem('allChats', JSON.stringify(allChats));
 
+  // Drop the server-side history too so a deleted chat isn't remembered
+  fetch(`http://localhost:3001/api/chats/${encodeURIComponent(chatId)}`, { method: 'DELETE' })
+    .catch(() => { /* Server might not be running */ });
+
   if (currentChatId === chatId) {
     // If deleting current chat, go to home or load another chat
     if (allChats.length > 0) {
@@ -571,6 +633,13 @@ function setupEventListeners() {
   homeFileInput.addEventListener('change', (e) => handleFileSelect(e, 'home'));
   chatFileInput.addEventListener('change', (e) => handleFileSelect(e, 'chat'));
 
+  // Escape cancels the in-flight run
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && isWaitingForResponse) {
+      cancelCurrentRun();
+    }
+  });
+
   // Setup dropdowns
   setupDropdowns();
 
@@ -921,9 +990,6 @@ async function handleSendMessage(e) {
   // Set loading state
   isWaitingForResponse = true;
 
-  // Start checking for permission requests
-  startPermissionChecks();
-
   // Create assistant message with loading state
   const assistantMessage = createAssistantMessage();
   const contentDiv = assistantMessage.querySelector('.message-content');
@@ -931,7 +997,10 @@ async function handleSendMessage(e) {
   try {
     console.log('[Chat] Sending message to API...');
     // Pass chatId, provider, and model for session management
-    const response = await window.electronAPI.sendMessage(message, currentChatId, selectedProvider, selectedModel);
+    const response = await window.electronAPI.sendMessage(message, currentChatId, selectedProvider, selectedModel, {
+      workspaceRoot: workspace.root,
+      confineToWorkspace: workspace.confine
+    });
     console.log('[Chat] Response received');
 
     const reader = await response.getReader();
@@ -939,6 +1008,7 @@ async function handleSendMessage(e) {
     let hasContent = false;
     let receivedStreamingText = false;
     const pendingToolCalls = new Map();
+    const streamingToolInputs = new Map(); // API tool ID -> partial input JSON
 
     while (true) {
       const { done, value } = await reader.read();
@@ -971,8 +1041,26 @@ async function handleSendMessage(e) {
             const jsonStr = line.slice(6);
             const data = JSON.parse(jsonStr);
 
+            if (data.run_id) {
+              currentRunId = data.run_id;
+            }
+
             if (data.type === 'done') {
               break;
+            } else if (data.type === 'context_compacted') {
+              showToast('Context compacted', `Summarized ${data.removed_messages} earlier messages to stay within the model's context window`, 'info');
+            } else if (data.type === 'usage') {
+              addMessageUsage(assistantMessage, data);
+            } else if (data.type === 'provider_switched') {
+              const target = data.to.model ? `${data.to.provider} (${data.to.model})` : data.to.provider;
+              showToast('Switched provider', `${data.reason} - continuing with ${target}`, 'warning');
+            } else if (data.type === 'permission_request') {
+              enqueuePermissionRequest(data);
+            } else if (data.type === 'permission_resolved') {
+              dismissPermissionRequest(data.id);
+            } else if (data.type === 'cancelled') {
+              appendToContent(contentDiv, '\n\n*Stopped.*');
+              hasContent = true;
             } else if (data.type === 'text' && data.content) {
               if (!hasContent) {
                 const loadingIndicator = contentDiv.querySelector('.loading-indicator');
@@ -985,16 +1073,44 @@ async function handleSendMessage(e) {
               } else {
                 appendToContent(contentDiv, data.content);
               }
+            } else if (data.type === 'tool_input_delta') {
+              // Show the tool call while the model is still writing its input
+              let localId = pendingToolCalls.get(data.id);
+              if (!localId) {
+                const loadingIndicator = contentDiv.querySelector('.loading-indicator');
+                if (loadingIndicator) loadingIndicator.remove();
+                const toolCall = addToolCall(data.name || 'Tool', {}, 'running');
+                addInlineToolCall(contentDiv, data.name || 'Tool', {}, toolCall.id);
+                pendingToolCalls.set(data.id, toolCall.id);
+                recordToolUseId(assistantMessage, data.id);
+                localId = toolCall.id;
+                hasContent = true;
+              }
+              const partial = (streamingToolInputs.get(data.id) || '') + data.partial_json;
+              streamingToolInputs.set(data.id, partial);
+              updateToolCallInput(localId, partial);
             } else if (data.type === 'tool_use') {
               const toolName = data.name || data.tool || 'Tool';
               const toolInput = data.input || {};
               const apiId = data.id; // API's tool ID
-              const toolCall = addToolCall(toolName, toolInput, 'running');
-              addInlineToolCall(contentDiv, toolName, toolInput, toolCall.id);
-              if (apiId) {
-                pendingToolCalls.set(apiId, toolCall.id);
+              if (apiId && pendingToolCalls.has(apiId)) {
+                // Already shown from streamed input - fill in the final input
+                updateToolCallInput(pendingToolCalls.get(apiId), toolInput);
+                streamingToolInputs.delete(apiId);
+              } else {
+                const toolCall = addToolCall(toolName, toolInput, 'running');
+                addInlineToolCall(contentDiv, toolName, toolInput, toolCall.id);
+                if (apiId) {
+                  pendingToolCalls.set(apiId, toolCall.id);
+                  recordToolUseId(assistantMessage, apiId);
+                }
               }
               hasContent = true;
+            } else if (data.type === 'tool_progress') {
+              const localId = pendingToolCalls.get(data.tool_use_id);
+              if (localId) {
+                appendToolProgress(localId, data.data);
+              }
             } else if (data.type === 'tool_result' || data.type === 'result') {
               const result = data.result || data.content || data;
               const apiId = data.tool_use_id;
@@ -1005,6 +1121,12 @@ async function handleSendMessage(e) {
                 updateToolCallResult(localId, result);
                 updateToolCallStatus(localId, 'success');
                 updateInlineToolResult(localId, result);
+                if (result?.trash_id) {
+                  addRestoreButton(localId, result);
+                }
+                if (result?.job_id) {
+                  refreshJobs();
+                }
                 pendingToolCalls.delete(apiId);
               }
 
@@ -1066,13 +1188,25 @@ async function handleSendMessage(e) {
     contentDiv.appendChild(paragraph);
   } finally {
     isWaitingForResponse = false;
-    stopPermissionChecks();
+    currentRunId = null;
+    clearPermissionRequests();
     saveState();
     updateSendButton(messageInput, chatSendBtn);
     messageInput.focus();
   }
 }
 
+// Cancel the in-flight run on the server
+async function cancelCurrentRun() {
+  if (!currentRunId) return;
+  const runId = currentRunId;
+  currentRunId = null;
+  const result = await window.electronAPI.cancelRun(runId);
+  if (result.error) {
+    console.warn('[Chat] Cancel failed:', result.error);
+  }
+}
+
 // Add user message to chat
 function addUserMessage(text) {
   // Handle browser transition before adding message
@@ -1118,6 +1252,12 @@ function createAssistantMessage() {
         <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
       </svg>
     </button>
+    <button class="action-btn" title="Revert files to here" onclick="revertToMessage(this)">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <polyline points="1 4 1 10 7 10"></polyline>
+        <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>
+      </svg>
+    </button>
   `;
 
   messageDiv.appendChild(contentDiv);
@@ -1129,6 +1269,44 @@ function createAssistantMessage() {
   return messageDiv;
 }
 
+// Accumulate per-turn token usage on an assistant message
+function addMessageUsage(messageDiv, data) {
+  const usage = messageDiv.dataset.usage ? JSON.parse(messageDiv.dataset.usage) : { input: 0, output: 0, cached: 0, thinking: 0, cost: null };
+  usage.input += data.usage.input_tokens || 0;
+  usage.output += data.usage.output_tokens || 0;
+  usage.cached += (data.usage.cache_read_tokens || 0) + (data.usage.cache_write_tokens || 0);
+  usage.thinking += data.usage.thinking_tokens || 0;
+  if (typeof data.cost === 'number') {
+    usage.cost = (usage.cost || 0) + data.cost;
+  }
+  messageDiv.dataset.usage = JSON.stringify(usage);
+  renderMessageUsage(messageDiv);
+}
+
+function formatTokens(count) {
+  return count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+}
+
+function renderMessageUsage(messageDiv) {
+  const actionsDiv = messageDiv.querySelector('.message-actions');
+  if (!actionsDiv || !messageDiv.dataset.usage) return;
+
+  const usage = JSON.parse(messageDiv.dataset.usage);
+  let usageSpan = actionsDiv.querySelector('.message-usage');
+  if (!usageSpan) {
+    usageSpan = document.createElement('span');
+    usageSpan.className = 'message-usage';
+    actionsDiv.appendChild(usageSpan);
+  }
+
+  const parts = [`${formatTokens(usage.input)} in`, `${formatTokens(usage.output)} out`];
+  if (usage.cost !== null) {
+    parts.push(`$${usage.cost.toFixed(usage.cost < 0.01 ? 4 : 2)}`);
+  }
+  usageSpan.textContent = parts.join(' · ');
+  usageSpan.title = `Input: ${usage.input}\nOutput: ${usage.output} (thinking: ${usage.thinking})\nCache: ${usage.cached}`;
+}
+
 function appendToContent(contentDiv, content) {
   if (!contentDiv.dataset.rawContent) {
     contentDiv.dataset.rawContent = '';
@@ -1185,6 +1363,36 @@ function appendToThinking(contentDiv, content) {
 }
 
 // Start a new chat
+// Choose the folder the current chat works in
+window.selectWorkspace = async function() {
+  const folder = await window.electronAPI.selectWorkspace();
+  if (!folder) return;
+  workspace = { root: folder, confine: workspace.confine };
+  updateWorkspaceUI();
+  saveState();
+};
+
+window.toggleWorkspaceConfine = function() {
+  workspace = { ...workspace, confine: !workspace.confine };
+  updateWorkspaceUI();
+  saveState();
+  showToast(
+    workspace.confine ? 'Workspace confined' : 'Workspace unconfined',
+    workspace.confine ? 'File tools can only access this folder' : 'File tools can access paths outside this folder',
+    'info'
+  );
+};
+
+function updateWorkspaceUI() {
+  const label = document.getElementById('workspaceLabel');
+  const lockBtn = document.getElementById('workspaceLockBtn');
+  const folderName = workspace.root ? workspace.root.split(/[\\/]/).filter(Boolean).pop() : null;
+  label.textContent = folderName || 'No folder';
+  document.getElementById('workspaceBtn').title = workspace.root || 'Choose the folder this chat works in';
+  lockBtn.classList.toggle('hidden', !workspace.root);
+  lockBtn.classList.toggle('active', workspace.confine);
+}
+
 window.startNewChat = function() {
   if (currentChatId && chatMessages.children.length > 0) {
     saveState();
@@ -1208,6 +1416,7 @@ window.startNewChat = function() {
   stepsCount.textContent = '0 steps';
   toolCallsList.innerHTML = '';
   emptyTools.style.display = 'block';
+  refreshJobs();
 
   // Switch back to home view
   homeView.classList.remove('hidden');
@@ -1330,6 +1539,37 @@ function addInlineToolCall(contentDiv, toolName, toolInput, toolId) {
   contentDiv.dataset.currentChunk = currentChunk + 1;
 }
 
+// Show a tool result: unified diffs (Edit/MultiEdit) line by line, images as a preview, anything else as truncated JSON
+function renderToolOutput(outputContent, result, resultStr) {
+  if (result?.type === 'image' && result.data) {
+    const { data, ...details } = result;
+    outputContent.classList.remove('tool-diff');
+    outputContent.textContent = JSON.stringify(details, null, 2);
+    const image = document.createElement('img');
+    image.className = 'tool-image-preview';
+    image.src = `data:${result.media_type};base64,${data}`;
+    image.alt = result.path || 'Image';
+    outputContent.appendChild(image);
+    return;
+  }
+
+  if (!result?.diff) {
+    outputContent.classList.remove('tool-diff');
+    outputContent.textContent = resultStr.substring(0, 2000) + (resultStr.length > 2000 ? '...' : '');
+    return;
+  }
+
+  outputContent.classList.add('tool-diff');
+  outputContent.innerHTML = result.diff.split('\n').map(line => {
+    const type = line.startsWith('@@') ? 'hunk'
+      : line.startsWith('+++') || line.startsWith('---') ? 'file'
+      : line.startsWith('+') ? 'add'
+      : line.startsWith('-') ? 'del'
+      : 'context';
+    return `<span class="diff-line diff-${type}">${escapeHtml(line)}</span>`;
+  }).join('');
+}
+
 // Update inline tool result
 function updateInlineToolResult(toolId, result) {
   const toolDiv = document.querySelector(`.inline-tool-call[data-tool-id="${toolId}"]`);
@@ -1338,7 +1578,7 @@ function updateInlineToolResult(toolId, result) {
     const outputContent = toolDiv.querySelector('.tool-output-content');
     if (outputSection && outputContent) {
       const resultStr = typeof result === 'object' ? JSON.stringify(result, null, 2) : String(result);
-      outputContent.textContent = resultStr.substring(0, 2000) + (resultStr.length > 2000 ? '...' : '');
+      renderToolOutput(outputContent, result, resultStr);
       outputSection.style.display = 'block';
 
       // Check for Anchor Browser live URL in tool result
@@ -1354,15 +1594,79 @@ function updateInlineToolResult(toolId, result) {
   }
 }
 
+// Offer to undo a completed Delete (the file was moved to the Nimbus trash)
+function addRestoreButton(toolId, result) {
+  const toolDiv = document.querySelector(`.inline-tool-call[data-tool-id="${toolId}"]`);
+  if (!toolDiv || toolDiv.querySelector('.tool-restore-btn')) return;
+
+  const button = document.createElement('button');
+  button.className = 'tool-restore-btn';
+  button.textContent = 'Restore';
+  button.title = `Restore ${result.path}`;
+  button.onclick = async (e) => {
+    e.stopPropagation();
+    button.disabled = true;
+    try {
+      const response = await fetch(`http://localhost:3001/api/trash/${encodeURIComponent(result.trash_id)}/restore`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+      button.textContent = 'Restored';
+      showToast('Restored', data.originalPath, 'success');
+    } catch (error) {
+      button.disabled = false;
+      showToast('Restore failed', error.message, 'error');
+    }
+  };
+
+  toolDiv.querySelector('.inline-tool-header').insertBefore(button, toolDiv.querySelector('.expand-icon'));
+}
+
 // Toggle inline tool call expansion
 window.toggleInlineToolCall = function(header) {
   const toolDiv = header.closest('.inline-tool-call');
   toolDiv.classList.toggle('expanded');
 };
 
+// Replace the input shown for a tool call (object, or partial JSON text while streaming)
+function updateToolCallInput(toolId, input) {
+  const inputStr = typeof input === 'string' ? input : JSON.stringify(input, null, 2);
+  const inlineDiv = document.querySelector(`.inline-tool-call[data-tool-id="${toolId}"]`);
+  if (inlineDiv) {
+    inlineDiv.querySelector('.tool-section pre').textContent = inputStr;
+    if (typeof input !== 'string') {
+      inlineDiv.querySelector('.tool-preview').textContent = formatToolPreview(input);
+    }
+  }
+
+  const sidebarDiv = document.querySelector(`.tool-call-item[data-tool-id="${toolId}"]`);
+  if (sidebarDiv) {
+    sidebarDiv.querySelector('.tool-detail-section pre').textContent = inputStr;
+  }
+
+  const toolCall = toolCalls.find(t => t.id === toolId);
+  if (toolCall && typeof input !== 'string') {
+    toolCall.input = input;
+  }
+}
+
+// Append streamed output (e.g. Bash stdout) to a running tool call
+function appendToolProgress(toolId, text) {
+  const outputs = [
+    document.querySelector(`.inline-tool-call[data-tool-id="${toolId}"] .tool-output-content`),
+    document.querySelector(`.tool-call-item[data-tool-id="${toolId}"] .sidebar-tool-output`)
+  ];
+  for (const output of outputs) {
+    if (!output) continue;
+    // Keep the tail of long output
+    output.textContent = (output.textContent + text).slice(-2000);
+    output.closest('.tool-output-section').style.display = 'block';
+  }
+}
+
 // Add tool call to sidebar
 function addToolCall(name, input, status = 'running') {
-  const id = 'tool_' + Date.now();
+  // Several tool calls can start in the same millisecond
+  const id = 'tool_' + Date.now() + '_' + Math.random().toString(36).substr(2, 5);
   const toolCall = { id, name, input, status, result: null };
   toolCalls.push(toolCall);
 
@@ -1427,7 +1731,8 @@ function updateToolCallStatus(toolId, status) {
 function updateToolCallResult(toolId, result) {
   const toolCall = toolCalls.find(t => t.id === toolId);
   if (toolCall) {
-    toolCall.result = result;
+    // Image data (Read of an image) is shown once but too large to keep in localStorage
+    toolCall.result = result?.type === 'image' ? { ...result, data: undefined } : result;
   }
 
   // Update sidebar tool output
@@ -1437,7 +1742,7 @@ function updateToolCallResult(toolId, result) {
     const outputContent = toolDiv.querySelector('.sidebar-tool-output');
     if (outputSection && outputContent) {
       const resultStr = typeof result === 'object' ? JSON.stringify(result, null, 2) : String(result);
-      outputContent.textContent = resultStr.substring(0, 2000) + (resultStr.length > 2000 ? '...' : '');
+      renderToolOutput(outputContent, result, resultStr);
       outputSection.style.display = 'block';
     }
   }
@@ -1449,6 +1754,101 @@ window.toggleToolCall = function(header) {
   toolDiv.classList.toggle('expanded');
 };
 
+// Fetch the current chat's background jobs and keep polling while any are running
+async function refreshJobs() {
+  clearTimeout(jobsPollTimer);
+  jobsPollTimer = null;
+  const chatId = currentChatId;
+  if (!chatId) {
+    renderJobs([]);
+    return;
+  }
+
+  try {
+    const response = await fetch(`http://localhost:3001/api/jobs?chatId=${encodeURIComponent(chatId)}`);
+    const data = await response.json();
+    // The user may have switched chats while the request was in flight
+    if (chatId !== currentChatId) return;
+    renderJobs(data.jobs || []);
+    if (data.running > 0) {
+      jobsPollTimer = setTimeout(refreshJobs, 3000);
+    }
+  } catch (error) {
+    console.error('Failed to load background jobs:', error);
+  }
+}
+
+// Render background jobs in sidebar
+function renderJobs(jobs) {
+  jobsList.innerHTML = '';
+  jobsSection.style.display = jobs.length > 0 ? '' : 'none';
+  const running = jobs.filter(job => job.status === 'running').length;
+  jobsCount.textContent = running > 0 ? `Background Jobs (${running} running)` : 'Background Jobs';
+
+  // Running jobs first, then the most recent
+  const sorted = [...jobs].sort((a, b) =>
+    (b.status === 'running') - (a.status === 'running') || b.started_at.localeCompare(a.started_at));
+
+  sorted.forEach(job => {
+    const jobDiv = document.createElement('div');
+    jobDiv.className = 'job-item';
+    const status = job.status === 'running'
+      ? `Running for ${formatDuration(job.runtime_seconds)}`
+      : job.status === 'killed'
+      ? 'Stopped'
+      : `Exited with code ${job.exit_code}`;
+    const iconClass = job.status === 'running' ? 'running' : job.exit_code === 0 ? 'success' : 'error';
+
+    jobDiv.innerHTML = `
+      <div class="tool-call-icon ${iconClass}">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <polyline points="4 17 10 11 4 5"></polyline>
+          <line x1="12" y1="19" x2="20" y2="19"></line>
+        </svg>
+      </div>
+      <div class="job-info">
+        <div class="job-command" title="${escapeHtml(job.command)}">${escapeHtml(job.command)}</div>
+        <div class="job-status">${escapeHtml(job.job_id)} · ${status}</div>
+      </div>
+    `;
+
+    if (job.status === 'running') {
+      const stopBtn = document.createElement('button');
+      stopBtn.className = 'job-stop-btn';
+      stopBtn.textContent = 'Stop';
+      stopBtn.title = 'Stop this job';
+      stopBtn.addEventListener('click', () => stopJob(job.job_id, stopBtn));
+      jobDiv.appendChild(stopBtn);
+    }
+
+    jobsList.appendChild(jobDiv);
+  });
+}
+
+// Stop a background job from the sidebar
+async function stopJob(jobId, button) {
+  button.disabled = true;
+  button.textContent = 'Stopping...';
+  try {
+    const response = await fetch(`http://localhost:3001/api/jobs/${encodeURIComponent(jobId)}/kill`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ chatId: currentChatId })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Could not stop the job');
+  } catch (error) {
+    showToast('Stop failed', error.message, 'error');
+  }
+  refreshJobs();
+}
+
+function formatDuration(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor(seconds / 60) % 60}m`;
+}
+
 // Update todos from TodoWrite
 function updateTodos(newTodos) {
   todos = newTodos;
@@ -1514,6 +1914,67 @@ function copyMessage(button) {
 
 window.copyMessage = copyMessage;
 
+// Remember which tool calls ran in a message, to find its file checkpoints
+function recordToolUseId(messageDiv, id) {
+  const ids = messageDiv.dataset.toolUseIds ? JSON.parse(messageDiv.dataset.toolUseIds) : [];
+  ids.push(id);
+  messageDiv.dataset.toolUseIds = JSON.stringify(ids);
+}
+
+// Undo every file change the agent made after this message
+async function revertToMessage(button) {
+  if (isWaitingForResponse) {
+    showToast('Revert', 'Wait for the current response to finish first', 'warning');
+    return;
+  }
+
+  // Tool calls made up to and including this message
+  const messageDiv = button.closest('.message');
+  const messages = Array.from(chatMessages.children);
+  const keep = new Set(messages
+    .slice(0, messages.indexOf(messageDiv) + 1)
+    .flatMap(msg => msg.dataset.toolUseIds ? JSON.parse(msg.dataset.toolUseIds) : []));
+
+  try {
+    const response = await fetch(`http://localhost:3001/api/checkpoints/${encodeURIComponent(currentChatId)}`);
+    const { checkpoints } = await response.json();
+
+    // Checkpoints are oldest first: undo everything after the last one we keep
+    let lastKept = -1;
+    checkpoints.forEach((checkpoint, i) => {
+      if (keep.has(checkpoint.id)) lastKept = i;
+    });
+    const undo = checkpoints.slice(lastKept + 1);
+    if (undo.length === 0) {
+      showToast('Revert', 'No file changes after this message', 'info');
+      return;
+    }
+
+    const paths = [...new Set(undo.flatMap(c => c.paths))];
+    if (!confirm(`Revert ${undo.length} file change${undo.length === 1 ? '' : 's'} made after this message?\n\n${paths.slice(0, 10).join('\n')}${paths.length > 10 ? '\n...' : ''}`)) {
+      return;
+    }
+
+    const rollback = await fetch(`http://localhost:3001/api/checkpoints/${encodeURIComponent(currentChatId)}/rollback`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ checkpointId: undo[0].id })
+    });
+    const result = await rollback.json();
+    if (!rollback.ok) throw new Error(result.error);
+
+    if (result.errors.length > 0) {
+      showToast('Reverted with errors', result.errors.map(e => `${e.path}: ${e.error}`).join('\n'), 'warning');
+    } else {
+      showToast('Reverted', `Restored ${result.restored.length} path${result.restored.length === 1 ? '' : 's'}`, 'success');
+    }
+  } catch (error) {
+    showToast('Revert failed', error.message, 'error');
+  }
+}
+
+window.revertToMessage = revertToMessage;
+
 // Get conversation history for context
 function getConversationHistory() {
   const messages = Array.from(chatMessages.children);
@@ -1,5 +1,16 @@
 import { BaseProvider } from './base-provider.js';
 import { TOOL_DEFINITIONS, executeTool, setSessionId } from '../tools/index.js';
+import { getAgentSystemPrompt } from './system-prompt.js';
+import {
+  getContextLimit,
+  estimateTokens,
+  renderTranscript,
+  compactHistory
+} from './context-compaction.js';
+import { fetchWithRetry, isRetryableStatus } from './retry.js';
+import { runToolCalls } from './tool-scheduler.js';
+import { getWorkingDirectory } from '../tools/workspace.js';
+import { toToolResultContent } from './tool-content.js';
 
 /**
  * Antigravity Provider - Full Autonomous Agent
@@ -19,9 +30,14 @@ export class AntigravityProvider extends BaseProvider {
     this.thinkingModel = 'claude-sonnet-4-5-thinking'; // For complex tasks
     this.maxTurns = config.maxTurns || 50;
     this.maxTokens = config.maxTokens || 8192; // Reduced for faster responses
-
-    // Conversation history per chat
-    this.conversationHistory = new Map();
+    this.maxRetries = config.maxRetries ?? 3; // Retries for 429/5xx from the proxy
+    // Independent tool calls from one turn run in parallel up to this limit
+    this.toolConcurrency = config.toolConcurrency || parseInt(process.env.TOOL_CONCURRENCY || '4', 10);
+    // Compact history once the prompt reaches this fraction of the model's context window
+    this.compactionThreshold = config.compactionThreshold || 0.8;
+    // Fraction of the context window kept verbatim after compaction
+    this.compactionKeepRatio = config.compactionKeepRatio || 0.3;
+    this.contextLimit = config.contextLimit || null; // Override per-model limits
   }
 
   /**
@@ -58,127 +74,84 @@ export class AntigravityProvider extends BaseProvider {
   }
 
   getConversationHistory(chatId) {
-    if (!this.conversationHistory.has(chatId)) {
-      this.conversationHistory.set(chatId, []);
-    }
-    return this.conversationHistory.get(chatId);
+    return this.store.getHistory(this.name, chatId);
   }
 
   addToHistory(chatId, message) {
-    const history = this.getConversationHistory(chatId);
-    history.push(message);
-    if (history.length > 100) {
-      history.splice(0, history.length - 80);
-    }
+    this.store.appendMessage(this.name, chatId, message);
+  }
+
+  getTranscript(chatId) {
+    return renderTranscript(this.getConversationHistory(chatId));
   }
 
-  getSystemPrompt() {
-    return `You are a fully autonomous AI agent with complete system access. You operate as a powerful desktop assistant that can manage files, execute code, search the web, create documents, and complete complex multi-step tasks independently.
-
-## Core Capabilities
-
-### Direct File System Access
-You have unrestricted read/write access to the local file system. You can:
-- Organize, edit, and create files in any folder
-- Process hundreds of files (sorting, renaming, categorizing)
-- Create expense reports from receipts, format documents, batch rename with patterns
-- Generate polished deliverables (spreadsheets, documents, presentations)
-
-### Autonomous Task Execution
-- Break complex work into smaller tasks using TodoWrite
-- Report progress to keep user informed using Progress tool
-- Work independently on long-running operations (up to 50 turns)
-- Complete tasks fully without unnecessary user interaction
-
-### Available Tools
-
-#### File Operations
-- **Read**: Read file contents (ALWAYS read before editing)
-- **Write**: Create or overwrite files with any content
-- **Edit**: Replace specific text in files
-- **Glob**: Find files by pattern (\`**/*.js\`, \`src/**/*.ts\`)
-- **Grep**: Search file contents with regex
-- **ListDir**: List directory contents with sizes
-- **MakeDir**: Create directories (including parents)
-- **Move**: Move or rename files/directories
-- **Copy**: Copy files or entire directories
-- **Delete**: Request deletion (REQUIRES user approval - see below)
-- **ConfirmDelete**: Execute approved deletion
-- **CancelDelete**: Cancel pending deletion
-
-#### System
-- **Bash**: Execute any shell command (git, npm, python, node, etc.)
-  - Run builds, tests, installations
-  - Execute scripts and system utilities
-  - Access all CLI tools available on the system
-
-#### Web & Research
-- **WebSearch**: Search the internet via DuckDuckGo
-- **WebFetch**: Fetch and extract content from any URL
-
-#### Task Management & Progress
-- **TodoWrite**: Create and manage multi-step task lists
-- **TodoRead**: View current task status
-- **Progress**: Report current step/progress to user (use frequently!)
-
-#### Analysis
-- **CodeAnalysis**: Analyze code structure, dependencies, patterns
-
-#### Computer Use (Browser Automation)
-- **Screenshot**: Take a screenshot of the current screen
-- **MouseClick**: Click at specific screen coordinates (0-1000 scaled grid)
-- **TypeText**: Type text at the current cursor position
-- **KeyPress**: Press key combinations (Control+C, Alt+Tab, Enter, etc.)
-- **OpenBrowser**: Open a web browser and navigate to a URL
-- **Scroll**: Scroll the screen up/down/left/right
-- **Wait**: Wait for a specified duration (useful between UI actions)
-
-## Important Guidelines
-
-### Deletion Protection
-- The Delete tool ONLY creates a pending deletion request
-- Deletions require explicit user approval before execution
-- Always provide a clear reason when requesting deletions
-- Use ConfirmDelete only after user approves
-
-### Progress Transparency
-- Use the Progress tool frequently to show what you're doing
-- Report each major step: "Reading files...", "Analyzing data...", "Writing output..."
-- This keeps the user informed during long operations
-
-### Task Management
-- For any task with 3+ steps, create a TodoWrite list first
-- Mark tasks in_progress when starting, completed when done
-- Break complex work into clear, trackable subtasks
-
-### Best Practices
-1. **Always read before editing** - Never guess file contents
-2. **Verify after actions** - Confirm files were created/modified correctly
-3. **Use absolute paths** - Avoid relative path confusion
-4. **Report progress** - Keep user informed on long operations
-5. **Handle errors gracefully** - Explain what went wrong and how to fix
-
-### Document Generation Patterns
-- **Spreadsheets**: Use Python/Node to generate Excel files with formulas
-- **Reports**: Create Markdown, HTML, or PDF formatted documents
-- **Data files**: Generate CSV, JSON, or structured data formats
-
-## Working Directory
-${process.cwd()}
-
-## Execution Style
-- Take full initiative - complete the entire task autonomously
-- Don't ask for confirmation on every step (except deletions)
-- Make reasonable decisions and explain your approach
-- If something fails, try alternative approaches before giving up
-- Think step-by-step for complex problems`;
+  /**
+   * Estimate the prompt size of the next request for a chat
+   */
+  estimatePromptTokens(chatId) {
+    return estimateTokens(this.getSystemPrompt(chatId)) +
+      estimateTokens(TOOL_DEFINITIONS) +
+      estimateTokens(this.getConversationHistory(chatId)) +
+      this.maxTokens;
+  }
+
+  /**
+   * Summarize older turns when the prompt nears the model's context window.
+   * @returns {Promise<Object|null>} Compaction details, or null if nothing was compacted
+   */
+  async compactIfNeeded(chatId, model, signal) {
+    return compactHistory({
+      store: this.store,
+      provider: this.name,
+      chatId,
+      limit: this.contextLimit || getContextLimit(model),
+      threshold: this.compactionThreshold,
+      keepRatio: this.compactionKeepRatio,
+      estimate: () => this.estimatePromptTokens(chatId),
+      summarize: request => this.requestSummary(request, model, signal),
+      logTag: 'Antigravity',
+      signal
+    });
+  }
+
+  /**
+   * Ask the chat's model, through the proxy, for a summary of older turns
+   * @returns {Promise<string>}
+   */
+  async requestSummary({ system, prompt }, model, signal) {
+    const response = await fetch(`${this.proxyUrl}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': 'antigravity-proxy',
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: 2048,
+        system,
+        messages: [{ role: 'user', content: prompt }]
+      }),
+      signal
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const data = await response.json();
+    return (data.content || []).filter(b => b.type === 'text').map(b => b.text).join('\n');
+  }
+
+  getSystemPrompt(chatId) {
+    return getAgentSystemPrompt(this.store.getWorkspace(chatId));
   }
 
   /**
    * Main query method with streaming agentic loop
+   * Stops between turns and tool calls once params.signal is aborted.
+   * With params.continueRun the prompt is not re-added, so a fallback can
+   * resume a run that failed on another model.
    */
   async *query(params) {
-    const { prompt, chatId, model } = params;
+    const { prompt, chatId, model, signal, continueRun = false } = params;
 
     // Smart model selection - use thinking model only for complex tasks
     const selectedModel = model || (this.needsThinkingModel(prompt) ? this.thinkingModel : this.model);
@@ -186,8 +159,10 @@ ${process.cwd()}
     // Set session for tools
     setSessionId(chatId);
 
-    // Add user message
-    this.addToHistory(chatId, { role: 'user', content: prompt });
+    // Add user message (a continued run picks up the existing history instead)
+    if (!continueRun) {
+      this.addToHistory(chatId, { role: 'user', content: prompt });
+    }
 
     yield { type: 'session_init', session_id: chatId, provider: this.name };
 
@@ -197,36 +172,52 @@ ${process.cwd()}
     let continueLoop = true;
 
     while (continueLoop && turn < this.maxTurns) {
+      if (signal?.aborted) {
+        yield { type: 'cancelled', provider: this.name };
+        break;
+      }
+
       turn++;
       console.log(`[Antigravity] Turn ${turn}`);
 
       try {
-        // Use streaming for faster response
-        const response = await this.makeStreamingRequest(chatId, selectedModel);
+        // Keep the prompt within the model's context window
+        const compaction = await this.compactIfNeeded(chatId, selectedModel, signal);
+        if (compaction) {
+          yield { type: 'context_compacted', ...compaction, provider: this.name };
+        }
+
+        // Use streaming for faster response, retrying rate limits and server errors
+        const response = yield* fetchWithRetry(
+          () => this.makeStreamingRequest(chatId, selectedModel, signal),
+          { maxRetries: this.maxRetries, signal, provider: this.name }
+        );
 
         if (!response.ok) {
           const error = await response.text();
           console.error('[Antigravity] API Error:', error);
-          yield { type: 'error', message: `API error: ${response.status}`, provider: this.name };
+          yield {
+            type: 'error',
+            message: `API error: ${response.status}`,
+            status: response.status,
+            retryable: isRetryableStatus(response.status),
+            provider: this.name
+          };
           break;
         }
 
-        // Process streaming response
-        const result = await this.processStream(response, chatId);
+        // Stream text, thinking and tool input while collecting the full turn
+        const result = {};
+        yield* this.processStream(response, result);
 
-        // Yield all text chunks
-        for (const chunk of result.textChunks) {
-          yield chunk;
-        }
-
-        // Yield thinking if any
-        if (result.thinking) {
-          yield { type: 'thinking', content: result.thinking, provider: this.name };
+        if (result.usage) {
+          yield { type: 'usage', usage: result.usage, model: selectedModel, provider: this.name };
         }
 
         // Process tool calls
         if (result.toolCalls.length > 0) {
-          const toolResults = [];
+          // Kept in the model's call order so history stays valid
+          const toolResults = new Array(result.toolCalls.length);
 
           for (const toolCall of result.toolCalls) {
             yield {
@@ -236,23 +227,37 @@ ${process.cwd()}
               id: toolCall.id,
               provider: this.name
             };
+          }
+
+          const execution = runToolCalls(result.toolCalls, {
+            concurrency: this.toolConcurrency,
+            root: getWorkingDirectory(this.store.getWorkspace(chatId)),
+            execute: (toolCall, onProgress) => {
+              console.log(`[Antigravity] Tool: ${toolCall.name}`);
+              return executeTool(toolCall.name, toolCall.input, { signal, onProgress, chatId, toolUseId: toolCall.id });
+            }
+          });
 
-            console.log(`[Antigravity] Tool: ${toolCall.name}`);
-            const toolResult = await executeTool(toolCall.name, toolCall.input);
+          // Results stream out as each tool finishes
+          for await (const { index, call, result: toolResult, progress } of execution) {
+            if (progress) {
+              yield { type: 'tool_progress', tool_use_id: call.id, name: call.name, ...progress, provider: this.name };
+              continue;
+            }
 
             yield {
               type: 'tool_result',
               result: toolResult,
-              tool_use_id: toolCall.id,
-              name: toolCall.name,
+              tool_use_id: call.id,
+              name: call.name,
               provider: this.name
             };
 
-            toolResults.push({
+            toolResults[index] = {
               type: 'tool_result',
-              tool_use_id: toolCall.id,
-              content: JSON.stringify(toolResult)
-            });
+              tool_use_id: call.id,
+              content: toToolResultContent(toolResult, call.name)
+            };
           }
 
           // Add assistant response to history
@@ -286,8 +291,14 @@ ${process.cwd()}
         }
 
       } catch (error) {
+        if (signal?.aborted) {
+          console.log(`[Antigravity] Run cancelled during turn ${turn}`);
+          yield { type: 'cancelled', provider: this.name };
+          break;
+        }
         console.error(`[Antigravity] Turn ${turn} error:`, error);
-        yield { type: 'error', message: error.message, provider: this.name };
+        // Network failures (e.g. endpoint down) may succeed on a fallback provider
+        yield { type: 'error', message: error.message, retryable: true, provider: this.name };
         break;
       }
     }
@@ -303,13 +314,13 @@ ${process.cwd()}
   /**
    * Make streaming request to proxy
    */
-  async makeStreamingRequest(chatId, model) {
+  async makeStreamingRequest(chatId, model, signal) {
     const messages = this.getConversationHistory(chatId);
 
     const body = {
       model,
       max_tokens: this.maxTokens,
-      system: this.getSystemPrompt(),
+      system: this.getSystemPrompt(chatId),
       messages,
       tools: TOOL_DEFINITIONS,
       tool_choice: { type: 'auto' },
@@ -328,26 +339,38 @@ ${process.cwd()}
         'x-api-key': 'antigravity-proxy',
         'anthropic-version': '2023-06-01'
       },
-      body: JSON.stringify(body)
+      body: JSON.stringify(body),
+      signal
     });
   }
 
   /**
-   * Process SSE stream
+   * Process SSE stream, yielding text, thinking and partial tool input as it
+   * arrives. The complete turn (assistantContent, toolCalls, stopReason,
+   * usage) is written to `result` once the stream ends.
    */
-  async processStream(response) {
+  async *processStream(response, result) {
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
 
     let buffer = '';
-    const textChunks = [];
     const toolCalls = [];
     const assistantContent = [];
+    let text = '';
     let thinking = '';
     let stopReason = null;
+    let usage = null;
     let currentToolCall = null;
     let currentToolInput = '';
 
+    // Consecutive text deltas become one text block
+    const flushText = () => {
+      if (text) {
+        assistantContent.push({ type: 'text', text });
+        text = '';
+      }
+    };
+
     while (true) {
       const { done, value } = await reader.read();
       if (done) break;
@@ -361,73 +384,98 @@ ${process.cwd()}
         const data = line.slice(6).trim();
         if (data === '[DONE]') continue;
 
+        let event;
         try {
-          const event = JSON.parse(data);
-
-          switch (event.type) {
-            case 'content_block_start':
-              if (event.content_block?.type === 'tool_use') {
-                currentToolCall = {
-                  id: event.content_block.id,
-                  name: event.content_block.name,
-                  input: {}
-                };
-                currentToolInput = '';
-              }
-              break;
-
-            case 'content_block_delta':
-              const delta = event.delta;
-              if (delta?.type === 'text_delta' && delta.text) {
-                textChunks.push({
-                  type: 'text',
-                  content: delta.text,
-                  provider: this.name
-                });
-                assistantContent.push({ type: 'text', text: delta.text });
-              } else if (delta?.type === 'thinking_delta' && delta.thinking) {
-                thinking += delta.thinking;
-              } else if (delta?.type === 'input_json_delta' && delta.partial_json) {
-                currentToolInput += delta.partial_json;
-              }
-              break;
-
-            case 'content_block_stop':
-              if (currentToolCall) {
-                try {
-                  currentToolCall.input = JSON.parse(currentToolInput || '{}');
-                } catch {
-                  currentToolCall.input = {};
-                }
-                toolCalls.push(currentToolCall);
-                assistantContent.push({
-                  type: 'tool_use',
-                  id: currentToolCall.id,
-                  name: currentToolCall.name,
-                  input: currentToolCall.input
-                });
-                currentToolCall = null;
-                currentToolInput = '';
-              }
-              break;
+          event = JSON.parse(data);
+        } catch {
+          continue; // Skip parse errors
+        }
 
-            case 'message_delta':
-              if (event.delta?.stop_reason) {
-                stopReason = event.delta.stop_reason;
-              }
-              break;
+        switch (event.type) {
+          case 'message_start':
+            if (event.message?.usage) {
+              usage = { ...event.message.usage };
+            }
+            break;
+
+          case 'content_block_start':
+            if (event.content_block?.type === 'tool_use') {
+              flushText();
+              currentToolCall = {
+                id: event.content_block.id,
+                name: event.content_block.name,
+                input: {}
+              };
+              currentToolInput = '';
+            }
+            break;
+
+          case 'content_block_delta': {
+            const delta = event.delta;
+            if (delta?.type === 'text_delta' && delta.text) {
+              text += delta.text;
+              yield { type: 'text', content: delta.text, provider: this.name };
+            } else if (delta?.type === 'thinking_delta' && delta.thinking) {
+              thinking += delta.thinking;
+              yield { type: 'text', content: delta.thinking, provider: this.name, isReasoning: true };
+            } else if (delta?.type === 'input_json_delta' && delta.partial_json && currentToolCall) {
+              currentToolInput += delta.partial_json;
+              yield {
+                type: 'tool_input_delta',
+                id: currentToolCall.id,
+                name: currentToolCall.name,
+                partial_json: delta.partial_json,
+                provider: this.name
+              };
+            }
+            break;
           }
-        } catch {
-          // Skip parse errors
+
+          case 'content_block_stop':
+            if (currentToolCall) {
+              try {
+                currentToolCall.input = JSON.parse(currentToolInput || '{}');
+              } catch {
+                currentToolCall.input = {};
+              }
+              toolCalls.push(currentToolCall);
+              assistantContent.push({
+                type: 'tool_use',
+                id: currentToolCall.id,
+                name: currentToolCall.name,
+                input: currentToolCall.input
+              });
+              currentToolCall = null;
+              currentToolInput = '';
+            }
+            break;
+
+          case 'message_delta':
+            if (event.delta?.stop_reason) {
+              stopReason = event.delta.stop_reason;
+            }
+            // Usage here is cumulative for the message
+            if (event.usage) {
+              usage = { ...usage, ...event.usage };
+            }
+            break;
         }
       }
     }
 
-    return { textChunks, toolCalls, assistantContent, thinking, stopReason };
-  }
-
-  async cleanup() {
-    this.conversationHistory.clear();
-    await super.cleanup();
+    flushText();
+
+    result.toolCalls = toolCalls;
+    result.assistantContent = assistantContent;
+    result.thinking = thinking;
+    result.stopReason = stopReason;
+    result.usage = usage && {
+      input_tokens: usage.input_tokens || 0,
+      output_tokens: usage.output_tokens || 0,
+      cache_read_tokens: usage.cache_read_input_tokens || 0,
+      cache_write_tokens: usage.cache_creation_input_tokens || 0,
+      // The API folds thinking into output_tokens, so estimate the share
+      thinking_tokens: thinking ? estimateTokens(thinking) : 0
+    };
   }
 }
@@ -1,3 +1,5 @@
+import { getConversationStore } from '../store/index.js';
+
 /**
  * Base provider interface for AI agent providers.
  * All providers must implement these methods.
@@ -5,7 +7,8 @@
 export class BaseProvider {
   constructor(config = {}) {
     this.config = config;
-    this.sessions = new Map();
+    // Persistent per-chat state (history, session IDs) shared across restarts
+    this.store = config.store || getConversationStore();
   }
 
   /**
@@ -33,6 +36,8 @@ export class BaseProvider {
    * @param {Object} params.mcpServers - MCP server configurations
    * @param {string[]} params.allowedTools - List of allowed tool names
    * @param {number} params.maxTurns - Maximum conversation turns
+   * @param {AbortSignal} [params.signal] - Aborted when the run is cancelled
+   * @param {boolean} [params.continueRun] - Resume the chat's existing history without re-adding the prompt
    * @yields {Object} Streaming response chunks
    */
   async *query(params) {
@@ -45,7 +50,7 @@ export class BaseProvider {
    * @returns {string|null} Session ID if exists
    */
   getSession(chatId) {
-    return this.sessions.get(chatId) || null;
+    return this.store.getSession(this.name, chatId);
   }
 
   /**
@@ -54,14 +59,33 @@ export class BaseProvider {
    * @param {string} sessionId
    */
   setSession(chatId, sessionId) {
-    this.sessions.set(chatId, sessionId);
+    this.store.setSession(this.name, chatId, sessionId);
+  }
+
+  /**
+   * Plain-text transcript of a chat, used to hand a run over to another provider.
+   * Providers that keep their own history should override this.
+   * @param {string} chatId
+   * @returns {string|null}
+   */
+  getTranscript(chatId) {
+    return null;
   }
 
   /**
-   * Cleanup resources
+   * List stored chatId -> sessionId pairs for this provider
+   * @returns {Array<[string, string]>}
+   */
+  getSessions() {
+    return this.store.getSessions(this.name);
+  }
+
+  /**
+   * Cleanup resources.
+   * Persisted chat state is kept so it survives provider restarts.
    * @returns {Promise<void>}
    */
   async cleanup() {
-    this.sessions.clear();
+    // Override in subclass if needed
   }
 }
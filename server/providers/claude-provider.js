@@ -31,6 +31,7 @@ export class ClaudeProvider extends BaseProvider {
    * @param {Object} params.mcpServers - MCP server configurations (including Composio)
    * @param {string[]} [params.allowedTools] - List of allowed tool names
    * @param {number} [params.maxTurns] - Maximum conversation turns
+   * @param {AbortSignal} [params.signal] - Cancels the SDK query when aborted
    * @yields {Object} Normalized response chunks
    */
   async *query(params) {
@@ -39,17 +40,29 @@ export class ClaudeProvider extends BaseProvider {
       chatId,
       mcpServers = {},
       allowedTools = this.defaultAllowedTools,
-      maxTurns = this.defaultMaxTurns
+      maxTurns = this.defaultMaxTurns,
+      signal
     } = params;
 
+    // The SDK takes a controller rather than a signal, so forward aborts to it
+    const abortController = new AbortController();
+    signal?.addEventListener('abort', () => abortController.abort(), { once: true });
+
     // Build query options - exact match to server.js structure
     const queryOptions = {
       allowedTools,
       maxTurns,
       mcpServers,
-      permissionMode: this.permissionMode
+      permissionMode: this.permissionMode,
+      abortController
     };
 
+    // Run the SDK's tools in the chat's workspace
+    const workspace = this.store.getWorkspace(chatId);
+    if (workspace?.root) {
+      queryOptions.cwd = workspace.root;
+    }
+
     // Check for existing session - matches server.js session resumption logic
     const existingSessionId = chatId ? this.getSession(chatId) : null;
     console.log('[Claude] Existing session ID for', chatId, ':', existingSessionId || 'none (new chat)');
@@ -62,82 +75,119 @@ export class ClaudeProvider extends BaseProvider {
 
     console.log('[Claude] Calling Claude Agent SDK...');
 
+    // The SDK repeats an API message once per content block, so usage is
+    // reported once per message id, when the next message starts
+    let pendingUsage = null;
+    const flushUsage = () => {
+      const event = pendingUsage && {
+        type: 'usage',
+        usage: normalizeClaudeUsage(pendingUsage.usage),
+        model: pendingUsage.model,
+        provider: this.name
+      };
+      pendingUsage = null;
+      return event;
+    };
+
     // Stream responses from Claude Agent SDK - matches server.js exactly
-    for await (const chunk of query({
-      prompt,
-      options: queryOptions
-    })) {
-      // Debug: log all system messages to find session_id
-      if (chunk.type === 'system') {
-        console.log('[Claude] System message:', JSON.stringify(chunk, null, 2));
-      }
+    try {
+      for await (const chunk of query({
+        prompt,
+        options: queryOptions
+      })) {
+        // Debug: log all system messages to find session_id
+        if (chunk.type === 'system') {
+          console.log('[Claude] System message:', JSON.stringify(chunk, null, 2));
+        }
+
+        // Capture session ID from system init message - matches server.js logic
+        if (chunk.type === 'system' && chunk.subtype === 'init') {
+          const newSessionId = chunk.session_id || chunk.data?.session_id || chunk.sessionId;
+          if (newSessionId && chatId) {
+            this.setSession(chatId, newSessionId);
+            console.log('[Claude] Session ID captured:', newSessionId);
+            console.log('[Claude] Total sessions stored:', this.getSessions().length);
+          } else {
+            console.log('[Claude] No session_id found in init message');
+          }
+
+          // Yield session init event
+          if (newSessionId) {
+            yield {
+              type: 'session_init',
+              session_id: newSessionId,
+              provider: this.name
+            };
+          }
+          continue;
+        }
+
+        // Handle assistant messages - extract text and tool_use blocks
+        if (chunk.type === 'assistant' && chunk.message && chunk.message.content) {
+          if (chunk.message.usage) {
+            if (pendingUsage && pendingUsage.id !== chunk.message.id) {
+              yield flushUsage();
+            }
+            pendingUsage = { id: chunk.message.id, usage: chunk.message.usage, model: chunk.message.model };
+          }
 
-      // Capture session ID from system init message - matches server.js logic
-      if (chunk.type === 'system' && chunk.subtype === 'init') {
-        const newSessionId = chunk.session_id || chunk.data?.session_id || chunk.sessionId;
-        if (newSessionId && chatId) {
-          this.setSession(chatId, newSessionId);
-          console.log('[Claude] Session ID captured:', newSessionId);
-          console.log('[Claude] Total sessions stored:', this.sessions.size);
-        } else {
-          console.log('[Claude] No session_id found in init message');
+          const content = chunk.message.content;
+          if (Array.isArray(content)) {
+            for (const block of content) {
+              if (block.type === 'text' && block.text) {
+                yield {
+                  type: 'text',
+                  content: block.text,
+                  provider: this.name
+                };
+              } else if (block.type === 'tool_use') {
+                yield {
+                  type: 'tool_use',
+                  name: block.name,
+                  input: block.input,
+                  id: block.id,
+                  provider: this.name
+                };
+                console.log('[Claude] Tool use:', block.name);
+              }
+            }
+          }
+          continue;
         }
 
-        // Yield session init event
-        if (newSessionId) {
+        // Handle tool results
+        if (chunk.type === 'tool_result' || chunk.type === 'result') {
           yield {
-            type: 'session_init',
-            session_id: newSessionId,
+            type: 'tool_result',
+            result: chunk.result || chunk.content || chunk,
+            tool_use_id: chunk.tool_use_id,
             provider: this.name
           };
+          continue;
         }
-        continue;
-      }
 
-      // Handle assistant messages - extract text and tool_use blocks
-      if (chunk.type === 'assistant' && chunk.message && chunk.message.content) {
-        const content = chunk.message.content;
-        if (Array.isArray(content)) {
-          for (const block of content) {
-            if (block.type === 'text' && block.text) {
-              yield {
-                type: 'text',
-                content: block.text,
-                provider: this.name
-              };
-            } else if (block.type === 'tool_use') {
-              yield {
-                type: 'tool_use',
-                name: block.name,
-                input: block.input,
-                id: block.id,
-                provider: this.name
-              };
-              console.log('[Claude] Tool use:', block.name);
-            }
-          }
+        // Skip system chunks, pass through others
+        if (chunk.type !== 'system') {
+          yield {
+            ...chunk,
+            provider: this.name
+          };
         }
-        continue;
       }
+    } catch (error) {
+      if (!signal?.aborted) throw error;
+    }
 
-      // Handle tool results
-      if (chunk.type === 'tool_result' || chunk.type === 'result') {
-        yield {
-          type: 'tool_result',
-          result: chunk.result || chunk.content || chunk,
-          tool_use_id: chunk.tool_use_id,
-          provider: this.name
-        };
-        continue;
-      }
+    if (pendingUsage) {
+      yield flushUsage();
+    }
 
-      // Skip system chunks, pass through others
-      if (chunk.type !== 'system') {
-        yield {
-          ...chunk,
-          provider: this.name
-        };
-      }
+    if (signal?.aborted) {
+      console.log('[Claude] Query cancelled');
+      yield {
+        type: 'cancelled',
+        provider: this.name
+      };
     }
 
     // Signal completion
@@ -149,3 +199,16 @@ export class ClaudeProvider extends BaseProvider {
     console.log('[Claude] Stream completed');
   }
 }
+
+/**
+ * Map Anthropic API usage onto the normalized usage fields
+ */
+function normalizeClaudeUsage(usage) {
+  return {
+    input_tokens: usage.input_tokens || 0,
+    output_tokens: usage.output_tokens || 0,
+    cache_read_tokens: usage.cache_read_input_tokens || 0,
+    cache_write_tokens: usage.cache_creation_input_tokens || 0,
+    thinking_tokens: 0
+  };
+}
@@ -0,0 +1,222 @@
+/**
+ * Context compaction helpers for providers that keep their own message history.
+ * Older turns are replaced with a single summary message once the prompt nears
+ * the model's context window, without ever separating a tool_use from its
+ * tool_result.
+ */
+
+// Approximate context windows (tokens) by model family
+const MODEL_CONTEXT_LIMITS = [
+  { pattern: /gemini/i, limit: 1000000 },
+  { pattern: /claude/i, limit: 200000 }
+];
+const DEFAULT_CONTEXT_LIMIT = 128000;
+
+// Rough chars-per-token ratio used for estimates
+const CHARS_PER_TOKEN = 4;
+
+// Rough token cost of an image block (its base64 data isn't counted as text)
+const IMAGE_TOKENS = 1600;
+
+/**
+ * Get the context window for a model
+ * @param {string} model
+ * @returns {number}
+ */
+export function getContextLimit(model) {
+  const match = MODEL_CONTEXT_LIMITS.find(m => m.pattern.test(model || ''));
+  return match ? match.limit : DEFAULT_CONTEXT_LIMIT;
+}
+
+/**
+ * Estimate the token count of anything JSON-serializable
+ * @param {*} value
+ * @returns {number}
+ */
+export function estimateTokens(value) {
+  if (typeof value === 'string') return Math.ceil(value.length / CHARS_PER_TOKEN);
+
+  let images = 0;
+  const text = JSON.stringify(value ?? '', (key, item) => {
+    // Anthropic image source / OpenAI image_url carrying a data URL
+    if (item?.type === 'base64' && typeof item.data === 'string') {
+      images++;
+      return undefined;
+    }
+    if (key === 'url' && typeof item === 'string' && item.startsWith('data:')) {
+      images++;
+      return '';
+    }
+    return item;
+  });
+  return Math.ceil(text.length / CHARS_PER_TOKEN) + images * IMAGE_TOKENS;
+}
+
+/**
+ * Find where to split history so messages[index..] can be kept verbatim.
+ * The kept slice always starts at an assistant message, so any tool_result
+ * (or OpenAI 'tool' message) in it answers a call that is also kept, and a
+ * leading summary (user) message keeps roles alternating. When even the
+ * newest turn is over budget, the split falls back to the last assistant
+ * message so that turn stays whole.
+ *
+ * @param {Object[]} messages - Conversation history
+ * @param {number} keepTokens - Token budget for the kept tail
+ * @returns {number} Split index, or -1 if nothing can be compacted (no assistant
+ *   message after the first one)
+ */
+export function findCompactionSplit(messages, keepTokens) {
+  let kept = 0;
+  let start = messages.length;
+
+  // Walk back from the end until the tail would exceed the budget
+  while (start > 0) {
+    const cost = estimateTokens(messages[start - 1]);
+    if (kept + cost > keepTokens) break;
+    kept += cost;
+    start--;
+  }
+
+  // Move forward to the nearest assistant message boundary
+  for (let i = Math.max(start, 1); i < messages.length; i++) {
+    if (messages[i].role === 'assistant') return i;
+  }
+
+  // The newest turn alone is over budget (e.g. a huge tool_result):
+  // keep just the last assistant message and the results answering it
+  for (let i = Math.min(start, messages.length) - 1; i >= 1; i--) {
+    if (messages[i].role === 'assistant') return i;
+  }
+  return -1;
+}
+
+/**
+ * Render messages as plain text for summarization
+ * @param {Object[]} messages
+ * @param {number} [maxBlockChars] - Truncate each block to this many chars
+ * @returns {string}
+ */
+export function renderTranscript(messages, maxBlockChars = 2000) {
+  const clip = (text) => text.length > maxBlockChars ? `${text.slice(0, maxBlockChars)}... [truncated]` : text;
+
+  return messages.map(message => {
+    // OpenAI-style tool result message
+    if (message.role === 'tool') {
+      return `[Tool result: ${clip(String(message.content ?? ''))}]`;
+    }
+
+    const role = message.role === 'assistant' ? 'Assistant' : 'User';
+
+    // OpenAI-style assistant message with function calls
+    if (message.tool_calls?.length) {
+      const calls = message.tool_calls.map(call => `[Called ${call.function?.name} ${clip(call.function?.arguments || '{}')}]`);
+      return `${role}: ${[message.content ? clip(message.content) : '', ...calls].filter(Boolean).join('\n')}`;
+    }
+
+    if (typeof message.content === 'string') {
+      return `${role}: ${clip(message.content)}`;
+    }
+
+    const renderBlocks = blocks => blocks.map(block => {
+      switch (block.type) {
+        case 'text':
+          return clip(block.text || '');
+        case 'tool_use':
+          return `[Called ${block.name} ${clip(JSON.stringify(block.input))}]`;
+        case 'tool_result':
+          return `[Tool result: ${typeof block.content === 'string' ? clip(block.content) : renderBlocks(block.content || []).join(' ')}]`;
+        case 'image':
+        case 'image_url':
+          return '[Image]';
+        default:
+          return '';
+      }
+    }).filter(Boolean);
+
+    return `${role}: ${renderBlocks(message.content || []).join('\n')}`;
+  }).join('\n\n');
+}
+
+/**
+ * Build the synthetic message that replaces compacted turns
+ * @param {string} summary
+ * @param {number} messageCount - Number of messages summarized
+ * @returns {Object}
+ */
+export function buildSummaryMessage(summary, messageCount) {
+  return {
+    role: 'user',
+    content: `[Summary of ${messageCount} earlier messages, compacted to save context]\n\n${summary}`
+  };
+}
+
+const SUMMARY_SYSTEM_PROMPT = 'You summarize agent conversations so the agent can continue the task. Keep the user\'s goals, decisions made, files created or modified (with paths), commands run and their outcomes, open problems and the current todo list. Be concise and factual.';
+
+// A summary that could not be produced falls back to this much of the transcript
+const FALLBACK_SUMMARY_CHARS = 20000;
+
+/**
+ * Summarize a provider's older turns when the prompt nears the context
+ * window, replacing them in the store with a single summary message.
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Conversation store
+ * @param {string} options.provider - Provider name the history is kept under
+ * @param {string} options.chatId
+ * @param {number} options.limit - Context window in tokens
+ * @param {number} options.threshold - Fraction of the window that triggers compaction
+ * @param {number} options.keepRatio - Fraction of the window kept verbatim
+ * @param {() => number} options.estimate - Token estimate of the next request
+ * @param {(request: { system: string, prompt: string }) => Promise<string>} options.summarize - Asks the model;
+ *   resolves with the summary text or throws
+ * @param {string} options.logTag - Prefix for log lines
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object|null>} Compaction details, or null if nothing was compacted
+ */
+export async function compactHistory({ store, provider, chatId, limit, threshold, keepRatio, estimate, summarize, logTag, signal }) {
+  const tokensBefore = estimate();
+  if (tokensBefore < limit * threshold) {
+    return null;
+  }
+
+  const history = store.getHistory(provider, chatId);
+  const split = findCompactionSplit(history, limit * keepRatio);
+  if (split <= 0) {
+    console.warn(`[${logTag}] Context near limit but no safe compaction point found`);
+    return null;
+  }
+
+  const older = history.slice(0, split);
+  console.log(`[${logTag}] Compacting ${older.length} messages (~${tokensBefore} tokens)`);
+
+  // The transcript has to fit in the same context window as the summary
+  const maxChars = Math.floor(limit * keepRatio * CHARS_PER_TOKEN);
+  let transcript = renderTranscript(older, 1000);
+  if (transcript.length > maxChars) {
+    transcript = `...${transcript.slice(-maxChars)}`;
+  }
+
+  let summary = null;
+  try {
+    summary = (await summarize({ system: SUMMARY_SYSTEM_PROMPT, prompt: `Summarize this conversation:\n\n${transcript}` }))?.trim();
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.warn(`[${logTag}] Summary request failed:`, error.message);
+  }
+  // Fallback: keep the most recent part of the transcript
+  if (!summary) {
+    summary = transcript.length > FALLBACK_SUMMARY_CHARS ? `...${transcript.slice(-FALLBACK_SUMMARY_CHARS)}` : transcript;
+  }
+
+  store.replaceHistory(provider, chatId, [
+    buildSummaryMessage(summary, older.length),
+    ...history.slice(split)
+  ]);
+
+  return {
+    removed_messages: older.length,
+    kept_messages: history.length - split,
+    tokens_before: tokensBefore,
+    tokens_after: estimate()
+  };
+}
@@ -0,0 +1,167 @@
+import { describe, it, expect } from 'vitest';
+import { ConversationStore } from '../store/base-store.js';
+import { compactHistory, estimateTokens, findCompactionSplit } from './context-compaction.js';
+
+const user = text => ({ role: 'user', content: [{ type: 'text', text }] });
+const answer = text => ({ role: 'assistant', content: [{ type: 'text', text }] });
+const call = (id, command) => ({
+  role: 'assistant',
+  content: [{ type: 'tool_use', id, name: 'Bash', input: { command } }]
+});
+const result = (id, output) => ({
+  role: 'user',
+  content: [{ type: 'tool_result', tool_use_id: id, content: output }]
+});
+
+// Same shapes as the OpenAI-compatible provider keeps
+const openaiCall = (id, command) => ({
+  role: 'assistant',
+  content: null,
+  tool_calls: [{ id, type: 'function', function: { name: 'Bash', arguments: JSON.stringify({ command }) } }]
+});
+const openaiResult = (id, output) => ({ role: 'tool', tool_call_id: id, content: output });
+
+/** Ids of tool results in messages whose call is not among them */
+function orphanedResults(messages) {
+  const calls = new Set(messages.flatMap(message => [
+    ...(Array.isArray(message.content) ? message.content.filter(b => b.type === 'tool_use').map(b => b.id) : []),
+    ...(message.tool_calls || []).map(c => c.id)
+  ]));
+  return messages.flatMap(message => [
+    ...(Array.isArray(message.content) ? message.content.filter(b => b.type === 'tool_result').map(b => b.tool_use_id) : []),
+    ...(message.role === 'tool' ? [message.tool_call_id] : [])
+  ]).filter(id => !calls.has(id));
+}
+
+const history = [
+  user('Build the project and fix what fails'),
+  call('t1', 'npm run build'),
+  result('t1', 'error TS2322 in src/app.ts '.repeat(20)),
+  call('t2', 'cat src/app.ts'),
+  result('t2', 'export const app = 1;\n'.repeat(20)),
+  answer('The type error is on line 3.'),
+  user('Fix it'),
+  call('t3', 'sed -i s/1/"1"/ src/app.ts'),
+  result('t3', ''),
+  answer('Fixed.')
+];
+
+const openaiHistory = [
+  { role: 'user', content: 'List the files and count them' },
+  openaiCall('c1', 'ls'),
+  openaiResult('c1', 'a.txt\nb.txt\n'.repeat(40)),
+  openaiCall('c2', 'ls | wc -l'),
+  openaiResult('c2', '80'),
+  { role: 'assistant', content: 'There are 80 files.' }
+];
+
+describe('findCompactionSplit', () => {
+  const total = messages => messages.reduce((sum, message) => sum + estimateTokens(message), 0);
+
+  it.each([
+    ['Anthropic', history],
+    ['OpenAI', openaiHistory]
+  ])('never separates a tool call from its result in %s history', (name, messages) => {
+    for (let budget = 0; budget <= total(messages); budget += 5) {
+      const split = findCompactionSplit(messages, budget);
+      expect(split).toBeGreaterThan(0);
+      expect(messages[split].role).toBe('assistant');
+      expect(orphanedResults(messages.slice(split))).toEqual([]);
+    }
+  });
+
+  it('keeps as much of the tail as fits the budget', () => {
+    const tail = history.slice(6);
+    expect(findCompactionSplit(history, total(tail) + 1)).toBe(7);
+  });
+
+  it('keeps the last call and its result when that result alone is over budget', () => {
+    const messages = [
+      user('Read the log'),
+      call('t1', 'ls logs'),
+      result('t1', 'app.log'),
+      call('t2', 'cat logs/app.log'),
+      result('t2', 'x'.repeat(100000))
+    ];
+    const split = findCompactionSplit(messages, 1000);
+    expect(split).toBe(3);
+    expect(orphanedResults(messages.slice(split))).toEqual([]);
+  });
+
+  it('keeps the last OpenAI call and all of its results when they are over budget', () => {
+    const messages = [
+      { role: 'user', content: 'Read both logs' },
+      { role: 'assistant', content: 'Reading them.' },
+      {
+        ...openaiCall('c1', 'cat a.log'),
+        tool_calls: [...openaiCall('c1', 'cat a.log').tool_calls, ...openaiCall('c2', 'cat b.log').tool_calls]
+      },
+      openaiResult('c1', 'a'.repeat(50000)),
+      openaiResult('c2', 'b'.repeat(50000))
+    ];
+    const split = findCompactionSplit(messages, 1000);
+    expect(split).toBe(2);
+    expect(orphanedResults(messages.slice(split))).toEqual([]);
+  });
+
+  it('returns -1 when there is no assistant message to split at', () => {
+    expect(findCompactionSplit([user('x'.repeat(100000))], 10)).toBe(-1);
+    expect(findCompactionSplit([call('t1', 'ls'), result('t1', 'x'.repeat(100000))], 10)).toBe(-1);
+  });
+});
+
+describe('compactHistory', () => {
+  it('replaces older turns with a summary and keeps whole tool turns', async () => {
+    const store = new ConversationStore();
+    store.replaceHistory('test', 'chat', history);
+    const estimate = () => estimateTokens(store.getHistory('test', 'chat'));
+    const requests = [];
+
+    const compaction = await compactHistory({
+      store,
+      provider: 'test',
+      chatId: 'chat',
+      limit: estimate(),
+      threshold: 0.5,
+      keepRatio: 0.2,
+      estimate,
+      summarize: async request => {
+        requests.push(request);
+        return 'The build failed on a type error in src/app.ts.';
+      },
+      logTag: 'Test'
+    });
+
+    const compacted = store.getHistory('test', 'chat');
+    expect(compaction.removed_messages + compaction.kept_messages).toBe(history.length);
+    expect(compaction.tokens_after).toBeLessThan(compaction.tokens_before);
+    expect(compacted[0].role).toBe('user');
+    expect(compacted[0].content).toMatch(/^\[Summary of \d+ earlier messages.*\n\nThe build failed/);
+    expect(compacted[1].role).toBe('assistant');
+    expect(orphanedResults(compacted)).toEqual([]);
+    expect(requests).toHaveLength(1);
+    expect(requests[0].prompt).toMatch(/^Summarize this conversation:/);
+  });
+
+  it('leaves history alone below the threshold', async () => {
+    const store = new ConversationStore();
+    store.replaceHistory('test', 'chat', history);
+
+    const compaction = await compactHistory({
+      store,
+      provider: 'test',
+      chatId: 'chat',
+      limit: 1000000,
+      threshold: 0.8,
+      keepRatio: 0.2,
+      estimate: () => estimateTokens(store.getHistory('test', 'chat')),
+      summarize: async () => {
+        throw new Error('should not summarize');
+      },
+      logTag: 'Test'
+    });
+
+    expect(compaction).toBeNull();
+    expect(store.getHistory('test', 'chat')).toEqual(history);
+  });
+});
@@ -0,0 +1,96 @@
+// Largest transcript carried over when a run moves to another provider
+const MAX_HANDOFF_CHARS = 30000;
+
+/**
+ * Parse a fallback chain spec into provider/model entries.
+ * Accepts "antigravity:claude-sonnet-4-5,antigravity:gemini-3-flash,opencode"
+ * or an array of such strings / { provider, model } objects.
+ *
+ * @param {string|Array<string|Object>} spec
+ * @returns {{ provider: string, model: string|null }[]}
+ */
+export function parseFallbackChain(spec) {
+  if (!spec) return [];
+  const items = Array.isArray(spec) ? spec : String(spec).split(',');
+
+  return items
+    .map(item => {
+      if (typeof item === 'object' && item !== null) {
+        return { provider: String(item.provider || '').toLowerCase(), model: item.model || null };
+      }
+      const [provider, ...model] = String(item).trim().split(':');
+      return { provider: provider.toLowerCase(), model: model.join(':') || null };
+    })
+    .filter(entry => entry.provider);
+}
+
+/**
+ * Build the prompt for a provider taking over a run from another provider,
+ * carrying the conversation so far
+ */
+function buildHandoffPrompt(prompt, transcript) {
+  if (!transcript) return prompt;
+  const clipped = transcript.length > MAX_HANDOFF_CHARS
+    ? '...' + transcript.slice(-MAX_HANDOFF_CHARS)
+    : transcript;
+  return `The previous assistant failed part-way through this conversation. Continue from where it left off.\n\n<previous_conversation>\n${clipped}\n</previous_conversation>\n\n${prompt}`;
+}
+
+/**
+ * Run a query through a chain of providers. When a provider fails with a
+ * retryable error (rate limits, server errors, unreachable endpoints), the
+ * run moves on to the next entry: the same provider continues its own
+ * history with the next model, a different provider gets a transcript of it.
+ *
+ * @param {Object} options
+ * @param {{ provider: string, model: string|null }[]} options.chain - First entry is the requested provider
+ * @param {Object} options.params - Query params passed to each provider
+ * @param {(name: string) => BaseProvider} options.getProvider
+ * @yields {Object} Provider chunks, plus provider_switched events
+ */
+export async function* queryWithFallback({ chain, params, getProvider }) {
+  let previous = null;
+
+  for (let i = 0; i < chain.length; i++) {
+    const entry = chain[i];
+    const provider = getProvider(entry.provider);
+    const isLast = i === chain.length - 1;
+
+    const queryParams = { ...params, model: entry.model || null };
+    if (previous) {
+      if (previous.provider === provider) {
+        queryParams.continueRun = true;
+      } else {
+        queryParams.prompt = buildHandoffPrompt(params.prompt, previous.provider.getTranscript(params.chatId));
+      }
+    }
+
+    let failure = null;
+    try {
+      for await (const chunk of provider.query(queryParams)) {
+        if (!isLast && chunk.type === 'error' && chunk.retryable) {
+          // Hold the error back and drop this provider's trailing done
+          failure = chunk;
+          continue;
+        }
+        if (failure && chunk.type === 'done') continue;
+        yield chunk;
+      }
+    } catch (error) {
+      if (isLast || params.signal?.aborted) throw error;
+      failure = { message: error.message };
+    }
+
+    if (!failure || params.signal?.aborted) return;
+
+    const next = chain[i + 1];
+    console.warn(`[Fallback] ${entry.provider}:${entry.model || 'default'} failed (${failure.message}), switching to ${next.provider}:${next.model || 'default'}`);
+    yield {
+      type: 'provider_switched',
+      from: { provider: entry.provider, model: entry.model },
+      to: { provider: next.provider, model: next.model },
+      reason: failure.message
+    };
+    previous = { provider, entry };
+  }
+}
@@ -1,12 +1,14 @@
 import { ClaudeProvider } from './claude-provider.js';
 import { OpencodeProvider } from './opencode-provider.js';
 import { AntigravityProvider } from './antigravity-provider.js';
+import { OpenAICompatibleProvider } from './openai-compatible-provider.js';
 
 // Provider registry
 const providers = {
   claude: ClaudeProvider,
   opencode: OpencodeProvider,
-  antigravity: AntigravityProvider
+  antigravity: AntigravityProvider,
+  local: OpenAICompatibleProvider
 };
 
 // Provider instance cache
@@ -16,7 +18,7 @@ const providerInstances = new Map();
  * Get a provider instance by name
  * Instances are cached and reused
  *
- * @param {string} providerName - 'claude' or 'opencode'
+ * @param {string} providerName - 'claude', 'opencode', 'antigravity' or 'local'
  * @param {Object} [config] - Provider configuration
  * @returns {BaseProvider} Provider instance
  */
@@ -82,6 +84,11 @@ export async function initializeProviders() {
     const antigravityProvider = getProvider('antigravity');
     await antigravityProvider.initialize();
     console.log('[Providers] Antigravity provider initialized');
+
+    // Get and initialize local OpenAI-compatible provider
+    const localProvider = getProvider('local');
+    await localProvider.initialize();
+    console.log('[Providers] Local provider initialized');
   } catch (error) {
     console.error('[Providers] Error initializing providers:', error.message);
   }
@@ -91,4 +98,6 @@ export async function initializeProviders() {
 export { ClaudeProvider } from './claude-provider.js';
 export { OpencodeProvider } from './opencode-provider.js';
 export { AntigravityProvider } from './antigravity-provider.js';
-export { BaseProvider } from './base-provider.js';
\ No newline at end of file
+export { OpenAICompatibleProvider } from './openai-compatible-provider.js';
+export { BaseProvider } from './base-provider.js';
+export { parseFallbackChain, queryWithFallback } from './fallback.js';
\ No newline at end of file
@@ -0,0 +1,433 @@
+import { BaseProvider } from './base-provider.js';
+import { TOOL_DEFINITIONS, executeTool, setSessionId } from '../tools/index.js';
+import { getAgentSystemPrompt } from './system-prompt.js';
+import {
+  estimateTokens,
+  renderTranscript,
+  compactHistory
+} from './context-compaction.js';
+import { fetchWithRetry, isRetryableStatus } from './retry.js';
+import { runToolCalls } from './tool-scheduler.js';
+import { getWorkingDirectory } from '../tools/workspace.js';
+import { toToolMessage, toolImagesMessage } from './tool-content.js';
+
+/**
+ * Translate Anthropic-style tool definitions into OpenAI function tools
+ * @param {Object[]} toolDefinitions
+ * @returns {Object[]}
+ */
+export function toOpenAITools(toolDefinitions) {
+  return toolDefinitions.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.input_schema
+    }
+  }));
+}
+
+/**
+ * OpenAI-compatible Provider - Full Autonomous Agent on local models
+ * Runs the same agent loop and tools as antigravity against any
+ * /v1/chat/completions endpoint with function calling
+ * (Ollama, llama.cpp server, LM Studio, vLLM, ...)
+ * Features:
+ * - Streaming text as it arrives
+ * - Full tool execution through executeTool
+ * - Works fully offline
+ */
+export class OpenAICompatibleProvider extends BaseProvider {
+  constructor(config = {}) {
+    super(config);
+    // Ollama serves its OpenAI-compatible API under /v1
+    this.baseUrl = (config.baseUrl || process.env.LOCAL_MODEL_URL || 'http://localhost:11434/v1').replace(/\/$/, '');
+    this.model = config.model || process.env.LOCAL_MODEL || 'qwen2.5-coder:7b';
+    this.apiKey = config.apiKey || process.env.LOCAL_MODEL_API_KEY || null;
+    this.maxTurns = config.maxTurns || 50;
+    this.maxTokens = config.maxTokens || 4096;
+    this.maxRetries = config.maxRetries ?? 2;
+    this.toolConcurrency = config.toolConcurrency || parseInt(process.env.TOOL_CONCURRENCY || '4', 10);
+    // Local models usually run with much smaller windows than hosted ones
+    this.contextLimit = config.contextLimit || parseInt(process.env.LOCAL_MODEL_CONTEXT || '32768', 10);
+    this.compactionThreshold = config.compactionThreshold || 0.8;
+    this.compactionKeepRatio = config.compactionKeepRatio || 0.3;
+    this.tools = toOpenAITools(TOOL_DEFINITIONS);
+  }
+
+  get name() {
+    return 'local';
+  }
+
+  async initialize() {
+    console.log(`[Local] Endpoint: ${this.baseUrl}`);
+    console.log(`[Local] Model: ${this.model}`);
+
+    try {
+      const response = await fetch(`${this.baseUrl}/models`, { headers: this.getHeaders() });
+      if (response.ok) {
+        const data = await response.json();
+        const models = (data.data || []).map(m => m.id);
+        console.log(`[Local] Connected, ${models.length} models available`);
+      }
+    } catch (error) {
+      console.warn('[Local] Endpoint not available:', error.message);
+    }
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  getConversationHistory(chatId) {
+    return this.store.getHistory(this.name, chatId);
+  }
+
+  addToHistory(chatId, message) {
+    this.store.appendMessage(this.name, chatId, message);
+  }
+
+  getTranscript(chatId) {
+    return renderTranscript(this.getConversationHistory(chatId));
+  }
+
+  getSystemPrompt(chatId) {
+    return getAgentSystemPrompt(this.store.getWorkspace(chatId));
+  }
+
+  /**
+   * Main query method with streaming agentic loop
+   * Stops between turns and tool calls once params.signal is aborted.
+   * With params.continueRun the prompt is not re-added to history.
+   */
+  async *query(params) {
+    const { prompt, chatId, model, signal, continueRun = false } = params;
+    const selectedModel = model || this.model;
+
+    // Set session for tools
+    setSessionId(chatId);
+
+    // A continued run picks up the existing history instead
+    if (!continueRun) {
+      this.addToHistory(chatId, { role: 'user', content: prompt });
+    }
+
+    yield { type: 'session_init', session_id: chatId, provider: this.name };
+
+    console.log(`[Local] Starting with ${selectedModel}`);
+
+    let turn = 0;
+
+    while (turn < this.maxTurns) {
+      if (signal?.aborted) {
+        yield { type: 'cancelled', provider: this.name };
+        break;
+      }
+
+      turn++;
+      console.log(`[Local] Turn ${turn}`);
+
+      try {
+        // Keep the prompt within the model's context window
+        const compaction = await this.compactIfNeeded(chatId, selectedModel, signal);
+        if (compaction) {
+          yield { type: 'context_compacted', ...compaction, provider: this.name };
+        }
+
+        // Retry rate limits and server errors before giving up
+        const response = yield* fetchWithRetry(
+          () => this.makeStreamingRequest(chatId, selectedModel, signal),
+          { maxRetries: this.maxRetries, signal, provider: this.name }
+        );
+
+        if (!response.ok) {
+          const error = await response.text();
+          console.error('[Local] API Error:', error);
+          yield {
+            type: 'error',
+            message: `API error: ${response.status}`,
+            status: response.status,
+            retryable: isRetryableStatus(response.status),
+            provider: this.name
+          };
+          break;
+        }
+
+        // Stream text to the client while collecting the full assistant message
+        const result = {};
+        yield* this.processStream(response, result);
+
+        this.addToHistory(chatId, result.assistantMessage);
+
+        if (result.usage) {
+          yield { type: 'usage', usage: result.usage, model: selectedModel, provider: this.name };
+        }
+
+        if (result.toolCalls.length === 0) {
+          break;
+        }
+
+        for (const toolCall of result.toolCalls) {
+          yield {
+            type: 'tool_use',
+            name: toolCall.name,
+            input: toolCall.input,
+            id: toolCall.id,
+            provider: this.name
+          };
+        }
+
+        const toolMessages = new Array(result.toolCalls.length);
+        const toolImages = new Array(result.toolCalls.length);
+        const execution = runToolCalls(result.toolCalls, {
+          concurrency: this.toolConcurrency,
+          root: getWorkingDirectory(this.store.getWorkspace(chatId)),
+          execute: (toolCall, onProgress) => {
+            console.log(`[Local] Tool: ${toolCall.name}`);
+            return executeTool(toolCall.name, toolCall.input, { signal, onProgress, chatId, toolUseId: toolCall.id });
+          }
+        });
+
+        for await (const { index, call, result: toolResult, progress } of execution) {
+          if (progress) {
+            yield { type: 'tool_progress', tool_use_id: call.id, name: call.name, ...progress, provider: this.name };
+            continue;
+          }
+
+          yield {
+            type: 'tool_result',
+            result: toolResult,
+            tool_use_id: call.id,
+            name: call.name,
+            provider: this.name
+          };
+
+          const { message, image } = toToolMessage(call.id, toolResult, call.name);
+          toolMessages[index] = message;
+          toolImages[index] = image;
+        }
+
+        // Tool messages must follow the assistant message in call order
+        for (const message of toolMessages) {
+          this.addToHistory(chatId, message);
+        }
+
+        // Tool messages are text-only, so images follow in a user message
+        const images = toolImages.filter(Boolean);
+        if (images.length > 0) {
+          this.addToHistory(chatId, toolImagesMessage(images));
+        }
+
+        console.log('[Local] Tools executed, continuing...');
+      } catch (error) {
+        if (signal?.aborted) {
+          console.log(`[Local] Run cancelled during turn ${turn}`);
+          yield { type: 'cancelled', provider: this.name };
+          break;
+        }
+        console.error(`[Local] Turn ${turn} error:`, error);
+        // Network failures (e.g. endpoint down) may succeed on a fallback provider
+        yield { type: 'error', message: error.message, retryable: true, provider: this.name };
+        break;
+      }
+    }
+
+    if (turn >= this.maxTurns) {
+      yield { type: 'text', content: '\n\n[Reached maximum turns]', provider: this.name };
+    }
+
+    yield { type: 'done', provider: this.name };
+    console.log(`[Local] Done in ${turn} turns`);
+  }
+
+  /**
+   * Make streaming chat completion request
+   */
+  async makeStreamingRequest(chatId, model, signal) {
+    const body = {
+      model,
+      max_tokens: this.maxTokens,
+      messages: [
+        { role: 'system', content: this.getSystemPrompt(chatId) },
+        ...this.getConversationHistory(chatId)
+      ],
+      tools: this.tools,
+      tool_choice: 'auto',
+      stream: true,
+      // Ask for a final usage chunk (ignored by servers that don't support it)
+      stream_options: { include_usage: true }
+    };
+
+    return fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(body),
+      signal
+    });
+  }
+
+  /**
+   * Process SSE stream, yielding text and reasoning deltas as they arrive.
+   * Fills result with { assistantMessage, toolCalls, finishReason } when done.
+   */
+  async *processStream(response, result) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+
+    let buffer = '';
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+    const toolCallParts = []; // index -> { id, name, arguments }
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        if (!line.startsWith('data: ')) continue;
+        const data = line.slice(6).trim();
+        if (data === '[DONE]') continue;
+
+        let event;
+        try {
+          event = JSON.parse(data);
+        } catch {
+          continue; // Skip parse errors
+        }
+
+        // The usage chunk arrives last, with an empty choices array
+        if (event.usage) {
+          usage = event.usage;
+        }
+
+        const choice = event.choices?.[0];
+        if (!choice) continue;
+        const delta = choice.delta || {};
+
+        if (delta.content) {
+          content += delta.content;
+          yield { type: 'text', content: delta.content, provider: this.name };
+        }
+
+        // Reasoning models expose thinking under different keys depending on the server
+        const reasoning = delta.reasoning_content || delta.reasoning;
+        if (reasoning) {
+          yield { type: 'text', content: reasoning, provider: this.name, isReasoning: true };
+        }
+
+        for (const part of delta.tool_calls || []) {
+          const index = part.index ?? toolCallParts.length;
+          if (!toolCallParts[index]) {
+            // Some servers (e.g. older Ollama) omit call IDs
+            toolCallParts[index] = { id: part.id || `call_${Date.now()}_${index}`, name: '', arguments: '' };
+          }
+          const call = toolCallParts[index];
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.name += part.function.name;
+          if (part.function?.arguments) {
+            call.arguments += part.function.arguments;
+            yield {
+              type: 'tool_input_delta',
+              id: call.id,
+              name: call.name,
+              partial_json: part.function.arguments,
+              provider: this.name
+            };
+          }
+        }
+
+        if (choice.finish_reason) {
+          finishReason = choice.finish_reason;
+        }
+      }
+    }
+
+    const calls = toolCallParts.filter(Boolean).map(call => ({
+      id: call.id,
+      name: call.name,
+      arguments: call.arguments || '{}'
+    }));
+
+    result.toolCalls = calls.map(call => {
+      let input;
+      try {
+        input = JSON.parse(call.arguments);
+      } catch {
+        input = {};
+      }
+      return { id: call.id, name: call.name, input };
+    });
+
+    result.assistantMessage = { role: 'assistant', content: content || null };
+    if (calls.length > 0) {
+      result.assistantMessage.tool_calls = calls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments }
+      }));
+    }
+    result.finishReason = finishReason;
+    result.usage = usage && {
+      input_tokens: usage.prompt_tokens || 0,
+      output_tokens: usage.completion_tokens || 0,
+      cache_read_tokens: usage.prompt_tokens_details?.cached_tokens || 0,
+      cache_write_tokens: 0,
+      thinking_tokens: usage.completion_tokens_details?.reasoning_tokens || 0
+    };
+  }
+
+  /**
+   * Summarize older turns when the prompt nears the context window.
+   * @returns {Promise<Object|null>} Compaction details, or null if nothing was compacted
+   */
+  async compactIfNeeded(chatId, model, signal) {
+    return compactHistory({
+      store: this.store,
+      provider: this.name,
+      chatId,
+      limit: this.contextLimit,
+      threshold: this.compactionThreshold,
+      keepRatio: this.compactionKeepRatio,
+      estimate: () => estimateTokens(this.getSystemPrompt(chatId)) +
+        estimateTokens(this.tools) +
+        estimateTokens(this.getConversationHistory(chatId)) +
+        this.maxTokens,
+      summarize: request => this.requestSummary(request, model, signal),
+      logTag: 'Local',
+      signal
+    });
+  }
+
+  /**
+   * Ask the model for a summary of older turns
+   * @returns {Promise<string>}
+   */
+  async requestSummary({ system, prompt }, model, signal) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify({
+        model,
+        max_tokens: 1024,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt }
+        ]
+      }),
+      signal
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content;
+  }
+}
@@ -88,6 +88,7 @@ export class OpencodeProvider extends BaseProvider {
    * @param {string} [params.model] - Model to use (e.g., 'anthropic/claude-sonnet-4-20250514')
    * @param {string[]} [params.allowedTools] - List of allowed tool names
    * @param {number} [params.maxTurns] - Maximum conversation turns
+   * @param {AbortSignal} [params.signal] - Aborts the Opencode session when triggered
    * @yields {Object} Normalized response chunks
    */
   async *query(params) {
@@ -95,7 +96,8 @@ export class OpencodeProvider extends BaseProvider {
       prompt,
       chatId,
       mcpServers = {},
-      model = null
+      model = null,
+      signal
     } = params;
 
     // Use provided model or fall back to default
@@ -109,6 +111,16 @@ export class OpencodeProvider extends BaseProvider {
     let sessionId = chatId ? this.getSession(chatId) : null;
     console.log('[Opencode] Session for', chatId, ':', sessionId || 'new');
 
+    // Ask the Opencode server to stop; it then emits session.idle which ends the event loop
+    const abortSession = () => {
+      if (!sessionId) return;
+      console.log('[Opencode] Aborting session:', sessionId);
+      this.client.session.abort({ path: { id: sessionId } }).catch(error => {
+        console.error('[Opencode] Abort error:', error.message);
+      });
+    };
+    signal?.addEventListener('abort', abortSession, { once: true });
+
     try {
       // Note: MCP servers are configured in opencode.json, not passed via API
       // The backend server.js writes the Composio MCP URL to opencode.json
@@ -162,9 +174,18 @@ export class OpencodeProvider extends BaseProvider {
       const assistantParts = new Map(); // partId -> latest text
       let lastYieldedLength = new Map(); // partId -> length already yielded
       const yieldedToolCalls = new Set(); // callID -> prevent duplicate tool yields
+      const reportedSteps = new Set(); // step-finish partId -> usage already reported
 
       // Listen to event stream
       for await (const event of events.stream) {
+        if (signal?.aborted) {
+          yield {
+            type: 'cancelled',
+            provider: this.name
+          };
+          break;
+        }
+
         const props = event.properties || {};
         const part = props.part || props;
         const eventSessionId = props.sessionID || part?.sessionID || props.session?.id;
@@ -253,7 +274,26 @@ export class OpencodeProvider extends BaseProvider {
               tool_use_id: toolId,
               provider: this.name
             };
-          } else if (part?.type === 'step-start' || part?.type === 'step-finish') {
+          } else if (part?.type === 'step-finish') {
+            // Each step is one model call - report its token usage
+            if (part.tokens && !reportedSteps.has(partId)) {
+              reportedSteps.add(partId);
+              yield {
+                type: 'usage',
+                usage: {
+                  input_tokens: part.tokens.input || 0,
+                  // Opencode counts reasoning separately from output
+                  output_tokens: (part.tokens.output || 0) + (part.tokens.reasoning || 0),
+                  cache_read_tokens: part.tokens.cache?.read || 0,
+                  cache_write_tokens: part.tokens.cache?.write || 0,
+                  thinking_tokens: part.tokens.reasoning || 0
+                },
+                model: modelID,
+                cost: part.cost,
+                provider: this.name
+              };
+            }
+          } else if (part?.type === 'step-start') {
             // Skip step markers
             console.log('[Opencode] Skipping step marker:', part.type);
           } else {
@@ -271,6 +311,7 @@ export class OpencodeProvider extends BaseProvider {
           yield {
             type: 'error',
             message: props.message || 'Session error',
+            retryable: true,
             provider: this.name
           };
           break;
@@ -289,8 +330,11 @@ export class OpencodeProvider extends BaseProvider {
       yield {
         type: 'error',
         message: error.message,
+        retryable: true,
         provider: this.name
       };
+    } finally {
+      signal?.removeEventListener('abort', abortSession);
     }
   }
 
@@ -0,0 +1,60 @@
+import { setTimeout as delay } from 'timers/promises';
+
+/**
+ * Whether an HTTP status is worth retrying (rate limits and server errors)
+ * @param {number} status
+ * @returns {boolean}
+ */
+export function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Backoff delay for an attempt, honoring Retry-After when the server sends one
+ * @param {Response} response
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {number} baseDelay - Delay for the first retry in ms
+ * @returns {number} Delay in ms
+ */
+export function getRetryDelay(response, attempt, baseDelay) {
+  const retryAfter = Number(response.headers?.get('retry-after'));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return Math.min(retryAfter * 1000, 60000);
+  }
+  // Exponential backoff with a little jitter
+  return baseDelay * 2 ** attempt + Math.floor(Math.random() * 250);
+}
+
+/**
+ * Run a request, retrying 429/5xx responses with exponential backoff.
+ * Yields a status event before each retry and returns the final response,
+ * so callers use it as `const response = yield* fetchWithRetry(...)`.
+ *
+ * @param {() => Promise<Response>} makeRequest
+ * @param {Object} options
+ * @param {number} [options.maxRetries] - Retries after the first attempt
+ * @param {number} [options.baseDelay] - Delay before the first retry in ms
+ * @param {AbortSignal} [options.signal]
+ * @param {string} options.provider - Provider name for events and logs
+ */
+export async function* fetchWithRetry(makeRequest, { maxRetries = 3, baseDelay = 1000, signal, provider }) {
+  for (let attempt = 0; ; attempt++) {
+    const response = await makeRequest();
+    if (response.ok || !isRetryableStatus(response.status) || attempt >= maxRetries) {
+      return response;
+    }
+
+    const wait = getRetryDelay(response, attempt, baseDelay);
+    console.warn(`[Retry] ${provider}: HTTP ${response.status}, retrying in ${wait}ms (${attempt + 1}/${maxRetries})`);
+    // Drain the body so the connection can be reused
+    await response.text().catch(() => {});
+
+    yield {
+      type: 'status',
+      message: `${response.status === 429 ? 'Rate limited' : `Server error ${response.status}`}, retrying in ${Math.ceil(wait / 1000)}s...`,
+      provider
+    };
+
+    await delay(wait, undefined, { signal });
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Tool results as message content for the model.
+ * Results go to the model as JSON text, except image results (Read of an
+ * image file), whose data becomes an image content block so the model can
+ * see the picture rather than a base64 string. Results of tools that read
+ * external pages are wrapped in an untrusted-content envelope.
+ */
+
+import { UNTRUSTED_TOOLS, wrapUntrustedResult } from '../tools/untrusted-content.js';
+
+function isImageResult(result) {
+  return result?.type === 'image' && typeof result.data === 'string' && typeof result.media_type === 'string';
+}
+
+// The result without its image data
+function describeImage(result) {
+  const { data, ...details } = result;
+  return JSON.stringify(details);
+}
+
+function resultText(result, tool) {
+  return UNTRUSTED_TOOLS.has(tool) ? wrapUntrustedResult(tool, result) : JSON.stringify(result);
+}
+
+/**
+ * Content of an Anthropic-format tool_result block
+ * @param {Object} result - Tool result
+ * @param {string} [tool] - Name of the tool that produced it
+ * @returns {string|Object[]}
+ */
+export function toToolResultContent(result, tool) {
+  if (!isImageResult(result)) return resultText(result, tool);
+  return [
+    { type: 'image', source: { type: 'base64', media_type: result.media_type, data: result.data } },
+    { type: 'text', text: describeImage(result) }
+  ];
+}
+
+/**
+ * OpenAI-format tool message. Tool messages can only carry text, so image
+ * data is returned separately for a user message after the tool messages.
+ * @param {string} toolCallId
+ * @param {Object} result - Tool result
+ * @param {string} [tool] - Name of the tool that produced it
+ * @returns {{ message: Object, image: Object|null }} image is an image_url content part
+ */
+export function toToolMessage(toolCallId, result, tool) {
+  if (!isImageResult(result)) {
+    return { message: { role: 'tool', tool_call_id: toolCallId, content: resultText(result, tool) }, image: null };
+  }
+  return {
+    message: { role: 'tool', tool_call_id: toolCallId, content: `${describeImage(result)}\n(The image follows in the next message.)` },
+    image: { type: 'image_url', image_url: { url: `data:${result.media_type};base64,${result.data}` } }
+  };
+}
+
+/**
+ * User message carrying the images returned by a turn's tool calls
+ * @param {Object[]} images - image_url content parts from toToolMessage
+ * @returns {Object}
+ */
+export function toolImagesMessage(images) {
+  return {
+    role: 'user',
+    content: [{ type: 'text', text: `Image${images.length > 1 ? 's' : ''} returned by the tool calls above:` }, ...images]
+  };
+}
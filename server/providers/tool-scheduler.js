@@ -0,0 +1,128 @@
+import path from 'path';
+import { getPatchPaths } from '../tools/patch.js';
+
+// Tools that drive a single shared screen, mouse and keyboard
+const COMPUTER_USE_TOOLS = new Set(['Screenshot', 'MouseClick', 'TypeText', 'KeyPress', 'OpenBrowser', 'Scroll', 'Wait']);
+
+// File tools that change the filesystem
+export const MUTATING_TOOLS = new Set(['Write', 'Edit', 'MultiEdit', 'ApplyPatch', 'MakeDir', 'Move', 'Copy', 'Delete', 'BatchFileOps', 'CreateSpreadsheet', 'CreateDocument', 'CreatePdf']);
+
+// Input fields holding the paths a file tool touches
+const PATH_FIELDS = ['file_path', 'path', 'source', 'destination'];
+
+/**
+ * Category of tools that must run one at a time, in order.
+ * Returns null for tools that can run alongside anything else.
+ * @param {string} name - Tool name
+ * @returns {string|null}
+ */
+export function getToolCategory(name) {
+  if (name === 'Bash' || name === 'BashOutput' || name === 'KillJob') return 'shell';
+  if (name.startsWith('Browser')) return 'browser';
+  if (COMPUTER_USE_TOOLS.has(name)) return 'computer';
+  if (name === 'TodoWrite' || name === 'TodoRead') return 'todos';
+  return null;
+}
+
+/**
+ * Absolute paths a tool call touches, with relative paths resolved the way
+ * the tools resolve them: against the chat's workspace root
+ * @param {Object} call - { name, input }
+ * @param {string} root - Workspace root (the working directory without one)
+ * @returns {string[]}
+ */
+export function getToolPaths(call, root) {
+  const paths = PATH_FIELDS
+    .map(field => call.input?.[field])
+    .filter(value => typeof value === 'string' && value)
+    .map(value => path.resolve(root, value));
+  if (call.name === 'ApplyPatch') {
+    paths.push(...getPatchPaths(call.input?.patch).map(value => path.resolve(root, value)));
+  }
+  if (call.name === 'BatchFileOps' && Array.isArray(call.input?.operations)) {
+    for (const operation of call.input.operations) {
+      for (const field of [...PATH_FIELDS, 'directory']) {
+        const value = operation?.[field];
+        if (typeof value !== 'string' || !value) continue;
+        // A glob source touches the directory it matches in
+        paths.push(path.resolve(root, value.split(/[*?[{]/)[0] || '.'));
+      }
+    }
+  }
+  // Glob/Grep without a path search the workspace root
+  if (paths.length === 0 && (call.name === 'Glob' || call.name === 'Grep')) {
+    paths.push(path.resolve(root));
+  }
+  return paths;
+}
+
+function pathsOverlap(a, b) {
+  return a === b || a.startsWith(b + path.sep) || b.startsWith(a + path.sep);
+}
+
+/**
+ * Whether a later call has to wait for an earlier one: same serialized
+ * category, or a filesystem change to a path the other call touches
+ * (e.g. MakeDir followed by a Move into that directory)
+ */
+function mustFollow(earlier, later, root) {
+  const category = getToolCategory(earlier.name);
+  if (category && category === getToolCategory(later.name)) return true;
+
+  if (!MUTATING_TOOLS.has(earlier.name) && !MUTATING_TOOLS.has(later.name)) return false;
+  const laterPaths = getToolPaths(later, root);
+  return getToolPaths(earlier, root).some(a => laterPaths.some(b => pathsOverlap(a, b)));
+}
+
+/**
+ * Execute one turn's tool calls concurrently, up to a limit, while keeping
+ * dependent calls in order. Yields { index, call, result } as each call
+ * finishes and { index, call, progress } for progress a call reports;
+ * index is the call's position in the original list.
+ *
+ * @param {Object[]} calls - Tool calls ({ id, name, input }) in model order
+ * @param {Object} options
+ * @param {(call: Object, onProgress: Function) => Promise<Object>} options.execute - Runs one call
+ * @param {number} [options.concurrency] - Maximum calls in flight
+ * @param {string} [options.root] - Workspace root that relative tool paths are resolved against
+ */
+export async function* runToolCalls(calls, { execute, concurrency = 4, root = process.cwd() }) {
+  const dependencies = calls.map((call, i) =>
+    calls.slice(0, i).map((_, j) => j).filter(j => mustFollow(calls[j], call, root))
+  );
+  const finished = new Set();
+  const running = new Map();
+
+  // Progress reported by running calls, drained between completions
+  const progressQueue = [];
+  let wakeUp = null;
+  const progressReady = () => new Promise(resolve => { wakeUp = resolve; });
+
+  while (finished.size < calls.length) {
+    for (let i = 0; i < calls.length && running.size < Math.max(1, concurrency); i++) {
+      if (finished.has(i) || running.has(i)) continue;
+      if (!dependencies[i].every(j => finished.has(j))) continue;
+
+      const onProgress = progress => {
+        progressQueue.push({ index: i, call: calls[i], progress });
+        wakeUp?.();
+      };
+      running.set(i, Promise.resolve()
+        .then(() => execute(calls[i], onProgress))
+        .catch(error => ({ error: error.message }))
+        .then(result => ({ index: i, result })));
+    }
+
+    const next = await Promise.race([...running.values(), progressQueue.length ? null : progressReady()]);
+    wakeUp = null;
+
+    while (progressQueue.length > 0) {
+      yield progressQueue.shift();
+    }
+    if (!next) continue;
+
+    running.delete(next.index);
+    finished.add(next.index);
+    yield { index: next.index, call: calls[next.index], result: next.result };
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Base web search backend.
+ * Backends turn a query into normalized results:
+ * { title, url, snippet, published? } with plain-text title and snippet.
+ */
+
+import { decodeHtmlEntities } from '../tools/entities.js';
+
+export const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+
+export class SearchBackend {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  /**
+   * Backend name, as used in WEB_SEARCH_BACKEND
+   * @returns {string}
+   */
+  get name() {
+    throw new Error('Search backend must implement name getter');
+  }
+
+  /**
+   * Whether the backend has what it needs (API key, instance URL) to run
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Run a search
+   * @param {string} query
+   * @param {Object} options
+   * @param {number} options.count - Results wanted
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Array<{ title: string, url: string, snippet: string, published?: string }>>}
+   */
+  async search(query, options) {
+    throw new Error('Search backend must implement search method');
+  }
+
+  /**
+   * GET a URL, throwing on HTTP errors
+   * @returns {Promise<Response>}
+   */
+  async request(url, { headers = {}, signal } = {}) {
+    const timeout = AbortSignal.timeout(this.config.timeout || 15000);
+    let response;
+    try {
+      response = await fetch(url, {
+        headers: { 'User-Agent': USER_AGENT, ...headers },
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+      });
+    } catch (error) {
+      // fetch reports network errors as "fetch failed" with the reason in cause
+      const reason = error.cause?.code || error.cause?.message;
+      throw new Error(reason ? `${error.message} (${reason})` : error.message);
+    }
+    if (!response.ok) {
+      throw new Error(`${this.name} returned HTTP ${response.status}`);
+    }
+    return response;
+  }
+}
+
+/**
+ * Plain text of an HTML fragment
+ */
+export function htmlToText(html = '') {
+  return decodeHtmlEntities(String(html).replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Drop results without a usable URL and duplicates of earlier ones
+ */
+export function normalizeResults(results, count) {
+  const seen = new Set();
+  const normalized = [];
+  for (const result of results) {
+    if (!/^https?:\/\//i.test(result.url || '') || seen.has(result.url)) continue;
+    seen.add(result.url);
+    normalized.push({
+      title: result.title || result.url,
+      url: result.url,
+      snippet: result.snippet || '',
+      ...(result.published && { published: result.published })
+    });
+    if (normalized.length >= count) break;
+  }
+  return normalized;
+}
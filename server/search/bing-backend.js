@@ -0,0 +1,33 @@
+import { SearchBackend, htmlToText } from './base-backend.js';
+
+/**
+ * Bing Web Search API v7, or a compatible endpoint set with BING_SEARCH_URL
+ */
+export class BingBackend extends SearchBackend {
+  get name() {
+    return 'bing';
+  }
+
+  isConfigured() {
+    return Boolean(this.config.apiKey);
+  }
+
+  async search(query, { count, signal } = {}) {
+    const url = new URL(this.config.url || 'https://api.bing.microsoft.com/v7.0/search');
+    url.searchParams.set('q', query);
+    url.searchParams.set('count', String(Math.min(count || 10, 50)));
+    url.searchParams.set('textFormat', 'Raw');
+
+    const response = await this.request(url, {
+      signal,
+      headers: { Accept: 'application/json', 'Ocp-Apim-Subscription-Key': this.config.apiKey }
+    });
+    const data = await response.json();
+    return (data.webPages?.value || []).map(result => ({
+      title: htmlToText(result.name),
+      url: result.url,
+      snippet: htmlToText(result.snippet),
+      published: result.datePublished || undefined
+    }));
+  }
+}
@@ -0,0 +1,32 @@
+import { SearchBackend, htmlToText } from './base-backend.js';
+
+/**
+ * Brave Search API (https://api.search.brave.com)
+ */
+export class BraveBackend extends SearchBackend {
+  get name() {
+    return 'brave';
+  }
+
+  isConfigured() {
+    return Boolean(this.config.apiKey);
+  }
+
+  async search(query, { count, signal } = {}) {
+    const url = new URL(this.config.url || 'https://api.search.brave.com/res/v1/web/search');
+    url.searchParams.set('q', query);
+    url.searchParams.set('count', String(Math.min(count || 10, 20)));
+
+    const response = await this.request(url, {
+      signal,
+      headers: { Accept: 'application/json', 'X-Subscription-Token': this.config.apiKey }
+    });
+    const data = await response.json();
+    return (data.web?.results || []).map(result => ({
+      title: htmlToText(result.title),
+      url: result.url,
+      snippet: htmlToText(result.description),
+      published: result.page_age || result.age || undefined
+    }));
+  }
+}
@@ -0,0 +1,84 @@
+import { SearchBackend, htmlToText } from './base-backend.js';
+import { decodeHtmlEntities } from '../tools/entities.js';
+
+// Classes of result links and snippets in the HTML and lite versions
+const LINK_CLASSES = ['result__a', 'result-link'];
+const SNIPPET_CLASSES = ['result__snippet', 'result-snippet'];
+
+function parseAttributes(source) {
+  const attributes = {};
+  for (const match of source.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+    attributes[match[1].toLowerCase()] = decodeHtmlEntities(match[2] ?? match[3] ?? match[4]);
+  }
+  return attributes;
+}
+
+function hasClass(attributes, names) {
+  return (attributes.class || '').split(/\s+/).some(name => names.includes(name));
+}
+
+/**
+ * Target of a result link. Links usually go through DuckDuckGo's redirect
+ * (/l/?uddg=<url>); ads go through /y.js and are dropped (null).
+ */
+function resolveLink(href = '') {
+  let url;
+  try {
+    url = new URL(href, 'https://duckduckgo.com');
+  } catch {
+    return null;
+  }
+  if (url.hostname.endsWith('duckduckgo.com')) {
+    return url.pathname === '/l/' ? url.searchParams.get('uddg') : null;
+  }
+  return url.href;
+}
+
+/**
+ * Results from a DuckDuckGo HTML (or lite) results page. Works from the
+ * class names of the links and snippets, whatever order their attributes
+ * are in and whatever markup the titles contain.
+ * @param {string} html
+ * @returns {Array<{ title: string, url: string, snippet: string }>}
+ * @throws {Error} If DuckDuckGo answered with its bot check instead of results
+ */
+export function parseDuckDuckGoHtml(html) {
+  if (/anomaly-modal|id="challenge-form"|class="anomaly/i.test(html)) {
+    throw new Error('DuckDuckGo asked for a bot check instead of returning results');
+  }
+
+  const links = [];
+  for (const match of html.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi)) {
+    const attributes = parseAttributes(match[1]);
+    if (hasClass(attributes, LINK_CLASSES)) {
+      links.push({ index: match.index, title: htmlToText(match[2]), url: resolveLink(attributes.href), snippet: '' });
+    }
+  }
+
+  // A snippet belongs to the closest result link before it
+  // (only elements whose class mentions a snippet, so result containers don't swallow them)
+  for (const match of html.matchAll(/<(a|div|td|span)\b([^>]*\bclass\s*=\s*["'][^"']*snippet[^>]*)>([\s\S]*?)<\/\1>/gi)) {
+    if (!hasClass(parseAttributes(match[2]), SNIPPET_CLASSES)) continue;
+    const owner = links.findLast(link => link.index < match.index);
+    if (owner && !owner.snippet) owner.snippet = htmlToText(match[3]);
+  }
+
+  return links
+    .filter(link => link.url)
+    .map(({ title, url, snippet }) => ({ title, url, snippet }));
+}
+
+/**
+ * DuckDuckGo's HTML results page; needs no API key
+ */
+export class DuckDuckGoBackend extends SearchBackend {
+  get name() {
+    return 'duckduckgo';
+  }
+
+  async search(query, { signal } = {}) {
+    const url = `${this.config.url || 'https://html.duckduckgo.com/html/'}?q=${encodeURIComponent(query)}`;
+    const response = await this.request(url, { signal, headers: { Accept: 'text/html' } });
+    return parseDuckDuckGoHtml(await response.text());
+  }
+}
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import { parseDuckDuckGoHtml } from './duckduckgo-backend.js';
+
+// Result pages as served by html.duckduckgo.com/html/ and lite.duckduckgo.com/lite/
+const fixture = name => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf-8');
+
+describe('parseDuckDuckGoHtml', () => {
+  it('parses the HTML results page', () => {
+    expect(parseDuckDuckGoHtml(fixture('duckduckgo-html.html'))).toEqual([
+      {
+        title: 'Stream | Node.js v20.11.1 Documentation',
+        url: 'https://nodejs.org/api/stream.html',
+        snippet: 'A stream is an abstract interface for working with streaming data in Node.js. The node:stream module provides an API for implementing the stream interface.'
+      },
+      {
+        title: 'Streams API - Web APIs | MDN',
+        url: 'https://developer.mozilla.org/en-US/docs/Web/API/Streams_API?retiring=false&lang=en',
+        snippet: 'The Streams API allows JavaScript to programmatically access streams of data received over the network & process them as desired by the developer.'
+      },
+      {
+        title: 'Backpressuring in Streams — What\'s really going on?',
+        url: 'https://blog.example.dev/posts/backpressure',
+        snippet: 'When a readable produces data faster than the writable consumes it…'
+      }
+    ]);
+  });
+
+  it('parses the lite results page', () => {
+    expect(parseDuckDuckGoHtml(fixture('duckduckgo-lite.html'))).toEqual([
+      {
+        title: 'Stream | Node.js v20.11.1 Documentation',
+        url: 'https://nodejs.org/api/stream.html',
+        snippet: 'A stream is an abstract interface for working with streaming data in Node.js.'
+      },
+      {
+        title: 'Issues · nodejs/node · GitHub',
+        url: 'https://github.com/nodejs/node/issues?q=stream+backpressure',
+        snippet: 'Node.js JavaScript runtime 🐢🚀 & its open issues.'
+      },
+      {
+        title: 'readable-stream - npm',
+        url: 'https://www.npmjs.com/package/readable-stream',
+        snippet: 'Node.js core streams for userland.'
+      }
+    ]);
+  });
+
+  it('unwraps the uddg redirect and drops ads', () => {
+    const urls = parseDuckDuckGoHtml(fixture('duckduckgo-html.html')).map(result => result.url);
+    expect(urls.every(url => !url.includes('duckduckgo.com'))).toBe(true);
+    expect(urls.some(url => url.includes('example-courses.com'))).toBe(false);
+  });
+
+  it('returns no results for an empty results page', () => {
+    expect(parseDuckDuckGoHtml(fixture('duckduckgo-empty.html'))).toEqual([]);
+  });
+
+  it('throws on the bot check page', () => {
+    expect(() => parseDuckDuckGoHtml(fixture('duckduckgo-bot-check.html'))).toThrow(/bot check/);
+  });
+});
@@ -0,0 +1,119 @@
+import path from 'path';
+import { DEFAULT_DATA_DIR } from '../store/index.js';
+import { DuckDuckGoBackend } from './duckduckgo-backend.js';
+import { SearxngBackend } from './searxng-backend.js';
+import { BraveBackend } from './brave-backend.js';
+import { BingBackend } from './bing-backend.js';
+import { SearchCache } from './search-cache.js';
+import { normalizeResults } from './base-backend.js';
+
+// Backend registry
+const backends = {
+  duckduckgo: DuckDuckGoBackend,
+  searxng: SearxngBackend,
+  brave: BraveBackend,
+  bing: BingBackend
+};
+
+const DEFAULT_TTL_HOURS = 24;
+
+let searchBackends = null;
+let searchCache = null;
+
+function backendConfig(name) {
+  switch (name) {
+    case 'searxng': return { url: process.env.SEARXNG_URL };
+    case 'brave': return { apiKey: process.env.BRAVE_SEARCH_API_KEY };
+    case 'bing': return { apiKey: process.env.BING_SEARCH_API_KEY, url: process.env.BING_SEARCH_URL };
+    default: return {};
+  }
+}
+
+/**
+ * Get the configured search backends, in the order they are tried.
+ * Created on first use from WEB_SEARCH_BACKEND, a comma-separated list
+ * (default: 'duckduckgo').
+ *
+ * @returns {import('./base-backend.js').SearchBackend[]}
+ */
+export function getSearchBackends() {
+  if (!searchBackends) {
+    const names = (process.env.WEB_SEARCH_BACKEND || 'duckduckgo')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+
+    searchBackends = [];
+    for (const name of names) {
+      const BackendClass = backends[name];
+      if (!BackendClass) {
+        throw new Error(`Unknown search backend: ${name}. Available backends: ${Object.keys(backends).join(', ')}`);
+      }
+      const backend = new BackendClass(backendConfig(name));
+      if (backend.isConfigured()) searchBackends.push(backend);
+      else console.warn(`[Search] Skipping ${name}: missing API key or URL`);
+    }
+    if (searchBackends.length === 0) searchBackends.push(new DuckDuckGoBackend());
+  }
+  return searchBackends;
+}
+
+/**
+ * Get the shared results cache.
+ * Entries live in NIMBUS_SEARCH_CACHE_DIR (default: .nimbus/search-cache), or in
+ * memory when NIMBUS_STORE=memory, for WEB_SEARCH_CACHE_TTL_HOURS (default: 24).
+ *
+ * @returns {SearchCache}
+ */
+export function getSearchCache() {
+  if (!searchCache) {
+    const persist = (process.env.NIMBUS_STORE || 'jsonl').toLowerCase() !== 'memory';
+    const hours = parseFloat(process.env.WEB_SEARCH_CACHE_TTL_HOURS ?? DEFAULT_TTL_HOURS);
+    searchCache = new SearchCache({
+      dir: persist ? process.env.NIMBUS_SEARCH_CACHE_DIR || path.join(DEFAULT_DATA_DIR, 'search-cache') : null,
+      ttlMs: (Number.isFinite(hours) ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000
+    });
+  }
+  return searchCache;
+}
+
+/**
+ * Search the web with the configured backends, using cached results when
+ * fresh. Backends are tried in order until one returns results.
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {number} [options.count] - Results wanted (default: 5)
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ results: Object[], backend: string, cached: boolean }>}
+ * @throws {Error} If every backend failed
+ */
+export async function searchWeb(query, { count = 5, signal } = {}) {
+  const chain = getSearchBackends();
+  const cache = getSearchCache();
+  const key = cache.key(chain.map(b => b.name).join(','), query, count);
+
+  const cached = await cache.get(key);
+  if (cached) return { results: cached.results, backend: cached.backend, cached: true };
+
+  const failures = [];
+  for (const backend of chain) {
+    try {
+      const results = normalizeResults(await backend.search(query, { count, signal }), count);
+      if (results.length === 0 && backend !== chain[chain.length - 1]) {
+        failures.push(`${backend.name}: no results`);
+        continue;
+      }
+      // Empty results are not cached: they are often a temporary block
+      if (results.length > 0) await cache.set(key, { backend: backend.name, query, results });
+      return { results, backend: backend.name, cached: false };
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.warn(`[Search] ${backend.name} failed:`, error.message);
+      failures.push(`${backend.name}: ${error.message}`);
+    }
+  }
+  throw new Error(failures.join('; '));
+}
+
+export { SearchBackend, normalizeResults } from './base-backend.js';
+export { parseDuckDuckGoHtml } from './duckduckgo-backend.js';
@@ -0,0 +1,82 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// How often expired files are swept from the cache directory
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Search results cached for a time-to-live. Each entry is a JSON file in
+ * dir, or kept in memory when dir is null. A ttl of 0 disables caching.
+ */
+export class SearchCache {
+  constructor({ dir = null, ttlMs = 0 } = {}) {
+    this.dir = dir;
+    this.ttlMs = ttlMs;
+    this.memory = new Map();
+    this.lastPrune = 0;
+  }
+
+  /**
+   * Cache key for a search
+   * @param {string} backends - Backend chain the search runs on
+   * @param {string} query
+   * @param {number} count
+   */
+  key(backends, query, count) {
+    const normalized = query.trim().replace(/\s+/g, ' ').toLowerCase();
+    return crypto.createHash('sha256').update(`${backends}\n${count}\n${normalized}`).digest('hex').slice(0, 32);
+  }
+
+  /**
+   * Cached entry, or null when missing or expired
+   * @returns {Promise<Object|null>} { cachedAt, ...value }
+   */
+  async get(key) {
+    if (this.ttlMs <= 0) return null;
+
+    let entry = this.memory.get(key) || null;
+    if (!entry && this.dir) {
+      try {
+        entry = JSON.parse(await fs.readFile(path.join(this.dir, `${key}.json`), 'utf-8'));
+      } catch {
+        return null;
+      }
+    }
+    if (!entry || Date.now() - entry.cachedAt > this.ttlMs) return null;
+    return entry;
+  }
+
+  async set(key, value) {
+    if (this.ttlMs <= 0) return;
+    const entry = { cachedAt: Date.now(), ...value };
+
+    if (!this.dir) {
+      this.memory.set(key, entry);
+      return;
+    }
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(path.join(this.dir, `${key}.json`), JSON.stringify(entry), 'utf-8');
+      await this.prune();
+    } catch (error) {
+      console.warn('[Search] Could not write cache entry:', error.message);
+    }
+  }
+
+  /**
+   * Remove expired entries (at most once per PRUNE_INTERVAL_MS)
+   */
+  async prune() {
+    if (Date.now() - this.lastPrune < PRUNE_INTERVAL_MS) return;
+    this.lastPrune = Date.now();
+
+    for (const name of await fs.readdir(this.dir)) {
+      const file = path.join(this.dir, name);
+      try {
+        const stat = await fs.stat(file);
+        if (Date.now() - stat.mtimeMs > this.ttlMs) await fs.rm(file, { force: true });
+      } catch {}
+    }
+  }
+}
@@ -0,0 +1,29 @@
+import { SearchBackend, htmlToText } from './base-backend.js';
+
+/**
+ * A SearXNG instance's JSON API (the instance must allow format=json)
+ */
+export class SearxngBackend extends SearchBackend {
+  get name() {
+    return 'searxng';
+  }
+
+  isConfigured() {
+    return Boolean(this.config.url);
+  }
+
+  async search(query, { signal } = {}) {
+    const url = new URL('search', this.config.url.replace(/\/?$/, '/'));
+    url.searchParams.set('q', query);
+    url.searchParams.set('format', 'json');
+
+    const response = await this.request(url, { signal, headers: { Accept: 'application/json' } });
+    const data = await response.json();
+    return (data.results || []).map(result => ({
+      title: htmlToText(result.title),
+      url: result.url,
+      snippet: htmlToText(result.content),
+      published: result.publishedDate || undefined
+    }));
+  }
+}
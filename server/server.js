@@ -6,8 +6,25 @@ import fs from 'fs';
 import dotenv from 'dotenv';
 import { WebSocketServer } from 'ws';
 import http from 'http';
-import { getProvider, getAvailableProviders, initializeProviders } from './providers/index.js';
+import {
+  getProvider,
+  getAvailableProviders,
+  initializeProviders,
+  parseFallbackChain,
+  queryWithFallback
+} from './providers/index.js';
+import { getConversationStore, initializeConversationStore } from './store/index.js';
+import { getUsageTracker, initializeUsageTracker } from './usage/index.js';
+import { validateWorkspaceRoot } from './tools/workspace.js';
+import { initializeSandboxPolicy } from './tools/sandbox-policy.js';
+import { initializeNetworkPolicy } from './tools/network-policy.js';
+import { initializeCommandPolicy } from './tools/command-policy.js';
 import { getPendingDeletions, getProgress, setBrowserExtension, getPendingPermissions, confirmPermission, denyPermission } from './tools/index.js';
+import { onApprovalEvent } from './tools/approvals.js';
+import { clearUntrustedContent } from './tools/untrusted-content.js';
+import { getTrash, initializeTrash } from './tools/trash.js';
+import { getCheckpointStore } from './tools/checkpoints.js';
+import { getJobManager, closeShellSession, shutdownShells } from './tools/shell.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -80,6 +97,13 @@ function updateOpencodeConfig(mcpUrl, mcpHeaders) {
 app.use(cors());
 app.use(express.json());
 
+// In-flight chat runs, so they can be cancelled (runId -> { controller, chatId, provider })
+const activeRuns = new Map();
+
+function generateRunId() {
+  return `run_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
 // Chat endpoint using provider abstraction
 app.post('/api/chat', async (req, res) => {
   const {
@@ -87,7 +111,10 @@ app.post('/api/chat', async (req, res) => {
     chatId,
     userId = 'default-user',
     provider: providerName = 'antigravity',  // Per-request provider selection (default: antigravity)
-    model = null  // Per-request model selection
+    model = null,  // Per-request model selection
+    fallback = process.env.PROVIDER_FALLBACK,  // Providers to try when the selected one fails
+    workspaceRoot,  // Directory the chat's tools work in (null clears it)
+    confineToWorkspace = false  // Reject file paths outside workspaceRoot
   } = req.body;
 
   console.log('[CHAT] Request received:', message);
@@ -107,13 +134,32 @@ app.post('/api/chat', async (req, res) => {
     });
   }
 
+  // Attach the workspace to the chat before any tool runs
+  if (workspaceRoot !== undefined) {
+    try {
+      const root = workspaceRoot ? await validateWorkspaceRoot(workspaceRoot) : null;
+      getConversationStore().setWorkspace(chatId, root ? { root, confine: Boolean(confineToWorkspace) } : null);
+      console.log('[CHAT] Workspace:', root || '(server cwd)', confineToWorkspace ? '(confined)' : '');
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+
+  // A new user turn: web content read in earlier turns no longer gates risky tools
+  clearUntrustedContent(chatId);
+
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache, no-transform');
   res.setHeader('Connection', 'keep-alive');
   res.setHeader('X-Accel-Buffering', 'no');
   res.flushHeaders();
 
-  res.write(`data: ${JSON.stringify({ type: 'connected', message: 'Processing request...' })}\n\n`);
+  const runId = generateRunId();
+  const abortController = new AbortController();
+  activeRuns.set(runId, { controller: abortController, chatId, provider: providerName });
+  console.log('[CHAT] Run ID:', runId);
+
+  res.write(`data: ${JSON.stringify({ type: 'connected', message: 'Processing request...', run_id: runId })}\n\n`);
 
   const heartbeatInterval = setInterval(() => {
     if (!res.writableEnded) {
@@ -121,8 +167,22 @@ app.post('/api/chat', async (req, res) => {
     }
   }, 15000);
 
+  // Tools waiting on the user push their permission/deletion requests to this stream
+  const stopApprovalEvents = onApprovalEvent(chatId, event => {
+    if (!res.writableEnded) {
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    }
+  });
+
   res.on('close', () => {
     clearInterval(heartbeatInterval);
+    stopApprovalEvents();
+    // Client went away before the run finished - stop the agent loop
+    if (activeRuns.has(runId)) {
+      console.log('[CHAT] Client disconnected, cancelling run:', runId);
+      abortController.abort();
+      activeRuns.delete(runId);
+    }
   });
 
   try {
@@ -157,21 +217,53 @@ app.post('/api/chat', async (req, res) => {
     const provider = getProvider(providerName);
 
     console.log('[CHAT] Using provider:', provider.name);
-    console.log('[CHAT] All stored sessions:', Array.from(provider.sessions.entries()));
+    console.log('[CHAT] All stored sessions:', provider.getSessions());
+
+    // Selected provider first, then the fallback chain (skipping unknown entries and duplicates)
+    const chain = [{ provider: provider.name, model }];
+    for (const entry of parseFallbackChain(fallback)) {
+      if (!availableProviders.includes(entry.provider)) {
+        console.warn('[CHAT] Ignoring unknown fallback provider:', entry.provider);
+        continue;
+      }
+      if (!chain.some(c => c.provider === entry.provider && c.model === entry.model)) {
+        chain.push(entry);
+      }
+    }
+    if (chain.length > 1) {
+      console.log('[CHAT] Fallback chain:', chain.map(c => `${c.provider}:${c.model || 'default'}`).join(' -> '));
+    }
 
     // Stream responses from the provider
     try {
-      for await (const chunk of provider.query({
-        prompt: message,
-        chatId,
-        userId,
-        mcpServers,
-        model,
-        allowedTools: ['Read', 'Write', 'Edit', 'Bash', 'Glob', 'Grep', 'WebSearch', 'WebFetch', 'TodoWrite'],
-        maxTurns: 20
+      for await (const chunk of queryWithFallback({
+        chain,
+        getProvider,
+        params: {
+          prompt: message,
+          chatId,
+          userId,
+          mcpServers,
+          allowedTools: ['Read', 'Write', 'Edit', 'Bash', 'Glob', 'Grep', 'WebSearch', 'WebFetch', 'TodoWrite'],
+          maxTurns: 20,
+          signal: abortController.signal
+        }
       })) {
+        if (res.writableEnded) break;
+
+        // Tag session init with the run ID so the client can cancel this run
+        let event = chunk.type === 'session_init' ? { ...chunk, run_id: runId } : chunk;
+
+        // Price the turn and attach the chat's running totals
+        if (chunk.type === 'usage') {
+          event = { ...chunk, ...getUsageTracker().record(chatId, chunk) };
+        }
+        if (chunk.type === 'provider_switched' && activeRuns.has(runId)) {
+          activeRuns.get(runId).provider = chunk.to.provider;
+        }
+
         // Send chunk as SSE
-        const data = `data: ${JSON.stringify(chunk)}\n\n`;
+        const data = `data: ${JSON.stringify(event)}\n\n`;
         res.write(data);
       }
     } catch (streamError) {
@@ -181,19 +273,38 @@ app.post('/api/chat', async (req, res) => {
       }
     }
 
+    activeRuns.delete(runId);
     clearInterval(heartbeatInterval);
+    stopApprovalEvents();
     if (!res.writableEnded) {
       res.end();
     }
     console.log('[CHAT] Stream completed');
   } catch (error) {
+    activeRuns.delete(runId);
     clearInterval(heartbeatInterval);
+    stopApprovalEvents();
     console.error('[CHAT] Error:', error);
     res.write(`data: ${JSON.stringify({ type: 'error', message: error.message })}\n\n`);
     res.end();
   }
 });
 
+// Cancel an in-flight chat run
+app.post('/api/chat/:runId/cancel', (req, res) => {
+  const { runId } = req.params;
+  const run = activeRuns.get(runId);
+
+  if (!run) {
+    return res.status(404).json({ error: `No active run found with id: ${runId}` });
+  }
+
+  console.log('[CHAT] Cancelling run:', runId);
+  run.controller.abort();
+  activeRuns.delete(runId);
+  res.json({ cancelled: true, runId, chatId: run.chatId });
+});
+
 // Get available providers endpoint
 app.get('/api/providers', (_req, res) => {
   res.json({
@@ -231,7 +342,7 @@ app.get('/api/progress', (req, res) => {
   });
 });
 
-// Get pending permissions for a session
+// Get pending permission and deletion requests for a session (e.g. after reconnecting)
 app.get('/api/pending-permissions', (req, res) => {
   const { sessionId } = req.query;
   const pending = getPendingPermissions(sessionId);
@@ -241,21 +352,132 @@ app.get('/api/pending-permissions', (req, res) => {
   });
 });
 
-// Confirm a pending permission
+// Approve a pending permission or deletion - the waiting tool resumes
 app.post('/api/confirm-permission', (req, res) => {
   const { permissionId } = req.body;
   const result = confirmPermission(permissionId);
   res.json(result);
 });
 
-// Deny a pending permission
+// Deny a pending permission or deletion
 app.post('/api/deny-permission', (req, res) => {
   const { permissionId } = req.body;
   const result = denyPermission(permissionId);
   res.json(result);
 });
 
+// List items the Delete tool moved to the trash
+app.get('/api/trash', (req, res) => {
+  const { chatId } = req.query;
+  const items = getTrash().list(chatId);
+  res.json({
+    items,
+    count: items.length
+  });
+});
+
+// Move a trashed item back to its original path
+app.post('/api/trash/:id/restore', async (req, res) => {
+  try {
+    const result = await getTrash().restore(req.params.id);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('[Trash] Restore failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Background jobs started by the chat's Bash calls (oldest first)
+app.get('/api/jobs', (req, res) => {
+  const { chatId } = req.query;
+  if (!chatId) {
+    return res.status(400).json({ error: 'chatId is required' });
+  }
+  const jobs = getJobManager().list(chatId);
+  res.json({
+    jobs,
+    running: jobs.filter(job => job.status === 'running').length
+  });
+});
+
+// Stop a background job
+app.post('/api/jobs/:id/kill', async (req, res) => {
+  try {
+    res.json(await getJobManager().kill(req.body.chatId, req.params.id));
+  } catch (error) {
+    res.status(error.name === 'JobError' ? 404 : 500).json({ error: error.message });
+  }
+});
+
+// List file checkpoints taken before the chat's mutating tool calls (oldest first)
+app.get('/api/checkpoints/:chatId', async (req, res) => {
+  const checkpoints = await getCheckpointStore().getCheckpoints(req.params.chatId);
+  res.json({
+    checkpoints: checkpoints.map(({ id, tool, createdAt, entries }) => ({
+      id,
+      tool,
+      createdAt,
+      paths: entries.map(e => e.path)
+    })),
+    count: checkpoints.length
+  });
+});
+
+// Undo a checkpoint and everything the chat changed after it
+app.post('/api/checkpoints/:chatId/rollback', async (req, res) => {
+  const { checkpointId } = req.body;
+  if (!checkpointId) {
+    return res.status(400).json({ error: 'checkpointId is required' });
+  }
+  try {
+    const result = await getCheckpointStore().rollback(req.params.chatId, checkpointId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('[Checkpoints] Rollback failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Forget a chat's persisted history, sessions, todos, approvals and checkpoints
+app.delete('/api/chats/:chatId', async (req, res) => {
+  const { chatId } = req.params;
+  try {
+    await getConversationStore().deleteChat(chatId);
+    getUsageTracker().deleteChat(chatId);
+    await getCheckpointStore().deleteChat(chatId);
+    closeShellSession(chatId);
+    getJobManager().deleteChat(chatId);
+    res.json({ deleted: true, chatId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Token usage and cost totals, per chat or per day
+app.get('/api/usage', (req, res) => {
+  const { chatId } = req.query;
+  const tracker = getUsageTracker();
+
+  if (chatId) {
+    return res.json({ chatId, usage: tracker.getChatUsage(chatId) });
+  }
+
+  res.json({ days: tracker.getDailyUsage() });
+});
+
 await initializeComposio();
+await initializeConversationStore();
+await initializeUsageTracker();
+await initializeSandboxPolicy();
+await initializeNetworkPolicy();
+await initializeCommandPolicy();
+await initializeTrash();
 await initializeProviders();
 await initializeComposioSession();
 
@@ -349,6 +571,9 @@ app.get('/api/browser-status', (_req, res) => {
 const server = httpServer.listen(PORT, () => {
   console.log(`\n✓ Backend server running on http://localhost:${PORT}`);
   console.log(`✓ Chat endpoint: POST http://localhost:${PORT}/api/chat`);
+  console.log(`✓ Cancel endpoint: POST http://localhost:${PORT}/api/chat/:runId/cancel`);
+  console.log(`✓ Usage endpoint: GET http://localhost:${PORT}/api/usage?chatId=`);
+  console.log(`✓ Trash endpoint: GET http://localhost:${PORT}/api/trash`);
   console.log(`✓ WebSocket for browser: ws://localhost:${PORT}/browser`);
   console.log(`✓ Providers endpoint: GET http://localhost:${PORT}/api/providers`);
   console.log(`✓ Health check: GET http://localhost:${PORT}/api/health`);
@@ -360,11 +585,17 @@ server.on('error', (err) => {
   console.error('Server error:', err);
 });
 
-// Prevent the process from exiting
-process.on('SIGINT', () => {
-  console.log('\nShutting down server...');
+function shutdown(signal) {
+  console.log(`\nShutting down server (${signal})...`);
+  // Chat shells and background jobs are in their own process groups and don't get the signal
+  shutdownShells();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
   });
-});
+  // Open WebSocket and keep-alive connections would hold close() forever
+  setTimeout(() => process.exit(0), 5000).unref();
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
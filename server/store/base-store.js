@@ -0,0 +1,218 @@
+/**
+ * Base conversation store.
+ * Keeps per-chat state (provider history, provider session IDs, todos,
+ * approved paths, progress and workspace) in memory. Subclasses persist changes by
+ * implementing load() and persist().
+ */
+
+/**
+ * Whether an approval for this path and operation is already recorded.
+ * Approvals persisted before operations were recorded have none and never match.
+ */
+function hasApproval(approvals, approvedPath, operation) {
+  return approvals.some(a => a.path === approvedPath && a.operation === operation);
+}
+
+export class ConversationStore {
+  constructor(config = {}) {
+    this.config = config;
+    this.chats = new Map();
+  }
+
+  /**
+   * Restore previously persisted chats
+   * @returns {Promise<void>}
+   */
+  async load() {
+    // Override in subclass if needed
+  }
+
+  /**
+   * Persist a single change for a chat
+   * @param {string} chatId
+   * @param {Object} record - { type, ... } describing the change
+   * @returns {Promise<void>}
+   */
+  async persist(chatId, record) {
+    // Override in subclass if needed
+  }
+
+  /**
+   * Remove persisted data for a chat
+   * @param {string} chatId
+   * @returns {Promise<void>}
+   */
+  async remove(chatId) {
+    // Override in subclass if needed
+  }
+
+  /**
+   * Get or create the in-memory state for a chat
+   * @param {string} chatId
+   * @returns {Object}
+   */
+  getChat(chatId) {
+    const key = chatId ?? 'default';
+    if (!this.chats.has(key)) {
+      this.chats.set(key, {
+        history: {},
+        sessions: {},
+        todos: [],
+        approvals: [],
+        progress: [],
+        workspace: null
+      });
+    }
+    return this.chats.get(key);
+  }
+
+  /**
+   * Apply a change record to the in-memory state.
+   * Used both for live updates and when replaying persisted records.
+   * @param {string} chatId
+   * @param {Object} record
+   */
+  apply(chatId, record) {
+    const chat = this.getChat(chatId);
+
+    switch (record.type) {
+      case 'message':
+        if (!chat.history[record.provider]) chat.history[record.provider] = [];
+        chat.history[record.provider].push(record.message);
+        break;
+      case 'history':
+        chat.history[record.provider] = [...record.messages];
+        break;
+      case 'session':
+        chat.sessions[record.provider] = record.sessionId;
+        break;
+      case 'todos':
+        chat.todos = record.todos;
+        break;
+      case 'approval':
+        if (!hasApproval(chat.approvals, record.path, record.operation)) {
+          chat.approvals.push({ path: record.path, operation: record.operation });
+        }
+        break;
+      case 'workspace':
+        chat.workspace = record.workspace;
+        break;
+      case 'progress':
+        chat.progress.push(record.entry);
+        // Keep last 50 entries per chat
+        if (chat.progress.length > 50) {
+          chat.progress.splice(0, chat.progress.length - 50);
+        }
+        break;
+    }
+  }
+
+  update(chatId, record) {
+    this.apply(chatId, record);
+    this.persist(chatId ?? 'default', record).catch(error => {
+      console.error(`[Store] Failed to persist ${record.type} for ${chatId}:`, error.message);
+    });
+  }
+
+  // ==================== HISTORY ====================
+
+  /**
+   * Get the message history a provider keeps for a chat.
+   * The returned array is live - mutate it only through the store.
+   */
+  getHistory(provider, chatId) {
+    const chat = this.getChat(chatId);
+    if (!chat.history[provider]) chat.history[provider] = [];
+    return chat.history[provider];
+  }
+
+  appendMessage(provider, chatId, message) {
+    this.update(chatId, { type: 'message', provider, message });
+  }
+
+  replaceHistory(provider, chatId, messages) {
+    this.update(chatId, { type: 'history', provider, messages });
+  }
+
+  // ==================== PROVIDER SESSIONS ====================
+
+  getSession(provider, chatId) {
+    return this.getChat(chatId).sessions[provider] || null;
+  }
+
+  setSession(provider, chatId, sessionId) {
+    this.update(chatId, { type: 'session', provider, sessionId });
+  }
+
+  /**
+   * List all chatId -> sessionId pairs stored for a provider
+   * @returns {Array<[string, string]>}
+   */
+  getSessions(provider) {
+    const sessions = [];
+    for (const [chatId, chat] of this.chats.entries()) {
+      if (chat.sessions[provider]) sessions.push([chatId, chat.sessions[provider]]);
+    }
+    return sessions;
+  }
+
+  // ==================== TODOS, APPROVALS, PROGRESS ====================
+
+  getTodos(chatId) {
+    return this.getChat(chatId).todos;
+  }
+
+  setTodos(chatId, todos) {
+    this.update(chatId, { type: 'todos', todos });
+  }
+
+  getApprovals(chatId) {
+    return this.getChat(chatId).approvals;
+  }
+
+  /**
+   * Remember that the user approved an operation on a path
+   * @param {string} chatId
+   * @param {string} approvedPath - Resolved absolute path
+   * @param {string} operation - read, write, delete or exec
+   */
+  addApproval(chatId, approvedPath, operation) {
+    if (hasApproval(this.getApprovals(chatId), approvedPath, operation)) return;
+    this.update(chatId, { type: 'approval', path: approvedPath, operation });
+  }
+
+  getProgress(chatId) {
+    return this.getChat(chatId).progress;
+  }
+
+  addProgress(chatId, entry) {
+    this.update(chatId, { type: 'progress', entry });
+  }
+
+  // ==================== WORKSPACE ====================
+
+  /**
+   * Workspace a chat's tools work in
+   * @returns {{ root: string, confine: boolean }|null}
+   */
+  getWorkspace(chatId) {
+    return this.getChat(chatId).workspace;
+  }
+
+  setWorkspace(chatId, workspace) {
+    const current = this.getWorkspace(chatId);
+    if (current?.root === workspace?.root && current?.confine === workspace?.confine) return;
+    this.update(chatId, { type: 'workspace', workspace });
+  }
+
+  // ==================== LIFECYCLE ====================
+
+  /**
+   * Forget everything stored for a chat
+   * @param {string} chatId
+   */
+  async deleteChat(chatId) {
+    this.chats.delete(chatId ?? 'default');
+    await this.remove(chatId ?? 'default');
+  }
+}
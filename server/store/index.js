@@ -0,0 +1,66 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ConversationStore } from './base-store.js';
+import { JsonlConversationStore } from './jsonl-store.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Default location for persisted state: <repo>/.nimbus
+export const DEFAULT_DATA_DIR = process.env.NIMBUS_DATA_DIR || path.join(__dirname, '..', '..', '.nimbus');
+
+// Store registry
+const stores = {
+  jsonl: JsonlConversationStore,
+  memory: ConversationStore
+};
+
+let conversationStore = null;
+
+/**
+ * Get the shared conversation store.
+ * Created on first use from NIMBUS_STORE (default: 'jsonl').
+ *
+ * @returns {ConversationStore}
+ */
+export function getConversationStore() {
+  if (!conversationStore) {
+    const name = (process.env.NIMBUS_STORE || 'jsonl').toLowerCase();
+    const StoreClass = stores[name];
+    if (!StoreClass) {
+      throw new Error(`Unknown store: ${name}. Available stores: ${Object.keys(stores).join(', ')}`);
+    }
+    conversationStore = new StoreClass({ dataDir: DEFAULT_DATA_DIR });
+  }
+  return conversationStore;
+}
+
+/**
+ * Replace the shared conversation store (e.g. with a custom backend)
+ * @param {ConversationStore} store
+ */
+export function setConversationStore(store) {
+  conversationStore = store;
+}
+
+/**
+ * Register a custom store backend selectable via NIMBUS_STORE
+ * @param {string} name - Store name
+ * @param {typeof ConversationStore} StoreClass - Store class
+ */
+export function registerStore(name, StoreClass) {
+  stores[name.toLowerCase()] = StoreClass;
+}
+
+/**
+ * Restore persisted chats. Call once on startup before serving requests.
+ */
+export async function initializeConversationStore() {
+  try {
+    await getConversationStore().load();
+  } catch (error) {
+    console.error('[Store] Error restoring conversations:', error.message);
+  }
+}
+
+export { ConversationStore } from './base-store.js';
+export { JsonlConversationStore } from './jsonl-store.js';
@@ -0,0 +1,123 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { ConversationStore } from './base-store.js';
+
+/**
+ * JSON-lines conversation store.
+ * Each chat is an append-only log at <dataDir>/chats/<chatId>.jsonl that is
+ * replayed on startup. Whole-history replacements rewrite the log as a
+ * compact snapshot so files don't grow without bound.
+ */
+export class JsonlConversationStore extends ConversationStore {
+  constructor(config = {}) {
+    super(config);
+    this.dataDir = config.dataDir;
+    this.chatsDir = path.join(this.dataDir, 'chats');
+    // Per-chat write queues so appends land in order
+    this.writeQueues = new Map();
+  }
+
+  getChatFile(chatId) {
+    const safeId = String(chatId).replace(/[^\w.-]/g, '_');
+    return path.join(this.chatsDir, `${safeId}.jsonl`);
+  }
+
+  async load() {
+    await fs.mkdir(this.chatsDir, { recursive: true });
+    const files = (await fs.readdir(this.chatsDir)).filter(f => f.endsWith('.jsonl'));
+
+    for (const file of files) {
+      let content;
+      try {
+        content = await fs.readFile(path.join(this.chatsDir, file), 'utf-8');
+      } catch (error) {
+        console.warn(`[Store] Could not read ${file}:`, error.message);
+        continue;
+      }
+
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const { chatId, ...record } = JSON.parse(line);
+          this.apply(chatId, record);
+        } catch {
+          // Skip a torn last line from an interrupted write
+        }
+      }
+    }
+
+    console.log(`[Store] Restored ${this.chats.size} chats from ${this.chatsDir}`);
+  }
+
+  persist(chatId, record) {
+    if (record.type === 'history') {
+      // Capture the snapshot now - later appends are queued behind it
+      const lines = this.snapshot(chatId).map(r => JSON.stringify({ chatId, ...r }));
+      return this.enqueue(chatId, () => this.rewrite(chatId, lines));
+    }
+
+    const line = JSON.stringify({ chatId, ...record });
+    return this.enqueue(chatId, () => fs.appendFile(this.getChatFile(chatId), line + '\n', 'utf-8'));
+  }
+
+  remove(chatId) {
+    return this.enqueue(chatId, () => fs.rm(this.getChatFile(chatId), { force: true }));
+  }
+
+  enqueue(chatId, write) {
+    const previous = this.writeQueues.get(chatId) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(this.chatsDir, { recursive: true });
+        await write();
+      });
+    this.writeQueues.set(chatId, next);
+    next.finally(() => {
+      if (this.writeQueues.get(chatId) === next) this.writeQueues.delete(chatId);
+    }).catch(() => {});
+    return next;
+  }
+
+  /**
+   * Build the minimal set of records that reproduce a chat's current state
+   */
+  snapshot(chatId) {
+    const chat = this.getChat(chatId);
+    const records = [];
+
+    for (const [provider, messages] of Object.entries(chat.history)) {
+      records.push({ type: 'history', provider, messages });
+    }
+    for (const [provider, sessionId] of Object.entries(chat.sessions)) {
+      records.push({ type: 'session', provider, sessionId });
+    }
+    if (chat.todos.length > 0) records.push({ type: 'todos', todos: chat.todos });
+    for (const approval of chat.approvals) {
+      records.push({ type: 'approval', ...approval });
+    }
+    for (const entry of chat.progress) {
+      records.push({ type: 'progress', entry });
+    }
+    if (chat.workspace) records.push({ type: 'workspace', workspace: chat.workspace });
+
+    return records;
+  }
+
+  /**
+   * Atomically replace a chat's log with the given lines
+   */
+  async rewrite(chatId, lines) {
+    const file = this.getChatFile(chatId);
+    const tmpFile = `${file}.tmp`;
+    await fs.writeFile(tmpFile, lines.join('\n') + '\n', 'utf-8');
+    await fs.rename(tmpFile, file);
+  }
+
+  /**
+   * Wait for all pending writes to finish
+   */
+  async flush() {
+    await Promise.allSettled(this.writeQueues.values());
+  }
+}
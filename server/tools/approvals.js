@@ -0,0 +1,115 @@
+/**
+ * User approvals for tool actions (sensitive path access, deletions).
+ * A tool suspends on requestApproval() until the user decides through the
+ * confirm/deny endpoints, the request times out, or the run is cancelled.
+ * Requests are pushed to listeners for the chat (the chat's SSE stream).
+ */
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.APPROVAL_TIMEOUT_MS || '300000', 10);
+
+// Pending approvals (id -> { request, settle })
+const pendingApprovals = new Map();
+
+// Event listeners per chat (sessionId -> Set of callbacks)
+const listeners = new Map();
+
+function emit(sessionId, event) {
+  for (const listener of listeners.get(sessionId) || []) {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('[Approvals] Listener error:', error.message);
+    }
+  }
+}
+
+/**
+ * Subscribe to approval events for a chat: permission_request when a tool
+ * starts waiting, permission_resolved when the request is settled
+ * @param {string} sessionId
+ * @param {(event: Object) => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+export function onApprovalEvent(sessionId, listener) {
+  if (!listeners.has(sessionId)) listeners.set(sessionId, new Set());
+  listeners.get(sessionId).add(listener);
+
+  return () => {
+    const set = listeners.get(sessionId);
+    set?.delete(listener);
+    if (set?.size === 0) listeners.delete(sessionId);
+  };
+}
+
+/**
+ * Ask the user to approve an action and wait for the decision
+ * @param {Object} request
+ * @param {string} request.sessionId - Chat the request belongs to
+ * @param {string} request.kind - 'permission' or 'deletion'
+ * @param {string} request.path
+ * @param {string} request.operation
+ * @param {string} request.message - Shown to the user
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Denies the request when the run is cancelled
+ * @param {number} [options.timeout] - Milliseconds before the request is denied
+ * @returns {Promise<{ approved: boolean, timedOut?: boolean, cancelled?: boolean }>}
+ */
+export function requestApproval(request, { signal, timeout = DEFAULT_TIMEOUT_MS } = {}) {
+  const prefix = request.kind === 'deletion' ? 'del' : 'perm';
+  const id = `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const entry = {
+    id,
+    ...request,
+    requestedAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + timeout).toISOString()
+  };
+
+  return new Promise(resolve => {
+    const settle = outcome => {
+      if (!pendingApprovals.has(id)) return;
+      pendingApprovals.delete(id);
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      emit(request.sessionId, { type: 'permission_resolved', id, ...outcome });
+      console.log(`[Approvals] ${id} ${outcome.approved ? 'approved' : 'denied'}${outcome.timedOut ? ' (timed out)' : ''}`);
+      resolve(outcome);
+    };
+    const onAbort = () => settle({ approved: false, cancelled: true });
+    const timer = setTimeout(() => settle({ approved: false, timedOut: true }), timeout);
+
+    pendingApprovals.set(id, { request: entry, settle });
+    signal?.addEventListener('abort', onAbort, { once: true });
+    if (signal?.aborted) return onAbort();
+
+    console.log(`[Approvals] Waiting for user: ${request.operation} ${request.path}`);
+    emit(request.sessionId, { ...entry, type: 'permission_request' });
+  });
+}
+
+/**
+ * Settle a pending approval with the user's decision
+ * @param {string} id
+ * @param {boolean} approved
+ * @returns {Object} Result for the API response
+ */
+export function resolveApproval(id, approved) {
+  const pending = pendingApprovals.get(id);
+  if (!pending) return { error: 'Permission request not found or expired' };
+
+  pending.settle({ approved });
+  return approved
+    ? { approved: true, path: pending.request.path }
+    : { denied: true, path: pending.request.path };
+}
+
+/**
+ * List pending approvals, optionally for one chat and kind
+ * @param {string} [sessionId]
+ * @param {string} [kind]
+ * @returns {Object[]}
+ */
+export function getPendingApprovals(sessionId, kind) {
+  return [...pendingApprovals.values()]
+    .map(p => p.request)
+    .filter(r => (!sessionId || r.sessionId === sessionId) && (!kind || r.kind === kind));
+}
@@ -0,0 +1,287 @@
+/**
+ * Planning and execution for BatchFileOps.
+ * A batch is planned in full before anything changes: glob sources and
+ * rename patterns are expanded into single-path steps, and each step is
+ * checked against the filesystem as the earlier steps will leave it, so
+ * collisions within the batch are found and resolved up front.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { glob } from 'glob';
+import { resolveWorkspacePath, filterInsideWorkspace } from './workspace.js';
+
+export const CONFLICT_POLICIES = ['skip', 'overwrite', 'suffix'];
+
+// Upper bound on the steps a batch may expand to
+const MAX_STEPS = 5000;
+
+const GLOB_CHARS = /[*?[\]{}]/;
+
+export class BatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BatchError';
+  }
+}
+
+async function realType(target) {
+  try {
+    return (await fs.lstat(target)).isDirectory() ? 'directory' : 'file';
+  } catch {
+    return null;
+  }
+}
+
+function isInside(parent, child) {
+  const relative = path.relative(parent, child);
+  return relative !== '' && relative !== '..' && !relative.startsWith('..' + path.sep) && !path.isAbsolute(relative);
+}
+
+/**
+ * The filesystem with the planned steps applied. Each changed path maps to
+ * null (removed) or { type, origin }, where origin is the existing path its
+ * content comes from (null for new directories).
+ */
+class PlannedFilesystem {
+  constructor() {
+    this.changes = new Map();
+  }
+
+  async type(target) {
+    for (let current = target; ; current = path.dirname(current)) {
+      if (this.changes.has(current)) {
+        const entry = this.changes.get(current);
+        if (!entry) return null;
+        if (current === target) return entry.type;
+        if (!entry.origin) return this.childType(target);
+        return realType(path.join(entry.origin, path.relative(current, target)));
+      }
+      if (path.dirname(current) === current) return realType(target);
+    }
+  }
+
+  // A path inside a directory created by the batch exists only if planned
+  childType(target) {
+    return this.changes.get(target)?.type ?? null;
+  }
+
+  /**
+   * Names in a directory, including planned additions and removals
+   */
+  async list(dir) {
+    const entry = this.changes.get(dir);
+    const realDir = entry === undefined ? dir : entry?.origin;
+    const names = new Set();
+    if (realDir) {
+      try {
+        for (const name of await fs.readdir(realDir)) names.add(name);
+      } catch {}
+    }
+    for (const changed of this.changes.keys()) {
+      if (path.dirname(changed) === dir) names.add(path.basename(changed));
+    }
+    const present = [];
+    for (const name of [...names].sort()) {
+      if (await this.type(path.join(dir, name))) present.push(name);
+    }
+    return present;
+  }
+
+  async origin(target) {
+    for (let current = target; ; current = path.dirname(current)) {
+      const entry = this.changes.get(current);
+      if (entry?.origin) return path.join(entry.origin, path.relative(current, target));
+      if (entry !== undefined || path.dirname(current) === current) return target;
+    }
+  }
+
+  // Record the parent directories a step will create
+  async addParents(target) {
+    const missing = [];
+    for (let dir = path.dirname(target); !(await this.type(dir)) && path.dirname(dir) !== dir; dir = path.dirname(dir)) {
+      missing.push(dir);
+    }
+    for (const dir of missing) this.changes.set(dir, { type: 'directory', origin: null });
+  }
+}
+
+/**
+ * "name (1).ext", "name (2).ext", ... - the first that is free
+ */
+async function suffixedPath(target, planned) {
+  const ext = path.extname(target);
+  const stem = target.slice(0, target.length - ext.length);
+  for (let n = 1; ; n++) {
+    const candidate = `${stem} (${n})${ext}`;
+    if (!(await planned.type(candidate))) return candidate;
+  }
+}
+
+/**
+ * Expand a glob source (e.g. "Downloads/*.pdf") into the paths it matches
+ */
+async function expandGlob(pattern, workspace) {
+  const parts = pattern.replace(/\\/g, '/').split('/');
+  const firstGlob = parts.findIndex(part => GLOB_CHARS.test(part));
+  const base = await resolveWorkspacePath(parts.slice(0, firstGlob).join('/') || '.', workspace);
+  const matches = await glob(parts.slice(firstGlob).join('/'), { cwd: base, absolute: true });
+  return (await filterInsideWorkspace(matches, workspace)).sort();
+}
+
+/**
+ * Plan a batch. Throws BatchError when an operation is invalid; nothing is
+ * changed either way.
+ * @param {Object[]} operations - { op: 'mkdir', path } | { op: 'move'|'copy', source, destination } |
+ *   { op: 'rename', source, destination } | { op: 'rename', directory, match, replacement, flags? }
+ * @param {Object} options
+ * @param {string} options.onConflict - skip, overwrite or suffix
+ * @param {Object} [options.workspace] - Chat workspace for resolving paths
+ * @returns {Promise<Object[]>} Steps: { index, op, source?, destination, status: 'planned'|'skipped', overwrite?, reason? }
+ */
+export async function planBatch(operations, { onConflict, workspace }) {
+  const planned = new PlannedFilesystem();
+  const steps = [];
+
+  const addStep = (step) => {
+    steps.push(step);
+    if (steps.length > MAX_STEPS) throw new BatchError(`Batch expands to more than ${MAX_STEPS} steps; split it into smaller batches`);
+  };
+
+  // Plan moving or copying one existing path to a target path
+  const planTransfer = async (index, op, source, destination, { intoDirectory = false } = {}) => {
+    const label = `Operation ${index + 1}`;
+    const sourceType = await planned.type(source);
+    if (!sourceType) throw new BatchError(`${label}: source not found: ${source}`);
+
+    // Like mv/cp: an existing directory or a trailing slash means "into"
+    let target = destination;
+    if (intoDirectory || (await planned.type(destination)) === 'directory') {
+      target = path.join(destination, path.basename(source));
+    }
+    if (target === source) {
+      addStep({ index, op, source, destination: target, status: 'skipped', reason: 'source and destination are the same' });
+      return;
+    }
+    if (sourceType === 'directory' && isInside(source, target)) {
+      throw new BatchError(`${label}: cannot ${op} a directory into itself: ${source} -> ${target}`);
+    }
+
+    let overwrite = false;
+    if (await planned.type(target)) {
+      if (onConflict === 'skip') {
+        addStep({ index, op, source, destination: target, status: 'skipped', reason: 'destination exists' });
+        return;
+      }
+      if (onConflict === 'overwrite') {
+        if (isInside(target, source)) throw new BatchError(`${label}: cannot overwrite ${target}, which contains the source`);
+        overwrite = true;
+      } else {
+        target = await suffixedPath(target, planned);
+      }
+    }
+
+    const origin = await planned.origin(source);
+    await planned.addParents(target);
+    planned.changes.set(target, { type: sourceType, origin });
+    if (op !== 'copy') planned.changes.set(source, null);
+    addStep({ index, op, source, destination: target, status: 'planned', ...(overwrite && { overwrite }) });
+  };
+
+  for (const [index, operation] of operations.entries()) {
+    const label = `Operation ${index + 1}`;
+    const op = operation?.op;
+
+    if (op === 'mkdir') {
+      if (!operation.path) throw new BatchError(`${label}: mkdir needs a path`);
+      const dir = await resolveWorkspacePath(operation.path, workspace);
+      const existing = await planned.type(dir);
+      if (existing === 'file') throw new BatchError(`${label}: a file already exists at ${dir}`);
+      if (existing) {
+        addStep({ index, op, destination: dir, status: 'skipped', reason: 'directory exists' });
+        continue;
+      }
+      await planned.addParents(dir);
+      planned.changes.set(dir, { type: 'directory', origin: null });
+      addStep({ index, op, destination: dir, status: 'planned' });
+      continue;
+    }
+
+    if (op === 'rename' && operation.match !== undefined) {
+      if (!operation.directory || typeof operation.replacement !== 'string') {
+        throw new BatchError(`${label}: pattern renames need directory, match and replacement`);
+      }
+      let regex;
+      try {
+        regex = new RegExp(operation.match, operation.flags || '');
+      } catch (error) {
+        throw new BatchError(`${label}: invalid match pattern: ${error.message}`);
+      }
+      const dir = await resolveWorkspacePath(operation.directory, workspace);
+      if ((await planned.type(dir)) !== 'directory') throw new BatchError(`${label}: directory not found: ${dir}`);
+
+      for (const name of await planned.list(dir)) {
+        regex.lastIndex = 0;
+        if (!regex.test(name)) continue;
+        regex.lastIndex = 0;
+        const newName = name.replace(regex, operation.replacement);
+        if (newName === name) continue;
+        if (!newName || newName.includes('/') || newName.includes('\\')) {
+          throw new BatchError(`${label}: "${name}" would be renamed to "${newName}", which is not a file name`);
+        }
+        await planTransfer(index, 'rename', path.join(dir, name), path.join(dir, newName));
+      }
+      continue;
+    }
+
+    if (op === 'move' || op === 'copy' || op === 'rename') {
+      if (!operation.source || !operation.destination) throw new BatchError(`${label}: ${op} needs source and destination`);
+      const destination = await resolveWorkspacePath(operation.destination, workspace);
+      const intoDirectory = /[\\/]$/.test(operation.destination);
+
+      if (op !== 'rename' && GLOB_CHARS.test(operation.source)) {
+        // Patterns match what exists before the batch, less what earlier steps moved away
+        for (const source of await expandGlob(operation.source, workspace)) {
+          if (!(await planned.type(source))) continue;
+          if (isInside(source, destination) || source === destination) continue;
+          await planTransfer(index, op, source, destination, { intoDirectory: true });
+        }
+        continue;
+      }
+
+      const source = await resolveWorkspacePath(operation.source, workspace);
+      await planTransfer(index, op, source, destination, { intoDirectory });
+      continue;
+    }
+
+    throw new BatchError(`${label}: unknown op "${op}" (use move, copy, rename or mkdir)`);
+  }
+
+  return steps;
+}
+
+/**
+ * Carry out one planned step
+ */
+export async function runStep(step) {
+  if (step.op === 'mkdir') {
+    await fs.mkdir(step.destination, { recursive: true });
+    return;
+  }
+
+  if (step.overwrite) await fs.rm(step.destination, { recursive: true, force: true });
+  await fs.mkdir(path.dirname(step.destination), { recursive: true });
+
+  if (step.op === 'copy') {
+    await fs.cp(step.source, step.destination, { recursive: true, errorOnExist: true, force: false });
+    return;
+  }
+  try {
+    await fs.rename(step.source, step.destination);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    // Across drives: copy, then remove the original
+    await fs.cp(step.source, step.destination, { recursive: true, errorOnExist: true, force: false });
+    await fs.rm(step.source, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,255 @@
+/**
+ * Checkpoints for file-mutating tools.
+ * Before Write, Edit, Move, Copy or MakeDir changes the filesystem, the
+ * paths it touches are snapshotted into <dataDir>/checkpoints/<chatId>,
+ * keyed by the tool_use_id. Rolling back to a checkpoint undoes it and
+ * every later one in the chat, newest first; a failed call restores only
+ * its own.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { DEFAULT_DATA_DIR } from '../store/index.js';
+
+// Oldest checkpoints of a chat are dropped beyond this
+const MAX_CHECKPOINTS_PER_CHAT = 200;
+
+// Paths larger than this are recorded but not copied (rollback reports them)
+const MAX_SNAPSHOT_BYTES = 100 * 1024 * 1024;
+
+function safeName(id) {
+  return String(id).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+async function lstatOrNull(target) {
+  try {
+    return await fs.lstat(target);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remove a directory the call created, unless something else has been put in it since
+ * @returns {Promise<boolean>} Whether the directory is gone
+ */
+async function removeIfEmpty(dir) {
+  try {
+    await fs.rmdir(dir);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return true;
+    if (error.code === 'ENOTEMPTY' || error.code === 'EEXIST') return false;
+    throw error;
+  }
+}
+
+async function directorySize(dir) {
+  let total = 0;
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await directorySize(full);
+    } else {
+      total += (await fs.lstat(full)).size;
+    }
+    if (total > MAX_SNAPSHOT_BYTES) break;
+  }
+  return total;
+}
+
+export class CheckpointStore {
+  /**
+   * @param {Object} config
+   * @param {string} config.dir - Root directory for all chats' checkpoints
+   */
+  constructor(config) {
+    this.dir = config.dir;
+    this.chats = new Map(); // chatId -> checkpoint list (oldest first)
+    this.writeQueue = Promise.resolve();
+  }
+
+  chatDir(chatId) {
+    return path.join(this.dir, safeName(chatId ?? 'default'));
+  }
+
+  async getCheckpoints(chatId) {
+    const key = chatId ?? 'default';
+    if (!this.chats.has(key)) {
+      let checkpoints = [];
+      try {
+        const data = JSON.parse(await fs.readFile(path.join(this.chatDir(key), 'index.json'), 'utf-8'));
+        checkpoints = Array.isArray(data.checkpoints) ? data.checkpoints : [];
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`[Checkpoints] Could not read checkpoints for ${key}:`, error.message);
+        }
+      }
+      this.chats.set(key, checkpoints);
+    }
+    return this.chats.get(key);
+  }
+
+  /**
+   * Snapshot the paths a tool call is about to change
+   * @param {string} chatId
+   * @param {string} id - tool_use_id of the call
+   * @param {string} tool - Tool name
+   * @param {string[]} paths - Absolute paths the call writes, moves or creates
+   * @returns {Promise<Object>} The checkpoint
+   */
+  async create(chatId, id, tool, paths) {
+    const checkpoints = await this.getCheckpoints(chatId);
+    const blobDir = path.join(this.chatDir(chatId), 'blobs', safeName(id));
+
+    const entries = [];
+    for (const [index, target] of paths.entries()) {
+      entries.push(await this.snapshotPath(target, path.join(blobDir, String(index))));
+    }
+
+    const checkpoint = { id, tool, createdAt: new Date().toISOString(), entries };
+    checkpoints.push(checkpoint);
+
+    // Drop the oldest checkpoints and their snapshots
+    while (checkpoints.length > MAX_CHECKPOINTS_PER_CHAT) {
+      const dropped = checkpoints.shift();
+      await fs.rm(path.join(this.chatDir(chatId), 'blobs', safeName(dropped.id)), { recursive: true, force: true });
+    }
+
+    await this.save(chatId);
+    return checkpoint;
+  }
+
+  /**
+   * Record a path's current state. A missing path also records its missing
+   * ancestors (deepest first), which rollback removes only while empty.
+   */
+  async snapshotPath(target, blob) {
+    const stat = await lstatOrNull(target);
+    if (!stat) {
+      const parents = [];
+      let parent = path.dirname(target);
+      while (path.dirname(parent) !== parent && !(await lstatOrNull(parent))) {
+        parents.push(parent);
+        parent = path.dirname(parent);
+      }
+      return { path: target, existed: false, parents };
+    }
+
+    const type = stat.isDirectory() ? 'directory' : 'file';
+    const size = stat.isDirectory() ? await directorySize(target) : stat.size;
+    if (size > MAX_SNAPSHOT_BYTES) {
+      return { path: target, existed: true, type, skipped: 'too large to snapshot' };
+    }
+
+    await fs.mkdir(path.dirname(blob), { recursive: true });
+    await fs.cp(target, blob, { recursive: true, preserveTimestamps: true, verbatimSymlinks: true });
+    return { path: target, existed: true, type, blob };
+  }
+
+  /**
+   * Undo a checkpoint and every later one in the chat
+   * @param {string} chatId
+   * @param {string} id - Checkpoint (tool_use_id) to roll back to
+   * @returns {Promise<Object>} { rolledBack, restored, errors } or { error, status }
+   */
+  async rollback(chatId, id) {
+    const checkpoints = await this.getCheckpoints(chatId);
+    const index = checkpoints.findIndex(c => c.id === id);
+    if (index === -1) return { error: `No checkpoint found with id: ${id}`, status: 404 };
+
+    const undone = checkpoints.splice(index).reverse();
+    const restored = [];
+    const errors = [];
+    for (const checkpoint of undone) {
+      await this.restoreEntries(chatId, checkpoint, restored, errors);
+    }
+
+    await this.save(chatId);
+    console.log(`[Checkpoints] Rolled back ${undone.length} checkpoints in ${chatId}`);
+    return { rolledBack: undone.map(c => c.id), restored: [...new Set(restored)], errors };
+  }
+
+  /**
+   * Undo only this checkpoint, leaving later ones in place. Used by a
+   * tool call that failed halfway to put back its own changes while
+   * calls running alongside it keep theirs.
+   * @param {string} chatId
+   * @param {string} id - Checkpoint (tool_use_id) to undo
+   * @returns {Promise<Object>} { rolledBack, restored, errors } or { error, status }
+   */
+  async restore(chatId, id) {
+    const checkpoints = await this.getCheckpoints(chatId);
+    const index = checkpoints.findIndex(c => c.id === id);
+    if (index === -1) return { error: `No checkpoint found with id: ${id}`, status: 404 };
+
+    const [checkpoint] = checkpoints.splice(index, 1);
+    const restored = [];
+    const errors = [];
+    await this.restoreEntries(chatId, checkpoint, restored, errors);
+
+    await this.save(chatId);
+    return { rolledBack: [checkpoint.id], restored: [...new Set(restored)], errors };
+  }
+
+  /**
+   * Put a checkpoint's paths back as they were and drop its snapshots
+   */
+  async restoreEntries(chatId, checkpoint, restored, errors) {
+    for (const entry of [...checkpoint.entries].reverse()) {
+      try {
+        if (entry.skipped) {
+          errors.push({ path: entry.path, error: `Not restored: ${entry.skipped}` });
+          continue;
+        }
+        await fs.rm(entry.path, { recursive: true, force: true });
+        if (entry.existed) {
+          await fs.mkdir(path.dirname(entry.path), { recursive: true });
+          await fs.cp(entry.blob, entry.path, { recursive: true, preserveTimestamps: true, verbatimSymlinks: true });
+        }
+        for (const parent of entry.parents ?? []) {
+          if (!(await removeIfEmpty(parent))) break;
+        }
+        restored.push(entry.path);
+      } catch (error) {
+        errors.push({ path: entry.path, error: error.message });
+      }
+    }
+    await fs.rm(path.join(this.chatDir(chatId), 'blobs', safeName(checkpoint.id)), { recursive: true, force: true });
+  }
+
+  async deleteChat(chatId) {
+    this.chats.delete(chatId ?? 'default');
+    await this.writeQueue;
+    await fs.rm(this.chatDir(chatId), { recursive: true, force: true });
+  }
+
+  save(chatId) {
+    const dir = this.chatDir(chatId);
+    const content = JSON.stringify({ checkpoints: this.chats.get(chatId ?? 'default') || [] });
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await fs.mkdir(dir, { recursive: true });
+        const file = path.join(dir, 'index.json');
+        await fs.writeFile(`${file}.tmp`, content, 'utf-8');
+        await fs.rename(`${file}.tmp`, file);
+      })
+      .catch(error => console.error('[Checkpoints] Failed to write checkpoint index:', error.message));
+    return this.writeQueue;
+  }
+}
+
+let checkpointStore = null;
+
+/**
+ * Get the shared checkpoint store (NIMBUS_CHECKPOINT_DIR or <dataDir>/checkpoints)
+ * @returns {CheckpointStore}
+ */
+export function getCheckpointStore() {
+  if (!checkpointStore) {
+    checkpointStore = new CheckpointStore({
+      dir: process.env.NIMBUS_CHECKPOINT_DIR || path.join(DEFAULT_DATA_DIR, 'checkpoints')
+    });
+  }
+  return checkpointStore;
+}
@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CheckpointStore } from './checkpoints.js';
+
+let root;
+let store;
+
+const file = (...parts) => path.join(root, 'work', ...parts);
+const exists = target => fs.access(target).then(() => true, () => false);
+
+async function write(target, content) {
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.writeFile(target, content);
+}
+
+beforeEach(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'checkpoints-'));
+  await fs.mkdir(file());
+  store = new CheckpointStore({ dir: path.join(root, 'checkpoints') });
+});
+
+afterEach(async () => {
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+describe('CheckpointStore rollback', () => {
+  it('puts an overwritten file back', async () => {
+    await write(file('notes.txt'), 'before');
+    await store.create('chat', 'call-1', 'Write', [file('notes.txt')]);
+    await write(file('notes.txt'), 'after');
+
+    const result = await store.rollback('chat', 'call-1');
+    expect(result).toEqual({ rolledBack: ['call-1'], restored: [file('notes.txt')], errors: [] });
+    expect(await fs.readFile(file('notes.txt'), 'utf-8')).toBe('before');
+  });
+
+  it('removes a created file and the directories created for it', async () => {
+    const target = file('a', 'b', 'c', 'new.txt');
+    await store.create('chat', 'call-1', 'Write', [target]);
+    await write(target, 'created');
+
+    await store.rollback('chat', 'call-1');
+    expect(await exists(file('a'))).toBe(false);
+    expect(await exists(file())).toBe(true);
+  });
+
+  it('keeps created parent directories that other files were added to later', async () => {
+    const target = file('a', 'b', 'c', 'new.txt');
+    await store.create('chat', 'call-1', 'Write', [target]);
+    await write(target, 'created');
+    // Written outside any checkpoint, e.g. by Bash
+    await write(file('a', 'unrelated.txt'), 'keep me');
+
+    await store.rollback('chat', 'call-1');
+    expect(await exists(target)).toBe(false);
+    expect(await exists(file('a', 'b'))).toBe(false);
+    expect(await fs.readFile(file('a', 'unrelated.txt'), 'utf-8')).toBe('keep me');
+  });
+
+  it('removes a shared new directory only once all files created in it are gone', async () => {
+    const first = file('out', 'one.txt');
+    const second = file('out', 'two.txt');
+    await store.create('chat', 'call-1', 'Copy', [first, second]);
+    await write(first, '1');
+    await write(second, '2');
+
+    await store.rollback('chat', 'call-1');
+    expect(await exists(file('out'))).toBe(false);
+  });
+
+  it('undoes later checkpoints too, newest first', async () => {
+    await write(file('notes.txt'), 'v1');
+    await store.create('chat', 'call-1', 'Edit', [file('notes.txt')]);
+    await write(file('notes.txt'), 'v2');
+    await store.create('chat', 'call-2', 'Edit', [file('notes.txt')]);
+    await write(file('notes.txt'), 'v3');
+
+    const result = await store.rollback('chat', 'call-1');
+    expect(result.rolledBack).toEqual(['call-2', 'call-1']);
+    expect(await fs.readFile(file('notes.txt'), 'utf-8')).toBe('v1');
+    expect(await store.getCheckpoints('chat')).toEqual([]);
+  });
+
+  it('reports an unknown checkpoint', async () => {
+    expect(await store.rollback('chat', 'missing')).toEqual({ error: 'No checkpoint found with id: missing', status: 404 });
+  });
+});
+
+describe('CheckpointStore restore', () => {
+  it('undoes only its own checkpoint', async () => {
+    await store.create('chat', 'call-1', 'Write', [file('mine', 'a.txt')]);
+    await store.create('chat', 'call-2', 'Write', [file('theirs.txt')]);
+    await write(file('mine', 'a.txt'), 'mine');
+    await write(file('theirs.txt'), 'theirs');
+
+    const result = await store.restore('chat', 'call-1');
+    expect(result.rolledBack).toEqual(['call-1']);
+    expect(await exists(file('mine'))).toBe(false);
+    expect(await fs.readFile(file('theirs.txt'), 'utf-8')).toBe('theirs');
+    expect((await store.getCheckpoints('chat')).map(c => c.id)).toEqual(['call-2']);
+  });
+});
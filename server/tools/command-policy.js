@@ -0,0 +1,442 @@
+/**
+ * Command policy for Bash.
+ * Parses a command line into the programs it would run and checks each one
+ * against allow/ask/deny rules on the executable and its arguments, looking
+ * through wrappers (sudo, env, xargs, find -exec, ...), "bash -c" and eval.
+ * It also works out which files the command writes through redirections,
+ * tee and dd, so they can be checked against the path policy.
+ * Rules come from the "commands" section of sandbox.json, in addition to
+ * the built-in rules below.
+ */
+
+import os from 'os';
+import path from 'path';
+import { parseShellCommand, wordText, expandWord, isDynamic, hasUnquotedGlob, expandBraces, ShellParseError } from './shell-parser.js';
+import { loadSandboxConfig, ACTION_RANK } from './sandbox-policy.js';
+import { DEFAULT_DATA_DIR } from '../store/index.js';
+
+/**
+ * Built-in rules: wiping the disk or the filesystem root is denied, and
+ * privilege escalation, shutdowns and history-rewriting git commands need
+ * the user's approval. "command" and "args" are globs with {a,b}
+ * alternatives; each args pattern must match one of the arguments.
+ */
+export const DEFAULT_COMMAND_POLICY = {
+  // command: commands no rule matches; dynamic: commands whose name is only known at run time
+  defaults: { command: 'allow', dynamic: 'ask' },
+  rules: [
+    { command: 'rm', args: ['{-r,-R,--recursive}', '{/,/\\*,/.,~,~/,~/\\*}'], action: 'deny', reason: 'Recursively deletes the filesystem root or the home folder' },
+    { command: 'rm', args: ['--no-preserve-root'], action: 'deny', reason: 'Turns off the safeguard against deleting /' },
+    { command: '{chmod,chown,chgrp}', args: ['{-R,--recursive}', '{/,/\\*}'], action: 'deny', reason: 'Changes permissions or ownership of the whole filesystem' },
+    { command: '{mkfs,mkfs.*,mke2fs,mkswap,wipefs,fdisk,sfdisk,parted,diskpart}', action: 'deny', reason: 'Formats or repartitions a disk' },
+    { command: 'dd', args: ['of=/dev/{sd,hd,vd,xvd,nvme,mmcblk,disk}*'], action: 'deny', reason: 'Writes directly to a disk device' },
+    { command: 'format', args: ['?:*'], action: 'deny', reason: 'Formats a drive' },
+    { command: '{sudo,su,doas,pkexec}', action: 'ask', reason: 'Runs a command with elevated privileges' },
+    { command: '{shutdown,reboot,halt,poweroff}', action: 'ask', reason: 'Shuts down or restarts the computer' },
+    { command: 'git', args: ['push', '{--force,-f,--force-with-lease*,+*}'], action: 'ask', reason: 'Force-pushes, which can discard commits on the remote' },
+    { command: 'git', args: ['reset', '--hard'], action: 'ask', reason: 'Discards uncommitted changes' },
+    { command: 'git', args: ['clean', '{-f,--force}'], action: 'ask', reason: 'Deletes untracked files' },
+    { command: '{sh,bash,zsh,dash,ksh}', piped: true, action: 'ask', reason: 'Runs text piped from another command as a script' }
+  ]
+};
+
+// Programs that run the command given in their arguments, with the options that take a value
+const WRAPPERS = {
+  sudo: { options: ['-u', '-g', '-h', '-p', '-C', '-D', '-r', '-t', '-U', '-T', '--user', '--group', '--host', '--prompt', '--chdir'] },
+  doas: { options: ['-u', '-C'] },
+  pkexec: { options: ['--user'] },
+  env: { options: ['-u', '-C', '--unset', '--chdir'], assignments: true },
+  nice: { options: ['-n', '--adjustment'] },
+  ionice: { options: ['-c', '-n', '-p', '--class', '--classdata'] },
+  nohup: {},
+  time: { options: ['-f', '-o', '--format', '--output'] },
+  command: {},
+  builtin: {},
+  exec: { options: ['-a'] },
+  stdbuf: { options: ['-i', '-o', '-e'] },
+  timeout: { options: ['-s', '-k', '--signal', '--kill-after'], positional: 1 },
+  xargs: { options: ['-I', '-n', '-P', '-L', '-d', '-E', '-s', '-a', '--max-args', '--max-procs', '--delimiter', '--arg-file', '--replace'] }
+};
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh']);
+const FIND_EXEC = new Set(['-exec', '-execdir', '-ok', '-okdir']);
+const SETS_VARIABLES = new Set(['export', 'declare', 'typeset', 'local', 'readonly']);
+// Programs whose recursive form can take a whole tree with it, with their recursive flag
+const RECURSIVE_FLAGS = {
+  rm: /^(?:-[A-Za-z]*[rR][A-Za-z]*|--recursive)$/,
+  chmod: /^(?:-[A-Za-z]*R[A-Za-z]*|--recursive)$/,
+  chown: /^(?:-[A-Za-z]*R[A-Za-z]*|--recursive)$/,
+  chgrp: /^(?:-[A-Za-z]*R[A-Za-z]*|--recursive)$/
+};
+
+// Redirections that write to their target
+const WRITE_REDIRECTS = new Set(['>', '>>', '>|', '&>', '&>>', '<>']);
+// Write targets that are not files
+const SPECIAL_TARGETS = /^\/dev\/(?:null|stdout|stderr|tty|fd\/\d+)$|^\/proc\/self\/fd\/\d+$/;
+
+// Nested "bash -c" and eval scripts
+const MAX_SCRIPT_DEPTH = 8;
+const MAX_TEXT_LENGTH = 200;
+
+/**
+ * Compile a rule glob into alternatives. `*` matches anything, `?` one
+ * character, `\` escapes, {a,b} lists alternatives and a leading ~ is the
+ * home folder. A single-letter flag such as -r also matches combined
+ * flags like -rf.
+ */
+function compilePattern(pattern, { homeDir, caseInsensitive }) {
+  return expandBraces(pattern).map(alternative => {
+    const expanded = alternative.replace(/^~(?=$|\/)/, homeDir);
+    let source = '';
+    for (let i = 0; i < expanded.length; i++) {
+      const char = expanded[i];
+      if (char === '\\' && i + 1 < expanded.length) source += expanded[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      else if (char === '*') source += '.*';
+      else if (char === '?') source += '.';
+      else source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+    return {
+      regex: new RegExp(`^${source}$`, caseInsensitive ? 'i' : ''),
+      flag: /^-[A-Za-z0-9]$/.test(alternative) ? alternative[1] : null
+    };
+  });
+}
+
+function patternMatches(alternatives, value) {
+  return alternatives.some(({ regex, flag }) =>
+    regex.test(value) || (flag !== null && /^-[A-Za-z0-9]+$/.test(value) && value.includes(flag)));
+}
+
+function shorten(text) {
+  return text.length > MAX_TEXT_LENGTH ? `${text.slice(0, MAX_TEXT_LENGTH)}…` : text;
+}
+
+export class CommandPolicy {
+  /**
+   * @param {Object} [config] - { defaults, rules } (see DEFAULT_COMMAND_POLICY)
+   * @param {Object} [options]
+   * @param {string} [options.platform] - Defaults to process.platform
+   * @param {string} [options.homeDir] - Defaults to os.homedir()
+   */
+  constructor(config = DEFAULT_COMMAND_POLICY, options = {}) {
+    this.platform = options.platform || process.platform;
+    this.homeDir = options.homeDir || os.homedir();
+    this.caseInsensitive = this.platform === 'win32';
+    this.defaults = { ...DEFAULT_COMMAND_POLICY.defaults, ...config.defaults };
+    for (const [key, action] of Object.entries(this.defaults)) {
+      if (!ACTION_RANK.hasOwnProperty(action)) throw new Error(`Invalid command policy default "${action}" for ${key}`);
+    }
+    this.rules = (config.rules || []).map(rule => this.compileRule(rule));
+  }
+
+  compileRule(rule) {
+    if (typeof rule.command !== 'string' || !rule.command) {
+      throw new Error(`Command rule is missing "command": ${JSON.stringify(rule)}`);
+    }
+    if (!ACTION_RANK.hasOwnProperty(rule.action)) {
+      throw new Error(`Invalid command rule action "${rule.action}" for ${rule.command}`);
+    }
+    if (rule.args !== undefined && !Array.isArray(rule.args)) {
+      throw new Error(`Command rule "args" must be a list of patterns for ${rule.command}`);
+    }
+    const options = { homeDir: this.homeDir, caseInsensitive: this.caseInsensitive };
+    return {
+      ...rule,
+      label: [rule.command, ...(rule.args || [])].join(' '),
+      commandPattern: compilePattern(rule.command, options),
+      argPatterns: (rule.args || []).map(arg => compilePattern(arg, options))
+    };
+  }
+
+  /**
+   * Decide one program invocation, the way SandboxPolicy.decide does for
+   * paths: a matching rule overrides the default, and the strictest
+   * matching rule wins. Args patterns are matched against each argument
+   * as written and against the normalized absolute paths in paths.
+   * @param {{ name: string, args: string[], paths?: string[], piped: boolean }} invocation
+   * @returns {{ action: string, rule: Object|null }}
+   */
+  decide({ name, args, paths = [], piped }) {
+    let program = name.includes('/') ? path.posix.basename(name) : name;
+    if (this.platform === 'win32') program = path.win32.basename(program).replace(/\.(?:exe|cmd|bat|com)$/i, '');
+    let decision = { action: this.defaults.command, rule: null };
+
+    for (const rule of this.rules) {
+      if (!patternMatches(rule.commandPattern, program) && !patternMatches(rule.commandPattern, name)) continue;
+      if (rule.piped && !piped) continue;
+      if (!rule.argPatterns.every(pattern =>
+        args.some(arg => patternMatches(pattern, arg)) || paths.some(p => patternMatches(pattern, p)))) continue;
+      if (!decision.rule || ACTION_RANK[rule.action] > ACTION_RANK[decision.action]) {
+        decision = { action: rule.action, rule };
+      }
+    }
+    return decision;
+  }
+
+  /**
+   * Check a command line
+   * @param {string} command
+   * @param {Object} [context]
+   * @param {string} [context.cwd] - Directory the command starts in
+   * @param {Object} [context.env] - Environment variables known before it runs
+   * @returns {{ action: string, findings: Array<{ action: string, command: string, reason: string, rule?: string }>, writes: string[] }}
+   *   action is the strictest finding; writes are absolute paths the command writes to
+   */
+  evaluate(command, { cwd = process.cwd(), env = process.env } = {}) {
+    const state = { cwd, env: { ...env }, findings: [], writes: new Set() };
+    this.evaluateScript(command, state, 0);
+
+    const seen = new Set();
+    const findings = state.findings.filter(finding => {
+      const key = `${finding.action} ${finding.reason} ${finding.command}`;
+      return !seen.has(key) && seen.add(key);
+    });
+    const action = findings.reduce((strictest, finding) =>
+      ACTION_RANK[finding.action] > ACTION_RANK[strictest] ? finding.action : strictest, 'allow');
+    return { action, findings, writes: [...state.writes] };
+  }
+
+  evaluateScript(script, state, depth) {
+    let commands;
+    try {
+      if (depth > MAX_SCRIPT_DEPTH) throw new ShellParseError('Scripts nest too deeply to check');
+      commands = parseShellCommand(script);
+    } catch (error) {
+      if (!(error instanceof ShellParseError)) throw error;
+      this.addDynamic(state, script, `Could not be checked: ${error.message}`);
+      return;
+    }
+    for (const command of commands) this.evaluateCommand(command, state, depth);
+  }
+
+  addDynamic(state, text, reason) {
+    if (this.defaults.dynamic !== 'allow') {
+      state.findings.push({ action: this.defaults.dynamic, command: shorten(text), reason });
+    }
+  }
+
+  expand(word, state) {
+    return expandWord(word, state.env, this.homeDir);
+  }
+
+  evaluateCommand(command, state, depth) {
+    // Plain assignments are remembered for later words (literal values only)
+    if (command.words.length === 0) {
+      for (const assignment of command.assignments) this.assign(assignment, state);
+    }
+
+    for (const redirect of command.redirects) {
+      if (WRITE_REDIRECTS.has(redirect.op) || (redirect.op === '>&' && !/^(?:\d+|-)$/.test(wordText(redirect.target)))) {
+        this.addWrite(state, redirect.target, `> ${wordText(redirect.target)}`);
+      }
+    }
+    if (command.words.length === 0) return;
+
+    const argv = command.words.map(word => {
+      const value = this.expand(word, state);
+      return {
+        word,
+        text: value ?? wordText(word),
+        known: value !== null,
+        glob: hasUnquotedGlob(word),
+        dynamic: isDynamic(word) || hasUnquotedGlob(word)
+      };
+    });
+    this.evaluateInvocation(argv, command, state, depth);
+  }
+
+  assign(word, state) {
+    const text = wordText(word);
+    const eq = text.indexOf('=');
+    const name = text.slice(0, eq).replace(/\+$/, '');
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) return;
+    // Expand the value on its own: drop the "name=" prefix from the first part
+    const first = word.parts[0];
+    const valueWord = { parts: [{ ...first, text: first.text.slice(first.text.indexOf('=') + 1) }, ...word.parts.slice(1)] };
+    const value = this.expand(valueWord, state);
+    if (value === null) delete state.env[name];
+    else state.env[name] = value;
+  }
+
+  evaluateInvocation(argv, command, state, depth) {
+    const [head, ...rest] = argv;
+    const text = argv.map(arg => arg.text).join(' ');
+    if (head.dynamic) {
+      this.addDynamic(state, text, 'The program to run is only known when the command runs');
+      return;
+    }
+
+    const name = head.text;
+    const program = path.posix.basename(name);
+    const args = rest.map(arg => arg.text);
+    const operands = rest.filter(arg => !arg.text.startsWith('-'));
+    const paths = operands.map(arg => this.resolveArgument(arg, state));
+    const decision = this.decide({ name, args, paths: paths.filter(Boolean), piped: command.piped });
+    if (decision.rule) {
+      if (decision.action !== 'allow') {
+        state.findings.push({
+          action: decision.action,
+          command: shorten(text),
+          reason: decision.rule.reason || `Matches the ${decision.action} rule "${decision.rule.label}"`,
+          rule: decision.rule.label
+        });
+      }
+    } else if (decision.action !== 'allow') {
+      state.findings.push({ action: decision.action, command: shorten(text), reason: 'No command rule allows this program' });
+    }
+
+    // A function that runs copies of itself in a pipeline or the background never stops
+    if (command.functionName && name === command.functionName && (command.piped || command.pipedOut || command.background)) {
+      state.findings.push({ action: 'deny', command: shorten(text), reason: 'Defines a function that keeps spawning copies of itself (fork bomb)' });
+    }
+
+    // A recursive rm/chmod/chown on a path only known at run time could be /
+    if (RECURSIVE_FLAGS[program] && args.some(arg => RECURSIVE_FLAGS[program].test(arg)) && paths.includes(null)) {
+      this.addDynamic(state, text, 'Recursively changes files that are only known when the command runs');
+    }
+
+    if (program === 'cd' && !command.substitution && !command.piped && !command.pipedOut) {
+      this.changeDirectory(rest[0], state);
+    } else if (SETS_VARIABLES.has(program)) {
+      for (const arg of rest) {
+        if (arg.word && /^[A-Za-z_][A-Za-z0-9_]*\+?=/.test(wordText(arg.word))) this.assign(arg.word, state);
+      }
+    } else if (program === 'tee') {
+      for (const arg of rest) {
+        if (!arg.text.startsWith('-')) this.addWrite(state, arg.word, `tee ${arg.text}`);
+      }
+    } else if (program === 'dd') {
+      for (const arg of rest) {
+        if (arg.text.startsWith('of=')) this.addWrite(state, arg.word, arg.text, this.expand(arg.word, state)?.slice(3) ?? null);
+      }
+    }
+
+    // Programs that run other programs
+    if (WRAPPERS[program]) {
+      const inner = this.unwrap(rest, WRAPPERS[program]);
+      if (inner.length > 0) this.evaluateInvocation(inner, command, state, depth);
+    } else if (SHELLS.has(program)) {
+      const flag = rest.findIndex(arg => /^-[A-Za-z]*c[A-Za-z]*$/.test(arg.text));
+      const script = flag >= 0 ? rest[flag + 1] : null;
+      if (script?.dynamic) this.addDynamic(state, text, 'Runs a script that is only known when the command runs');
+      else if (script) this.evaluateScript(script.text, state, depth + 1);
+    } else if (program === 'eval') {
+      if (rest.some(arg => arg.dynamic)) this.addDynamic(state, text, 'Evaluates text that is only known when the command runs');
+      else this.evaluateScript(args.join(' '), state, depth + 1);
+    } else if (program === 'find') {
+      for (let i = 0; i < rest.length; i++) {
+        if (!FIND_EXEC.has(rest[i].text)) continue;
+        const end = rest.findIndex((arg, j) => j > i && (arg.text === ';' || arg.text === '+'));
+        const inner = rest.slice(i + 1, end < 0 ? rest.length : end);
+        if (inner.length > 0) this.evaluateInvocation(inner, command, state, depth);
+      }
+    }
+  }
+
+  // The wrapped command line: skip the wrapper's options and assignments
+  unwrap(args, spec) {
+    let i = 0;
+    while (i < args.length) {
+      const arg = args[i].text;
+      if (arg === '--') {
+        i++;
+        break;
+      }
+      if (spec.assignments && /^[A-Za-z_][A-Za-z0-9_]*=/.test(arg)) {
+        i++;
+      } else if (arg.startsWith('-') && arg !== '-') {
+        i += spec.options?.includes(arg) ? 2 : 1;
+      } else {
+        break;
+      }
+    }
+    return args.slice(i + (spec.positional || 0));
+  }
+
+  /**
+   * The absolute path an operand names, for matching path rules: "//",
+   * "/usr/.." and "." after "cd /" all become "/". A glob in the last
+   * segment stands for everything in its directory ("/[a-z]*" is "/*").
+   * @returns {string|null} null when the path is only known at run time
+   */
+  resolveArgument(arg, state) {
+    const pathApi = this.platform === 'win32' ? path.win32 : path.posix;
+    if (!arg.known || (state.cwd === null && !pathApi.isAbsolute(arg.text))) return null;
+    const resolved = pathApi.resolve(state.cwd ?? '/', arg.text);
+    if (!arg.glob || !/[*?[]/.test(pathApi.basename(resolved))) return resolved;
+    return pathApi.join(pathApi.dirname(resolved), '*');
+  }
+
+  changeDirectory(arg, state) {
+    if (state.cwd === null) return;
+    if (!arg) {
+      state.cwd = this.homeDir;
+    } else if (arg.text === '-' || arg.dynamic) {
+      // Unknown from here on: relative writes can't be resolved
+      state.cwd = null;
+    } else {
+      state.cwd = path.resolve(state.cwd, arg.text);
+    }
+  }
+
+  /**
+   * Record a file the command writes to
+   * @param {Object} word - The target word
+   * @param {string} description - For findings when the target is unknown
+   * @param {string|null} [value] - Use this instead of the word's value (dd's of=)
+   */
+  addWrite(state, word, description, value = this.expand(word, state)) {
+    let target = value;
+    if (target === null || hasUnquotedGlob(word) || (state.cwd === null && !path.isAbsolute(target))) {
+      this.addDynamic(state, description, 'Writes to a file that is only known when the command runs');
+      return;
+    }
+    if (SPECIAL_TARGETS.test(target)) return;
+    // Bash also expands ~ after the = in words like of=~/file
+    target = target.replace(/^~(?=$|\/)/, this.homeDir);
+    if (this.platform === 'win32' && /^nul$/i.test(target)) return;
+    target = path.resolve(state.cwd ?? '/', target);
+    state.writes.add(target);
+  }
+}
+
+/**
+ * Build a policy config from the "commands" section of sandbox.json.
+ * Its rules come in addition to the built-in ones unless it sets
+ * "extends": false.
+ */
+export function mergeCommandConfig(section = {}) {
+  const base = section.extends === false ? { defaults: {}, rules: [] } : DEFAULT_COMMAND_POLICY;
+  return {
+    defaults: { ...base.defaults, ...section.defaults },
+    rules: [...base.rules, ...(section.rules || [])]
+  };
+}
+
+let commandPolicy = null;
+
+/**
+ * Get the shared command policy (built-in rules until initialized)
+ * @returns {CommandPolicy}
+ */
+export function getCommandPolicy() {
+  if (!commandPolicy) {
+    commandPolicy = new CommandPolicy(DEFAULT_COMMAND_POLICY);
+  }
+  return commandPolicy;
+}
+
+/**
+ * Load the commands section of the sandbox policy file. Call once on startup.
+ * An invalid section is reported and the built-in rules stay in force.
+ */
+export async function initializeCommandPolicy() {
+  const file = process.env.NIMBUS_SANDBOX_FILE || path.join(DEFAULT_DATA_DIR, 'sandbox.json');
+  try {
+    const { commands } = await loadSandboxConfig(file);
+    commandPolicy = new CommandPolicy(mergeCommandConfig(commands));
+    console.log(`[Commands] ${commandPolicy.rules.length} command rules active${commands ? ` from ${file}` : ' (built-in)'}`);
+  } catch (error) {
+    console.error('[Commands] Error loading policy, using built-in rules:', error.message);
+    commandPolicy = new CommandPolicy(DEFAULT_COMMAND_POLICY);
+  }
+}
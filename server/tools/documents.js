@@ -0,0 +1,578 @@
+/**
+ * File type detection and conversion for the Read tool.
+ * Images are returned as base64 for the provider to hand to the model as
+ * image content; PDFs, Word and Excel documents, CSV files and Jupyter
+ * notebooks are converted to text. Plain text files are left to the caller.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { isZip, readZip } from './zip.js';
+import { isPdf, extractPdfText, parsePageRange } from './pdf.js';
+import { decodeHtmlEntities } from './entities.js';
+
+// Largest image the model APIs accept as a content block
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Documents are converted in memory
+const MAX_DOCUMENT_BYTES = 100 * 1024 * 1024;
+
+// Pages extracted per Read when no range is given, and the most a range may select
+const MAX_PDF_PAGES = 20;
+
+// Lines (or table rows) returned per Read of a converted document when no limit is given
+const DEFAULT_LINE_LIMIT = 2000;
+
+// Notebook cell outputs are cut to this many characters
+const MAX_CELL_OUTPUT_CHARS = 5000;
+
+const SNIFF_BYTES = 8192;
+
+/**
+ * Detect a file's type from its first bytes and extension
+ * @param {string} filePath
+ * @returns {Promise<{ kind: string, mediaType?: string }>} kind is one of
+ *   image, pdf, zip, notebook, csv, binary or text
+ */
+export async function detectFileType(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  let head;
+  try {
+    head = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(head, 0, SNIFF_BYTES, 0);
+    head = head.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+
+  const ext = path.extname(filePath).toLowerCase();
+  const mediaType = imageMediaType(head);
+  if (mediaType) return { kind: 'image', mediaType };
+  if (isPdf(head)) return { kind: 'pdf' };
+  if (isZip(head)) return { kind: 'zip' };
+  if (ext === '.ipynb') return { kind: 'notebook' };
+  if (ext === '.csv' || ext === '.tsv') return { kind: 'csv' };
+  if (head.includes(0)) return { kind: 'binary' };
+  return { kind: 'text' };
+}
+
+/**
+ * Read a file that isn't plain text
+ * @param {string} filePath - Absolute path (already checked against the sandbox policy)
+ * @param {Object} [options]
+ * @param {number} [options.offset] - First line (or table row) to return, 1-based
+ * @param {number} [options.limit] - Lines (or table rows) to return
+ * @param {string} [options.pages] - PDF page range, e.g. "1-5" or "2,4"
+ * @param {string} [options.sheet] - XLSX sheet name or 1-based number
+ * @returns {Promise<Object|null>} Tool result, or null for plain text files
+ */
+export async function readDocument(filePath, options = {}) {
+  const type = await detectFileType(filePath);
+  if (type.kind === 'text') return null;
+
+  const { size } = await fs.stat(filePath);
+  if (type.kind === 'image') {
+    if (size > MAX_IMAGE_BYTES) {
+      return { error: `Image is too large to view (${formatSize(size)}; the limit is ${formatSize(MAX_IMAGE_BYTES)})` };
+    }
+    const buffer = await fs.readFile(filePath);
+    return {
+      type: 'image',
+      path: filePath,
+      media_type: type.mediaType,
+      size,
+      ...imageDimensions(buffer, type.mediaType),
+      data: buffer.toString('base64')
+    };
+  }
+
+  if (type.kind === 'binary') {
+    return { error: `${filePath} is a binary file (${formatSize(size)}) and cannot be displayed as text` };
+  }
+  if (size > MAX_DOCUMENT_BYTES) {
+    return { error: `File is too large to convert (${formatSize(size)}; the limit is ${formatSize(MAX_DOCUMENT_BYTES)})` };
+  }
+
+  const buffer = await fs.readFile(filePath);
+  switch (type.kind) {
+    case 'pdf':
+      return readPdf(buffer, options);
+    case 'notebook':
+      return { type: 'notebook', ...sliceLines(notebookToText(buffer.toString('utf-8')), options) };
+    case 'csv':
+      return readCsv(buffer.toString('utf-8'), path.extname(filePath).toLowerCase() === '.tsv' ? '\t' : null, options);
+    case 'zip': {
+      const entries = readZip(buffer);
+      if (entries.has('word/document.xml')) {
+        return { type: 'docx', ...sliceLines(docxToText(entries), options) };
+      }
+      if (entries.has('xl/workbook.xml')) return readXlsx(entries, options);
+      return {
+        error: `${filePath} is a ZIP archive, not a Word or Excel document`,
+        entries: [...entries.keys()].slice(0, 100)
+      };
+    }
+  }
+  return null;
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} bytes`;
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+/**
+ * Apply offset/limit to converted text
+ */
+function sliceLines(text, { offset = 0, limit } = {}) {
+  const lines = text.split('\n');
+  const start = Math.max(0, offset - 1);
+  const end = start + (limit || DEFAULT_LINE_LIMIT);
+  return {
+    content: lines.slice(start, end).join('\n'),
+    total_lines: lines.length,
+    ...(end < lines.length && { next_offset: end + 1 })
+  };
+}
+
+// ==================== IMAGES ====================
+
+function imageMediaType(head) {
+  const signature = head.subarray(0, 4).toString('latin1');
+  if (signature === '\x89PNG') return 'image/png';
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'image/jpeg';
+  if (signature === 'GIF8') return 'image/gif';
+  if (signature === 'RIFF' && head.subarray(8, 12).toString('latin1') === 'WEBP') return 'image/webp';
+  return null;
+}
+
+/**
+ * Media type and pixel size of an image
+ * @param {Buffer} buffer
+ * @returns {{ mediaType: string, width?: number, height?: number }|null} null if not a supported image
+ */
+export function getImageInfo(buffer) {
+  const mediaType = imageMediaType(buffer);
+  return mediaType ? { mediaType, ...imageDimensions(buffer, mediaType) } : null;
+}
+
+function imageDimensions(buffer, mediaType) {
+  try {
+    switch (mediaType) {
+      case 'image/png':
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+      case 'image/gif':
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+      case 'image/jpeg': {
+        // Walk the segments to the start-of-frame marker
+        let i = 2;
+        while (i + 9 < buffer.length && buffer[i] === 0xff) {
+          const marker = buffer[i + 1];
+          if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return { width: buffer.readUInt16BE(i + 7), height: buffer.readUInt16BE(i + 5) };
+          }
+          i += 2 + buffer.readUInt16BE(i + 2);
+        }
+        return {};
+      }
+      case 'image/webp': {
+        const chunk = buffer.subarray(12, 16).toString('latin1');
+        if (chunk === 'VP8 ') return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+        if (chunk === 'VP8L') {
+          const bits = buffer.readUInt32LE(21);
+          return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8X') return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        return {};
+      }
+    }
+  } catch {
+    // Truncated header: dimensions are optional
+  }
+  return {};
+}
+
+// ==================== PDF ====================
+
+function formatPageList(pages) {
+  const ranges = [];
+  for (const page of pages) {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === page - 1) last[1] = page;
+    else ranges.push([page, page]);
+  }
+  return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(',');
+}
+
+function readPdf(buffer, { pages }) {
+  const { totalPages, pages: extracted } = extractPdfText(buffer, {
+    selectPages: total => {
+      if (!pages) return Array.from({ length: Math.min(total, MAX_PDF_PAGES) }, (_, i) => i + 1);
+      const selected = parsePageRange(pages, total);
+      if (selected.length > MAX_PDF_PAGES) {
+        throw new Error(`At most ${MAX_PDF_PAGES} pages can be read at once; "${pages}" selects ${selected.length}`);
+      }
+      return selected;
+    }
+  });
+
+  const numbers = extracted.map(p => p.page);
+  const last = numbers[numbers.length - 1] ?? 0;
+  const hasText = extracted.some(p => p.text);
+  const unmapped = extracted.filter(p => p.unmappedGlyphs > 0).map(p => p.page);
+  return {
+    type: 'pdf',
+    content: extracted.map(p => `--- Page ${p.page} ---\n${p.text || '[no text on this page]'}`).join('\n\n'),
+    pages: formatPageList(numbers),
+    total_pages: totalPages,
+    ...(!pages && last < totalPages && { next_pages: `${last + 1}-${Math.min(totalPages, last + MAX_PDF_PAGES)}` }),
+    ...(!hasText && extracted.length > 0 && { note: 'No text layer found; the PDF may be scanned images' }),
+    ...(hasText && unmapped.length > 0 && {
+      note: `Some text on page${unmapped.length > 1 ? 's' : ''} ${formatPageList(unmapped)} uses fonts without a Unicode mapping and is missing`
+    })
+  };
+}
+
+// ==================== XML ====================
+
+/**
+ * Parse XML into { name, attrs, children } elements (children are elements
+ * or text strings). Tag names keep their namespace prefix.
+ */
+function parseXml(xml) {
+  const root = { name: '#document', attrs: {}, children: [] };
+  const stack = [root];
+  const pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+  for (const match of xml.matchAll(pattern)) {
+    const top = stack[stack.length - 1];
+    if (match[1] !== undefined) {
+      top.children.push(match[1]);
+    } else if (match[3]) {
+      if (match[2]) {
+        // Close the innermost open element with this name
+        const index = stack.findLastIndex(el => el.name === match[3]);
+        if (index > 0) stack.length = index;
+      } else {
+        const attrs = {};
+        for (const attr of match[4].matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+          attrs[attr[1]] = decodeHtmlEntities(attr[2] ?? attr[3]);
+        }
+        const element = { name: match[3], attrs, children: [] };
+        top.children.push(element);
+        if (!match[5]) stack.push(element);
+      }
+    } else if (match[6] !== undefined) {
+      top.children.push(decodeHtmlEntities(match[6]));
+    }
+  }
+  return root;
+}
+
+// Tag name without its namespace prefix
+function localName(element) {
+  return element.name.slice(element.name.indexOf(':') + 1);
+}
+
+function childElements(element, name) {
+  return element.children.filter(c => typeof c === 'object' && (!name || localName(c) === name));
+}
+
+function findAll(element, name, results = []) {
+  for (const child of childElements(element)) {
+    if (localName(child) === name) results.push(child);
+    else findAll(child, name, results);
+  }
+  return results;
+}
+
+function attr(element, name) {
+  if (!element) return undefined;
+  const key = Object.keys(element.attrs).find(k => k === name || k.endsWith(`:${name}`));
+  return key === undefined ? undefined : element.attrs[key];
+}
+
+function readXml(entries, name) {
+  const entry = entries.get(name);
+  return entry ? parseXml(entry.read().toString('utf-8')) : null;
+}
+
+export function toMarkdownTable(rows) {
+  const width = Math.max(1, ...rows.map(r => r.length));
+  const cell = value => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  const line = row => `| ${Array.from({ length: width }, (_, i) => cell(row[i])).join(' | ')} |`;
+  return [line(rows[0] ?? []), `|${' --- |'.repeat(width)}`, ...rows.slice(1).map(line)].join('\n');
+}
+
+// ==================== DOCX ====================
+
+/**
+ * Convert word/document.xml to Markdown-ish text: headings, list items,
+ * paragraphs and tables
+ */
+function docxToText(entries) {
+  // Heading levels by style id (ids are localized, names are not)
+  const headingLevels = new Map();
+  const styles = readXml(entries, 'word/styles.xml');
+  for (const style of styles ? findAll(styles, 'style') : []) {
+    const name = attr(childElements(style, 'name')[0], 'val') || '';
+    const heading = name.match(/^heading (\d)$/i);
+    if (heading) headingLevels.set(attr(style, 'styleId'), parseInt(heading[1], 10));
+    else if (/^title$/i.test(name)) headingLevels.set(attr(style, 'styleId'), 1);
+  }
+
+  const runText = (element) => element.children.map(child => {
+    if (typeof child === 'string') return '';
+    switch (localName(child)) {
+      case 't': return child.children.filter(c => typeof c === 'string').join('');
+      case 'tab': return '\t';
+      case 'br':
+      case 'cr': return '\n';
+      // Field codes and tracked deletions aren't document text
+      case 'instrText':
+      case 'delText':
+      case 'del': return '';
+      default: return runText(child);
+    }
+  }).join('');
+
+  const paragraph = (p) => {
+    const text = runText(p).trim();
+    if (!text) return '';
+    const properties = childElements(p, 'pPr')[0];
+    const style = attr(properties && childElements(properties, 'pStyle')[0], 'val');
+    const level = headingLevels.get(style) ?? (style?.match(/^Heading(\d)$/i) ? parseInt(style.slice(7), 10) : 0);
+    if (level) return `${'#'.repeat(level)} ${text}`;
+    const numbering = properties && childElements(properties, 'numPr')[0];
+    if (numbering) {
+      const depth = parseInt(attr(childElements(numbering, 'ilvl')[0], 'val') || '0', 10);
+      return `${'  '.repeat(depth)}- ${text}`;
+    }
+    return text;
+  };
+
+  const table = (tbl) => {
+    const rows = childElements(tbl, 'tr').map(tr =>
+      childElements(tr, 'tc').map(tc => findAll(tc, 'p').map(runText).map(t => t.trim()).filter(Boolean).join(' '))
+    );
+    return rows.length ? toMarkdownTable(rows) : '';
+  };
+
+  const blocks = (element) => childElements(element).flatMap(child => {
+    switch (localName(child)) {
+      case 'p': return [paragraph(child)];
+      case 'tbl': return [table(child)];
+      case 'sdt':
+      case 'sdtContent':
+      case 'customXml': return blocks(child);
+      default: return [];
+    }
+  });
+
+  const document = readXml(entries, 'word/document.xml');
+  const body = findAll(document, 'body')[0] ?? document;
+  return blocks(body).filter(Boolean).join('\n\n');
+}
+
+// ==================== XLSX ====================
+
+function columnIndex(reference) {
+  const letters = reference.match(/^[A-Z]+/i)?.[0].toUpperCase() ?? '';
+  return [...letters].reduce((index, ch) => index * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+function xlsxText(element) {
+  // Phonetic runs (rPh) annotate East Asian text and aren't part of it
+  return childElements(element).map(child => {
+    if (localName(child) === 't') return child.children.filter(c => typeof c === 'string').join('');
+    if (localName(child) === 'rPh') return '';
+    return xlsxText(child);
+  }).join('');
+}
+
+/**
+ * Sheets of a workbook as rows of cell strings
+ */
+function readWorkbook(entries) {
+  const workbook = readXml(entries, 'xl/workbook.xml');
+  const rels = readXml(entries, 'xl/_rels/workbook.xml.rels');
+  const targets = new Map((rels ? findAll(rels, 'Relationship') : []).map(r => [r.attrs.Id, r.attrs.Target]));
+  const sharedStringsXml = readXml(entries, 'xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXml ? findAll(sharedStringsXml, 'si').map(xlsxText) : [];
+
+  return findAll(workbook, 'sheet').map((sheet, i) => {
+    const target = targets.get(attr(sheet, 'id')) ?? `worksheets/sheet${i + 1}.xml`;
+    const entryName = target.startsWith('/') ? target.slice(1) : path.posix.normalize(`xl/${target}`);
+    const xml = readXml(entries, entryName);
+
+    const rows = [];
+    for (const row of xml ? findAll(xml, 'row') : []) {
+      const rowIndex = parseInt(row.attrs.r, 10) - 1 || rows.length;
+      const cells = [];
+      childElements(row, 'c').forEach((c, k) => {
+        const column = c.attrs.r ? columnIndex(c.attrs.r) : k;
+        const value = childElements(c, 'v')[0]?.children.join('') ?? '';
+        // A formula the writing app never calculated has no cached value
+        const formula = childElements(c, 'f')[0]?.children.filter(f => typeof f === 'string').join('');
+        if (!value && formula) {
+          cells[column] = `=${formula}`;
+          return;
+        }
+        switch (c.attrs.t) {
+          case 's': cells[column] = sharedStrings[parseInt(value, 10)] ?? ''; break;
+          case 'inlineStr': cells[column] = xlsxText(childElements(c, 'is')[0] ?? c); break;
+          case 'b': cells[column] = value === '1' ? 'TRUE' : 'FALSE'; break;
+          default: cells[column] = value;
+        }
+      });
+      rows[rowIndex] = cells;
+    }
+    return { name: sheet.attrs.name ?? `Sheet${i + 1}`, rows: Array.from(rows, r => Array.from(r ?? [], v => v ?? '')) };
+  });
+}
+
+/**
+ * A table's header row plus the window of data rows selected by offset/limit
+ */
+function tableWindow(rows, { offset = 0, limit } = {}) {
+  const start = Math.max(1, offset || 1);
+  const end = start + (limit || DEFAULT_LINE_LIMIT);
+  return {
+    table: rows.length ? toMarkdownTable([rows[0], ...rows.slice(start, end)]) : '',
+    total_rows: Math.max(0, rows.length - 1),
+    ...(end < rows.length && { next_offset: end })
+  };
+}
+
+function readXlsx(entries, options) {
+  const sheets = readWorkbook(entries);
+  let selected = sheets;
+  if (options.sheet !== undefined && options.sheet !== '') {
+    const byNumber = /^\d+$/.test(String(options.sheet)) ? sheets[parseInt(options.sheet, 10) - 1] : null;
+    const sheet = byNumber ?? sheets.find(s => s.name.toLowerCase() === String(options.sheet).toLowerCase());
+    if (!sheet) {
+      return { error: `No sheet "${options.sheet}". Sheets: ${sheets.map(s => s.name).join(', ')}` };
+    }
+    selected = [sheet];
+  }
+
+  const windows = selected.map(sheet => ({ name: sheet.name, ...tableWindow(sheet.rows, options) }));
+  return {
+    type: 'xlsx',
+    content: windows.map(w => `## Sheet: ${w.name}\n\n${w.table || '[empty]'}`).join('\n\n'),
+    sheets: windows.map(({ name, total_rows, next_offset }) => ({ name, total_rows, ...(next_offset && { next_offset }) }))
+  };
+}
+
+// ==================== CSV ====================
+
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c !== '"') field += c;
+      else if (text[i + 1] === '"') { field += '"'; i++; }
+      else quoted = false;
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// The candidate that splits the first line the most
+function sniffDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/)).replace(/"[^"]*"/g, '');
+  let best = ',';
+  let bestCount = 0;
+  for (const candidate of [',', ';', '\t', '|']) {
+    const count = firstLine.split(candidate).length - 1;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+function readCsv(text, delimiter, options) {
+  text = text.replace(/^\uFEFF/, '');
+  const rows = parseCsv(text, delimiter ?? sniffDelimiter(text));
+  const { table, ...window } = tableWindow(rows, options);
+  return { type: 'csv', content: table, ...window };
+}
+
+// ==================== NOTEBOOKS ====================
+
+/**
+ * Render a Jupyter notebook as its cells with their outputs
+ */
+function notebookToText(json) {
+  let notebook;
+  try {
+    notebook = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Invalid notebook JSON: ${error.message}`);
+  }
+
+  const join = value => (Array.isArray(value) ? value.join('') : value ?? '');
+  const clip = text => (text.length > MAX_CELL_OUTPUT_CHARS ? `${text.slice(0, MAX_CELL_OUTPUT_CHARS)}\n... [output truncated]` : text);
+  const stripAnsi = text => text.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '');
+  const language = notebook.metadata?.language_info?.name || notebook.metadata?.kernelspec?.language || '';
+  // nbformat 3 keeps cells in worksheets
+  const cells = notebook.cells ?? notebook.worksheets?.[0]?.cells ?? [];
+
+  const renderOutput = (output) => {
+    switch (output.output_type) {
+      case 'stream':
+        return join(output.text);
+      case 'execute_result':
+      case 'display_data':
+      case 'pyout': {
+        const data = output.data ?? output;
+        const text = join(data['text/plain'] ?? data.text);
+        const others = Object.keys(data).filter(type => type.includes('/') && type !== 'text/plain');
+        return [text, ...others.map(type => `[${type} output]`)].filter(Boolean).join('\n');
+      }
+      case 'error':
+      case 'pyerr':
+        return stripAnsi([`${output.ename}: ${output.evalue}`, ...(output.traceback ?? [])].join('\n'));
+      default:
+        return '';
+    }
+  };
+
+  return cells.map((cell, i) => {
+    const source = join(cell.source ?? cell.input);
+    const count = cell.execution_count ?? cell.prompt_number;
+    const parts = [`## Cell ${i + 1} (${cell.cell_type}${count != null ? `, In [${count}]` : ''})`];
+
+    parts.push(cell.cell_type === 'code' ? `\`\`\`${language}\n${source}\n\`\`\`` : source);
+
+    const outputs = (cell.outputs ?? []).map(renderOutput).filter(Boolean);
+    if (outputs.length > 0) {
+      parts.push(`Output:\n\`\`\`\n${clip(outputs.join('\n').trimEnd())}\n\`\`\``);
+    }
+    return parts.join('\n\n');
+  }).join('\n\n');
+}
@@ -0,0 +1,175 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readDocument } from './documents.js';
+import { createZip } from './zip.js';
+
+// A three-page PDF ("Page N: ...") and a notebook with stream, result and error outputs
+const fixture = name => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+const S = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"';
+const R = 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+const DOCX = [
+  {
+    name: 'word/styles.xml',
+    data: `<w:styles ${W}><w:style w:type="paragraph" w:styleId="Titre1"><w:name w:val="heading 1"/></w:style></w:styles>`
+  },
+  {
+    name: 'word/document.xml',
+    data: `<w:document ${W}><w:body>
+      <w:p><w:pPr><w:pStyle w:val="Titre1"/></w:pPr><w:r><w:t>Quarterly report</w:t></w:r></w:p>
+      <w:p><w:r><w:t xml:space="preserve">Revenue grew </w:t></w:r><w:r><w:rPr><w:b/></w:rPr><w:t>12%</w:t></w:r><w:del><w:r><w:delText>10%</w:delText></w:r></w:del><w:r><w:t xml:space="preserve"> &amp; costs fell.</w:t></w:r></w:p>
+      <w:p><w:pPr><w:numPr><w:ilvl w:val="1"/><w:numId w:val="1"/></w:numPr></w:pPr><w:r><w:t>North</w:t></w:r></w:p>
+      <w:tbl>
+        <w:tr><w:tc><w:p><w:r><w:t>Region</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>Total</w:t></w:r></w:p></w:tc></w:tr>
+        <w:tr><w:tc><w:p><w:r><w:t>North</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>1|2</w:t></w:r></w:p></w:tc></w:tr>
+      </w:tbl>
+    </w:body></w:document>`
+  }
+];
+
+const XLSX = [
+  {
+    name: 'xl/workbook.xml',
+    data: `<workbook ${S} ${R}><sheets><sheet name="Sales" sheetId="1" r:id="rId1"/><sheet name="Notes" sheetId="2" r:id="rId2"/></sheets></workbook>`
+  },
+  {
+    name: 'xl/_rels/workbook.xml.rels',
+    data: '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="worksheet" Target="worksheets/sales.xml"/>'
+      + '<Relationship Id="rId2" Type="worksheet" Target="/xl/worksheets/notes.xml"/></Relationships>'
+  },
+  {
+    name: 'xl/sharedStrings.xml',
+    data: `<sst ${S} count="4" uniqueCount="4"><si><t>Region</t></si><si><t>Total</t></si>`
+      + '<si><r><t>No</t></r><r><rPr><b/></rPr><t>rth</t></r></si><si><t>東京</t><rPh sb="0" eb="2"><t>トウキョウ</t></rPh></si></sst>'
+  },
+  {
+    name: 'xl/worksheets/sales.xml',
+    data: `<worksheet ${S}><sheetData>
+      <row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="inlineStr"><is><t>Active</t></is></c></row>
+      <row r="2"><c r="A2" t="s"><v>2</v></c><c r="B2"><v>12.5</v></c><c r="C2" t="b"><v>1</v></c></row>
+      <row r="3"><c r="A3" t="s"><v>3</v></c><c r="C3" t="b"><v>0</v></c></row>
+      <row r="5"><c r="A5" t="inlineStr"><is><t>Sum</t></is></c><c r="B5"><f>SUM(B2:B3)</f><v>12.5</v></c></row>
+      <row r="6"><c r="A6" t="inlineStr"><is><t>Average</t></is></c><c r="B6"><f>AVERAGE(B2:B3)</f></c></row>
+    </sheetData></worksheet>`
+  },
+  {
+    name: 'xl/worksheets/notes.xml',
+    data: `<worksheet ${S}><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>Checked</t></is></c></row></sheetData></worksheet>`
+  }
+];
+
+let dir;
+
+beforeAll(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'documents-'));
+  await fs.writeFile(path.join(dir, 'report.docx'), createZip(DOCX));
+  await fs.writeFile(path.join(dir, 'sales.xlsx'), createZip(XLSX));
+});
+
+afterAll(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('readDocument PDF', () => {
+  it('reads every page when no range is given', async () => {
+    const result = await readDocument(fixture('three-pages.pdf'));
+    expect(result).toMatchObject({ type: 'pdf', pages: '1-3', total_pages: 3 });
+    expect(result.content).toBe([
+      '--- Page 1 ---\nPage 1: Introduction',
+      '--- Page 2 ---\nPage 2: Methods and data',
+      '--- Page 3 ---\nPage 3: Results'
+    ].join('\n\n'));
+  });
+
+  it.each([
+    ['2', '2', ['Page 2']],
+    ['2-', '2-3', ['Page 2', 'Page 3']],
+    ['1,3', '1,3', ['Page 1', 'Page 3']],
+    ['3, 1-1', '1,3', ['Page 1', 'Page 3']]
+  ])('reads pages "%s"', async (pages, selected, headings) => {
+    const result = await readDocument(fixture('three-pages.pdf'), { pages });
+    expect(result.pages).toBe(selected);
+    expect(result.content.match(/Page \d(?= ---)/g)).toEqual(headings);
+  });
+
+  it.each([
+    ['4', /outside the document \(3 pages\)/],
+    ['3-1', /outside the document/],
+    ['a-b', /Invalid page range/]
+  ])('rejects the range "%s"', async (pages, message) => {
+    await expect(readDocument(fixture('three-pages.pdf'), { pages })).rejects.toThrow(message);
+  });
+});
+
+describe('readDocument DOCX', () => {
+  it('renders headings, paragraphs, lists and tables as Markdown', async () => {
+    const result = await readDocument(path.join(dir, 'report.docx'));
+    expect(result.type).toBe('docx');
+    expect(result.content).toBe([
+      '# Quarterly report',
+      'Revenue grew 12% & costs fell.',
+      '  - North',
+      '| Region | Total |\n| --- | --- |\n| North | 1\\|2 |'
+    ].join('\n\n'));
+  });
+
+  it('pages through the text by line', async () => {
+    const result = await readDocument(path.join(dir, 'report.docx'), { offset: 3, limit: 1 });
+    expect(result.content).toContain('Revenue grew');
+    expect(result.content).not.toContain('Quarterly report');
+  });
+});
+
+describe('readDocument XLSX', () => {
+  it('resolves shared strings, inline strings, booleans and sparse rows', async () => {
+    const result = await readDocument(path.join(dir, 'sales.xlsx'), { sheet: 'sales' });
+    expect(result.type).toBe('xlsx');
+    expect(result.content).toBe([
+      '## Sheet: Sales',
+      '',
+      '| Region | Total | Active |',
+      '| --- | --- | --- |',
+      '| North | 12.5 | TRUE |',
+      '| 東京 |  | FALSE |',
+      '|  |  |  |',
+      '| Sum | 12.5 |  |',
+      '| Average | =AVERAGE(B2:B3) |  |'
+    ].join('\n'));
+    expect(result.sheets).toEqual([{ name: 'Sales', total_rows: 5 }]);
+  });
+
+  it('reads every sheet, or one by number', async () => {
+    const all = await readDocument(path.join(dir, 'sales.xlsx'));
+    expect(all.sheets.map(s => s.name)).toEqual(['Sales', 'Notes']);
+    const notes = await readDocument(path.join(dir, 'sales.xlsx'), { sheet: 2 });
+    expect(notes.content).toBe('## Sheet: Notes\n\n| Checked |\n| --- |');
+  });
+
+  it('lists the sheets when the one asked for is missing', async () => {
+    expect(await readDocument(path.join(dir, 'sales.xlsx'), { sheet: 'Totals' }))
+      .toEqual({ error: 'No sheet "Totals". Sheets: Sales, Notes' });
+  });
+});
+
+describe('readDocument notebooks', () => {
+  it('renders cells with their outputs', async () => {
+    const result = await readDocument(fixture('analysis.ipynb'));
+    expect(result.type).toBe('notebook');
+    expect(result.content).toBe([
+      '## Cell 1 (markdown)',
+      '# Sales analysis\nTotals by region.',
+      '## Cell 2 (code, In [1])',
+      '```python\nimport pandas as pd\ndf = pd.read_csv(\'sales.csv\')\ndf\n```',
+      'Output:\n```\nloaded 3 rows\n\n   region  total\n0  north     12\n[text/html output]\n```',
+      '## Cell 3 (code, In [2])',
+      '```python\ndf.loc[\'south\']\n```',
+      'Output:\n```\nKeyError: \'south\'\nKeyError: \'south\'\n```'
+    ].join('\n\n'));
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * HTML character reference decoding, shared by the HTML parser, the
+ * DOCX/XLSX XML reader and the search result parsers.
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', shy: '', copy: '©', reg: '®', trade: '™',
+  hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+  bull: '•', middot: '·', deg: '°', times: '×', divide: '÷', euro: '€', pound: '£', yen: '¥', cent: '¢',
+  sect: '§', para: '¶', larr: '←', rarr: '→', uarr: '↑', darr: '↓', zwj: '', zwnj: '', thinsp: ' ', ensp: ' ', emsp: ' '
+};
+
+// Names HTML still decodes without a trailing semicolon (the legacy set)
+const LEGACY_ENTITIES = new Set([
+  'amp', 'lt', 'gt', 'quot', 'nbsp', 'shy', 'copy', 'reg', 'laquo', 'raquo', 'middot', 'deg', 'times',
+  'divide', 'pound', 'yen', 'cent', 'sect', 'para'
+]);
+
+/**
+ * Decode HTML character references (named, decimal and hex). References
+ * the table doesn't know, or code points out of range, are left as written.
+ * Without a semicolon only legacy names are decoded, and not when followed
+ * by "=" or a letter or digit, so "?a=1&times=2" and "a&copy2" keep their text.
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeHtmlEntities(text) {
+  if (!text.includes('&')) return text;
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*)(;?)/gi, (match, ref, semicolon, offset) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const name = NAMED_ENTITIES[ref] !== undefined ? ref : ref.toLowerCase();
+    if (!semicolon && (!LEGACY_ENTITIES.has(name) || /[=a-z0-9]/i.test(text[offset + match.length] ?? ''))) {
+      return match;
+    }
+    return NAMED_ENTITIES[name] ?? match;
+  });
+}
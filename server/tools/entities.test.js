@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { decodeHtmlEntities } from './entities.js';
+
+describe('decodeHtmlEntities', () => {
+  it.each([
+    ['Fish &amp; Chips', 'Fish & Chips'],
+    ['&lt;div class=&quot;a&quot;&gt;', '<div class="a">'],
+    ['It&apos;s &hellip; &mdash; done', 'It\'s … — done'],
+    ['&copy; 2024 &trade;', '© 2024 ™'],
+    ['&AMP; &Copy;', '& ©'],
+    ['a&nbsp;b', 'a b']
+  ])('decodes named references: %s', (text, decoded) => {
+    expect(decodeHtmlEntities(text)).toBe(decoded);
+  });
+
+  it.each([
+    ['&#39;quoted&#39;', '\'quoted\''],
+    ['&#x27;hex&#X27;', '\'hex\''],
+    ['&#128512;', '😀'],
+    ['&#38 no semicolon', '& no semicolon'],
+    ['&#0; &#x110000;', '&#0; &#x110000;']
+  ])('decodes numeric references: %s', (text, decoded) => {
+    expect(decodeHtmlEntities(text)).toBe(decoded);
+  });
+
+  it.each([
+    ['Fish &amp Chips', 'Fish & Chips'],
+    ['&copy 2024', '© 2024'],
+    ['5 &times 3', '5 × 3'],
+    ['&lt&gt', '<>'],
+    ['&amp', '&']
+  ])('decodes legacy names without a semicolon: %s', (text, decoded) => {
+    expect(decodeHtmlEntities(text)).toBe(decoded);
+  });
+
+  it.each([
+    '?page=2&times=3',
+    'a&copy2',
+    '/search?q=x&amp=1',
+    'x&copyright',
+    '&hellip and &mdash',
+    '&euro 5',
+    '&unknown; &nosuch'
+  ])('leaves %s as written', text => {
+    expect(decodeHtmlEntities(text)).toBe(text);
+  });
+
+  it('returns text without ampersands unchanged', () => {
+    expect(decodeHtmlEntities('plain text')).toBe('plain text');
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * File search engine for the Grep tool.
+ * Walks a directory in a stable (sorted) order, honouring .gitignore files
+ * and skipping .git, node_modules and binary files, and yields the matches
+ * of a regex per file - line by line, or across lines in multiline mode.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { globToRegExp } from './sandbox-policy.js';
+
+// Skipped unless ignore rules are turned off
+const DEFAULT_IGNORED_DIRS = new Set(['.git', 'node_modules']);
+
+// Bytes sniffed for a NUL byte to detect binary files
+const BINARY_SNIFF_BYTES = 8192;
+
+// Larger files are skipped rather than read into memory
+const MAX_FILE_BYTES = 20 * 1024 * 1024;
+
+// Matched lines are cut to this many characters
+const MAX_LINE_CHARS = 300;
+
+/**
+ * Expand {a,b} alternatives: "*.{js,ts}" -> ["*.js", "*.ts"]
+ */
+function expandBraces(pattern) {
+  const match = pattern.match(/\{([^{}]*)\}/);
+  if (!match) return [pattern];
+  return match[1].split(',').flatMap(option =>
+    expandBraces(pattern.slice(0, match.index) + option + pattern.slice(match.index + match[0].length))
+  );
+}
+
+/**
+ * Matcher for an include glob. Patterns without a slash match the file
+ * name at any depth ("*.js"); others match the path relative to the root.
+ */
+function createIncludeMatcher(include) {
+  const regexes = expandBraces(include).map(p => ({
+    basename: !p.includes('/'),
+    regex: globToRegExp(p.replace(/^\.\//, ''))
+  }));
+  return relativePath => regexes.some(({ basename, regex }) =>
+    regex.test(basename ? path.posix.basename(relativePath) : relativePath)
+  );
+}
+
+/**
+ * Parse a .gitignore file into rules relative to its directory
+ */
+function parseGitignore(content, base) {
+  const rules = [];
+  for (let line of content.split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith('#')) continue;
+    line = line.replace(/(?<!\\)\s+$/, '');
+
+    const negate = line.startsWith('!');
+    if (negate) line = line.slice(1);
+    line = line.replace(/^\\([#!])/, '$1');
+
+    const dirOnly = line.endsWith('/');
+    if (dirOnly) line = line.slice(0, -1);
+
+    // A slash anywhere but the end anchors the pattern to this directory
+    const anchored = line.includes('/');
+    line = line.replace(/^\//, '');
+    if (!line) continue;
+
+    rules.push({
+      base,
+      negate,
+      dirOnly,
+      regex: globToRegExp(anchored ? line : `**/${line}`)
+    });
+  }
+  return rules;
+}
+
+async function readGitignore(dir) {
+  try {
+    return parseGitignore(await fs.readFile(path.join(dir, '.gitignore'), 'utf-8'), dir);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Whether a path is ignored; the last matching rule wins
+ */
+function isIgnored(rules, fullPath, isDirectory) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) continue;
+    const relative = path.relative(rule.base, fullPath).split(path.sep).join('/');
+    if (!relative || relative === '..' || relative.startsWith('../') || path.isAbsolute(relative)) continue;
+    if (rule.regex.test(relative)) ignored = !rule.negate;
+  }
+  return ignored;
+}
+
+/**
+ * .gitignore rules from the directories above the search root, up to the
+ * repository root (the nearest directory containing .git)
+ */
+async function loadParentRules(root) {
+  const chain = [];
+  let dir = path.dirname(root);
+  while (true) {
+    chain.unshift(dir);
+    try {
+      await fs.access(path.join(dir, '.git'));
+      break;
+    } catch {
+      // keep climbing
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return []; // not inside a repository
+    dir = parent;
+  }
+  return (await Promise.all(chain.map(readGitignore))).flat();
+}
+
+/**
+ * Yield the files under root in sorted order
+ * @param {string} root - File or directory
+ * @param {Object} [options]
+ * @param {string} [options.include] - Glob the files must match
+ * @param {boolean} [options.noIgnore] - Search ignored files, .git and node_modules too
+ * @param {AbortSignal} [options.signal]
+ */
+export async function* walkFiles(root, { include, noIgnore = false, signal } = {}) {
+  const stat = await fs.stat(root);
+  if (stat.isFile()) {
+    yield root;
+    return;
+  }
+
+  const matchesInclude = include ? createIncludeMatcher(include) : () => true;
+  const baseRules = noIgnore ? [] : [...await loadParentRules(root), ...await readGitignore(root)];
+
+  async function* walk(dir, rules) {
+    if (signal?.aborted) return;
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      return; // unreadable directory
+    }
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!noIgnore && (DEFAULT_IGNORED_DIRS.has(entry.name) || isIgnored(rules, full, true))) continue;
+        yield* walk(full, noIgnore ? rules : [...rules, ...await readGitignore(full)]);
+      } else if (entry.isFile()) {
+        if (!noIgnore && isIgnored(rules, full, false)) continue;
+        if (matchesInclude(path.relative(root, full).split(path.sep).join('/'))) yield full;
+      }
+    }
+  }
+
+  yield* walk(root, baseRules);
+}
+
+/**
+ * Read a text file, or return null for binary and oversized files
+ */
+export async function readTextFile(file) {
+  const handle = await fs.open(file, 'r');
+  try {
+    const { size } = await handle.stat();
+    if (size > MAX_FILE_BYTES) return null;
+    const buffer = Buffer.alloc(Math.min(size, BINARY_SNIFF_BYTES));
+    await handle.read(buffer, 0, buffer.length, 0);
+    if (buffer.includes(0)) return null;
+  } finally {
+    await handle.close();
+  }
+  return fs.readFile(file, 'utf-8');
+}
+
+function clip(line) {
+  return line.length > MAX_LINE_CHARS ? line.slice(0, MAX_LINE_CHARS) + '...' : line;
+}
+
+/**
+ * Build the search regex
+ * @param {string} pattern
+ * @param {Object} options
+ * @param {boolean} [options.caseInsensitive]
+ * @param {boolean} [options.multiline] - Match across lines ('.' also matches newlines)
+ */
+export function compilePattern(pattern, { caseInsensitive = false, multiline = false } = {}) {
+  return new RegExp(pattern, 'gm' + (caseInsensitive ? 'i' : '') + (multiline ? 's' : ''));
+}
+
+/**
+ * Find the matches of regex in a file's content
+ * @param {string} content
+ * @param {RegExp} regex - From compilePattern (global)
+ * @param {Object} [options]
+ * @param {boolean} [options.multiline]
+ * @param {number} [options.before] - Context lines before each match
+ * @param {number} [options.after] - Context lines after each match
+ * @returns {Array<{ line: number, end_line?: number, content: string, before?: Object[], after?: Object[] }>}
+ */
+export function searchContent(content, regex, { multiline = false, before = 0, after = 0 } = {}) {
+  const lines = content.split(/\r?\n/);
+  const matches = [];
+
+  if (multiline) {
+    // Line start offsets, to turn match positions into line numbers
+    const starts = [0];
+    for (let i = 0; i < content.length; i++) {
+      if (content[i] === '\n') starts.push(i + 1);
+    }
+    const lineAt = offset => {
+      let low = 0;
+      let high = starts.length - 1;
+      while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (starts[mid] <= offset) low = mid; else high = mid - 1;
+      }
+      return low;
+    };
+
+    regex.lastIndex = 0;
+    for (const match of content.matchAll(regex)) {
+      const first = lineAt(match.index);
+      const last = lineAt(match.index + Math.max(0, match[0].length - 1));
+      matches.push({ first, last });
+    }
+  } else {
+    // A fresh non-global copy: test() on a /g regex carries lastIndex between lines
+    const lineRegex = new RegExp(regex.source, regex.flags.replace('g', ''));
+    lines.forEach((line, i) => {
+      if (lineRegex.test(line)) matches.push({ first: i, last: i });
+    });
+  }
+
+  // Several matches on one line are one result
+  const results = [];
+  for (const { first, last } of matches) {
+    if (results.length > 0 && results[results.length - 1].first === first) continue;
+    results.push({ first, last });
+  }
+
+  return results.map(({ first, last }) => ({
+    line: first + 1,
+    ...(last > first && { end_line: last + 1 }),
+    content: lines.slice(first, last + 1).map(clip).join('\n'),
+    ...(before > 0 && {
+      before: lines.slice(Math.max(0, first - before), first).map((text, k, arr) => ({ line: first - arr.length + k + 1, content: clip(text) }))
+    }),
+    ...(after > 0 && {
+      after: lines.slice(last + 1, last + 1 + after).map((text, k) => ({ line: last + k + 2, content: clip(text) }))
+    })
+  }));
+}
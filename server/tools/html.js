@@ -0,0 +1,482 @@
+/**
+ * HTML parsing and main-content extraction for WebFetch.
+ * A forgiving parser builds a small element tree (implied end tags, void
+ * and raw-text elements, stray closing tags), then a Readability-style
+ * scorer picks the element holding the page's main text, which is
+ * converted to Markdown with its headings, lists, tables and links.
+ */
+
+import { toMarkdownTable } from './documents.js';
+import { decodeHtmlEntities } from './entities.js';
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'noscript', 'xmp']);
+
+// Opening one of these closes an open <p>
+const CLOSES_P = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figure', 'footer', 'form',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+// Elements closed by opening the same (or a sibling) element
+const IMPLIED_END = {
+  li: new Set(['li']),
+  dt: new Set(['dt', 'dd']),
+  dd: new Set(['dt', 'dd']),
+  option: new Set(['option']),
+  td: new Set(['td', 'th', 'tr', 'tbody', 'thead', 'tfoot']),
+  th: new Set(['td', 'th', 'tr', 'tbody', 'thead', 'tfoot']),
+  tr: new Set(['tr', 'tbody', 'thead', 'tfoot']),
+  thead: new Set(['tbody', 'tfoot']),
+  tbody: new Set(['tbody', 'tfoot'])
+};
+
+function parseAttributes(source) {
+  const attributes = {};
+  for (const match of source.matchAll(/([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+    const name = match[1].toLowerCase();
+    if (!(name in attributes)) attributes[name] = decodeHtmlEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/y;
+
+/**
+ * Parse HTML into a tree of { tag, attrs, children, parent } elements and
+ * { text } nodes. Comments, doctypes, scripts and styles are dropped.
+ * @param {string} html
+ * @returns {{ tag: '#document', children: Object[], title: string }}
+ */
+export function parseHtml(html) {
+  const root = { tag: '#document', attrs: {}, children: [], parent: null };
+  const stack = [root];
+  let title = '';
+  const current = () => stack[stack.length - 1];
+  const appendText = text => {
+    if (text) current().children.push({ text: decodeHtmlEntities(text) });
+  };
+  const closeTo = index => {
+    stack.length = Math.max(1, index);
+  };
+
+  let i = 0;
+  while (i < html.length) {
+    const lt = html.indexOf('<', i);
+    if (lt === -1) {
+      appendText(html.slice(i));
+      break;
+    }
+    appendText(html.slice(i, lt));
+
+    if (html.startsWith('<!--', lt)) {
+      const end = html.indexOf('-->', lt + 4);
+      i = end === -1 ? html.length : end + 3;
+      continue;
+    }
+    if (html[lt + 1] === '!' || html[lt + 1] === '?') {
+      const end = html.indexOf('>', lt);
+      i = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    TAG_PATTERN.lastIndex = lt;
+    const match = TAG_PATTERN.exec(html);
+    if (!match) {
+      appendText('<');
+      i = lt + 1;
+      continue;
+    }
+    i = TAG_PATTERN.lastIndex;
+    const [, closing, rawName, attributeSource, selfClosing] = match;
+    const tag = rawName.toLowerCase();
+
+    if (closing) {
+      // Close the nearest matching element; stray closing tags are ignored
+      for (let s = stack.length - 1; s > 0; s--) {
+        if (stack[s].tag === tag) {
+          closeTo(s);
+          break;
+        }
+      }
+      continue;
+    }
+
+    if (tag === 'p' || CLOSES_P.has(tag)) {
+      const open = stack.findLastIndex(el => el.tag === 'p');
+      if (open > 0 && !stack.slice(open + 1).some(el => el.tag === 'table' || el.tag === 'button')) closeTo(open);
+    }
+    while (IMPLIED_END[current().tag]?.has(tag)) stack.pop();
+
+    const element = { tag, attrs: parseAttributes(attributeSource), children: [], parent: current() };
+    current().children.push(element);
+
+    if (RAW_TEXT_ELEMENTS.has(tag)) {
+      const end = html.toLowerCase().indexOf(`</${tag}`, i);
+      const content = html.slice(i, end === -1 ? html.length : end);
+      if (tag === 'title' && !title) title = decodeHtmlEntities(content).replace(/\s+/g, ' ').trim();
+      if (tag === 'textarea' || tag === 'xmp') element.children.push({ text: tag === 'xmp' ? content : decodeHtmlEntities(content) });
+      i = end === -1 ? html.length : html.indexOf('>', end) + 1 || html.length;
+      continue;
+    }
+    if (!VOID_ELEMENTS.has(tag) && !selfClosing) stack.push(element);
+  }
+
+  root.title = title;
+  return root;
+}
+
+// ==================== TREE HELPERS ====================
+
+function* elements(node) {
+  for (const child of node.children || []) {
+    if (child.tag) {
+      yield child;
+      yield* elements(child);
+    }
+  }
+}
+
+export function textContent(node) {
+  if (node.text !== undefined) return node.text;
+  return (node.children || []).map(textContent).join('');
+}
+
+function removeNode(node) {
+  const siblings = node.parent?.children;
+  const index = siblings ? siblings.indexOf(node) : -1;
+  if (index !== -1) siblings.splice(index, 1);
+}
+
+function linkDensity(node) {
+  const length = textContent(node).trim().length;
+  if (!length) return 0;
+  let linkLength = 0;
+  for (const el of elements(node)) {
+    if (el.tag === 'a' && !(el.attrs.href || '').startsWith('#')) linkLength += textContent(el).trim().length;
+  }
+  return linkLength / length;
+}
+
+// ==================== MAIN CONTENT ====================
+
+// Elements that are never part of the main content
+const DROPPED_ELEMENTS = new Set([
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object', 'embed', 'button', 'input',
+  'select', 'textarea', 'nav', 'aside', 'footer', 'dialog', 'menu', 'head', 'link', 'meta'
+]);
+const DROPPED_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'dialog', 'alertdialog', 'menu', 'menubar', 'search']);
+
+// Class/id hints, after Mozilla's Readability
+const UNLIKELY = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|yom-remote|cookie|consent|newsletter|subscribe|share/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+function classWeight(el) {
+  let weight = 0;
+  for (const value of [el.attrs.class, el.attrs.id]) {
+    if (!value) continue;
+    if (NEGATIVE.test(value)) weight -= 25;
+    if (POSITIVE.test(value)) weight += 25;
+  }
+  return weight;
+}
+
+function isHidden(el) {
+  return 'hidden' in el.attrs ||
+    el.attrs['aria-hidden'] === 'true' ||
+    /display\s*:\s*none|visibility\s*:\s*hidden/i.test(el.attrs.style || '');
+}
+
+// Strip navigation, hidden elements and boilerplate blocks from the tree
+function removeBoilerplate(root) {
+  for (const el of [...elements(root)]) {
+    if (!el.parent || !el.parent.children.includes(el)) continue;
+    const hints = `${el.attrs.class || ''} ${el.attrs.id || ''}`;
+    if (
+      DROPPED_ELEMENTS.has(el.tag) ||
+      DROPPED_ROLES.has(el.attrs.role) ||
+      isHidden(el) ||
+      (UNLIKELY.test(hints) && !MAYBE_CANDIDATE.test(hints) && !['body', 'html', 'article', 'main', 'a'].includes(el.tag))
+    ) {
+      removeNode(el);
+    }
+  }
+}
+
+const INITIAL_SCORES = {
+  div: 5, article: 10, main: 10, section: 3, pre: 3, td: 3, blockquote: 3,
+  address: -3, ol: -3, ul: -3, dl: -3, dd: -3, dt: -3, li: -3, form: -3,
+  h1: -5, h2: -5, h3: -5, h4: -5, h5: -5, h6: -5, th: -5
+};
+const BLOCK_CHILDREN = new Set(['div', 'p', 'pre', 'table', 'ul', 'ol', 'blockquote', 'section', 'article', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'dl', 'figure']);
+
+/**
+ * The element most likely to hold the page's main text
+ */
+function findMainElement(root) {
+  const body = [...elements(root)].find(el => el.tag === 'body') || root;
+  const scores = new Map();
+  const scoreOf = el => {
+    if (!scores.has(el)) scores.set(el, (INITIAL_SCORES[el.tag] || 0) + classWeight(el));
+    return scores.get(el);
+  };
+
+  for (const el of elements(body)) {
+    const paragraphLike = el.tag === 'p' || el.tag === 'pre' || el.tag === 'td' ||
+      (el.tag === 'div' && !el.children.some(child => BLOCK_CHILDREN.has(child.tag)));
+    if (!paragraphLike) continue;
+    const text = textContent(el).trim();
+    if (text.length < 25) continue;
+
+    const score = 1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    let ancestor = el.parent;
+    for (let level = 0; ancestor && ancestor !== root && level < 5; level++, ancestor = ancestor.parent) {
+      const share = level === 0 ? score : level === 1 ? score / 2 : score / (level * 3);
+      scores.set(ancestor, scoreOf(ancestor) + share);
+    }
+  }
+
+  let top = null;
+  let topScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity(el));
+    scores.set(el, adjusted);
+    if (adjusted > topScore) {
+      top = el;
+      topScore = adjusted;
+    }
+  }
+  if (!top) return body;
+
+  // Prefer an enclosing <article>/<main> that holds little else
+  for (let el = top.parent; el && el !== body; el = el.parent) {
+    if ((el.tag === 'article' || el.tag === 'main' || el.attrs.role === 'main') &&
+        textContent(top).length >= 0.6 * textContent(el).length) {
+      top = el;
+      break;
+    }
+  }
+
+  // Bring in siblings that look like more of the same content
+  const threshold = Math.max(10, topScore * 0.2);
+  const parent = top.parent;
+  if (!parent || parent === root) return top;
+  const related = parent.children.filter(sibling => {
+    if (sibling === top) return true;
+    if (!sibling.tag) return false;
+    if ((scores.get(sibling) || 0) >= threshold) return true;
+    if (sibling.tag === 'p') {
+      const text = textContent(sibling).trim();
+      return (text.length > 80 && linkDensity(sibling) < 0.25) || (text.length > 0 && linkDensity(sibling) === 0 && /\.( |$)/.test(text));
+    }
+    return false;
+  });
+  return related.length === 1 ? top : { tag: 'div', attrs: {}, children: related, parent: null };
+}
+
+// Drop link lists and other low-text blocks left inside the main content
+function removeClutter(main) {
+  for (const el of [...elements(main)]) {
+    if (!['div', 'section', 'ul', 'ol', 'table', 'form', 'header'].includes(el.tag)) continue;
+    if ([...elements(el)].some(child => child.tag === 'pre' || child.tag === 'code' && child.parent?.tag === 'pre')) continue;
+    const text = textContent(el).trim();
+    const density = linkDensity(el);
+    if ((density > 0.5 && text.length < 500) || (classWeight(el) < 0 && text.length < 200) || (!text && !el.children.some(c => c.tag === 'img'))) {
+      removeNode(el);
+    }
+  }
+}
+
+// ==================== MARKDOWN ====================
+
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'center', 'dd', 'details', 'dialog', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'header', 'hgroup', 'html', 'li', 'main', 'nav', 'p',
+  'section', 'summary', 'tr'
+]);
+
+// Markers replaced after whitespace is normalized: list indentation and code blocks
+const INDENT = '\u0001';
+const CODE_BLOCK = '\u0002';
+
+function resolveUrl(href, baseUrl) {
+  if (!href) return null;
+  try {
+    const url = new URL(href.trim(), baseUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:' || url.protocol === 'mailto:' ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function normalizeMarkdown(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function wrapInline(text, marker) {
+  const trimmed = text.trim();
+  if (!trimmed) return text;
+  const lead = text.match(/^\s*/)[0];
+  const trail = text.match(/\s*$/)[0];
+  return `${lead}${marker}${trimmed}${marker}${trail}`;
+}
+
+class MarkdownWriter {
+  constructor(baseUrl) {
+    this.baseUrl = baseUrl;
+    this.codeBlocks = [];
+  }
+
+  write(root) {
+    const markdown = normalizeMarkdown(this.render(root));
+    return markdown
+      .replace(new RegExp(INDENT, 'g'), ' ')
+      .replace(new RegExp(`${CODE_BLOCK}(\\d+)${CODE_BLOCK}`, 'g'), (_, n) => this.codeBlocks[n]);
+  }
+
+  children(node) {
+    return (node.children || []).map(child => this.render(child)).join('');
+  }
+
+  render(node) {
+    if (node.text !== undefined) return node.text.replace(/\s+/g, ' ');
+    const tag = node.tag;
+
+    switch (tag) {
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+        const text = this.children(node).replace(/\s+/g, ' ').trim();
+        return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+      }
+      case 'p':
+        return `\n\n${this.children(node)}\n\n`;
+      case 'br':
+        return '\n';
+      case 'hr':
+        return '\n\n---\n\n';
+      case 'pre': {
+        const code = textContent(node).replace(/^\n/, '').replace(/\s+$/, '');
+        const languageSource = `${node.attrs.class || ''} ${[...elements(node)].find(el => el.tag === 'code')?.attrs.class || ''}`;
+        const language = languageSource.match(/(?:lang(?:uage)?-)([\w+#-]+)/)?.[1] || '';
+        const fence = code.includes('```') ? '~~~' : '```';
+        this.codeBlocks.push(`${fence}${language}\n${code}\n${fence}`);
+        return `\n\n${CODE_BLOCK}${this.codeBlocks.length - 1}${CODE_BLOCK}\n\n`;
+      }
+      case 'code': case 'kbd': case 'samp': {
+        const text = textContent(node).replace(/\s+/g, ' ');
+        if (!text.trim()) return text;
+        const fence = text.includes('`') ? '``' : '`';
+        return `${fence}${text}${fence}`;
+      }
+      case 'strong': case 'b':
+        return wrapInline(this.children(node), '**');
+      case 'em': case 'i':
+        return wrapInline(this.children(node), '*');
+      case 'del': case 's': case 'strike':
+        return wrapInline(this.children(node), '~~');
+      case 'a': {
+        const text = this.children(node);
+        const href = resolveUrl(node.attrs.href, this.baseUrl);
+        if (!text.trim() || !href || node.attrs.href.startsWith('#')) return text;
+        return wrapInline(text, '').replace(text.trim(), `[${text.trim().replace(/([[\]])/g, '\\$1')}](${href.replace(/[()]/g, c => encodeURIComponent(c))})`);
+      }
+      case 'img': {
+        const src = resolveUrl(node.attrs.src || node.attrs['data-src'], this.baseUrl);
+        if (!src || Number(node.attrs.width) <= 2 || Number(node.attrs.height) <= 2) return '';
+        return `![${(node.attrs.alt || '').replace(/[[\]\n]/g, ' ').trim()}](${src})`;
+      }
+      case 'ul': case 'ol':
+        return this.renderList(node);
+      case 'blockquote': {
+        const content = normalizeMarkdown(this.children(node));
+        return content ? `\n\n${content.split('\n').map(line => `> ${line}`).join('\n')}\n\n` : '';
+      }
+      case 'table':
+        return this.renderTable(node);
+      case 'dt':
+        return `\n\n**${this.children(node).trim()}**\n`;
+      case 'dd':
+        return `\n${this.children(node)}\n\n`;
+      case 'figcaption':
+        return `\n\n*${this.children(node).trim()}*\n\n`;
+      default:
+        return BLOCK_ELEMENTS.has(tag) ? `\n\n${this.children(node)}\n\n` : this.children(node);
+    }
+  }
+
+  renderList(node) {
+    const ordered = node.tag === 'ol';
+    let number = parseInt(node.attrs.start, 10) || 1;
+    const items = node.children.filter(child => child.tag === 'li').map(item => {
+      const marker = ordered ? `${number++}. ` : '- ';
+      const content = normalizeMarkdown(this.children(item)).replace(/\n{2,}/g, '\n');
+      const [first, ...rest] = content.split('\n');
+      return marker + first + rest.map(line => `\n${INDENT.repeat(marker.length)}${line}`).join('');
+    });
+    return items.length ? `\n\n${items.join('\n')}\n\n` : '';
+  }
+
+  renderTable(node) {
+    const rows = [];
+    let layout = false;
+    const collect = el => {
+      for (const child of el.children || []) {
+        if (!child.tag) continue;
+        if (child.tag === 'table') layout = true;
+        else if (child.tag === 'tr') rows.push(child);
+        else if (['thead', 'tbody', 'tfoot'].includes(child.tag)) collect(child);
+      }
+    };
+    collect(node);
+    const cells = rows.map(row => row.children.filter(child => child.tag === 'td' || child.tag === 'th'));
+    for (const row of cells) {
+      for (const cell of row) {
+        if ([...elements(cell)].some(el => el.tag === 'table' || el.tag === 'ul' || el.tag === 'pre')) layout = true;
+      }
+    }
+
+    // Layout tables (and one-column tables) are rendered as their contents
+    const columns = Math.max(0, ...cells.map(row => row.length));
+    if (layout || columns < 2 || rows.length < 2) return `\n\n${this.children(node)}\n\n`;
+
+    const text = cells.map(row => row.map(cell => normalizeMarkdown(this.children(cell)).replace(/\n+/g, ' ')));
+    return `\n\n${toMarkdownTable(text)}\n\n`;
+  }
+}
+
+/**
+ * Convert an HTML page to Markdown
+ * @param {string} html
+ * @param {Object} [options]
+ * @param {string} [options.url] - Page URL, for resolving relative links
+ * @param {boolean} [options.mainContent] - Keep only the main content (default: true)
+ * @returns {{ title: string, content: string }}
+ */
+export function htmlToMarkdown(html, { url, mainContent = true } = {}) {
+  const root = parseHtml(html);
+  const allElements = [...elements(root)];
+  const base = allElements.find(el => el.tag === 'base')?.attrs.href;
+  const baseUrl = resolveUrl(base, url) || url;
+  const meta = name => allElements.find(el => el.tag === 'meta' && (el.attrs.property === name || el.attrs.name === name))?.attrs.content;
+  const title = (meta('og:title') || root.title || textContent(allElements.find(el => el.tag === 'h1') || { text: '' })).replace(/\s+/g, ' ').trim();
+
+  let target = root;
+  if (mainContent) {
+    removeBoilerplate(root);
+    target = findMainElement(root);
+    removeClutter(target);
+  }
+  let content = new MarkdownWriter(baseUrl).write(target);
+
+  // Extraction can misfire on unusual layouts; fall back to the whole page
+  if (mainContent && content.length < 200) {
+    const whole = htmlToMarkdown(html, { url, mainContent: false }).content;
+    if (whole.length > content.length * 3) content = whole;
+  }
+  return { title, content };
+}
@@ -6,126 +6,315 @@
 
 import fs from 'fs/promises';
 import path from 'path';
-import { exec } from 'child_process';
+import { exec, execFile } from 'child_process';
 import { promisify } from 'util';
 import { glob } from 'glob';
-import https from 'https';
-import http from 'http';
+import { getConversationStore } from '../store/index.js';
+import { searchWeb } from '../search/index.js';
+import { resolveWorkspacePath, filterInsideWorkspace, getWorkingDirectory } from './workspace.js';
+import { getSandboxPolicy } from './sandbox-policy.js';
+import { requestApproval, resolveApproval, getPendingApprovals } from './approvals.js';
+import { getTrash } from './trash.js';
+import { getCheckpointStore } from './checkpoints.js';
+import { applyEdits, createUnifiedDiff, EditError } from './text-edit.js';
+import { parsePatch, applyHunks, PatchError } from './patch.js';
+import { walkFiles, readTextFile, compilePattern, searchContent } from './grep.js';
+import { readDocument, getImageInfo } from './documents.js';
+import { planBatch, runStep, BatchError, CONFLICT_POLICIES } from './batch-ops.js';
+import { createXlsx, createDocx } from './office-writer.js';
+import { createPdf } from './pdf-writer.js';
+import { fetchPage } from './web-fetch.js';
+import { getNetworkPolicy, NetworkPolicyError } from './network-policy.js';
+import { UNTRUSTED_TOOLS, recordUntrustedContent, getUntrustedContent } from './untrusted-content.js';
+import { getShellSession, runCommand, getJobManager, JobError } from './shell.js';
+import { getCommandPolicy } from './command-policy.js';
+import { MUTATING_TOOLS, getToolPaths } from '../providers/tool-scheduler.js';
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
-// In-memory todo storage per session
-const todoStorage = new Map();
-
-// Pending deletions requiring user approval
-const pendingDeletions = new Map();
-
-// Pending permissions for sensitive path access
-const pendingPermissions = new Map();
-const approvedPaths = new Map(); // sessionId -> Set of approved paths
-
-// Progress tracking for visibility
-const progressTracker = new Map();
-
-// Sensitive paths that require permission
-const SENSITIVE_PATHS = [
-  'Downloads',
-  'Documents',
-  'Desktop',
-  'Pictures',
-  'Videos',
-  'Music',
-  'AppData',
-  'Application Data',
-  '.ssh',
-  '.aws',
-  '.config',
-  'Program Files',
-  'Windows',
-  'System32'
-];
+// Diffs returned by Edit/MultiEdit are cut to this size
+const MAX_DIFF_CHARS = 20000;
+
+// Todos, approved paths and progress are kept per session in the conversation store
 
 /**
- * Check if a path is sensitive and requires permission
+ * Check if an operation on a path has been approved for this session.
+ * An approval covers the approved path and everything below it, for the
+ * same operation only; case is folded where the filesystem folds it.
  */
-function isSensitivePath(targetPath) {
-  const normalizedPath = path.normalize(targetPath).toLowerCase();
-  const userHome = process.env.USERPROFILE || process.env.HOME || '';
-
-  return SENSITIVE_PATHS.some(sensitive => {
-    const sensitivePattern = sensitive.toLowerCase();
-    return normalizedPath.includes(sensitivePattern) ||
-           normalizedPath.includes(path.join(userHome, sensitive).toLowerCase());
+function isPathApproved(sessionId, targetPath, operation) {
+  const approved = getConversationStore().getApprovals(sessionId);
+  if (approved.length === 0) return false;
+
+  const fold = getSandboxPolicy().caseInsensitive ? p => p.toLowerCase() : p => p;
+  const target = fold(path.resolve(targetPath));
+  return approved.some(approval => {
+    if (approval.operation !== operation) return false;
+    const approvedPath = fold(approval.path);
+    const prefix = approvedPath.endsWith(path.sep) ? approvedPath : approvedPath + path.sep;
+    return target === approvedPath || target.startsWith(prefix);
   });
 }
 
 /**
- * Check if path has been approved for this session
+ * Check a path against the sandbox policy, asking the user and waiting for
+ * a decision when the policy says 'ask'.
+ * Returns null when the operation may proceed, otherwise the error result
+ * the tool should return.
+ * @param {string} sessionId
+ * @param {string} targetPath - Absolute path
+ * @param {string} operation - read, write, delete or exec
+ * @param {string} reason - Shown to the user when asking for permission
+ * @param {AbortSignal} [signal] - Run cancellation
  */
-function isPathApproved(sessionId, targetPath) {
-  const approved = approvedPaths.get(sessionId);
-  if (!approved) return false;
+async function checkPathPolicy(sessionId, targetPath, operation, reason, signal) {
+  const decision = await getSandboxPolicy().evaluate(targetPath, operation);
 
-  const normalizedPath = path.normalize(targetPath).toLowerCase();
-  return Array.from(approved).some(approvedPath =>
-    normalizedPath.startsWith(approvedPath.toLowerCase())
-  );
+  if (decision.action === 'deny') {
+    return {
+      error: `Blocked by sandbox policy: ${operation} access to ${targetPath} is denied`,
+      denied: true,
+      rule: decision.rule?.path
+    };
+  }
+  if (decision.action === 'ask' && !isPathApproved(sessionId, targetPath, operation)) {
+    const outcome = await requestApproval({
+      sessionId,
+      kind: 'permission',
+      path: targetPath,
+      operation,
+      reason,
+      message: `Permission required to ${operation} in sensitive location: ${targetPath}`
+    }, { signal });
+
+    if (!outcome.approved) return approvalRefused(outcome, `${operation} ${targetPath}`);
+    getConversationStore().addApproval(sessionId, path.resolve(targetPath), operation);
+  }
+  return null;
 }
 
 /**
- * Request permission for sensitive path access
+ * Parse a URL a tool is about to open; scheme-less URLs are taken as http
+ * @returns {URL|null} null when it is not a valid URL
  */
-function requestPathPermission(targetPath, operation, reason = '') {
-  const permissionId = `perm_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+function parseToolUrl(url) {
+  try {
+    return new URL(/^[a-z][a-z0-9+.-]*:/i.test(url) && !/^[^:/]+:\d/.test(url) ? url : `http://${url}`);
+  } catch {
+    return null;
+  }
+}
 
-  pendingPermissions.set(permissionId, {
-    path: targetPath,
-    operation,
-    reason,
-    sessionId: currentSessionId,
-    requestedAt: new Date().toISOString()
-  });
+/**
+ * Check a URL a tool is about to open against the network policy.
+ * Only http and https are allowed: file:, javascript: and other schemes
+ * would read local files or run script in the browser.
+ * @returns {Promise<Object|null>} An error result, or null when allowed
+ */
+async function checkNetworkPolicy(url) {
+  const target = parseToolUrl(url);
+  if (!target) return { error: `Invalid URL: ${url}` };
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    return { error: `Blocked by network policy: only http and https URLs can be opened, not ${target.protocol}`, url, blocked: true };
+  }
 
-  return {
-    requires_permission: true,
-    permission_id: permissionId,
-    path: targetPath,
-    operation,
-    message: `Permission required to ${operation} in sensitive location: ${targetPath}`,
+  try {
+    await getNetworkPolicy().checkUrl(target);
+    return null;
+  } catch (error) {
+    return { error: error.message, url, ...(error instanceof NetworkPolicyError && { blocked: true }) };
+  }
+}
+
+/**
+ * Check a shell command against the command policy. Denied programs block
+ * it, files it writes through redirections go through the path policy,
+ * and programs with an "ask" rule wait for the user's approval.
+ * @param {Object} context - { cwd, env } the command starts with
+ * @returns {Promise<Object|null>} An error result, or null when allowed
+ */
+async function checkCommandPolicy(sessionId, command, { cwd, env }, signal) {
+  const { action, findings, writes } = getCommandPolicy().evaluate(command, { cwd, env });
+
+  if (action === 'deny') {
+    const denied = findings.filter(f => f.action === 'deny');
+    return {
+      error: `Blocked by command policy: ${denied.map(f => `${f.reason} (${f.command})`).join('; ')}`,
+      denied: true,
+      rule: denied.find(f => f.rule)?.rule
+    };
+  }
+  if (writes.length > 0) {
+    const blocked = await checkPathsPolicy(sessionId, writes.map(p => ({ path: p, operation: 'write' })),
+      'The command writes to this location', signal);
+    if (blocked) return blocked;
+  }
+  if (action === 'ask') {
+    const reasons = findings.filter(f => f.action === 'ask').map(f => f.reason);
+    const outcome = await requestApproval({
+      sessionId,
+      kind: 'permission',
+      path: cwd,
+      operation: 'exec',
+      command,
+      reason: [...new Set(reasons)].join('; '),
+      message: `Permission required to run a command: ${command}`
+    }, { signal });
+    if (!outcome.approved) return approvalRefused(outcome, `run ${command}`);
+  }
+  return null;
+}
+
+/**
+ * Sort paths by sandbox decision without asking: denied paths, and paths
+ * that need the user's permission (not yet approved in this session)
+ * @param {Array<{ path: string, operation: string }>} checks
+ */
+async function evaluatePathPolicies(sessionId, checks) {
+  const policy = getSandboxPolicy();
+  const denied = [];
+  const ask = [];
+  for (const check of checks) {
+    const decision = await policy.evaluate(check.path, check.operation);
+    if (decision.action === 'deny') denied.push({ ...check, rule: decision.rule?.path });
+    else if (decision.action === 'ask' && !isPathApproved(sessionId, check.path, check.operation)) ask.push(check);
+  }
+  return { denied, ask };
+}
+
+/**
+ * checkPathPolicy for a whole batch of paths: any denied path blocks the
+ * batch, and the paths that need permission are covered by one request
+ */
+async function checkPathsPolicy(sessionId, checks, reason, signal) {
+  const { denied, ask } = await evaluatePathPolicies(sessionId, checks);
+
+  if (denied.length > 0) {
+    return {
+      error: `Blocked by sandbox policy: ${denied.map(d => `${d.operation} access to ${d.path}`).join(', ')} is denied`,
+      denied: true,
+      rule: denied[0].rule
+    };
+  }
+  if (ask.length === 0) return null;
+
+  const paths = [...new Set(ask.map(a => a.path))];
+  const operations = [...new Set(ask.map(a => a.operation))].join('/');
+  const outcome = await requestApproval({
+    sessionId,
+    kind: 'permission',
+    path: paths.length === 1 ? paths[0] : `${paths.length} paths`,
+    paths,
+    operation: operations,
     reason,
-    instruction: 'User must approve this action. Use ConfirmPermission tool with this permission_id after user approval.'
-  };
+    message: `Permission required to ${operations} ${paths.length} path${paths.length === 1 ? '' : 's'} in sensitive locations`
+  }, { signal });
+
+  if (!outcome.approved) return approvalRefused(outcome, `${operations} ${paths.length} paths in sensitive locations`);
+  for (const check of ask) {
+    getConversationStore().addApproval(sessionId, path.resolve(check.path), check.operation);
+  }
+  return null;
 }
 
-export function getPendingPermissions(sessionId) {
-  const permissions = [];
-  pendingPermissions.forEach((perm, id) => {
-    if (!sessionId || perm.sessionId === sessionId) {
-      permissions.push({ id, ...perm });
-    }
-  });
-  return permissions;
+/**
+ * Tool result for a permission or deletion the user did not approve
+ */
+function approvalRefused(outcome, action) {
+  if (outcome.cancelled) return { error: 'Run cancelled while waiting for user approval', cancelled: true };
+  if (outcome.timedOut) {
+    return { error: `No response from the user to the request to ${action}; treated as denied`, denied: true, timed_out: true };
+  }
+  return { error: `The user denied the request to ${action}`, denied: true };
 }
 
-export function confirmPermission(permissionId) {
-  const perm = pendingPermissions.get(permissionId);
-  if (!perm) return { error: 'Permission request not found or expired' };
+/**
+ * Sources of untrusted content read during this turn, for approval requests
+ */
+function untrustedSources(sessionId) {
+  const reads = getUntrustedContent(sessionId);
+  return reads.length > 0 ? [...new Set(reads.map(read => read.source))] : undefined;
+}
+
+/**
+ * While untrusted web content from this turn is in context, ask the user
+ * before an action that content could have talked the model into
+ * @param {string} action - What is being approved, for the refusal message
+ * @param {Object} request - path, operation, message and details for the dialog
+ * @returns {Promise<Object|null>} An error result, or null to go ahead
+ */
+async function checkUntrustedContext(sessionId, action, request, signal) {
+  const reads = getUntrustedContent(sessionId);
+  if (reads.length === 0) return null;
+
+  const flagged = reads.some(read => read.findings.length > 0);
+  const outcome = await requestApproval({
+    sessionId,
+    kind: 'permission',
+    ...request,
+    reason: `Web content read this turn is in context${flagged ? ' and some of it looks like an attempt to instruct the agent' : ''}`,
+    untrusted_sources: untrustedSources(sessionId)
+  }, { signal });
+  return outcome.approved ? null : approvalRefused(outcome, action);
+}
+
+/**
+ * checkUntrustedContext for a tool call that changes files, listing the
+ * paths it would touch
+ */
+async function checkUntrustedChange(name, input, { sessionId, workspace, signal }) {
+  if (getUntrustedContent(sessionId).length === 0) return null;
+
+  const root = getWorkingDirectory(workspace);
+  const paths = [...new Set(getToolPaths({ name, input }, root))];
+  return checkUntrustedContext(sessionId, `run ${name}`, {
+    path: paths.length > 1 ? `${paths.length} paths` : paths[0] ?? root,
+    paths,
+    operation: 'write',
+    message: `Run ${name} while untrusted web content is in context`
+  }, signal);
+}
+
+/**
+ * Keep only the paths the policy lets this session access without asking
+ * (e.g. files a search would read)
+ */
+async function filterByPolicy(sessionId, paths, operation) {
+  const policy = getSandboxPolicy();
+  const decisions = await Promise.all(paths.map(p => policy.evaluate(p, operation)));
+  return paths.filter((p, i) =>
+    decisions[i].action === 'allow' ||
+    (decisions[i].action === 'ask' && isPathApproved(sessionId, p, operation))
+  );
+}
 
-  // Add to approved paths for this session
-  if (!approvedPaths.has(perm.sessionId)) {
-    approvedPaths.set(perm.sessionId, new Set());
+/**
+ * Snapshot the paths a mutating tool is about to change, keyed by the
+ * tool_use_id, so the chat can be rolled back. Returns the checkpoint id,
+ * or null if the snapshot failed (the tool still runs).
+ */
+async function saveCheckpoint(sessionId, toolUseId, tool, paths) {
+  const id = toolUseId || `${tool.toLowerCase()}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  try {
+    await getCheckpointStore().create(sessionId, id, tool, paths);
+    return id;
+  } catch (error) {
+    console.warn(`[Checkpoints] Could not snapshot ${paths.join(', ')}:`, error.message);
+    return null;
   }
-  approvedPaths.get(perm.sessionId).add(path.normalize(perm.path));
+}
 
-  pendingPermissions.delete(permissionId);
-  return { approved: true, path: perm.path };
+export function getPendingPermissions(sessionId) {
+  return getPendingApprovals(sessionId);
+}
+
+export function confirmPermission(permissionId) {
+  return resolveApproval(permissionId, true);
 }
 
 export function denyPermission(permissionId) {
-  const perm = pendingPermissions.get(permissionId);
-  if (!perm) return { error: 'Permission request not found' };
-  pendingPermissions.delete(permissionId);
-  return { denied: true, path: perm.path };
+  return resolveApproval(permissionId, false);
 }
 
 // Browser extension reference (set by server when connected)
@@ -136,18 +325,48 @@ export function setBrowserExtension(ext) {
   console.log(`[Tools] Browser extension ${ext ? 'connected' : 'disconnected'}`);
 }
 
+// Content blocks shared by CreateDocument and CreatePdf
+const DOCUMENT_CONTENT_SCHEMA = {
+  type: 'array',
+  description: 'Blocks in order. A plain string is a paragraph. Text may use **bold**, *italic* and `code`.',
+  items: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: ['heading', 'paragraph', 'list', 'table', 'image', 'code', 'page_break'] },
+      text: { type: 'string', description: 'heading, paragraph and code text' },
+      runs: {
+        type: 'array',
+        description: 'Instead of text: [{ text, bold, italic, underline, code, link }]',
+        items: { type: 'object' }
+      },
+      level: { type: 'number', description: 'Heading level 1-6' },
+      align: { type: 'string', enum: ['left', 'center', 'right', 'justify'], description: 'Paragraph alignment' },
+      items: { type: 'array', description: 'List items: strings or { text, items } for nested lists' },
+      ordered: { type: 'boolean', description: 'Numbered list' },
+      rows: { type: 'array', description: 'Table rows (arrays of cell text)', items: { type: 'array' } },
+      header: { type: 'boolean', description: 'Style the first table row as a header (default: true)' },
+      path: { type: 'string', description: 'Image file path (PNG or JPEG; GIF also works in Word)' },
+      width: { type: 'number', description: 'Image width in pixels (default: natural size, fit to the page)' },
+      caption: { type: 'string', description: 'Image caption' }
+    },
+    required: ['type']
+  }
+};
+
 // Tool definitions for the API
 export const TOOL_DEFINITIONS = [
   // === FILE OPERATIONS ===
   {
     name: 'Read',
-    description: 'Read the contents of a file at the specified path. Use this to examine existing files before editing.',
+    description: 'Read the contents of a file at the specified path. Use this to examine existing files before editing. Images (PNG, JPEG, GIF, WebP) are shown to you as images. PDFs are extracted page by page (20 pages per call; use pages for more), Word documents and notebooks (.ipynb, with cell outputs) are converted to text, and spreadsheets (XLSX, CSV) to tables.',
     input_schema: {
       type: 'object',
       properties: {
         file_path: { type: 'string', description: 'The absolute path to the file to read' },
-        offset: { type: 'number', description: 'Line number to start reading from (optional)' },
-        limit: { type: 'number', description: 'Number of lines to read (optional)' }
+        offset: { type: 'number', description: 'Line number to start reading from (optional). For spreadsheets, the first data row.' },
+        limit: { type: 'number', description: 'Number of lines to read (optional). For spreadsheets, the number of data rows.' },
+        pages: { type: 'string', description: 'PDF pages to read, e.g. "1-5" or "3,7-9" (optional, max 20 pages)' },
+        sheet: { type: 'string', description: 'XLSX sheet name or number to read (optional, default: all sheets)' }
       },
       required: ['file_path']
     }
@@ -166,7 +385,7 @@ export const TOOL_DEFINITIONS = [
   },
   {
     name: 'Edit',
-    description: 'Edit a file by replacing specific text. Always read the file first to ensure accuracy.',
+    description: 'Edit a file by replacing specific text. Always read the file first to ensure accuracy. old_string must match exactly one place unless replace_all is set; whitespace differences are tolerated when there is no exact match. Returns a unified diff.',
     input_schema: {
       type: 'object',
       properties: {
@@ -178,6 +397,41 @@ export const TOOL_DEFINITIONS = [
       required: ['file_path', 'old_string', 'new_string']
     }
   },
+  {
+    name: 'MultiEdit',
+    description: 'Make several edits to one file in a single call. Edits are applied in order, each to the result of the previous one, and either all succeed or the file is left unchanged. Each old_string must match exactly one place unless replace_all is set; whitespace differences are tolerated when there is no exact match. Returns a unified diff.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        file_path: { type: 'string', description: 'The absolute path to the file to edit' },
+        edits: {
+          type: 'array',
+          description: 'Edits to apply in order',
+          items: {
+            type: 'object',
+            properties: {
+              old_string: { type: 'string', description: 'The text to find' },
+              new_string: { type: 'string', description: 'The text to replace with' },
+              replace_all: { type: 'boolean', description: 'Replace every occurrence (default: false)' }
+            },
+            required: ['old_string', 'new_string']
+          }
+        }
+      },
+      required: ['file_path', 'edits']
+    }
+  },
+  {
+    name: 'ApplyPatch',
+    description: 'Apply a unified or git-style diff that can touch several files, including creating (--- /dev/null), deleting (+++ /dev/null) and renaming files. Hunks are matched against the current file contents with some tolerance for shifted lines and whitespace. Either every hunk applies or no file is changed; rejected hunks are reported with a reason.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        patch: { type: 'string', description: 'The diff text (paths relative to the working directory or absolute)' }
+      },
+      required: ['patch']
+    }
+  },
   {
     name: 'Glob',
     description: 'Find files matching a glob pattern. Returns list of matching file paths.',
@@ -192,13 +446,26 @@ export const TOOL_DEFINITIONS = [
   },
   {
     name: 'Grep',
-    description: 'Search for text patterns in files using regex. Returns matching lines.',
+    description: 'Search file contents with a regex (JavaScript syntax). Respects .gitignore and skips .git, node_modules and binary files. Results are paged: pass next_offset back as offset to get more.',
     input_schema: {
       type: 'object',
       properties: {
         pattern: { type: 'string', description: 'Regex pattern to search for' },
-        path: { type: 'string', description: 'File or directory to search in' },
-        include: { type: 'string', description: 'Glob pattern to filter files (e.g., "*.js")' }
+        path: { type: 'string', description: 'File or directory to search in (default: working directory)' },
+        include: { type: 'string', description: 'Glob the files must match, e.g. "*.js", "*.{ts,tsx}" or "src/**/*.py"' },
+        output_mode: {
+          type: 'string',
+          enum: ['content', 'files_with_matches', 'count'],
+          description: 'content: matching lines (default); files_with_matches: file paths only; count: matches per file'
+        },
+        case_insensitive: { type: 'boolean', description: 'Ignore case (default: false)' },
+        context: { type: 'number', description: 'Lines of context before and after each match (content mode)' },
+        before: { type: 'number', description: 'Lines of context before each match (content mode)' },
+        after: { type: 'number', description: 'Lines of context after each match (content mode)' },
+        multiline: { type: 'boolean', description: 'Let the pattern span lines; "." also matches newlines (default: false)' },
+        offset: { type: 'number', description: 'Skip this many results (for paging)' },
+        limit: { type: 'number', description: 'Maximum results to return (default: 100)' },
+        no_ignore: { type: 'boolean', description: 'Also search .gitignored files, .git and node_modules (default: false)' }
       },
       required: ['pattern']
     }
@@ -251,7 +518,7 @@ export const TOOL_DEFINITIONS = [
   },
   {
     name: 'Delete',
-    description: 'Request to delete a file or directory. Returns a deletion_id that requires user approval before execution.',
+    description: 'Delete a file or directory. The user is asked to approve the deletion and the tool waits for their decision.',
     input_schema: {
       type: 'object',
       properties: {
@@ -263,75 +530,86 @@ export const TOOL_DEFINITIONS = [
     }
   },
   {
-    name: 'ConfirmDelete',
-    description: 'Confirm a pending deletion after user approval. Use the deletion_id from the Delete tool response.',
+    name: 'BatchFileOps',
+    description: 'Move, copy, rename and create many files and directories in one call, e.g. to organize a folder. Operations run in order and the whole batch is planned first: a source like "Downloads/*.pdf" moves every match into the destination directory, and pattern renames rewrite names in a directory with a regex (capture groups as $1, $2). Use dry_run to preview. One permission request covers the batch; if a step fails, all changes are rolled back.',
     input_schema: {
       type: 'object',
       properties: {
-        deletion_id: { type: 'string', description: 'The deletion ID from the Delete tool response' }
-      },
-      required: ['deletion_id']
-    }
-  },
-  {
-    name: 'CancelDelete',
-    description: 'Cancel a pending deletion request.',
-    input_schema: {
-      type: 'object',
-      properties: {
-        deletion_id: { type: 'string', description: 'The deletion ID to cancel' }
+        operations: {
+          type: 'array',
+          description: 'In order: { op: "mkdir", path } | { op: "move"|"copy", source, destination } | { op: "rename", source, destination } | { op: "rename", directory, match, replacement, flags }. A destination that is an existing directory or ends with / receives the source inside it.',
+          items: {
+            type: 'object',
+            properties: {
+              op: { type: 'string', enum: ['move', 'copy', 'rename', 'mkdir'] },
+              source: { type: 'string', description: 'Path or glob pattern (move/copy)' },
+              destination: { type: 'string' },
+              path: { type: 'string', description: 'Directory to create (mkdir)' },
+              directory: { type: 'string', description: 'Directory whose entries a pattern rename applies to' },
+              match: { type: 'string', description: 'Regex matched against entry names, e.g. "^IMG_(\\d+)\\.JPG$"' },
+              replacement: { type: 'string', description: 'New name, e.g. "photo-$1.jpg"' },
+              flags: { type: 'string', description: 'Regex flags, e.g. "i"' }
+            },
+            required: ['op']
+          }
+        },
+        on_conflict: { type: 'string', enum: CONFLICT_POLICIES, description: 'When a destination exists: skip the step (default), overwrite it, or add a " (1)" suffix' },
+        dry_run: { type: 'boolean', description: 'Return the planned steps without changing anything' },
+        reason: { type: 'string', description: 'Shown to the user if permission is needed' }
       },
-      required: ['deletion_id']
+      required: ['operations']
     }
   },
   {
-    name: 'ConfirmPermission',
-    description: 'Confirm permission for sensitive path access after user approval.',
+    name: 'Progress',
+    description: 'Report progress on current task to keep user informed.',
     input_schema: {
       type: 'object',
       properties: {
-        permission_id: { type: 'string', description: 'The permission ID from the permission request' }
+        step: { type: 'string', description: 'Current step being performed' },
+        details: { type: 'string', description: 'Details about what is happening' },
+        percent: { type: 'number', description: 'Progress percentage (0-100)' }
       },
-      required: ['permission_id']
+      required: ['step']
     }
   },
+
+  // === SYSTEM OPERATIONS ===
   {
-    name: 'DenyPermission',
-    description: 'Deny permission for sensitive path access.',
+    name: 'Bash',
+    description: 'Execute a shell command. Use for git, npm, system operations, running scripts, etc. Commands run in a persistent shell for this chat: cd, exported variables and activated virtualenvs carry over to later calls. Start servers, watchers and other long-running commands with run_in_background. Destructive commands are blocked and risky ones (sudo, force pushes, writes to sensitive paths) need the user to approve them.',
     input_schema: {
       type: 'object',
       properties: {
-        permission_id: { type: 'string', description: 'The permission ID to deny' }
+        command: { type: 'string', description: 'The command to execute' },
+        timeout: { type: 'number', description: 'Timeout in ms (default: 120000, max: 600000). A command that times out restarts the shell session' },
+        cwd: { type: 'string', description: 'Directory to cd into before the command (the shell stays there)' },
+        run_in_background: { type: 'boolean', description: 'Start the command as a background job and return its job_id right away (default: false)' }
       },
-      required: ['permission_id']
+      required: ['command']
     }
   },
   {
-    name: 'Progress',
-    description: 'Report progress on current task to keep user informed.',
+    name: 'BashOutput',
+    description: 'Read new output from a background job started with Bash run_in_background: what it printed since the last read, and whether it is still running.',
     input_schema: {
       type: 'object',
       properties: {
-        step: { type: 'string', description: 'Current step being performed' },
-        details: { type: 'string', description: 'Details about what is happening' },
-        percent: { type: 'number', description: 'Progress percentage (0-100)' }
+        job_id: { type: 'string', description: 'Job ID returned by Bash' },
+        filter: { type: 'string', description: 'Regex; only output lines matching it are returned (the rest are still marked as read)' }
       },
-      required: ['step']
+      required: ['job_id']
     }
   },
-
-  // === SYSTEM OPERATIONS ===
   {
-    name: 'Bash',
-    description: 'Execute a shell command. Use for git, npm, system operations, running scripts, etc.',
+    name: 'KillJob',
+    description: 'Stop a background job and the processes it started.',
     input_schema: {
       type: 'object',
       properties: {
-        command: { type: 'string', description: 'The command to execute' },
-        timeout: { type: 'number', description: 'Timeout in ms (default: 120000)' },
-        cwd: { type: 'string', description: 'Working directory for the command' }
+        job_id: { type: 'string', description: 'Job ID returned by Bash' }
       },
-      required: ['command']
+      required: ['job_id']
     }
   },
 
@@ -350,12 +628,14 @@ export const TOOL_DEFINITIONS = [
   },
   {
     name: 'WebFetch',
-    description: 'Fetch content from a URL. Returns the page content as text or markdown.',
+    description: 'Fetch content from a URL. HTML pages are reduced to their main content as Markdown (headings, lists, tables and links kept); JSON, plain text and PDF text are returned as-is, images as images. Long content is returned in chunks: pass next_offset back as offset to continue.',
     input_schema: {
       type: 'object',
       properties: {
         url: { type: 'string', description: 'URL to fetch' },
-        extract_text: { type: 'boolean', description: 'Extract text only, removing HTML (default: true)' }
+        extract_text: { type: 'boolean', description: 'Convert HTML to Markdown (default: true). Set false for the raw HTML' },
+        offset: { type: 'number', description: 'Character offset to start from, for reading further into long content (default: 0)' },
+        max_length: { type: 'number', description: 'Maximum characters to return (default: 20000, max: 100000)' }
       },
       required: ['url']
     }
@@ -407,6 +687,66 @@ export const TOOL_DEFINITIONS = [
     }
   },
 
+  // === DOCUMENT GENERATION ===
+  {
+    name: 'CreateSpreadsheet',
+    description: 'Create an Excel workbook (.xlsx) with sheets, formulas and styles. Cells are values, formulas ("=SUM(B2:B9)") or { value, formula, style } objects. Formulas are calculated when the file is opened.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        file_path: { type: 'string', description: 'Path of the .xlsx file to create' },
+        sheets: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Sheet name (max 31 characters)' },
+              rows: { type: 'array', description: 'Rows of cells, starting at A1', items: { type: 'array' } },
+              column_widths: { type: 'array', items: { type: 'number' }, description: 'Column widths in characters (default: fit to content)' },
+              freeze: { type: 'string', description: 'Freeze rows and columns above and left of this cell, e.g. "A2" for a header row' },
+              merge: { type: 'array', items: { type: 'string' }, description: 'Ranges to merge, e.g. ["A1:D1"]' }
+            },
+            required: ['rows']
+          }
+        },
+        styles: {
+          type: 'object',
+          description: 'Named styles for cells: { name: { bold, italic, underline, font_size, font_color: "#RRGGBB", fill: "#RRGGBB", border: "thin"|"medium"|"thick", number_format: e.g. "#,##0.00" or "yyyy-mm-dd", align, valign, wrap } }. A "header" style is predefined.'
+        },
+        title: { type: 'string', description: 'Document title (file properties)' }
+      },
+      required: ['file_path', 'sheets']
+    }
+  },
+  {
+    name: 'CreateDocument',
+    description: 'Create a Word document (.docx) from headings, paragraphs, lists, tables, images and code blocks.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        file_path: { type: 'string', description: 'Path of the .docx file to create' },
+        content: DOCUMENT_CONTENT_SCHEMA,
+        title: { type: 'string', description: 'Document title (file properties)' },
+        page_size: { type: 'string', enum: ['A4', 'Letter'], description: 'Page size (default: A4)' }
+      },
+      required: ['file_path', 'content']
+    }
+  },
+  {
+    name: 'CreatePdf',
+    description: 'Create a PDF from the same content blocks as CreateDocument, with page numbers. Text is limited to Western European characters; others are replaced with "?".',
+    input_schema: {
+      type: 'object',
+      properties: {
+        file_path: { type: 'string', description: 'Path of the .pdf file to create' },
+        content: DOCUMENT_CONTENT_SCHEMA,
+        title: { type: 'string', description: 'Document title (file properties)' },
+        page_size: { type: 'string', enum: ['A4', 'Letter'], description: 'Page size (default: A4)' }
+      },
+      required: ['file_path', 'content']
+    }
+  },
+
   // === COMPUTER USE (Browser Automation) ===
   {
     name: 'Screenshot',
@@ -612,7 +952,7 @@ export const TOOL_DEFINITIONS = [
   }
 ];
 
-// Session context for tools that need it
+// Session used when a caller doesn't pass options.chatId
 let currentSessionId = 'default';
 
 export function setSessionId(sessionId) {
@@ -621,35 +961,65 @@ export function setSessionId(sessionId) {
 
 /**
  * Execute a tool by name with given input
+ * @param {string} name - Tool name
+ * @param {Object} input - Tool input
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts long-running tools when the run is cancelled
+ * @param {(progress: Object) => void} [options.onProgress] - Receives incremental output from long-running tools
+ * @param {string} [options.chatId] - Chat the call belongs to (defaults to the last setSessionId)
+ * @param {string} [options.toolUseId] - Model's id for the call; keys the checkpoint of mutating tools
  */
-export async function executeTool(name, input) {
+export async function executeTool(name, input, options = {}) {
+  if (options.signal?.aborted) {
+    return { error: 'Run cancelled', cancelled: true };
+  }
+
+  // Per-call context: the chat's session and workspace
+  const sessionId = options.chatId ?? currentSessionId;
+  const context = {
+    ...options,
+    sessionId,
+    workspace: getConversationStore().getWorkspace(sessionId)
+  };
+
   const startTime = Date.now();
   console.log(`[Tools] Executing ${name}`);
 
   try {
+    // Changing files needs the user's approval while untrusted web content
+    // is in context (Delete always asks, and its dialog lists the pages read)
+    if (MUTATING_TOOLS.has(name) && name !== 'Delete') {
+      const unconfirmed = await checkUntrustedChange(name, input, context);
+      if (unconfirmed) return unconfirmed;
+    }
+
     let result;
     switch (name) {
-      case 'Read': result = await executeRead(input); break;
-      case 'Write': result = await executeWrite(input); break;
-      case 'Edit': result = await executeEdit(input); break;
-      case 'Bash': result = await executeBash(input); break;
-      case 'Glob': result = await executeGlob(input); break;
-      case 'Grep': result = await executeGrep(input); break;
-      case 'ListDir': result = await executeListDir(input); break;
-      case 'MakeDir': result = await executeMakeDir(input); break;
-      case 'Move': result = await executeMove(input); break;
-      case 'Copy': result = await executeCopy(input); break;
-      case 'Delete': result = await executeDelete(input); break;
-      case 'ConfirmDelete': result = await executeConfirmDelete(input); break;
-      case 'CancelDelete': result = await executeCancelDelete(input); break;
-      case 'ConfirmPermission': result = confirmPermission(input.permission_id); break;
-      case 'DenyPermission': result = denyPermission(input.permission_id); break;
-      case 'Progress': result = await executeProgress(input); break;
-      case 'WebSearch': result = await executeWebSearch(input); break;
-      case 'WebFetch': result = await executeWebFetch(input); break;
-      case 'TodoWrite': result = await executeTodoWrite(input); break;
-      case 'TodoRead': result = await executeTodoRead(input); break;
-      case 'CodeAnalysis': result = await executeCodeAnalysis(input); break;
+      case 'Read': result = await executeRead(input, context); break;
+      case 'Write': result = await executeWrite(input, context); break;
+      case 'Edit': result = await executeEdit(input, context); break;
+      case 'MultiEdit': result = await executeMultiEdit(input, context); break;
+      case 'ApplyPatch': result = await executeApplyPatch(input, context); break;
+      case 'Bash': result = await executeBash(input, context); break;
+      case 'BashOutput': result = await executeBashOutput(input, context); break;
+      case 'KillJob': result = await executeKillJob(input, context); break;
+      case 'Glob': result = await executeGlob(input, context); break;
+      case 'Grep': result = await executeGrep(input, context); break;
+      case 'ListDir': result = await executeListDir(input, context); break;
+      case 'MakeDir': result = await executeMakeDir(input, context); break;
+      case 'Move': result = await executeMove(input, context); break;
+      case 'Copy': result = await executeCopy(input, context); break;
+      case 'Delete': result = await executeDelete(input, context); break;
+      case 'BatchFileOps': result = await executeBatchFileOps(input, context); break;
+      case 'Progress': result = await executeProgress(input, context); break;
+      case 'WebSearch': result = await executeWebSearch(input, context); break;
+      case 'WebFetch': result = await executeWebFetch(input, context); break;
+      case 'TodoWrite': result = await executeTodoWrite(input, context); break;
+      case 'TodoRead': result = await executeTodoRead(input, context); break;
+      case 'CodeAnalysis': result = await executeCodeAnalysis(input, context); break;
+      case 'CreateSpreadsheet': result = await executeCreateSpreadsheet(input, context); break;
+      case 'CreateDocument': result = await executeCreateDocument(input, context); break;
+      case 'CreatePdf': result = await executeCreatePdf(input, context); break;
       // Computer Use tools
       case 'Screenshot': result = await executeScreenshot(input); break;
       case 'MouseClick': result = await executeMouseClick(input); break;
@@ -672,6 +1042,11 @@ export async function executeTool(name, input) {
       default: result = { error: `Unknown tool: ${name}` };
     }
 
+    // Later risky tools in this turn ask first while this content is in context
+    if (UNTRUSTED_TOOLS.has(name) && (!result?.error || result.content)) {
+      recordUntrustedContent(sessionId, name, result);
+    }
+
     const elapsed = Date.now() - startTime;
     console.log(`[Tools] ${name} completed in ${elapsed}ms`);
     return result;
@@ -683,13 +1058,17 @@ export async function executeTool(name, input) {
 
 // ==================== FILE TOOLS ====================
 
-async function executeRead(input) {
-  const { file_path, offset = 0, limit } = input;
+async function executeRead(input, { sessionId, workspace, signal }) {
+  const { offset = 0, limit } = input;
+  const file_path = await resolveWorkspacePath(input.file_path, workspace);
 
-  // Check if path is sensitive and requires permission
-  if (isSensitivePath(file_path) && !isPathApproved(currentSessionId, file_path)) {
-    return requestPathPermission(file_path, 'read', 'Reading files from this location');
-  }
+  // Check the path against the sandbox policy
+  const blocked = await checkPathPolicy(sessionId, file_path, 'read', 'Reading files from this location', signal);
+  if (blocked) return blocked;
+
+  // Images, PDFs, Office documents, CSV and notebooks
+  const document = await readDocument(file_path, input);
+  if (document) return document;
 
   const content = await fs.readFile(file_path, 'utf-8');
   const lines = content.split('\n');
@@ -704,82 +1083,321 @@ async function executeRead(input) {
   return { content: numbered, total_lines: lines.length };
 }
 
-async function executeWrite(input) {
-  const { file_path, content } = input;
+async function executeWrite(input, { sessionId, workspace, signal, toolUseId }) {
+  const { content } = input;
+  const file_path = await resolveWorkspacePath(input.file_path, workspace);
 
-  // Check if path is sensitive and requires permission
-  if (isSensitivePath(file_path) && !isPathApproved(currentSessionId, file_path)) {
-    return requestPathPermission(file_path, 'write', 'Writing files to this location');
-  }
+  // Check the path against the sandbox policy
+  const blocked = await checkPathPolicy(sessionId, file_path, 'write', 'Writing files to this location', signal);
+  if (blocked) return blocked;
 
+  const checkpoint = await saveCheckpoint(sessionId, toolUseId, 'Write', [file_path]);
   await fs.mkdir(path.dirname(file_path), { recursive: true });
   await fs.writeFile(file_path, content, 'utf-8');
-  return { success: true, path: file_path, bytes: content.length };
+  return { success: true, path: file_path, bytes: content.length, checkpoint_id: checkpoint };
 }
 
-async function executeEdit(input) {
+async function executeEdit(input, context) {
   const { file_path, old_string, new_string, replace_all = false } = input;
+  return editFile('Edit', file_path, [{ old_string, new_string, replace_all }], context);
+}
 
-  // Check if path is sensitive and requires permission
-  if (isSensitivePath(file_path) && !isPathApproved(currentSessionId, file_path)) {
-    return requestPathPermission(file_path, 'edit', 'Editing files in this location');
+async function executeMultiEdit(input, context) {
+  const { file_path, edits } = input;
+  if (!Array.isArray(edits) || edits.length === 0) {
+    return { error: 'edits must be a non-empty array' };
   }
+  return editFile('MultiEdit', file_path, edits, context);
+}
+
+// Apply edits to a file all-or-nothing and report the diff
+async function editFile(tool, filePath, edits, { sessionId, workspace, signal, toolUseId }) {
+  const file_path = await resolveWorkspacePath(filePath, workspace);
+
+  // Check the path against the sandbox policy
+  const blocked = await checkPathPolicy(sessionId, file_path, 'write', 'Editing files in this location', signal);
+  if (blocked) return blocked;
 
   const content = await fs.readFile(file_path, 'utf-8');
 
-  if (!content.includes(old_string)) {
-    return { error: `String not found: "${old_string.slice(0, 100)}..."` };
+  let edited;
+  try {
+    edited = applyEdits(content, edits);
+  } catch (error) {
+    if (error instanceof EditError) return { error: error.message, path: file_path };
+    throw error;
   }
 
-  const newContent = replace_all
-    ? content.split(old_string).join(new_string)
-    : content.replace(old_string, new_string);
+  const checkpoint = await saveCheckpoint(sessionId, toolUseId, tool, [file_path]);
+  await fs.writeFile(file_path, edited.content, 'utf-8');
 
-  await fs.writeFile(file_path, newContent, 'utf-8');
-  return { success: true, path: file_path };
+  let diff = createUnifiedDiff(content, edited.content, path.basename(file_path));
+  if (diff.length > MAX_DIFF_CHARS) {
+    diff = diff.slice(0, MAX_DIFF_CHARS) + '\n... (diff truncated)';
+  }
+
+  return {
+    success: true,
+    path: file_path,
+    replacements: edited.applied.reduce((sum, a) => sum + a.replacements, 0),
+    ...(edited.applied.some(a => a.fuzzy) && { whitespace_tolerant: true }),
+    diff,
+    checkpoint_id: checkpoint
+  };
 }
 
-async function executeGlob(input) {
-  const { pattern, path: searchPath = process.cwd() } = input;
-  const matches = await glob(pattern, { cwd: searchPath, absolute: true });
-  return { files: matches.slice(0, 200), count: matches.length };
+async function pathExists(target) {
+  try {
+    await fs.lstat(target);
+    return true;
+  } catch {
+    return false;
+  }
 }
 
-async function executeGrep(input) {
-  const { pattern, path: searchPath = process.cwd(), include } = input;
-  const regex = new RegExp(pattern, 'gi');
-  const results = [];
+// Apply a multi-file diff all-or-nothing
+async function executeApplyPatch(input, { sessionId, workspace, signal, toolUseId }) {
+  if (typeof input.patch !== 'string' || !input.patch.trim()) {
+    return { error: 'patch is required' };
+  }
 
   let files;
-  if (include) {
-    files = await glob(include, { cwd: searchPath, absolute: true });
-  } else {
-    const stat = await fs.stat(searchPath);
-    files = stat.isFile() ? [searchPath] : await glob('**/*', { cwd: searchPath, absolute: true, nodir: true });
+  try {
+    files = parsePatch(input.patch);
+  } catch (error) {
+    if (error instanceof PatchError) return { error: error.message };
+    throw error;
+  }
+  if (files.length === 0) {
+    return { error: 'No file changes found in patch. Expected ---/+++ file headers followed by @@ hunks.' };
   }
 
-  for (const file of files.slice(0, 50)) {
-    try {
-      const content = await fs.readFile(file, 'utf-8');
-      content.split('\n').forEach((line, i) => {
-        if (regex.test(line)) {
-          results.push({ file, line: i + 1, content: line.slice(0, 300) });
-        }
-      });
-      if (results.length > 100) break;
-    } catch { /* skip binary files */ }
+  const changes = [];
+  for (const file of files) {
+    changes.push({
+      ...file,
+      source: file.oldPath ? await resolveWorkspacePath(file.oldPath, workspace) : null,
+      target: file.newPath ? await resolveWorkspacePath(file.newPath, workspace) : null
+    });
+  }
+
+  // Same sandbox checks as Write (and as Move/Delete for the paths a patch removes)
+  for (const change of changes) {
+    const blocked = (change.type === 'delete' || change.type === 'rename') &&
+        await checkPathPolicy(sessionId, change.source, 'delete', 'Patching files in this location', signal) ||
+      change.target && await checkPathPolicy(sessionId, change.target, 'write', 'Patching files in this location', signal);
+    if (blocked) return blocked;
+  }
+
+  // Work out every file's new content before touching the filesystem
+  const rejected = [];
+  const notes = [];
+  for (const change of changes) {
+    const name = change.newPath || change.oldPath;
+    change.original = '';
+
+    if (change.type === 'create') {
+      if (await pathExists(change.target)) {
+        rejected.push({ file: name, reason: 'File already exists' });
+        continue;
+      }
+    } else {
+      try {
+        change.original = await fs.readFile(change.source, 'utf-8');
+      } catch {
+        rejected.push({ file: change.oldPath, reason: `File not found: ${change.source}` });
+        continue;
+      }
+      if (change.type === 'rename' && await pathExists(change.target)) {
+        rejected.push({ file: name, reason: `Rename target already exists: ${change.target}` });
+        continue;
+      }
+    }
+
+    const applied = applyHunks(change.original, change.hunks);
+    rejected.push(...applied.rejected.map(r => ({ file: name, ...r })));
+    notes.push(...applied.notes.map(note => `${name}: ${note}`));
+    change.content = applied.content;
+
+    if (change.type === 'delete' && change.content !== null && change.hunks.length > 0 && change.content !== '') {
+      rejected.push({ file: name, reason: 'The patch deletes the file but does not remove all of its content' });
+    }
   }
 
-  return { matches: results, count: results.length };
+  if (rejected.length > 0) {
+    return {
+      error: `Patch not applied: ${rejected.length} hunk(s) rejected. No files were changed.`,
+      rejected,
+      ...(notes.length > 0 && { notes })
+    };
+  }
+
+  // Deleting files needs the user's approval, as with the Delete tool
+  const deletions = changes.filter(c => c.type === 'delete');
+  if (deletions.length > 0) {
+    const outcome = await requestApproval({
+      sessionId,
+      kind: 'deletion',
+      path: deletions.map(c => c.source).join(', '),
+      operation: 'delete',
+      reason: 'Applying a patch that deletes files',
+      is_directory: false,
+      file_count: deletions.length,
+      message: `Patch deletes ${deletions.length} file${deletions.length === 1 ? '' : 's'}: ${deletions.map(c => c.source).join(', ')}`
+    }, { signal });
+    if (!outcome.approved) return approvalRefused(outcome, `delete ${deletions.map(c => c.source).join(', ')}`);
+  }
+
+  const touched = [...new Set(changes.flatMap(c => [c.source, c.target]).filter(Boolean))];
+  const checkpoint = await saveCheckpoint(sessionId, toolUseId, 'ApplyPatch', touched);
+
+  try {
+    for (const change of changes) {
+      if (change.target) {
+        await fs.mkdir(path.dirname(change.target), { recursive: true });
+        await fs.writeFile(change.target, change.content, 'utf-8');
+      }
+      if (change.type === 'delete' || change.type === 'rename') {
+        await fs.rm(change.source, { force: true });
+      }
+    }
+  } catch (error) {
+    // Put back whatever was already written
+    if (checkpoint) await getCheckpointStore().restore(sessionId, checkpoint);
+    return { error: `Patch failed while writing files (${error.message}). ${checkpoint ? 'Changes were rolled back.' : ''}`.trim() };
+  }
+
+  let diff = changes
+    .map(c => createUnifiedDiff(c.original, c.content ?? '', c.oldPath, c.newPath))
+    .filter(Boolean)
+    .join('\n');
+  if (diff.length > MAX_DIFF_CHARS) {
+    diff = diff.slice(0, MAX_DIFF_CHARS) + '\n... (diff truncated)';
+  }
+
+  return {
+    success: true,
+    files: changes.map(c => ({
+      path: c.target || c.source,
+      action: c.type,
+      ...(c.type === 'rename' && { from: c.source })
+    })),
+    ...(notes.length > 0 && { notes }),
+    diff,
+    checkpoint_id: checkpoint
+  };
 }
 
-async function executeListDir(input) {
-  const { path: dirPath } = input;
+async function executeGlob(input, { sessionId, workspace, signal }) {
+  const { pattern } = input;
+  const searchPath = await resolveWorkspacePath(input.path, workspace);
+
+  const blocked = await checkPathPolicy(sessionId, searchPath, 'read', 'Searching files in this location', signal);
+  if (blocked) return blocked;
+
+  const found = await filterInsideWorkspace(await glob(pattern, { cwd: searchPath, absolute: true }), workspace);
+  const matches = await filterByPolicy(sessionId, found, 'read');
+  return { files: matches.slice(0, 200), count: matches.length };
+}
+
+async function executeGrep(input, { sessionId, workspace, signal }) {
+  const {
+    pattern,
+    include,
+    output_mode = 'content',
+    case_insensitive = false,
+    multiline = false,
+    offset = 0,
+    limit = 100,
+    no_ignore = false
+  } = input;
+  const searchPath = await resolveWorkspacePath(input.path, workspace);
+
+  const blocked = await checkPathPolicy(sessionId, searchPath, 'read', 'Searching files in this location', signal);
+  if (blocked) return blocked;
+
+  if (!['content', 'files_with_matches', 'count'].includes(output_mode)) {
+    return { error: `Unknown output_mode: ${output_mode}` };
+  }
+
+  let regex;
+  try {
+    regex = compilePattern(pattern, { caseInsensitive: case_insensitive, multiline });
+  } catch (error) {
+    return { error: `Invalid regex: ${error.message}` };
+  }
+  const before = Math.max(0, input.before ?? input.context ?? 0);
+  const after = Math.max(0, input.after ?? input.context ?? 0);
+
+  // Results are collected past the page by one, to know whether there are more
+  const start = Math.max(0, offset);
+  const end = start + Math.max(1, limit);
+  const results = [];
+  let seen = 0;
+  let skippedFiles = 0;
+
+  const searchFiles = async (files) => {
+    const allowed = await filterByPolicy(sessionId, await filterInsideWorkspace(files, workspace), 'read');
+    for (const file of allowed) {
+      let content;
+      try {
+        content = await readTextFile(file);
+      } catch {
+        content = null;
+      }
+      if (content === null) {
+        skippedFiles++;
+        continue;
+      }
+
+      const matches = searchContent(content, regex, { multiline, before, after });
+      if (matches.length === 0) continue;
+
+      const entries = output_mode === 'content'
+        ? matches.map(match => ({ file, ...match }))
+        : [output_mode === 'count' ? { file, count: matches.length } : file];
+      for (const entry of entries) {
+        if (seen >= start && seen <= end) results.push(entry);
+        seen++;
+      }
+      if (seen > end) return true;
+    }
+    return false;
+  };
 
-  // Check if path is sensitive and requires permission
-  if (isSensitivePath(dirPath) && !isPathApproved(currentSessionId, dirPath)) {
-    return requestPathPermission(dirPath, 'list', 'Listing files in this location');
+  // Check files against the policy in batches as the walk finds them
+  let batch = [];
+  for await (const file of walkFiles(searchPath, { include, noIgnore: no_ignore, signal })) {
+    batch.push(file);
+    if (batch.length === 100) {
+      if (await searchFiles(batch)) break;
+      batch = [];
+    }
   }
+  if (seen <= end && batch.length > 0) await searchFiles(batch);
+
+  if (signal?.aborted) return { error: 'Run cancelled', cancelled: true };
+
+  const hasMore = results.length > end - start;
+  const page = results.slice(0, end - start);
+  const key = output_mode === 'content' ? 'matches' : output_mode === 'count' ? 'counts' : 'files';
+
+  return {
+    mode: output_mode,
+    [key]: page,
+    count: page.length,
+    offset: start,
+    ...(hasMore && { next_offset: end }),
+    ...(skippedFiles > 0 && { skipped_files: skippedFiles })
+  };
+}
+
+async function executeListDir(input, { sessionId, workspace, signal }) {
+  const dirPath = await resolveWorkspacePath(input.path, workspace);
+
+  // Check the path against the sandbox policy
+  const blocked = await checkPathPolicy(sessionId, dirPath, 'read', 'Listing files in this location', signal);
+  if (blocked) return blocked;
 
   const entries = await fs.readdir(dirPath, { withFileTypes: true });
   const items = await Promise.all(entries.map(async e => {
@@ -800,41 +1418,43 @@ async function executeListDir(input) {
   return { items, count: items.length };
 }
 
-async function executeMakeDir(input) {
-  // Check if path is sensitive and requires permission
-  if (isSensitivePath(input.path) && !isPathApproved(currentSessionId, input.path)) {
-    return requestPathPermission(input.path, 'create directory', 'Creating directory in this location');
-  }
+async function executeMakeDir(input, { sessionId, workspace, signal, toolUseId }) {
+  const dirPath = await resolveWorkspacePath(input.path, workspace);
+
+  // Check the path against the sandbox policy
+  const blocked = await checkPathPolicy(sessionId, dirPath, 'write', 'Creating directory in this location', signal);
+  if (blocked) return blocked;
 
-  await fs.mkdir(input.path, { recursive: true });
-  return { success: true, path: input.path };
+  const checkpoint = await saveCheckpoint(sessionId, toolUseId, 'MakeDir', [dirPath]);
+  await fs.mkdir(dirPath, { recursive: true });
+  return { success: true, path: dirPath, checkpoint_id: checkpoint };
 }
 
-async function executeMove(input) {
-  // Check if either source or destination is sensitive
-  if (isSensitivePath(input.source) && !isPathApproved(currentSessionId, input.source)) {
-    return requestPathPermission(input.source, 'move from', 'Moving files from this location');
-  }
-  if (isSensitivePath(input.destination) && !isPathApproved(currentSessionId, input.destination)) {
-    return requestPathPermission(input.destination, 'move to', 'Moving files to this location');
-  }
+async function executeMove(input, { sessionId, workspace, signal, toolUseId }) {
+  const source = await resolveWorkspacePath(input.source, workspace);
+  const destination = await resolveWorkspacePath(input.destination, workspace);
+
+  // Check source and destination against the sandbox policy
+  const blocked = await checkPathPolicy(sessionId, source, 'delete', 'Moving files from this location', signal) ||
+    await checkPathPolicy(sessionId, destination, 'write', 'Moving files to this location', signal);
+  if (blocked) return blocked;
 
-  await fs.rename(input.source, input.destination);
-  return { success: true, source: input.source, destination: input.destination };
+  const checkpoint = await saveCheckpoint(sessionId, toolUseId, 'Move', [source, destination]);
+  await fs.rename(source, destination);
+  return { success: true, source, destination, checkpoint_id: checkpoint };
 }
 
-async function executeCopy(input) {
-  const { source, destination } = input;
+async function executeCopy(input, { sessionId, workspace, signal, toolUseId }) {
+  const source = await resolveWorkspacePath(input.source, workspace);
+  const destination = await resolveWorkspacePath(input.destination, workspace);
 
-  // Check if either source or destination is sensitive
-  if (isSensitivePath(source) && !isPathApproved(currentSessionId, source)) {
-    return requestPathPermission(source, 'copy from', 'Copying files from this location');
-  }
-  if (isSensitivePath(destination) && !isPathApproved(currentSessionId, destination)) {
-    return requestPathPermission(destination, 'copy to', 'Copying files to this location');
-  }
+  // Check source and destination against the sandbox policy
+  const blocked = await checkPathPolicy(sessionId, source, 'read', 'Copying files from this location', signal) ||
+    await checkPathPolicy(sessionId, destination, 'write', 'Copying files to this location', signal);
+  if (blocked) return blocked;
 
   const stat = await fs.stat(source);
+  const checkpoint = await saveCheckpoint(sessionId, toolUseId, 'Copy', [destination]);
 
   if (stat.isDirectory()) {
     await fs.cp(source, destination, { recursive: true });
@@ -842,12 +1462,17 @@ async function executeCopy(input) {
     await fs.mkdir(path.dirname(destination), { recursive: true });
     await fs.copyFile(source, destination);
   }
-  return { success: true, source, destination };
+  return { success: true, source, destination, checkpoint_id: checkpoint };
 }
 
-// Delete now requires confirmation - creates a pending deletion
-async function executeDelete(input) {
-  const { path: targetPath, recursive = false, reason = 'No reason provided' } = input;
+// Delete waits for the user to approve, then moves the path into the recoverable trash
+async function executeDelete(input, { sessionId, workspace, signal }) {
+  const { recursive = false, reason = 'No reason provided' } = input;
+  const targetPath = await resolveWorkspacePath(input.path, workspace);
+
+  // Check the path against the sandbox policy
+  const blocked = await checkPathPolicy(sessionId, targetPath, 'delete', 'Deleting files in this location', signal);
+  if (blocked) return blocked;
 
   // Check if path exists
   let stat;
@@ -857,92 +1482,132 @@ async function executeDelete(input) {
     return { error: `Path not found: ${targetPath}` };
   }
 
-  // Generate unique deletion ID
-  const deletionId = `del_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const isDirectory = stat.isDirectory();
+  if (isDirectory && !recursive) {
+    const entries = await fs.readdir(targetPath);
+    if (entries.length > 0) {
+      return { error: `Directory is not empty: ${targetPath}. Set recursive to delete it with its contents.` };
+    }
+  }
 
-  // Calculate size for directories
-  let size = 0;
+  // Count files for directories
   let fileCount = 1;
-  if (stat.isDirectory()) {
-    const files = await glob('**/*', { cwd: targetPath, nodir: true });
+  if (isDirectory) {
+    const files = await glob('**/*', { cwd: targetPath, nodir: true, dot: true });
     fileCount = files.length;
-    size = stat.size; // Approximate
-  } else {
-    size = stat.size;
   }
 
-  // Store pending deletion
-  pendingDeletions.set(deletionId, {
+  const outcome = await requestApproval({
+    sessionId,
+    kind: 'deletion',
     path: targetPath,
-    recursive,
+    operation: 'delete',
     reason,
-    isDirectory: stat.isDirectory(),
-    size,
-    fileCount,
-    createdAt: new Date().toISOString(),
-    session: currentSessionId
-  });
+    is_directory: isDirectory,
+    file_count: fileCount,
+    size: stat.size,
+    // The dialog already asks; it also shows the web content in context
+    untrusted_sources: untrustedSources(sessionId),
+    message: `Delete ${isDirectory ? `directory (${fileCount} files)` : 'file'}: ${targetPath}`
+  }, { signal });
+
+  if (!outcome.approved) return approvalRefused(outcome, `delete ${targetPath}`);
+
+  let entry;
+  try {
+    entry = await getTrash().add(targetPath, { chatId: sessionId, reason, isDirectory, fileCount });
+  } catch (error) {
+    return { error: `Failed to delete: ${error.message}` };
+  }
 
   return {
-    requires_approval: true,
-    deletion_id: deletionId,
+    success: true,
     path: targetPath,
-    type: stat.isDirectory() ? 'directory' : 'file',
+    type: entry.type,
     file_count: fileCount,
-    reason,
-    message: `Deletion request created. User must approve deletion of ${targetPath}. Use ConfirmDelete with deletion_id="${deletionId}" after user approval.`
+    trash_id: entry.id,
+    message: `Moved ${targetPath} to the trash; the user can restore it`
   };
 }
 
-// Confirm a pending deletion after user approval
-async function executeConfirmDelete(input) {
-  const { deletion_id } = input;
+// Steps listed in a BatchFileOps result
+const MAX_LISTED_STEPS = 300;
 
-  const pending = pendingDeletions.get(deletion_id);
-  if (!pending) {
-    return { error: `No pending deletion found with id: ${deletion_id}. It may have expired or already been processed.` };
+async function executeBatchFileOps(input, { sessionId, workspace, signal, toolUseId }) {
+  const { operations, on_conflict: onConflict = 'skip', dry_run: dryRun = false } = input;
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return { error: 'operations must be a non-empty array' };
+  }
+  if (!CONFLICT_POLICIES.includes(onConflict)) {
+    return { error: `on_conflict must be one of: ${CONFLICT_POLICIES.join(', ')}` };
   }
 
-  const { path: targetPath, recursive, isDirectory } = pending;
-
+  let steps;
   try {
-    if (isDirectory) {
-      await fs.rm(targetPath, { recursive });
-    } else {
-      await fs.unlink(targetPath);
-    }
+    steps = await planBatch(operations, { onConflict, workspace });
+  } catch (error) {
+    if (error instanceof BatchError) return { error: `${error.message}. No files were changed.` };
+    throw error;
+  }
 
-    pendingDeletions.delete(deletion_id);
+  const planned = steps.filter(step => step.status === 'planned');
+  const checks = planned.flatMap(step => [
+    step.source && { path: step.source, operation: step.op === 'copy' ? 'read' : 'delete' },
+    { path: step.destination, operation: 'write' }
+  ].filter(Boolean));
+
+  const report = () => {
+    const counts = {};
+    for (const step of steps) counts[step.status] = (counts[step.status] || 0) + 1;
     return {
-      success: true,
-      path: targetPath,
-      message: `Successfully deleted ${targetPath}`
+      summary: counts,
+      steps: steps.slice(0, MAX_LISTED_STEPS).map(({ index, ...step }) => ({ operation: index + 1, ...step })),
+      ...(steps.length > MAX_LISTED_STEPS && { steps_not_listed: steps.length - MAX_LISTED_STEPS })
+    };
+  };
+
+  if (dryRun) {
+    const { denied, ask } = await evaluatePathPolicies(sessionId, checks);
+    return {
+      dry_run: true,
+      ...report(),
+      ...(denied.length > 0 && { denied: denied.map(d => `${d.operation} ${d.path}`) }),
+      ...(ask.length > 0 && { needs_permission: [...new Set(ask.map(a => a.path))] })
     };
-  } catch (error) {
-    return { error: `Failed to delete: ${error.message}` };
   }
-}
+  if (planned.length === 0) return { success: true, message: 'Nothing to do', ...report() };
 
-// Cancel a pending deletion
-async function executeCancelDelete(input) {
-  const { deletion_id } = input;
+  // One policy check and permission request for the whole batch
+  const blocked = await checkPathsPolicy(sessionId, checks, input.reason || 'Batch file operations', signal);
+  if (blocked) return blocked;
 
-  const pending = pendingDeletions.get(deletion_id);
-  if (!pending) {
-    return { error: `No pending deletion found with id: ${deletion_id}` };
+  const touched = [...new Set(planned.flatMap(step =>
+    step.op === 'copy' || step.op === 'mkdir' ? [step.destination] : [step.source, step.destination]
+  ))];
+  const checkpoint = await saveCheckpoint(sessionId, toolUseId, 'BatchFileOps', touched);
+
+  for (const step of planned) {
+    try {
+      if (signal?.aborted) throw new Error('Run cancelled');
+      await runStep(step);
+      step.status = 'done';
+    } catch (error) {
+      // Put back whatever was already changed
+      if (checkpoint) await getCheckpointStore().restore(sessionId, checkpoint);
+      step.status = 'failed';
+      step.reason = error.message;
+      return {
+        error: `Batch failed at ${step.op} ${step.source ? `${step.source} -> ` : ''}${step.destination} (${error.message}). ${checkpoint ? 'Changes were rolled back.' : 'Earlier steps were not undone.'}`,
+        ...report()
+      };
+    }
   }
 
-  pendingDeletions.delete(deletion_id);
-  return {
-    success: true,
-    cancelled: true,
-    path: pending.path,
-    message: `Deletion of ${pending.path} has been cancelled.`
-  };
+  return { success: true, ...report(), checkpoint_id: checkpoint };
 }
 
 // Progress reporting for user visibility
-async function executeProgress(input) {
+async function executeProgress(input, { sessionId }) {
   const { step, details = '', percent } = input;
 
   const progressEntry = {
@@ -952,17 +1617,8 @@ async function executeProgress(input) {
     timestamp: new Date().toISOString()
   };
 
-  // Store progress for session
-  if (!progressTracker.has(currentSessionId)) {
-    progressTracker.set(currentSessionId, []);
-  }
-  progressTracker.get(currentSessionId).push(progressEntry);
-
-  // Keep last 50 entries per session
-  const entries = progressTracker.get(currentSessionId);
-  if (entries.length > 50) {
-    entries.splice(0, entries.length - 50);
-  }
+  // Persist progress for session (the store keeps the last 50 entries)
+  getConversationStore().addProgress(sessionId, progressEntry);
 
   console.log(`[Progress] ${step}${percent ? ` (${percent}%)` : ''}: ${details}`);
 
@@ -977,165 +1633,188 @@ async function executeProgress(input) {
 
 // Export pending deletions for UI
 export function getPendingDeletions(sessionId) {
-  const pending = [];
-  for (const [id, data] of pendingDeletions.entries()) {
-    if (!sessionId || data.session === sessionId) {
-      pending.push({ id, ...data });
-    }
-  }
-  return pending;
+  return getPendingApprovals(sessionId, 'deletion');
 }
 
 // Export progress for UI
 export function getProgress(sessionId) {
-  return progressTracker.get(sessionId) || [];
+  return getConversationStore().getProgress(sessionId);
 }
 
 // ==================== SYSTEM TOOLS ====================
 
-async function executeBash(input) {
-  const { command, timeout = 120000, cwd } = input;
-
-  // Security checks
-  const dangerous = ['rm -rf /', 'mkfs', ':(){', 'format c:'];
-  if (dangerous.some(d => command.toLowerCase().includes(d))) {
-    return { error: 'Blocked: dangerous command pattern detected' };
+// Foreground commands are capped at this long
+const MAX_BASH_TIMEOUT = 600000;
+
+async function executeBash(input, { signal, onProgress, sessionId, workspace } = {}) {
+  const { command, run_in_background: background = false } = input;
+  const timeout = Math.min(Math.max(parseInt(input.timeout, 10) || 120000, 1000), MAX_BASH_TIMEOUT);
+  if (!command?.trim()) return { error: 'command is required' };
+
+  // Commands run in the chat's shell session, which starts in the workspace
+  // and keeps its directory and environment between calls (not on Windows)
+  const root = await resolveWorkspacePath(undefined, workspace);
+  const session = process.platform === 'win32' ? null : getShellSession(sessionId, root);
+  // A session an earlier command took out of a confined workspace starts again from its root
+  let cwdReset = false;
+  if (session && !input.cwd && session.cwd !== root) {
+    try {
+      await resolveWorkspacePath(session.cwd, workspace);
+    } catch {
+      session.cwd = root;
+      cwdReset = true;
+    }
+  }
+  const cwd = input.cwd ? await resolveWorkspacePath(input.cwd, workspace) : session?.cwd ?? root;
+  const blocked = await checkPathPolicy(sessionId, cwd, 'exec', 'Running commands in this location', signal);
+  if (blocked) return blocked;
+  const env = session?.env() || process.env;
+  const refused = await checkCommandPolicy(sessionId, command, { cwd, env }, signal);
+  if (refused) return refused;
+  const unconfirmed = await checkUntrustedContext(sessionId, `run ${command}`, {
+    path: cwd,
+    operation: 'exec',
+    command,
+    message: `Run a command while untrusted web content is in context: ${command}`
+  }, signal);
+  if (unconfirmed) return unconfirmed;
+
+  if (background) {
+    try {
+      const job = getJobManager().start(sessionId, command, { cwd, env });
+      return {
+        ...job,
+        success: true,
+        message: `Started in the background as ${job.job_id}. Read its output with BashOutput and stop it with KillJob.`
+      };
+    } catch (error) {
+      if (error instanceof JobError) return { error: error.message };
+      return { error: `Failed to start background job: ${error.message}` };
+    }
   }
 
-  try {
-    const options = {
-      timeout,
-      maxBuffer: 10 * 1024 * 1024,
-      shell: process.platform === 'win32' ? 'powershell.exe' : '/bin/bash',
-      cwd: cwd || process.cwd()
-    };
+  const run = session
+    ? await session.run(command, { cwd: input.cwd || cwdReset ? cwd : null, timeout, signal, onProgress })
+    : await runCommand(command, { cwd, timeout, signal, onProgress });
 
-    const { stdout, stderr } = await execAsync(command, options);
+  if (run.cancelled) {
+    return { error: 'Command cancelled', cancelled: true, success: false };
+  }
+  const output = {
+    stdout: run.stdout.slice(0, 30000),
+    stderr: run.stderr.slice(0, 5000),
+    ...(session && { cwd: run.cwd }),
+    ...(cwdReset && { note: `The shell had left the workspace, so this command ran from its root (${root})` })
+  };
+  if (run.timedOut) {
     return {
-      stdout: stdout.slice(0, 30000),
-      stderr: stderr.slice(0, 5000),
-      success: true
+      ...output,
+      success: false,
+      timed_out: true,
+      error: `Command timed out after ${timeout / 1000}s${session ? '; the shell session was restarted, so directory and environment changes are lost' : ''}. Use run_in_background for servers and watchers.`
     };
+  }
+  if (run.shellExited) {
+    return { ...output, exit_code: run.exitCode, success: run.exitCode === 0, note: 'The command ended the shell session; the next command starts a new one in the workspace' };
+  }
+  return run.exitCode === 0
+    ? { ...output, success: true }
+    : { ...output, exit_code: run.exitCode, success: false };
+}
+
+async function executeBashOutput(input, { sessionId }) {
+  if (!input.job_id) return { error: 'job_id is required' };
+  try {
+    return await getJobManager().read(sessionId, input.job_id, { filter: input.filter });
   } catch (error) {
-    return {
-      stdout: error.stdout?.slice(0, 30000) || '',
-      stderr: error.stderr?.slice(0, 5000) || error.message,
-      exit_code: error.code,
-      success: false
-    };
+    if (error instanceof JobError) return { error: error.message };
+    return { error: `Failed to read job output: ${error.message}` };
   }
 }
 
-// ==================== WEB TOOLS ====================
+async function executeKillJob(input, { sessionId }) {
+  if (!input.job_id) return { error: 'job_id is required' };
+  try {
+    const job = await getJobManager().kill(sessionId, input.job_id);
+    return { ...job, success: job.status !== 'running' };
+  } catch (error) {
+    if (error instanceof JobError) return { error: error.message };
+    return { error: `Failed to stop job: ${error.message}` };
+  }
+}
 
-async function executeWebSearch(input) {
-  const { query, num_results = 5 } = input;
+// ==================== WEB TOOLS ====================
 
-  // Use DuckDuckGo HTML search (no API key needed)
-  const searchUrl = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}`;
+async function executeWebSearch(input, { signal }) {
+  const { query } = input;
+  if (!query?.trim()) return { error: 'query is required' };
+  const count = Math.min(Math.max(parseInt(input.num_results, 10) || 5, 1), 10);
 
   try {
-    const html = await fetchUrl(searchUrl);
-
-    // Parse results from HTML
-    const results = [];
-    const resultRegex = /<a class="result__a" href="([^"]+)"[^>]*>([^<]+)<\/a>[\s\S]*?<a class="result__snippet"[^>]*>([\s\S]*?)<\/a>/gi;
-
-    let match;
-    while ((match = resultRegex.exec(html)) !== null && results.length < num_results) {
-      results.push({
-        url: match[1],
-        title: match[2].replace(/<[^>]+>/g, '').trim(),
-        snippet: match[3].replace(/<[^>]+>/g, '').trim()
-      });
-    }
-
-    // Fallback: simpler parsing
-    if (results.length === 0) {
-      const linkRegex = /<a class="result__a" href="([^"]+)"[^>]*>([^<]+)<\/a>/gi;
-      while ((match = linkRegex.exec(html)) !== null && results.length < num_results) {
-        results.push({
-          url: match[1],
-          title: match[2].trim(),
-          snippet: ''
-        });
-      }
-    }
-
-    return { results, count: results.length, query };
+    const { results, backend, cached } = await searchWeb(query, { count, signal });
+    return { results, count: results.length, query, backend, ...(cached && { cached: true }) };
   } catch (error) {
     return { error: `Search failed: ${error.message}`, query };
   }
 }
 
-async function executeWebFetch(input) {
+// Characters of fetched content returned per WebFetch call
+const WEB_FETCH_PAGE_LENGTH = 20000;
+
+async function executeWebFetch(input, { signal }) {
   const { url, extract_text = true } = input;
+  if (!/^https?:\/\//i.test(url || '')) return { error: 'url must be an http(s) URL', url };
+  const offset = Math.max(0, parseInt(input.offset, 10) || 0);
+  const maxLength = Math.min(Math.max(parseInt(input.max_length, 10) || WEB_FETCH_PAGE_LENGTH, 1000), 100000);
 
+  let page;
   try {
-    const html = await fetchUrl(url);
-
-    if (extract_text) {
-      // Extract text content
-      let text = html
-        .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
-        .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
-        .replace(/<nav[^>]*>[\s\S]*?<\/nav>/gi, '')
-        .replace(/<header[^>]*>[\s\S]*?<\/header>/gi, '')
-        .replace(/<footer[^>]*>[\s\S]*?<\/footer>/gi, '')
-        .replace(/<[^>]+>/g, ' ')
-        .replace(/\s+/g, ' ')
-        .trim();
-
-      // Limit size
-      text = text.slice(0, 15000);
-      return { content: text, url, type: 'text' };
-    }
-
-    return { content: html.slice(0, 30000), url, type: 'html' };
+    page = await fetchPage(url, { raw: !extract_text, signal });
   } catch (error) {
+    if (error instanceof NetworkPolicyError) return { error: error.message, url, blocked: true };
     return { error: `Fetch failed: ${error.message}`, url };
   }
-}
-
-function fetchUrl(url) {
-  return new Promise((resolve, reject) => {
-    const client = url.startsWith('https') ? https : http;
-
-    const req = client.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      },
-      timeout: 15000
-    }, (res) => {
-      // Handle redirects
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        fetchUrl(res.headers.location).then(resolve).catch(reject);
-        return;
-      }
 
-      if (res.statusCode !== 200) {
-        reject(new Error(`HTTP ${res.statusCode}`));
-        return;
-      }
+  const location = { url, ...(page.final_url !== url && { final_url: page.final_url }) };
+  if (page.status < 200 || page.status >= 300) {
+    return {
+      error: `HTTP ${page.status}${page.status_text ? ` ${page.status_text}` : ''}`,
+      ...location,
+      status: page.status,
+      ...(page.content && { content: page.content.slice(0, 2000) })
+    };
+  }
+  if (page.type === 'image') {
+    return { type: 'image', media_type: page.media_type, data: page.data, size: page.size, ...location };
+  }
 
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => resolve(data));
-    });
+  // Page through long content, ending each chunk at a paragraph break where possible
+  const total = page.content.length;
+  if (offset >= total && total > 0) return { error: `offset ${offset} is past the end of the content (${total} characters)`, ...location };
+  let end = Math.min(total, offset + maxLength);
+  if (end < total) {
+    const breakAt = page.content.lastIndexOf('\n\n', end);
+    if (breakAt > offset + maxLength * 0.8) end = breakAt + 2;
+  }
 
-    req.on('error', reject);
-    req.on('timeout', () => {
-      req.destroy();
-      reject(new Error('Request timeout'));
-    });
-  });
+  return {
+    content: page.content.slice(offset, end),
+    ...location,
+    type: page.type,
+    ...(page.title && { title: page.title }),
+    ...(page.total_pages && { total_pages: page.total_pages }),
+    total_length: total,
+    ...(offset > 0 && { offset }),
+    ...(end < total && { next_offset: end }),
+    ...(page.truncated && { note: 'The response was larger than the download limit and was cut off' })
+  };
 }
 
 // ==================== TASK TOOLS ====================
 
-async function executeTodoWrite(input) {
+async function executeTodoWrite(input, { sessionId }) {
   const { todos } = input;
-  todoStorage.set(currentSessionId, todos);
+  getConversationStore().setTodos(sessionId, todos);
 
   const summary = {
     pending: todos.filter(t => t.status === 'pending').length,
@@ -1147,15 +1826,19 @@ async function executeTodoWrite(input) {
   return { success: true, summary, todos };
 }
 
-async function executeTodoRead() {
-  const todos = todoStorage.get(currentSessionId) || [];
+async function executeTodoRead(_input, { sessionId }) {
+  const todos = getConversationStore().getTodos(sessionId);
   return { todos, count: todos.length };
 }
 
 // ==================== ANALYSIS TOOLS ====================
 
-async function executeCodeAnalysis(input) {
-  const { path: targetPath, type = 'structure' } = input;
+async function executeCodeAnalysis(input, { sessionId, workspace, signal }) {
+  const { type = 'structure' } = input;
+  const targetPath = await resolveWorkspacePath(input.path, workspace);
+
+  const blocked = await checkPathPolicy(sessionId, targetPath, 'read', 'Analyzing files in this location', signal);
+  if (blocked) return blocked;
 
   const stat = await fs.stat(targetPath);
 
@@ -1214,6 +1897,76 @@ async function executeCodeAnalysis(input) {
   return { error: `Unknown analysis type: ${type}` };
 }
 
+// ==================== DOCUMENT TOOLS ====================
+
+/**
+ * Write a generated document through the same policy check and checkpoint
+ * as Write. build() returns { buffer, ...details } and may throw on bad input.
+ */
+async function writeGeneratedFile(tool, extension, input, build, { sessionId, workspace, signal, toolUseId }) {
+  if (!input.file_path) return { error: 'file_path is required' };
+  const file_path = await resolveWorkspacePath(input.file_path, workspace);
+  if (path.extname(file_path).toLowerCase() !== extension) {
+    return { error: `${tool} creates ${extension} files; file_path must end in ${extension}` };
+  }
+
+  const blocked = await checkPathPolicy(sessionId, file_path, 'write', 'Writing files to this location', signal);
+  if (blocked) return blocked;
+
+  const { buffer, ...details } = build();
+  const checkpoint = await saveCheckpoint(sessionId, toolUseId, tool, [file_path]);
+  await fs.mkdir(path.dirname(file_path), { recursive: true });
+  await fs.writeFile(file_path, buffer);
+  return { success: true, path: file_path, bytes: buffer.length, ...details, checkpoint_id: checkpoint };
+}
+
+/**
+ * Read the files of image blocks, checking each against the sandbox policy
+ * @returns {Promise<{ content: Object[] } | { error: string }>}
+ */
+async function loadDocumentImages(content, { sessionId, workspace, signal }) {
+  if (!Array.isArray(content)) return { content };
+
+  const blocks = [];
+  for (const block of content) {
+    if (block?.type !== 'image') {
+      blocks.push(block);
+      continue;
+    }
+    if (!block.path) return { error: 'Image blocks need a path' };
+    const imagePath = await resolveWorkspacePath(block.path, workspace);
+    const blocked = await checkPathPolicy(sessionId, imagePath, 'read', 'Reading images from this location', signal);
+    if (blocked) return blocked;
+
+    const data = await fs.readFile(imagePath);
+    const info = getImageInfo(data);
+    if (!info) return { error: `Not a supported image file: ${imagePath}` };
+    blocks.push({ ...block, data, info });
+  }
+  return { content: blocks };
+}
+
+async function executeCreateSpreadsheet(input, context) {
+  return writeGeneratedFile('CreateSpreadsheet', '.xlsx', input, () => createXlsx(input), context);
+}
+
+async function executeCreateDocument(input, context) {
+  const loaded = await loadDocumentImages(input.content, context);
+  if (loaded.error) return loaded;
+  return writeGeneratedFile('CreateDocument', '.docx', input, () => createDocx({ ...input, content: loaded.content }), context);
+}
+
+async function executeCreatePdf(input, context) {
+  const loaded = await loadDocumentImages(input.content, context);
+  if (loaded.error) return loaded;
+
+  const result = await writeGeneratedFile('CreatePdf', '.pdf', input, () => createPdf({ ...input, content: loaded.content }), context);
+  if (result.replaced_characters) {
+    result.note = `${result.replaced_characters} characters outside the Western European character set were replaced with "?"`;
+  }
+  return result;
+}
+
 // ==================== COMPUTER USE TOOLS ====================
 
 // Check if NirCmd is available (much faster than PowerShell)
@@ -1497,15 +2250,18 @@ Add-Type -AssemblyName System.Windows.Forms
 // Open browser and navigate to URL
 async function executeOpenBrowser(input) {
   const { url, browser = 'default' } = input;
+  const blocked = await checkNetworkPolicy(url);
+  if (blocked) return blocked;
 
+  // The URL goes to the opener as an argument, never through a shell
+  const { href } = parseToolUrl(url);
   try {
     if (process.platform === 'win32') {
-      // Use start command which is faster
-      await execAsync(`start "" "${url}"`, { shell: 'cmd.exe', timeout: 5000 });
+      await execFileAsync('rundll32', ['url.dll,FileProtocolHandler', href], { timeout: 5000 });
     } else if (process.platform === 'darwin') {
-      await execAsync(`open "${url}"`);
+      await execFileAsync('open', [href]);
     } else {
-      await execAsync(`xdg-open "${url}"`);
+      await execFileAsync('xdg-open', [href]);
     }
 
     return {
@@ -1587,6 +2343,9 @@ async function executeBrowserNavigate(input) {
   if (check) return check;
 
   const { url, newTab = false } = input;
+  const blocked = await checkNetworkPolicy(url);
+  if (blocked) return blocked;
+
   return await browserExtension.sendCommand('navigate', { url, newTab });
 }
 
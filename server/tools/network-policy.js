@@ -0,0 +1,288 @@
+/**
+ * Network policy for tools that reach out to URLs.
+ * Hostnames are resolved and every address is checked, so a page cannot
+ * steer WebFetch or the browser to loopback, link-local (cloud metadata)
+ * or private-network services. Hosts, addresses and CIDR ranges on the
+ * allowlist are let through.
+ * The allowlist comes from the "network" section of sandbox.json and the
+ * NETWORK_ALLOWLIST env var (comma-separated).
+ */
+
+import dns from 'dns';
+import net from 'net';
+import path from 'path';
+import { loadSandboxConfig } from './sandbox-policy.js';
+import { DEFAULT_DATA_DIR } from '../store/index.js';
+
+export class NetworkPolicyError extends Error {
+  constructor(message, { host, address, range } = {}) {
+    super(message);
+    this.name = 'NetworkPolicyError';
+    this.host = host;
+    this.address = address;
+    this.range = range;
+  }
+}
+
+// ==================== ADDRESSES ====================
+
+function parseIPv4(address) {
+  const parts = address.split('.').map(Number);
+  return parts.length === 4 && parts.every(n => Number.isInteger(n) && n >= 0 && n <= 255) ? parts : null;
+}
+
+/**
+ * IPv6 address as eight 16-bit groups (an embedded IPv4 tail is allowed)
+ */
+function parseIPv6(address) {
+  let text = address.replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+  const v4 = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4) {
+    const parts = parseIPv4(v4[1]);
+    if (!parts) return null;
+    text = text.slice(0, -v4[1].length) + `${((parts[0] << 8) | parts[1]).toString(16)}:${((parts[2] << 8) | parts[3]).toString(16)}`;
+  }
+  const halves = text.split('::');
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const fill = halves.length === 2 ? 8 - head.length - tail.length : 0;
+  const groups = [...head, ...Array(Math.max(fill, 0)).fill('0'), ...tail].map(g => parseInt(g, 16));
+  return groups.length === 8 && groups.every(g => g >= 0 && g <= 0xffff) ? groups : null;
+}
+
+const IPV4_RANGES = [
+  ['0.0.0.0', 8, 'unspecified'],
+  ['10.0.0.0', 8, 'private'],
+  ['100.64.0.0', 10, 'shared (carrier-grade NAT)'],
+  ['127.0.0.0', 8, 'loopback'],
+  ['169.254.0.0', 16, 'link-local'],
+  ['172.16.0.0', 12, 'private'],
+  ['192.0.0.0', 24, 'reserved'],
+  ['192.168.0.0', 16, 'private'],
+  ['198.18.0.0', 15, 'reserved'],
+  ['224.0.0.0', 4, 'multicast'],
+  ['240.0.0.0', 4, 'reserved']
+];
+
+function ipv4ToInt(parts) {
+  return ((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0;
+}
+
+function inIPv4Range(parts, base, bits) {
+  const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+  return ((ipv4ToInt(parts) & mask) >>> 0) === ((ipv4ToInt(parseIPv4(base)) & mask) >>> 0);
+}
+
+function classifyIPv4(parts) {
+  return IPV4_RANGES.find(([base, bits]) => inIPv4Range(parts, base, bits))?.[2] || null;
+}
+
+/**
+ * The kind of non-public range an address is in, or null for public addresses
+ * @param {string} address - IPv4 or IPv6 literal
+ * @returns {string|null} loopback, private, link-local, ...
+ */
+export function classifyAddress(address) {
+  const v4 = parseIPv4(address);
+  if (v4) return classifyIPv4(v4);
+
+  const g = parseIPv6(address);
+  if (!g) return 'invalid';
+  const embeddedV4 = (hi, lo) => [hi >> 8, hi & 0xff, lo >> 8, lo & 0xff];
+
+  if (g.every(x => x === 0)) return 'unspecified';
+  if (g.slice(0, 7).every(x => x === 0) && g[7] === 1) return 'loopback';
+  // IPv4-mapped (::ffff:a.b.c.d) and IPv4-compatible (::a.b.c.d)
+  if (g.slice(0, 5).every(x => x === 0) && (g[5] === 0xffff || g[5] === 0)) return classifyIPv4(embeddedV4(g[6], g[7]));
+  // NAT64 (64:ff9b::/96) and 6to4 (2002::/16) carry an IPv4 address
+  if (g[0] === 0x64 && g[1] === 0xff9b && g.slice(2, 6).every(x => x === 0)) return classifyIPv4(embeddedV4(g[6], g[7]));
+  if (g[0] === 0x2002) return classifyIPv4(embeddedV4(g[1], g[2]));
+  if ((g[0] & 0xfe00) === 0xfc00) return 'private';
+  if ((g[0] & 0xffc0) === 0xfe80) return 'link-local';
+  if ((g[0] & 0xffc0) === 0xfec0) return 'site-local';
+  if ((g[0] & 0xff00) === 0xff00) return 'multicast';
+  return null;
+}
+
+// ==================== ALLOWLIST ====================
+
+/**
+ * Parse an allowlist entry: a hostname (optionally "*.example.com"), an IP
+ * address or a CIDR range, each with an optional :port
+ */
+function parseAllowEntry(entry) {
+  const text = String(entry).trim().toLowerCase();
+  if (!text) return null;
+
+  const cidr = text.match(/^\[?([0-9a-f:.]+)\]?\/(\d{1,3})$/);
+  if (cidr && net.isIP(cidr[1])) {
+    const bits = Number(cidr[2]);
+    const v4 = net.isIPv4(cidr[1]);
+    if (bits > (v4 ? 32 : 128)) throw new Error(`Invalid CIDR range in network allowlist: ${entry}`);
+    return { kind: 'cidr', v4, base: cidr[1], bits, entry: text };
+  }
+
+  const withPort = text.match(/^\[([0-9a-f:.]+)\](?::(\d+))?$/) || text.match(/^([^:]+)(?::(\d+))?$/) || [null, text];
+  const [, host, port] = withPort;
+  if (net.isIP(host)) return { kind: 'address', address: host, port: port ? Number(port) : null, entry: text };
+  if (!/^(\*\.)?[a-z0-9_-]+(\.[a-z0-9_-]+)*\.?$/.test(host)) throw new Error(`Invalid network allowlist entry: ${entry}`);
+  return { kind: 'host', host: host.replace(/\.$/, ''), port: port ? Number(port) : null, entry: text };
+}
+
+function sameAddress(a, b) {
+  if (net.isIPv4(a) && net.isIPv4(b)) return a === b;
+  const ga = net.isIPv4(a) ? parseIPv6(`::ffff:${a}`) : parseIPv6(a);
+  const gb = net.isIPv4(b) ? parseIPv6(`::ffff:${b}`) : parseIPv6(b);
+  return Boolean(ga && gb) && ga.every((x, i) => x === gb[i]);
+}
+
+function inCidr(address, { v4, base, bits }) {
+  if (v4) {
+    const parts = parseIPv4(address) || (() => {
+      const g = parseIPv6(address);
+      return g && g.slice(0, 5).every(x => x === 0) && g[5] === 0xffff ? [g[6] >> 8, g[6] & 0xff, g[7] >> 8, g[7] & 0xff] : null;
+    })();
+    return Boolean(parts) && inIPv4Range(parts, base, bits);
+  }
+  const ga = parseIPv6(address);
+  const gb = parseIPv6(base);
+  if (!ga || !gb) return false;
+  for (let i = 0, remaining = bits; remaining > 0; i++, remaining -= 16) {
+    const mask = remaining >= 16 ? 0xffff : (0xffff << (16 - remaining)) & 0xffff;
+    if ((ga[i] & mask) !== (gb[i] & mask)) return false;
+  }
+  return true;
+}
+
+function defaultPort(url) {
+  return url.port ? Number(url.port) : url.protocol === 'https:' ? 443 : 80;
+}
+
+// ==================== POLICY ====================
+
+export class NetworkPolicy {
+  /**
+   * @param {Object} [config]
+   * @param {string[]} [config.allow] - Allowlisted hosts, addresses and CIDR ranges
+   * @param {boolean} [config.blockPrivate] - Block non-public addresses (default: true)
+   * @param {Object} [options]
+   * @param {Function} [options.lookup] - dns.lookup replacement, for tests
+   */
+  constructor(config = {}, { lookup = dns.lookup } = {}) {
+    this.blockPrivate = config.blockPrivate ?? true;
+    this.allow = (config.allow || []).map(parseAllowEntry).filter(Boolean);
+    this.lookup = lookup;
+  }
+
+  hostAllowed(host, port) {
+    const name = host.toLowerCase().replace(/\.$/, '');
+    return this.allow.some(rule => rule.kind === 'host' &&
+      (rule.port === null || rule.port === port) &&
+      (rule.host.startsWith('*.') ? name.endsWith(rule.host.slice(1)) : name === rule.host));
+  }
+
+  addressAllowed(address, port) {
+    return this.allow.some(rule =>
+      (rule.kind === 'address' && (rule.port === null || rule.port === port) && sameAddress(rule.address, address)) ||
+      (rule.kind === 'cidr' && inCidr(address, rule)));
+  }
+
+  /**
+   * Check one resolved address. Throws NetworkPolicyError when blocked.
+   */
+  checkAddress(host, address, port) {
+    if (!this.blockPrivate || this.hostAllowed(host, port)) return;
+    const range = classifyAddress(address);
+    if (range && !this.addressAllowed(address, port)) {
+      const label = net.isIP(host) ? host : `${host} (${address})`;
+      throw new NetworkPolicyError(
+        `Blocked by network policy: ${label} is a ${range} address. Add it to the network allowlist to reach it.`,
+        { host, address, range }
+      );
+    }
+  }
+
+  /**
+   * Resolve a URL's host and check every address it resolves to
+   * @param {string|URL} url
+   * @returns {Promise<string[]>} The resolved addresses
+   */
+  async checkUrl(url) {
+    const target = url instanceof URL ? url : new URL(url);
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    const port = defaultPort(target);
+    if (!this.blockPrivate || this.hostAllowed(host, port)) return [];
+
+    const addresses = net.isIP(host)
+      ? [host]
+      : await new Promise((resolve, reject) => {
+        this.lookup(host, { all: true }, (error, results) => {
+          if (error) reject(new Error(`Could not resolve ${host}: ${error.code || error.message}`));
+          else resolve(results.map(result => result.address));
+        });
+      });
+    for (const address of addresses) this.checkAddress(host, address, port);
+    return addresses;
+  }
+
+  /**
+   * A dns.lookup-compatible function that refuses blocked addresses, for
+   * http(s) requests: the check happens on the address actually connected
+   * to, so a hostname cannot pass checkUrl and then re-resolve elsewhere
+   * @param {URL} url - The URL being requested
+   */
+  guardedLookup(url) {
+    const port = defaultPort(url);
+    return (host, options, callback) => {
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      this.lookup(host, { ...options, all: true }, (error, results) => {
+        if (error) return callback(error);
+        try {
+          for (const { address } of results) this.checkAddress(host, address, port);
+        } catch (policyError) {
+          return callback(policyError);
+        }
+        if (options.all) callback(null, results);
+        else callback(null, results[0].address, results[0].family);
+      });
+    };
+  }
+}
+
+let networkPolicy = null;
+
+/**
+ * Get the shared network policy (private addresses blocked until initialized)
+ * @returns {NetworkPolicy}
+ */
+export function getNetworkPolicy() {
+  if (!networkPolicy) {
+    networkPolicy = new NetworkPolicy({ allow: envAllowlist() });
+  }
+  return networkPolicy;
+}
+
+function envAllowlist() {
+  return (process.env.NETWORK_ALLOWLIST || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Load the network section of the sandbox policy file. Call once on startup.
+ * An invalid section is reported and private addresses are blocked with no allowlist.
+ */
+export async function initializeNetworkPolicy() {
+  const file = process.env.NIMBUS_SANDBOX_FILE || path.join(DEFAULT_DATA_DIR, 'sandbox.json');
+  try {
+    const { network = {} } = await loadSandboxConfig(file);
+    networkPolicy = new NetworkPolicy({ ...network, allow: [...(network.allow || []), ...envAllowlist()] });
+    const state = networkPolicy.blockPrivate ? 'private addresses blocked' : 'private addresses allowed';
+    console.log(`[Network] ${state}, ${networkPolicy.allow.length} allowlist entries`);
+  } catch (error) {
+    console.error('[Network] Error loading policy, blocking private addresses:', error.message);
+    networkPolicy = new NetworkPolicy();
+  }
+}
@@ -0,0 +1,205 @@
+import { describe, it, expect } from 'vitest';
+import http from 'http';
+import { NetworkPolicy, NetworkPolicyError, classifyAddress } from './network-policy.js';
+
+/**
+ * dns.lookup stand-in answering from a table; each host maps to a list of
+ * answers handed out in turn (the last one repeats)
+ */
+function fakeLookup(table) {
+  const calls = {};
+  const lookup = (host, options, callback) => {
+    const answers = table[host];
+    if (!answers) {
+      const error = new Error(`getaddrinfo ENOTFOUND ${host}`);
+      error.code = 'ENOTFOUND';
+      return process.nextTick(() => callback(error));
+    }
+    const index = Math.min(calls[host] = (calls[host] ?? -1) + 1, answers.length - 1);
+    const results = [].concat(answers[index]).map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+    process.nextTick(() => callback(null, results));
+  };
+  return lookup;
+}
+
+const noLookup = () => {
+  throw new Error('lookup should not be called for an IP literal');
+};
+
+describe('classifyAddress', () => {
+  it.each([
+    ['127.0.0.1', 'loopback'],
+    ['127.255.255.254', 'loopback'],
+    ['10.20.30.40', 'private'],
+    ['172.16.0.1', 'private'],
+    ['172.31.255.255', 'private'],
+    ['192.168.1.1', 'private'],
+    ['169.254.169.254', 'link-local'],
+    ['100.64.0.1', 'shared (carrier-grade NAT)'],
+    ['0.0.0.0', 'unspecified'],
+    ['224.0.0.251', 'multicast'],
+    ['255.255.255.255', 'reserved']
+  ])('classifies IPv4 %s as %s', (address, range) => {
+    expect(classifyAddress(address)).toBe(range);
+  });
+
+  it.each(['8.8.8.8', '1.1.1.1', '172.32.0.1', '100.128.0.1', '93.184.216.34'])('treats IPv4 %s as public', address => {
+    expect(classifyAddress(address)).toBeNull();
+  });
+
+  it.each([
+    ['::1', 'loopback'],
+    ['[::1]', 'loopback'],
+    ['::', 'unspecified'],
+    ['fe80::1', 'link-local'],
+    ['fe80::1%eth0', 'link-local'],
+    ['fd12:3456::1', 'private'],
+    ['fc00::1', 'private'],
+    ['fec0::1', 'site-local'],
+    ['ff02::1', 'multicast']
+  ])('classifies IPv6 %s as %s', (address, range) => {
+    expect(classifyAddress(address)).toBe(range);
+  });
+
+  it.each(['2001:4860:4860::8888', '2606:4700:4700::1111'])('treats IPv6 %s as public', address => {
+    expect(classifyAddress(address)).toBeNull();
+  });
+
+  it.each([
+    ['::ffff:127.0.0.1', 'loopback'],
+    ['::ffff:7f00:1', 'loopback'],
+    ['::ffff:169.254.169.254', 'link-local'],
+    ['::ffff:10.0.0.1', 'private'],
+    ['::127.0.0.1', 'loopback'],
+    ['64:ff9b::a00:1', 'private'],
+    ['2002:c0a8:0101::1', 'private']
+  ])('looks through the IPv4 address embedded in %s', (address, range) => {
+    expect(classifyAddress(address)).toBe(range);
+  });
+
+  it('treats ::ffff: with a public IPv4 address as public', () => {
+    expect(classifyAddress('::ffff:8.8.8.8')).toBeNull();
+  });
+
+  it('flags strings that are not addresses', () => {
+    expect(classifyAddress('1:2:3:4:5:6:7:8:9')).toBe('invalid');
+    expect(classifyAddress('1::2::3')).toBe('invalid');
+  });
+});
+
+describe('NetworkPolicy.checkUrl', () => {
+  it.each([
+    'http://127.0.0.1/',
+    'http://2130706433/',
+    'http://0x7f000001/',
+    'http://0177.0.0.1/',
+    'http://127.1/',
+    'http://0/',
+    'http://[::1]:8080/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://169.254.169.254/latest/meta-data/'
+  ])('blocks %s without a DNS lookup', async url => {
+    const policy = new NetworkPolicy({}, { lookup: noLookup });
+    await expect(policy.checkUrl(url)).rejects.toBeInstanceOf(NetworkPolicyError);
+  });
+
+  it('allows public IP literals', async () => {
+    const policy = new NetworkPolicy({}, { lookup: noLookup });
+    await expect(policy.checkUrl('https://93.184.216.34/')).resolves.toEqual(['93.184.216.34']);
+  });
+
+  it('blocks a hostname when any address it resolves to is private', async () => {
+    const policy = new NetworkPolicy({}, {
+      lookup: fakeLookup({ 'public.test': ['93.184.216.34'], 'mixed.test': [['93.184.216.34', '10.0.0.5']] })
+    });
+    await expect(policy.checkUrl('https://public.test/')).resolves.toEqual(['93.184.216.34']);
+    const error = await policy.checkUrl('https://mixed.test/').catch(e => e);
+    expect(error).toBeInstanceOf(NetworkPolicyError);
+    expect(error).toMatchObject({ host: 'mixed.test', address: '10.0.0.5', range: 'private' });
+  });
+
+  it('reports hosts that do not resolve', async () => {
+    const policy = new NetworkPolicy({}, { lookup: fakeLookup({}) });
+    await expect(policy.checkUrl('http://missing.test/')).rejects.toThrow(/Could not resolve missing\.test: ENOTFOUND/);
+  });
+
+  it('lets everything through when blocking is off', async () => {
+    const policy = new NetworkPolicy({ blockPrivate: false }, { lookup: noLookup });
+    await expect(policy.checkUrl('http://127.0.0.1/')).resolves.toEqual([]);
+  });
+});
+
+describe('NetworkPolicy allowlist', () => {
+  const lookup = fakeLookup({
+    localhost: ['127.0.0.1'],
+    'db.internal.example': ['10.1.2.3'],
+    'ci.corp.test': ['fd00::10']
+  });
+
+  it('allows a host, optionally on one port', async () => {
+    const policy = new NetworkPolicy({ allow: ['localhost:3000'] }, { lookup });
+    await expect(policy.checkUrl('http://localhost:3000/api')).resolves.toEqual([]);
+    await expect(policy.checkUrl('http://localhost:4000/')).rejects.toBeInstanceOf(NetworkPolicyError);
+  });
+
+  it('allows subdomains of a wildcard host', async () => {
+    const policy = new NetworkPolicy({ allow: ['*.internal.example'] }, { lookup });
+    await expect(policy.checkUrl('https://db.internal.example/')).resolves.toEqual([]);
+  });
+
+  it('allows addresses and matches IPv4-mapped forms of them', async () => {
+    const policy = new NetworkPolicy({ allow: ['127.0.0.1:8080'] }, { lookup: noLookup });
+    await expect(policy.checkUrl('http://127.0.0.1:8080/')).resolves.toEqual(['127.0.0.1']);
+    await expect(policy.checkUrl('http://[::ffff:127.0.0.1]:8080/')).resolves.toHaveLength(1);
+    await expect(policy.checkUrl('http://127.0.0.1:9090/')).rejects.toBeInstanceOf(NetworkPolicyError);
+  });
+
+  it('allows IPv4 and IPv6 CIDR ranges', async () => {
+    const policy = new NetworkPolicy({ allow: ['10.0.0.0/8', 'fd00::/8'] }, { lookup });
+    await expect(policy.checkUrl('http://db.internal.example/')).resolves.toEqual(['10.1.2.3']);
+    await expect(policy.checkUrl('http://ci.corp.test/')).resolves.toEqual(['fd00::10']);
+    await expect(policy.checkUrl('http://localhost/')).rejects.toBeInstanceOf(NetworkPolicyError);
+  });
+
+  it('rejects invalid entries', () => {
+    expect(() => new NetworkPolicy({ allow: ['10.0.0.0/33'] })).toThrow(/CIDR/);
+    expect(() => new NetworkPolicy({ allow: ['not a host'] })).toThrow(/allowlist/);
+  });
+});
+
+describe('NetworkPolicy.guardedLookup', () => {
+  // Public on the first lookup, loopback on every later one
+  const rebinding = () => fakeLookup({ 'rebind.test': ['93.184.216.34', '127.0.0.1'] });
+
+  it('refuses an address the host re-resolves to after checkUrl passed', async () => {
+    const policy = new NetworkPolicy({}, { lookup: rebinding() });
+    const url = new URL('http://rebind.test/');
+    await expect(policy.checkUrl(url)).resolves.toEqual(['93.184.216.34']);
+
+    const error = await new Promise(resolve => policy.guardedLookup(url)('rebind.test', {}, resolve));
+    expect(error).toBeInstanceOf(NetworkPolicyError);
+    expect(error.address).toBe('127.0.0.1');
+  });
+
+  it('answers like dns.lookup for allowed addresses', async () => {
+    const policy = new NetworkPolicy({}, { lookup: fakeLookup({ 'public.test': ['93.184.216.34'] }) });
+    const guarded = policy.guardedLookup(new URL('http://public.test/'));
+
+    const single = await new Promise(resolve => guarded('public.test', {}, (...args) => resolve(args)));
+    expect(single).toEqual([null, '93.184.216.34', 4]);
+    const all = await new Promise(resolve => guarded('public.test', (...args) => resolve(args)));
+    expect(all[1]).toBe('93.184.216.34');
+    const list = await new Promise(resolve => guarded('public.test', { all: true }, (...args) => resolve(args)));
+    expect(list).toEqual([null, [{ address: '93.184.216.34', family: 4 }]]);
+  });
+
+  it('stops an http request before it connects to a rebound address', async () => {
+    const policy = new NetworkPolicy({}, { lookup: fakeLookup({ 'rebind.test': ['127.0.0.1'] }) });
+    const url = new URL('http://rebind.test:9/');
+    const error = await new Promise(resolve => {
+      const request = http.get(url, { lookup: policy.guardedLookup(url) }, () => resolve(null));
+      request.on('error', resolve);
+    });
+    expect(error).toBeInstanceOf(NetworkPolicyError);
+  });
+});
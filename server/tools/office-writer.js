@@ -0,0 +1,634 @@
+/**
+ * XLSX and DOCX writers for CreateSpreadsheet and CreateDocument.
+ * Builds the Office Open XML parts directly and packages them with the
+ * ZIP writer, so no Python or npm packages are needed. Also defines the
+ * content blocks (headings, paragraphs, lists, tables, images, code) that
+ * CreateDocument and CreatePdf share.
+ */
+
+import { createZip } from './zip.js';
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const NS = {
+  main: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+  word: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+  rel: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  pkgRel: 'http://schemas.openxmlformats.org/package/2006/relationships',
+  types: 'http://schemas.openxmlformats.org/package/2006/content-types'
+};
+
+const REL_TYPE = NS.rel;
+
+// Page sizes in twentieths of a point (twips)
+const PAGE_SIZES = {
+  a4: { width: 11906, height: 16838 },
+  letter: { width: 12240, height: 15840 }
+};
+const PAGE_MARGIN = 1440;
+
+// Image sizes: EMUs per pixel at 96 dpi, pixels per inch
+const EMU_PER_PIXEL = 9525;
+const PIXELS_PER_INCH = 96;
+
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+function coreProperties(title) {
+  return XML_HEADER +
+    '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+    (title ? `<dc:title>${escapeXml(title)}</dc:title>` : '') +
+    '<dc:creator>Nimbus</dc:creator>' +
+    `<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created>` +
+    '</cp:coreProperties>';
+}
+
+function relationships(rels) {
+  return XML_HEADER + `<Relationships xmlns="${NS.pkgRel}">` +
+    rels.map(r => `<Relationship Id="${r.id}" Type="${r.type}" Target="${escapeXml(r.target)}"${r.external ? ' TargetMode="External"' : ''}/>`).join('') +
+    '</Relationships>';
+}
+
+function rootRelationships(mainPart) {
+  return relationships([
+    { id: 'rId1', type: `${REL_TYPE}/officeDocument`, target: mainPart },
+    { id: 'rId2', type: 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties', target: 'docProps/core.xml' }
+  ]);
+}
+
+function contentTypes(defaults, overrides) {
+  return XML_HEADER + `<Types xmlns="${NS.types}">` +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    Object.entries(defaults).map(([ext, type]) => `<Default Extension="${ext}" ContentType="${type}"/>`).join('') +
+    Object.entries(overrides).map(([part, type]) => `<Override PartName="${part}" ContentType="${type}"/>`).join('') +
+    '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+    '</Types>';
+}
+
+function normalizeColor(color, label) {
+  const match = String(color).match(/^#?([0-9a-fA-F]{6})$/);
+  if (!match) throw new Error(`${label}: colors must be #RRGGBB, got "${color}"`);
+  return match[1].toUpperCase();
+}
+
+// ==================== SPREADSHEETS ====================
+
+// Number formats Excel knows by id
+const BUILTIN_NUMBER_FORMATS = {
+  '0': 1, '0.00': 2, '#,##0': 3, '#,##0.00': 4, '0%': 9, '0.00%': 10, '0.00E+00': 11,
+  'mm-dd-yy': 14, 'd-mmm-yy': 15, 'h:mm': 20, 'h:mm:ss': 21, 'm/d/yy h:mm': 22, '@': 49
+};
+
+// Available to every spreadsheet without being defined
+const DEFAULT_STYLES = {
+  header: { bold: true, fill: '#D9E1F2', border: 'thin' }
+};
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+// Excel serial day number (days since 1899-12-30) for an ISO date string
+function excelDate(value) {
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!match) return null;
+  const [, y, mo, d, h, mi, s] = match.map(v => Number(v) || 0);
+  return (Date.UTC(y, mo - 1, d, h, mi, s) - Date.UTC(1899, 11, 30)) / 86400000;
+}
+
+/**
+ * Deduplicated fonts, fills, borders, number formats and cell formats
+ */
+class SpreadsheetStyles {
+  constructor(named) {
+    this.named = { ...DEFAULT_STYLES, ...(named || {}) };
+    this.fonts = ['<font><sz val="11"/><name val="Calibri"/><family val="2"/></font>'];
+    this.fills = ['<fill><patternFill patternType="none"/></fill>', '<fill><patternFill patternType="gray125"/></fill>'];
+    this.borders = ['<border><left/><right/><top/><bottom/><diagonal/></border>'];
+    this.numberFormats = [];
+    this.cellFormats = ['<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'];
+    this.cache = new Map();
+  }
+
+  /**
+   * Resolve a cell's style (a name or an inline style object)
+   */
+  resolve(style, label) {
+    if (style === undefined || style === null) return null;
+    if (typeof style === 'string') {
+      if (!this.named[style]) throw new Error(`${label}: unknown style "${style}"`);
+      return this.named[style];
+    }
+    if (typeof style === 'object') return style;
+    throw new Error(`${label}: style must be a style name or object`);
+  }
+
+  indexOf(list, xml) {
+    const index = list.indexOf(xml);
+    if (index !== -1) return index;
+    list.push(xml);
+    return list.length - 1;
+  }
+
+  /**
+   * Cell format index (s attribute) for a resolved style
+   */
+  cellFormat(style, label) {
+    if (!style) return 0;
+    const key = JSON.stringify(style);
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    const fontXml = '<font>' +
+      (style.bold ? '<b/>' : '') + (style.italic ? '<i/>' : '') + (style.underline ? '<u/>' : '') +
+      `<sz val="${Number(style.font_size) || 11}"/>` +
+      (style.font_color ? `<color rgb="FF${normalizeColor(style.font_color, label)}"/>` : '') +
+      '<name val="Calibri"/><family val="2"/></font>';
+    const fontId = this.indexOf(this.fonts, fontXml);
+
+    const fillId = style.fill
+      ? this.indexOf(this.fills, `<fill><patternFill patternType="solid"><fgColor rgb="FF${normalizeColor(style.fill, label)}"/><bgColor indexed="64"/></patternFill></fill>`)
+      : 0;
+
+    let borderId = 0;
+    if (style.border) {
+      const weight = style.border === 'medium' || style.border === 'thick' ? style.border : 'thin';
+      const side = name => `<${name} style="${weight}"><color auto="1"/></${name}>`;
+      borderId = this.indexOf(this.borders, `<border>${side('left')}${side('right')}${side('top')}${side('bottom')}<diagonal/></border>`);
+    }
+
+    let numFmtId = 0;
+    if (style.number_format) {
+      numFmtId = BUILTIN_NUMBER_FORMATS[style.number_format];
+      if (numFmtId === undefined) {
+        let index = this.numberFormats.indexOf(style.number_format);
+        if (index === -1) index = this.numberFormats.push(style.number_format) - 1;
+        numFmtId = 164 + index; // custom formats start at 164
+      }
+    }
+
+    const alignment = style.align || style.valign || style.wrap
+      ? '<alignment' +
+        (style.align ? ` horizontal="${escapeXml(style.align)}"` : '') +
+        (style.valign ? ` vertical="${escapeXml(style.valign)}"` : '') +
+        (style.wrap ? ' wrapText="1"' : '') + '/>'
+      : '';
+
+    const xf = `<xf numFmtId="${numFmtId}" fontId="${fontId}" fillId="${fillId}" borderId="${borderId}" xfId="0"` +
+      (numFmtId ? ' applyNumberFormat="1"' : '') + (fontId ? ' applyFont="1"' : '') +
+      (fillId ? ' applyFill="1"' : '') + (borderId ? ' applyBorder="1"' : '') +
+      (alignment ? ` applyAlignment="1">${alignment}</xf>` : '/>');
+    const index = this.indexOf(this.cellFormats, xf);
+    this.cache.set(key, index);
+    return index;
+  }
+
+  toXml() {
+    const list = (tag, items) => `<${tag} count="${items.length}">${items.join('')}</${tag}>`;
+    return XML_HEADER + `<styleSheet xmlns="${NS.main}">` +
+      (this.numberFormats.length
+        ? list('numFmts', this.numberFormats.map((code, i) => `<numFmt numFmtId="${164 + i}" formatCode="${escapeXml(code)}"/>`))
+        : '') +
+      list('fonts', this.fonts) +
+      list('fills', this.fills) +
+      list('borders', this.borders) +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      list('cellXfs', this.cellFormats) +
+      '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+      '</styleSheet>';
+  }
+}
+
+function buildWorksheet(sheet, index, sharedStrings, styles) {
+  const label = `Sheet "${sheet.name}"`;
+  const rows = sheet.rows ?? [];
+  if (!Array.isArray(rows)) throw new Error(`${label}: rows must be an array of rows`);
+
+  const widths = [];
+  const rowXml = rows.map((row, r) => {
+    if (!Array.isArray(row)) throw new Error(`${label}, row ${r + 1}: each row must be an array of cells`);
+    const cells = row.map((cell, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      const cellLabel = `${label}, cell ${ref}`;
+      const spec = cell !== null && typeof cell === 'object' ? cell : { value: cell };
+      const style = styles.resolve(spec.style, cellLabel);
+      const s = styles.cellFormat(style, cellLabel);
+      const sAttr = s ? ` s="${s}"` : '';
+
+      let formula = spec.formula ?? (typeof spec.value === 'string' && spec.value.startsWith('=') ? spec.value : null);
+      if (formula !== null) {
+        formula = String(formula).replace(/^=/, '');
+        return `<c r="${ref}"${sAttr}><f>${escapeXml(formula)}</f></c>`;
+      }
+
+      let value = spec.value;
+      if (value === null || value === undefined || value === '') return s ? `<c r="${ref}"${sAttr}/>` : '';
+      if (typeof value === 'string' && /[dmyhs]/i.test(style?.number_format || '')) {
+        // Dates given as ISO strings are stored as serial numbers for date formats
+        value = excelDate(value) ?? value;
+      }
+      widths[c] = Math.max(widths[c] || 0, String(value).length);
+
+      if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${sAttr}><v>${value}</v></c>`;
+      if (typeof value === 'boolean') return `<c r="${ref}"${sAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+      return `<c r="${ref}"${sAttr} t="s"><v>${sharedStrings.add(String(value))}</v></c>`;
+    }).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+
+  // Explicit widths win; otherwise fit the longest value
+  const columnWidths = Array.from({ length: Math.max(widths.length, sheet.column_widths?.length || 0) }, (_, c) =>
+    Number(sheet.column_widths?.[c]) || Math.min(60, Math.max(8, (widths[c] || 0) + 2))
+  );
+  const cols = columnWidths.length
+    ? `<cols>${columnWidths.map((w, c) => `<col min="${c + 1}" max="${c + 1}" width="${w}" customWidth="1"/>`).join('')}</cols>`
+    : '';
+
+  let pane = '';
+  if (sheet.freeze) {
+    const match = String(sheet.freeze).toUpperCase().match(/^([A-Z]+)(\d+)$/);
+    if (!match) throw new Error(`${label}: freeze must be a cell reference like "A2"`);
+    const xSplit = match[1].split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+    const ySplit = parseInt(match[2], 10) - 1;
+    const activePane = xSplit && ySplit ? 'bottomRight' : ySplit ? 'bottomLeft' : 'topRight';
+    if (xSplit || ySplit) {
+      pane = `<pane${xSplit ? ` xSplit="${xSplit}"` : ''}${ySplit ? ` ySplit="${ySplit}"` : ''} topLeftCell="${match[0]}" activePane="${activePane}" state="frozen"/>`;
+    }
+  }
+
+  const merges = sheet.merge ?? [];
+  for (const range of merges) {
+    if (!/^[A-Z]+\d+:[A-Z]+\d+$/i.test(range)) throw new Error(`${label}: merge ranges must look like "A1:C1", got "${range}"`);
+  }
+
+  return XML_HEADER + `<worksheet xmlns="${NS.main}" xmlns:r="${NS.rel}">` +
+    `<sheetViews><sheetView workbookViewId="0"${index === 0 ? ' tabSelected="1"' : ''}>${pane}</sheetView></sheetViews>` +
+    '<sheetFormatPr defaultRowHeight="15"/>' +
+    cols +
+    `<sheetData>${rowXml}</sheetData>` +
+    (merges.length ? `<mergeCells count="${merges.length}">${merges.map(m => `<mergeCell ref="${m.toUpperCase()}"/>`).join('')}</mergeCells>` : '') +
+    '</worksheet>';
+}
+
+/**
+ * Build an XLSX workbook
+ * @param {Object} spec
+ * @param {Array<Object>} spec.sheets - { name, rows, column_widths?, freeze?, merge? }; cells are
+ *   values, "=FORMULA" strings or { value?, formula?, style? }
+ * @param {Object} [spec.styles] - Named styles: { bold, italic, underline, font_size, font_color,
+ *   fill, border, number_format, align, valign, wrap }
+ * @param {string} [spec.title]
+ * @returns {{ buffer: Buffer, sheets: Array<{ name: string, rows: number }> }}
+ */
+export function createXlsx({ sheets, styles, title } = {}) {
+  if (!Array.isArray(sheets) || sheets.length === 0) throw new Error('sheets must be a non-empty array');
+
+  const names = new Set();
+  sheets.forEach((sheet, i) => {
+    sheet.name = String(sheet.name || `Sheet${i + 1}`);
+    if (sheet.name.length > 31 || /[[\]:*?/\\]/.test(sheet.name)) {
+      throw new Error(`Invalid sheet name "${sheet.name}": at most 31 characters and none of [ ] : * ? / \\`);
+    }
+    if (names.has(sheet.name.toLowerCase())) throw new Error(`Duplicate sheet name "${sheet.name}"`);
+    names.add(sheet.name.toLowerCase());
+  });
+
+  const strings = [];
+  const stringIndex = new Map();
+  const sharedStrings = {
+    add(text) {
+      if (!stringIndex.has(text)) stringIndex.set(text, strings.push(text) - 1);
+      return stringIndex.get(text);
+    }
+  };
+  const styleTable = new SpreadsheetStyles(styles);
+  const worksheets = sheets.map((sheet, i) => buildWorksheet(sheet, i, sharedStrings, styleTable));
+
+  const sheetType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml';
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: contentTypes({}, {
+        '/xl/workbook.xml': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml',
+        ...Object.fromEntries(sheets.map((_, i) => [`/xl/worksheets/sheet${i + 1}.xml`, sheetType])),
+        '/xl/styles.xml': 'application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml',
+        '/xl/sharedStrings.xml': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sharedStrings+xml'
+      })
+    },
+    { name: '_rels/.rels', data: rootRelationships('xl/workbook.xml') },
+    { name: 'docProps/core.xml', data: coreProperties(title) },
+    {
+      name: 'xl/workbook.xml',
+      data: XML_HEADER + `<workbook xmlns="${NS.main}" xmlns:r="${NS.rel}">` +
+        '<bookViews><workbookView/></bookViews><sheets>' +
+        sheets.map((sheet, i) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+        // Formulas are written without cached values, so Excel computes them on open
+        '</sheets><calcPr calcId="191029" fullCalcOnLoad="1"/></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: relationships([
+        ...sheets.map((_, i) => ({ id: `rId${i + 1}`, type: `${REL_TYPE}/worksheet`, target: `worksheets/sheet${i + 1}.xml` })),
+        { id: `rId${sheets.length + 1}`, type: `${REL_TYPE}/styles`, target: 'styles.xml' },
+        { id: `rId${sheets.length + 2}`, type: `${REL_TYPE}/sharedStrings`, target: 'sharedStrings.xml' }
+      ])
+    },
+    { name: 'xl/styles.xml', data: styleTable.toXml() },
+    {
+      name: 'xl/sharedStrings.xml',
+      data: XML_HEADER + `<sst xmlns="${NS.main}" count="${strings.length}" uniqueCount="${strings.length}">` +
+        strings.map(text => `<si><t xml:space="preserve">${escapeXml(text)}</t></si>`).join('') + '</sst>'
+    },
+    ...worksheets.map((xml, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: xml }))
+  ];
+
+  return {
+    buffer: createZip(files),
+    sheets: sheets.map(sheet => ({ name: sheet.name, rows: (sheet.rows ?? []).length }))
+  };
+}
+
+// ==================== DOCUMENT CONTENT ====================
+
+/**
+ * Split **bold**, *italic* and `code` markup in plain text into runs
+ */
+function parseInline(text) {
+  const runs = [];
+  const pattern = /\*\*([^*]+)\*\*|\*([^*\s][^*]*)\*|`([^`]+)`/g;
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > last) runs.push({ text: text.slice(last, match.index) });
+    if (match[1] !== undefined) runs.push({ text: match[1], bold: true });
+    else if (match[2] !== undefined) runs.push({ text: match[2], italic: true });
+    else runs.push({ text: match[3], code: true });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) runs.push({ text: text.slice(last) });
+  return runs;
+}
+
+function toRuns(value, label) {
+  if (Array.isArray(value.runs)) {
+    return value.runs.map((run, i) => {
+      if (typeof run === 'string') return { text: run };
+      if (typeof run?.text !== 'string') throw new Error(`${label}, run ${i + 1}: text is required`);
+      return run;
+    });
+  }
+  if (value.text === undefined || value.text === null) throw new Error(`${label}: text or runs is required`);
+  return parseInline(String(value.text));
+}
+
+function normalizeListItems(items, label) {
+  if (!Array.isArray(items)) throw new Error(`${label}: items must be an array`);
+  return items.map((item, i) => {
+    const itemLabel = `${label}, item ${i + 1}`;
+    if (typeof item === 'string' || typeof item === 'number') return { runs: parseInline(String(item)), items: [] };
+    return { runs: toRuns(item, itemLabel), items: item.items ? normalizeListItems(item.items, itemLabel) : [] };
+  });
+}
+
+/**
+ * Validate and normalize the content blocks of CreateDocument/CreatePdf.
+ * Image blocks must already carry their file's data and info (see the tools).
+ * @param {Array<Object|string>} content
+ * @returns {Object[]} Blocks with runs: [{ text, bold?, italic?, underline?, code?, link? }]
+ */
+export function normalizeBlocks(content) {
+  if (!Array.isArray(content) || content.length === 0) throw new Error('content must be a non-empty array of blocks');
+
+  return content.map((block, i) => {
+    const label = `Block ${i + 1}`;
+    if (typeof block === 'string') return { type: 'paragraph', runs: parseInline(block) };
+    switch (block?.type) {
+      case 'heading':
+        return { type: 'heading', level: Math.min(6, Math.max(1, parseInt(block.level, 10) || 1)), runs: toRuns(block, label) };
+      case 'paragraph':
+        return { type: 'paragraph', runs: toRuns(block, label), align: block.align };
+      case 'list':
+        return { type: 'list', ordered: Boolean(block.ordered), items: normalizeListItems(block.items, label) };
+      case 'table': {
+        if (!Array.isArray(block.rows) || block.rows.length === 0 || !block.rows.every(Array.isArray)) {
+          throw new Error(`${label}: rows must be a non-empty array of rows`);
+        }
+        return {
+          type: 'table',
+          header: block.header !== false,
+          rows: block.rows.map(row => row.map(cell => (cell === null || cell === undefined ? '' : String(cell))))
+        };
+      }
+      case 'image':
+        if (!block.data || !block.info) throw new Error(`${label}: image path is required`);
+        return { type: 'image', data: block.data, info: block.info, width: Number(block.width) || null, caption: block.caption };
+      case 'code':
+        return { type: 'code', text: String(block.text ?? '') };
+      case 'page_break':
+        return { type: 'page_break' };
+      default:
+        throw new Error(`${label}: unknown block type "${block?.type}" (use heading, paragraph, list, table, image, code or page_break)`);
+    }
+  });
+}
+
+// ==================== WORD DOCUMENTS ====================
+
+const WORD_STYLES = XML_HEADER + `<w:styles xmlns:w="${NS.word}">` +
+  '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>' +
+  '<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+  '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+  [32, 26, 24, 22, 22, 22].map((size, i) =>
+    `<w:style w:type="paragraph" w:styleId="Heading${i + 1}"><w:name w:val="heading ${i + 1}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="9"/><w:qFormat/>` +
+    `<w:pPr><w:keepNext/><w:spacing w:before="${i < 2 ? 360 : 240}" w:after="120"/><w:outlineLvl w:val="${i}"/></w:pPr>` +
+    `<w:rPr><w:b/>${i >= 4 ? '<w:i/>' : ''}<w:color w:val="1F3864"/><w:sz w:val="${size}"/><w:szCs w:val="${size}"/></w:rPr></w:style>`
+  ).join('') +
+  '<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="60"/><w:ind w:left="720"/><w:contextualSpacing/></w:pPr></w:style>' +
+  '<w:style w:type="paragraph" w:styleId="Caption"><w:name w:val="caption"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:rPr><w:i/><w:color w:val="595959"/><w:sz w:val="18"/></w:rPr></w:style>' +
+  '<w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/><w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/></w:pPr><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="18"/></w:rPr></w:style>' +
+  '<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>' +
+  '<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:tblPr><w:tblBorders>' +
+  ['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="A6A6A6"/>`).join('') +
+  '</w:tblBorders><w:tblCellMar><w:left w:w="108" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>' +
+  '</w:styles>';
+
+function numberingLevels(ordered) {
+  const bullets = ['•', '◦', '▪'];
+  const formats = ['decimal', 'lowerLetter', 'lowerRoman'];
+  return Array.from({ length: 9 }, (_, level) =>
+    `<w:lvl w:ilvl="${level}"><w:start w:val="1"/>` +
+    (ordered
+      ? `<w:numFmt w:val="${formats[level % 3]}"/><w:lvlText w:val="%${level + 1}."/>`
+      : `<w:numFmt w:val="bullet"/><w:lvlText w:val="${bullets[level % 3]}"/>`) +
+    `<w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${720 * (level + 1)}" w:hanging="360"/></w:pPr></w:lvl>`
+  ).join('');
+}
+
+/**
+ * Build a DOCX document
+ * @param {Object} spec
+ * @param {Object[]} spec.content - Blocks from normalizeBlocks
+ * @param {string} [spec.title]
+ * @param {string} [spec.page_size] - "A4" (default) or "Letter"
+ * @returns {{ buffer: Buffer, blocks: number, images: number }}
+ */
+export function createDocx({ content, title, page_size: pageSize = 'A4' } = {}) {
+  const blocks = normalizeBlocks(content);
+  const page = PAGE_SIZES[String(pageSize).toLowerCase()];
+  if (!page) throw new Error(`page_size must be "A4" or "Letter", got "${pageSize}"`);
+  const contentWidth = page.width - 2 * PAGE_MARGIN; // twips
+
+  const rels = [
+    { id: 'rId1', type: `${REL_TYPE}/styles`, target: 'styles.xml' },
+    { id: 'rId2', type: `${REL_TYPE}/numbering`, target: 'numbering.xml' }
+  ];
+  const media = [];
+  const orderedLists = []; // numIds of ordered lists (each restarts at 1)
+  let drawingId = 0;
+
+  const addRel = (type, target, external = false) => {
+    const id = `rId${rels.length + 1}`;
+    rels.push({ id, type, target, external });
+    return id;
+  };
+
+  const runXml = (run) => {
+    const props = (run.code ? '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>' : '') +
+      (run.bold ? '<w:b/>' : '') + (run.italic ? '<w:i/>' : '') + (run.underline ? '<w:u w:val="single"/>' : '');
+    const parts = String(run.text).split(/(\n|\t)/).map(part =>
+      part === '\n' ? '<w:br/>' : part === '\t' ? '<w:tab/>' : part ? `<w:t xml:space="preserve">${escapeXml(part)}</w:t>` : ''
+    ).join('');
+    if (run.link) {
+      const id = addRel(`${REL_TYPE}/hyperlink`, run.link, true);
+      return `<w:hyperlink r:id="${id}"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/>${props}</w:rPr>${parts}</w:r></w:hyperlink>`;
+    }
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${parts}</w:r>`;
+  };
+
+  const paragraphXml = (runs, pPr = '') => `<w:p>${pPr ? `<w:pPr>${pPr}</w:pPr>` : ''}${runs.map(runXml).join('')}</w:p>`;
+
+  const listXml = (items, ordered, numId, level) => items.map(item =>
+    paragraphXml(item.runs, `<w:pStyle w:val="ListParagraph"/><w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="${numId}"/></w:numPr>`) +
+    listXml(item.items, ordered, numId, Math.min(8, level + 1))
+  ).join('');
+
+  const tableXml = (block) => {
+    const columns = Math.max(...block.rows.map(r => r.length));
+    const width = Math.floor(contentWidth / columns);
+    const rows = block.rows.map((row, r) => {
+      const isHeader = block.header && r === 0;
+      const cells = Array.from({ length: columns }, (_, c) =>
+        `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${isHeader ? '<w:shd w:val="clear" w:color="auto" w:fill="D9E1F2"/>' : ''}</w:tcPr>` +
+        paragraphXml((row[c] ?? '') === '' ? [] : [{ text: row[c], bold: isHeader }]) + '</w:tc>'
+      ).join('');
+      return `<w:tr>${isHeader ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${cells}</w:tr>`;
+    }).join('');
+    return `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="${width * columns}" w:type="dxa"/><w:tblLook w:val="04A0" w:firstRow="1" w:lastRow="0" w:firstColumn="0" w:lastColumn="0" w:noHBand="0" w:noVBand="1"/></w:tblPr>` +
+      `<w:tblGrid>${`<w:gridCol w:w="${width}"/>`.repeat(columns)}</w:tblGrid>${rows}</w:tbl>`;
+  };
+
+  const imageXml = (block) => {
+    const { mediaType, width: naturalWidth, height: naturalHeight } = block.info;
+    const extension = { 'image/png': 'png', 'image/jpeg': 'jpeg', 'image/gif': 'gif' }[mediaType];
+    if (!extension) throw new Error(`Images must be PNG, JPEG or GIF for Word documents (got ${mediaType})`);
+    if (!naturalWidth || !naturalHeight) throw new Error('Could not read the image dimensions');
+
+    const maxWidth = Math.floor(contentWidth / 1440 * PIXELS_PER_INCH);
+    const width = Math.min(block.width || naturalWidth, maxWidth);
+    const height = Math.round(width * naturalHeight / naturalWidth);
+    const cx = width * EMU_PER_PIXEL;
+    const cy = height * EMU_PER_PIXEL;
+
+    const name = `image${media.length + 1}.${extension}`;
+    media.push({ name: `word/media/${name}`, data: block.data, extension, mediaType });
+    const id = addRel(`${REL_TYPE}/image`, `media/${name}`);
+    drawingId++;
+
+    const drawing = `<w:p><w:pPr><w:jc w:val="center"/></w:pPr><w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0">` +
+      `<wp:extent cx="${cx}" cy="${cy}"/><wp:docPr id="${drawingId}" name="Picture ${drawingId}"/>` +
+      '<wp:cNvGraphicFramePr><a:graphicFrameLocks noChangeAspect="1"/></wp:cNvGraphicFramePr>' +
+      '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic>' +
+      `<pic:nvPicPr><pic:cNvPr id="${drawingId}" name="${name}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+      `<pic:blipFill><a:blip r:embed="${id}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+      `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>` +
+      '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r></w:p>';
+    return drawing + (block.caption ? paragraphXml([{ text: block.caption }], '<w:pStyle w:val="Caption"/><w:jc w:val="center"/>') : '');
+  };
+
+  const alignments = { left: 'left', center: 'center', right: 'right', justify: 'both' };
+  let body = blocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+        return paragraphXml(block.runs, `<w:pStyle w:val="Heading${block.level}"/>`);
+      case 'paragraph':
+        return paragraphXml(block.runs, alignments[block.align] ? `<w:jc w:val="${alignments[block.align]}"/>` : '');
+      case 'list': {
+        // Bullet lists share numbering 1; each ordered list gets its own so it starts at 1
+        let numId = 1;
+        if (block.ordered) {
+          numId = orderedLists.length + 2;
+          orderedLists.push(numId);
+        }
+        return listXml(block.items, block.ordered, numId, 0);
+      }
+      case 'table':
+        return tableXml(block);
+      case 'image':
+        return imageXml(block);
+      case 'code':
+        return block.text.split('\n').map(line => paragraphXml(line ? [{ text: line }] : [], '<w:pStyle w:val="Code"/>')).join('');
+      case 'page_break':
+        return '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+    }
+    return '';
+  }).join('');
+  // A document can't end with a table
+  if (blocks[blocks.length - 1].type === 'table') body += '<w:p/>';
+
+  const documentXml = XML_HEADER +
+    `<w:document xmlns:w="${NS.word}" xmlns:r="${NS.rel}" ` +
+    'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing" ' +
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+    'xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+    `<w:body>${body}<w:sectPr><w:pgSz w:w="${page.width}" w:h="${page.height}"/>` +
+    `<w:pgMar w:top="${PAGE_MARGIN}" w:right="${PAGE_MARGIN}" w:bottom="${PAGE_MARGIN}" w:left="${PAGE_MARGIN}" w:header="708" w:footer="708" w:gutter="0"/>` +
+    '</w:sectPr></w:body></w:document>';
+
+  const numberingXml = XML_HEADER + `<w:numbering xmlns:w="${NS.word}">` +
+    `<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${numberingLevels(false)}</w:abstractNum>` +
+    `<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${numberingLevels(true)}</w:abstractNum>` +
+    '<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>' +
+    orderedLists.map(numId => `<w:num w:numId="${numId}"><w:abstractNumId w:val="1"/><w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride></w:num>`).join('') +
+    '</w:numbering>';
+
+  const imageTypes = Object.fromEntries(media.map(m => [m.extension, m.mediaType]));
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: contentTypes(imageTypes, {
+        '/word/document.xml': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml',
+        '/word/styles.xml': 'application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml',
+        '/word/numbering.xml': 'application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml'
+      })
+    },
+    { name: '_rels/.rels', data: rootRelationships('word/document.xml') },
+    { name: 'docProps/core.xml', data: coreProperties(title) },
+    { name: 'word/document.xml', data: documentXml },
+    { name: 'word/styles.xml', data: WORD_STYLES },
+    { name: 'word/numbering.xml', data: numberingXml },
+    { name: 'word/_rels/document.xml.rels', data: relationships(rels) },
+    ...media.map(m => ({ name: m.name, data: m.data }))
+  ];
+
+  return { buffer: createZip(files), blocks: blocks.length, images: media.length };
+}
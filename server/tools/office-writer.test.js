@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createDocx, createXlsx } from './office-writer.js';
+import { readDocument } from './documents.js';
+
+let dir;
+
+beforeAll(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'office-writer-'));
+});
+
+afterAll(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+// Write a document and read it back the way the Read tool does
+async function roundTrip(name, buffer, options) {
+  const file = path.join(dir, name);
+  await fs.writeFile(file, buffer);
+  return readDocument(file, options);
+}
+
+describe('createDocx', () => {
+  it('reads back headings, inline formatting, nested lists, tables and code', async () => {
+    const { buffer, blocks } = createDocx({
+      title: 'Report',
+      content: [
+        { type: 'heading', level: 1, text: 'Quarterly report' },
+        'Revenue grew **12%** & costs fell.',
+        { type: 'list', items: ['North', { text: 'South', items: ['Coast'] }] },
+        { type: 'table', rows: [['Region', 'Total'], ['North', 12], ['South', null]] },
+        { type: 'code', text: 'SELECT 1;' },
+        { type: 'page_break' },
+        { type: 'heading', level: 2, text: 'Café naïve – “quotes” <tags>' }
+      ]
+    });
+    expect(blocks).toBe(7);
+
+    const result = await roundTrip('report.docx', buffer);
+    expect(result.type).toBe('docx');
+    expect(result.content).toBe([
+      '# Quarterly report',
+      'Revenue grew 12% & costs fell.',
+      '- North',
+      '- South',
+      '  - Coast',
+      '| Region | Total |\n| --- | --- |\n| North | 12 |\n| South |  |',
+      'SELECT 1;',
+      '## Café naïve – “quotes” <tags>'
+    ].join('\n\n'));
+  });
+
+  it('rejects unknown blocks and page sizes', () => {
+    expect(() => createDocx({ content: [{ type: 'video' }] })).toThrow(/Block 1: unknown block type "video"/);
+    expect(() => createDocx({ content: ['x'], page_size: 'A5' })).toThrow(/page_size/);
+  });
+});
+
+describe('createXlsx', () => {
+  it('reads back strings, numbers, booleans and formulas from every sheet', async () => {
+    const { buffer, sheets } = createXlsx({
+      sheets: [
+        {
+          name: 'Sales',
+          rows: [
+            ['Region', 'Total', 'Active'],
+            ['North', 12.5, true],
+            ['東京 & <co>', 3, false],
+            ['Sum', '=SUM(B2:B3)', null],
+            [null, { formula: 'B4*2' }, 'North']
+          ]
+        },
+        { name: 'Notes', rows: [['Checked']] }
+      ]
+    });
+    expect(sheets).toEqual([{ name: 'Sales', rows: 5 }, { name: 'Notes', rows: 1 }]);
+
+    const result = await roundTrip('sales.xlsx', buffer);
+    expect(result.content).toBe([
+      '## Sheet: Sales',
+      '',
+      '| Region | Total | Active |',
+      '| --- | --- | --- |',
+      '| North | 12.5 | TRUE |',
+      '| 東京 & <co> | 3 | FALSE |',
+      '| Sum | =SUM(B2:B3) |  |',
+      '|  | =B4*2 | North |',
+      '',
+      '## Sheet: Notes',
+      '',
+      '| Checked |',
+      '| --- |'
+    ].join('\n'));
+    expect(result.sheets).toEqual([{ name: 'Sales', total_rows: 4 }, { name: 'Notes', total_rows: 0 }]);
+  });
+
+  it('reads back one sheet by name', async () => {
+    const { buffer } = createXlsx({ sheets: [{ name: 'A', rows: [['a']] }, { name: 'Totals 2024', rows: [['x'], [1]] }] });
+    const result = await roundTrip('pick.xlsx', buffer, { sheet: 'totals 2024' });
+    expect(result.content).toBe('## Sheet: Totals 2024\n\n| x |\n| --- |\n| 1 |');
+  });
+
+  it('rejects sheet names Excel would refuse', () => {
+    expect(() => createXlsx({ sheets: [{ name: 'Q1/Q2', rows: [] }] })).toThrow(/Invalid sheet name/);
+    expect(() => createXlsx({ sheets: [{ name: 'Data', rows: [] }, { name: 'data', rows: [] }] })).toThrow(/Duplicate sheet name/);
+  });
+});
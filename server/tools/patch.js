@@ -0,0 +1,281 @@
+/**
+ * Unified / git-style diff parsing and application for ApplyPatch.
+ * Hunks are located near their stated start lines, tolerating shifted
+ * positions, trailing-whitespace differences and (as a last resort) up to
+ * MAX_FUZZ mismatched context lines at the edges of a hunk.
+ */
+
+const MAX_FUZZ = 2;
+
+export class PatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PatchError';
+  }
+}
+
+function stripPrefix(name) {
+  if (!name || name === '/dev/null') return null;
+  // "--- a/file.js\t2024-01-01 ..." - drop timestamps and a/ b/ prefixes
+  const clean = name.split('\t')[0].trim().replace(/^"(.*)"$/, '$1');
+  return clean.replace(/^[ab]\//, '');
+}
+
+/**
+ * Parse a patch into per-file changes
+ * @param {string} text
+ * @returns {Array<{ type: string, oldPath: string|null, newPath: string|null, hunks: Object[] }>}
+ *   type is 'modify', 'create', 'delete' or 'rename'
+ */
+export function parsePatch(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  const files = [];
+  let file = null;
+  let hunk = null;
+
+  const startFile = () => {
+    file = { oldPath: null, newPath: null, hunks: [], isNew: false, isDeleted: false, renamed: false, fromGit: false, hasHeaders: false };
+    files.push(file);
+    hunk = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const git = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+    if (git) {
+      startFile();
+      file.oldPath = git[1];
+      file.newPath = git[2];
+      file.fromGit = true;
+      continue;
+    }
+
+    if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+      const oldName = line.slice(4);
+      const newName = lines[i + 1].slice(4);
+      // Plain unified diffs start a file at the --- header; a git diff header
+      // already did unless it had no ---/+++ of its own (e.g. a pure rename)
+      const belongsToGitHeader = file?.fromGit && !file.hasHeaders && file.hunks.length === 0 &&
+        [null, file.oldPath].includes(stripPrefix(oldName)) && [null, file.newPath].includes(stripPrefix(newName));
+      if (!belongsToGitHeader) startFile();
+      file.hasHeaders = true;
+      file.oldPath = stripPrefix(oldName);
+      file.newPath = stripPrefix(newName);
+      if (oldName.trim().startsWith('/dev/null')) file.isNew = true;
+      if (newName.trim().startsWith('/dev/null')) file.isDeleted = true;
+      i++;
+      hunk = null;
+      continue;
+    }
+
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header) {
+      if (!file) throw new PatchError(`Hunk without a file header at patch line ${i + 1}`);
+      hunk = {
+        header: line,
+        oldStart: parseInt(header[1], 10),
+        oldLines: header[2] === undefined ? 1 : parseInt(header[2], 10),
+        newStart: parseInt(header[3], 10),
+        newLines: header[4] === undefined ? 1 : parseInt(header[4], 10),
+        lines: [],
+        newEndsWithoutNewline: false
+      };
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    if (file && !hunk) {
+      if (line.startsWith('new file mode')) file.isNew = true;
+      else if (line.startsWith('deleted file mode')) file.isDeleted = true;
+      else if (line.startsWith('rename from ')) { file.oldPath = line.slice(12); file.renamed = true; }
+      else if (line.startsWith('rename to ')) { file.newPath = line.slice(10); file.renamed = true; }
+      else if (line.startsWith('Binary files ') || line === 'GIT binary patch') {
+        throw new PatchError(`Binary patches are not supported (${file.newPath || file.oldPath})`);
+      }
+      continue;
+    }
+
+    if (hunk) {
+      if (line.startsWith('\\')) {
+        // "\ No newline at end of file" refers to the previous line
+        const previous = hunk.lines[hunk.lines.length - 1];
+        if (previous && previous.op !== '-') hunk.newEndsWithoutNewline = true;
+        continue;
+      }
+      const op = line[0];
+      if (op === ' ' || op === '-' || op === '+') {
+        hunk.lines.push({ op, text: line.slice(1) });
+      } else if (line === '') {
+        // Editors often strip the single space of empty context lines
+        hunk.lines.push({ op: ' ', text: '' });
+      } else {
+        hunk = null;
+      }
+    }
+  }
+
+  return files
+    .filter(f => f.oldPath || f.newPath)
+    .map(f => {
+      // Drop empty context lines picked up after the last hunk line
+      for (const h of f.hunks) {
+        const expected = h.oldLines + h.newLines;
+        while (h.lines.length > 0 && countHunk(h) > expected && h.lines[h.lines.length - 1].op === ' ' && h.lines[h.lines.length - 1].text === '') {
+          h.lines.pop();
+        }
+      }
+      const type = f.isNew ? 'create'
+        : f.isDeleted ? 'delete'
+        : f.renamed || (f.oldPath && f.newPath && f.oldPath !== f.newPath) ? 'rename'
+        : 'modify';
+      return {
+        type,
+        oldPath: type === 'create' ? null : f.oldPath,
+        newPath: type === 'delete' ? null : f.newPath,
+        hunks: f.hunks
+      };
+    });
+}
+
+function countHunk(hunk) {
+  // Context lines count on both sides
+  return hunk.lines.reduce((sum, l) => sum + (l.op === ' ' ? 2 : 1), 0);
+}
+
+/**
+ * Paths a patch touches, for scheduling (without validating the patch)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function getPatchPaths(text) {
+  if (typeof text !== 'string') return [];
+  const paths = new Set();
+  for (const match of text.matchAll(/^(?:---|\+\+\+) (.+)$|^rename (?:from|to) (.+)$/gm)) {
+    const name = stripPrefix(match[1] || match[2]);
+    if (name) paths.add(name);
+  }
+  return [...paths];
+}
+
+function linesEqual(a, b, loose) {
+  return loose ? a.trimEnd() === b.trimEnd() : a === b;
+}
+
+function matchesAt(fileLines, block, position, loose) {
+  if (position < 0 || position + block.length > fileLines.length) return false;
+  return block.every((line, k) => linesEqual(fileLines[position + k], line, loose));
+}
+
+/**
+ * Find where a block of lines occurs, searching outward from the expected position
+ */
+function locate(fileLines, block, expected, minPosition, loose) {
+  const maxDistance = Math.max(expected - minPosition, fileLines.length - expected);
+  for (let distance = 0; distance <= maxDistance; distance++) {
+    for (const position of distance === 0 ? [expected] : [expected - distance, expected + distance]) {
+      if (position >= minPosition && matchesAt(fileLines, block, position, loose)) return position;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Apply hunks to file content. Nothing is applied if any hunk is rejected.
+ * @param {string} content
+ * @param {Object[]} hunks - From parsePatch
+ * @returns {{ content: string|null, rejected: Array<{ hunk: number, header: string, reason: string }>, notes: string[] }}
+ */
+export function applyHunks(content, hunks) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const hadFinalNewline = content === '' || content.endsWith('\n');
+  const normalized = content.replace(/\r\n/g, '\n');
+  const fileLines = normalized === '' ? [] : (normalized.endsWith('\n') ? normalized.slice(0, -1) : normalized).split('\n');
+
+  const rejected = [];
+  const notes = [];
+  const placements = [];
+  let minPosition = 0;
+  let offset = 0;
+  let endsWithoutNewline = !hadFinalNewline;
+
+  hunks.forEach((hunk, index) => {
+    const oldBlock = hunk.lines.filter(l => l.op !== '+').map(l => l.text);
+    const label = `Hunk #${index + 1} (${hunk.header.match(/^@@[^@]*@@/)[0]})`;
+
+    // Header line counts are not trusted (models often get them wrong); the
+    // start line is. A pure insertion's start line is the line after which it goes.
+    const nominal = oldBlock.length === 0 ? hunk.oldStart : hunk.oldStart - 1;
+    const expected = Math.max(0, nominal + offset);
+    let position = locate(fileLines, oldBlock, expected, minPosition, false);
+    let loose = false;
+    if (position === -1) {
+      position = locate(fileLines, oldBlock, expected, minPosition, true);
+      loose = position !== -1;
+    }
+
+    // Fuzz: ignore up to MAX_FUZZ context lines at the edges of the hunk
+    let trimTop = 0;
+    let trimBottom = 0;
+    if (position === -1) {
+      const leading = hunk.lines.findIndex(l => l.op !== ' ');
+      const trailing = [...hunk.lines].reverse().findIndex(l => l.op !== ' ');
+      for (let fuzz = 1; fuzz <= MAX_FUZZ && position === -1; fuzz++) {
+        trimTop = Math.min(fuzz, leading);
+        trimBottom = Math.min(fuzz, trailing);
+        if (trimTop + trimBottom === 0) break;
+        const block = oldBlock.slice(trimTop, oldBlock.length - trimBottom);
+        if (block.length === 0) break;
+        position = locate(fileLines, block, expected + trimTop, minPosition, true);
+      }
+      if (position !== -1) {
+        notes.push(`${label} applied with fuzz ${Math.max(trimTop, trimBottom)}`);
+        position -= trimTop;
+      }
+    }
+
+    if (position === -1) {
+      const removes = hunk.lines.some(l => l.op === '-');
+      rejected.push({
+        hunk: index + 1,
+        header: hunk.header,
+        reason: `${label}: ${removes ? 'lines to remove and their context were' : 'context was'} not found at or after line ${expected + 1}`
+      });
+      return;
+    }
+
+    if (position !== nominal) {
+      notes.push(`${label} applied at line ${position + 1} (offset ${position - nominal})`);
+    }
+    if (loose) notes.push(`${label} matched ignoring trailing whitespace`);
+
+    // Context keeps the file's own lines (they may differ in whitespace or, with fuzz, entirely)
+    const replacement = [];
+    let cursor = position;
+    for (const { op, text } of hunk.lines) {
+      if (op === ' ') replacement.push(fileLines[cursor++]);
+      else if (op === '-') cursor++;
+      else replacement.push(text);
+    }
+    placements.push({ position, length: oldBlock.length, replacement });
+    offset = position - nominal;
+    minPosition = position + oldBlock.length;
+    if (position + oldBlock.length === fileLines.length) {
+      endsWithoutNewline = hunk.newEndsWithoutNewline;
+    }
+  });
+
+  if (rejected.length > 0) return { content: null, rejected, notes };
+
+  const result = [...fileLines];
+  for (const { position, length, replacement } of [...placements].reverse()) {
+    result.splice(position, length, ...replacement);
+  }
+  const text = result.join(eol);
+  return {
+    content: result.length === 0 ? '' : text + (endsWithoutNewline ? '' : eol),
+    rejected,
+    notes
+  };
+}
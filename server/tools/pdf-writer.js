@@ -0,0 +1,629 @@
+/**
+ * PDF writer for CreatePdf.
+ * Lays out the same content blocks as CreateDocument (see office-writer.js)
+ * using the standard 14 fonts, so nothing is embedded; text is limited to
+ * the Windows-1252 (WinAnsi) character set. PNG and JPEG images are embedded.
+ */
+
+import zlib from 'zlib';
+import { normalizeBlocks } from './office-writer.js';
+
+// Page sizes in points
+const PAGE_SIZES = {
+  a4: { width: 595.28, height: 841.89 },
+  letter: { width: 612, height: 792 }
+};
+const MARGIN = 72;
+
+const BODY_SIZE = 11;
+const CODE_SIZE = 9;
+const CAPTION_SIZE = 9;
+const LINE_HEIGHT = 1.35;
+const HEADING_SIZES = [20, 16, 14, 12, 11, 11];
+const LIST_INDENT = 18;
+const CELL_PADDING = 4;
+
+// Glyph widths (1/1000 em) of characters 32-126, from the Adobe font metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+// Widths of the WinAnsi punctuation outside ASCII: [regular, bold]
+const PUNCTUATION_WIDTHS = {
+  '•': [350, 350], '–': [556, 556], '—': [1000, 1000], '…': [1000, 1000],
+  '‘': [222, 278], '’': [222, 278], '“': [333, 500], '”': [333, 500], '€': [556, 556]
+};
+
+const FONTS = {
+  regular: { key: 'F1', base: 'Helvetica' },
+  bold: { key: 'F2', base: 'Helvetica-Bold' },
+  italic: { key: 'F3', base: 'Helvetica-Oblique' },
+  boldItalic: { key: 'F4', base: 'Helvetica-BoldOblique' },
+  code: { key: 'F5', base: 'Courier' },
+  codeBold: { key: 'F6', base: 'Courier-Bold' }
+};
+
+// Unicode characters of the WinAnsi codes 0x80-0x9F
+const WIN_ANSI_HIGH = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87,
+  'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91,
+  '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98,
+  '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+function winAnsiCode(ch) {
+  const code = ch.codePointAt(0);
+  if ((code >= 32 && code <= 126) || (code >= 0xa0 && code <= 0xff)) return code;
+  return WIN_ANSI_HIGH[ch] ?? null;
+}
+
+function fontFor(run) {
+  if (run.code) return run.bold ? FONTS.codeBold : FONTS.code;
+  if (run.bold && run.italic) return FONTS.boldItalic;
+  if (run.bold) return FONTS.bold;
+  if (run.italic) return FONTS.italic;
+  return FONTS.regular;
+}
+
+function charWidth(ch, font) {
+  if (font === FONTS.code || font === FONTS.codeBold) return 600;
+  const bold = font === FONTS.bold || font === FONTS.boldItalic;
+  const code = ch.codePointAt(0);
+  if (code >= 32 && code <= 126) return (bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS)[code - 32];
+  if (PUNCTUATION_WIDTHS[ch]) return PUNCTUATION_WIDTHS[ch][bold ? 1 : 0];
+  // Accented letters are as wide as their base letter
+  const base = ch.normalize('NFD')[0];
+  if (base !== ch && base.codePointAt(0) <= 126) return charWidth(base, font);
+  return 556;
+}
+
+function textWidth(text, font, size) {
+  let width = 0;
+  for (const ch of text) width += charWidth(ch, font);
+  return width * size / 1000;
+}
+
+function formatNumber(n) {
+  return Number(n.toFixed(2)).toString();
+}
+
+// ==================== IMAGES ====================
+
+function parseJpeg(data) {
+  for (let i = 2; i + 9 < data.length;) {
+    if (data[i] !== 0xff) throw new Error('Corrupt JPEG image');
+    const marker = data[i + 1];
+    // SOF markers, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      const components = data[i + 9];
+      return {
+        width: data.readUInt16BE(i + 7),
+        height: data.readUInt16BE(i + 5),
+        object: {
+          dict: `/Type /XObject /Subtype /Image /Width ${data.readUInt16BE(i + 7)} /Height ${data.readUInt16BE(i + 5)} ` +
+            `/ColorSpace /${components === 1 ? 'DeviceGray' : components === 4 ? 'DeviceCMYK' : 'DeviceRGB'} /BitsPerComponent 8 /Filter /DCTDecode` +
+            // Adobe CMYK JPEGs are stored inverted
+            (components === 4 ? ' /Decode [1 0 1 0 1 0 1 0]' : ''),
+          data
+        }
+      };
+    }
+    i += 2 + data.readUInt16BE(i + 2);
+  }
+  throw new Error('Corrupt JPEG image (no frame header)');
+}
+
+// Reverse the PNG row filters
+function unfilterPng(data, width, height, bytesPerPixel) {
+  const stride = Math.ceil(width * bytesPerPixel);
+  const bpp = Math.max(1, Math.floor(bytesPerPixel));
+  const out = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (stride + 1)];
+    const row = data.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const o = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bpp ? out[o + x - bpp] : 0;
+      const up = y > 0 ? out[o - stride + x] : 0;
+      const upLeft = y > 0 && x >= bpp ? out[o - stride + x - bpp] : 0;
+      let value = row[x];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+        value += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+      out[o + x] = value & 0xff;
+    }
+  }
+  return out;
+}
+
+function parsePng(data) {
+  let offset = 8;
+  let header = null;
+  let palette = null;
+  const chunks = [];
+  while (offset + 8 <= data.length) {
+    const length = data.readUInt32BE(offset);
+    const type = data.toString('latin1', offset + 4, offset + 8);
+    const body = data.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: body.readUInt32BE(0), height: body.readUInt32BE(4),
+        bitDepth: body[8], colorType: body[9], interlace: body[12]
+      };
+    } else if (type === 'PLTE') palette = body;
+    else if (type === 'IDAT') chunks.push(body);
+    else if (type === 'IEND') break;
+    offset += 12 + length;
+  }
+  if (!header || chunks.length === 0) throw new Error('Corrupt PNG image');
+  if (header.interlace) throw new Error('Interlaced PNG images are not supported; save the image without interlacing');
+
+  const { width, height, bitDepth, colorType } = header;
+  const compressed = Buffer.concat(chunks);
+  const base = `/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /BitsPerComponent ${bitDepth}`;
+
+  if (colorType === 0 || colorType === 2 || colorType === 3) {
+    // PNG's zlib data can be used directly with the PNG predictors
+    const colors = colorType === 2 ? 3 : 1;
+    let colorSpace = colorType === 2 ? '/DeviceRGB' : '/DeviceGray';
+    if (colorType === 3) {
+      if (!palette) throw new Error('Corrupt PNG image (no palette)');
+      colorSpace = `[/Indexed /DeviceRGB ${palette.length / 3 - 1} <${palette.toString('hex')}>]`;
+    }
+    return {
+      width, height,
+      object: {
+        dict: `${base} /ColorSpace ${colorSpace} /Filter /FlateDecode ` +
+          `/DecodeParms << /Predictor 15 /Colors ${colors} /BitsPerComponent ${bitDepth} /Columns ${width} >>`,
+        data: compressed
+      }
+    };
+  }
+
+  // Gray or RGB with alpha: split the alpha channel into a soft mask
+  const channels = colorType === 4 ? 2 : 4;
+  const sampleBytes = bitDepth / 8;
+  const pixels = unfilterPng(zlib.inflateSync(compressed), width, height, channels * sampleBytes);
+  const colorBytes = (channels - 1) * sampleBytes;
+  const color = Buffer.alloc(width * height * colorBytes);
+  const alpha = Buffer.alloc(width * height * sampleBytes);
+  for (let p = 0; p < width * height; p++) {
+    const start = p * channels * sampleBytes;
+    pixels.copy(color, p * colorBytes, start, start + colorBytes);
+    pixels.copy(alpha, p * sampleBytes, start + colorBytes, start + colorBytes + sampleBytes);
+  }
+  return {
+    width, height,
+    object: {
+      dict: `${base} /ColorSpace /${colorType === 4 ? 'DeviceGray' : 'DeviceRGB'} /Filter /FlateDecode`,
+      data: zlib.deflateSync(color),
+      mask: { dict: `${base} /ColorSpace /DeviceGray /Filter /FlateDecode`, data: zlib.deflateSync(alpha) }
+    }
+  };
+}
+
+function loadImage(block) {
+  if (block.info.mediaType === 'image/jpeg') return parseJpeg(block.data);
+  if (block.info.mediaType === 'image/png') return parsePng(block.data);
+  throw new Error(`Images must be PNG or JPEG for PDFs (got ${block.info.mediaType})`);
+}
+
+// ==================== LAYOUT ====================
+
+/**
+ * Break runs into lines that fit a width
+ * @returns {Array<{ segments: Array<{ text, font, size, link?, underline? }>, width: number }>}
+ */
+function wrapRuns(runs, size, maxWidth) {
+  const lines = [];
+  let line = { segments: [], width: 0 };
+  let pendingSpace = null;
+
+  const flush = () => {
+    lines.push(line);
+    line = { segments: [], width: 0 };
+    pendingSpace = null;
+  };
+  const append = (segment, width) => {
+    line.segments.push(segment);
+    line.width += width;
+  };
+
+  for (const run of runs) {
+    const font = fontFor(run);
+    const parts = String(run.text).replace(/\t/g, '    ').split(/(\n| +)/);
+    for (const part of parts) {
+      if (!part) continue;
+      if (part === '\n') {
+        flush();
+        continue;
+      }
+      const segment = { text: part, font, size, link: run.link, underline: run.underline || Boolean(run.link) };
+      if (part.startsWith(' ')) {
+        // Spaces are kept between words but dropped at line starts and ends
+        if (line.segments.length) pendingSpace = segment;
+        continue;
+      }
+
+      let width = textWidth(part, font, size);
+      const spaceWidth = pendingSpace ? textWidth(pendingSpace.text, pendingSpace.font, size) : 0;
+      if (line.segments.length && line.width + spaceWidth + width > maxWidth) flush();
+      if (pendingSpace) append(pendingSpace, spaceWidth);
+      pendingSpace = null;
+
+      // Words wider than the line are broken anywhere
+      let rest = part;
+      while (width > maxWidth - line.width && rest.length > 1) {
+        let fit = '';
+        for (const ch of rest) {
+          if (textWidth(fit + ch, font, size) > maxWidth - line.width && fit) break;
+          fit += ch;
+        }
+        append({ ...segment, text: fit }, textWidth(fit, font, size));
+        flush();
+        rest = rest.slice(fit.length);
+        width = textWidth(rest, font, size);
+      }
+      append({ ...segment, text: rest }, width);
+    }
+  }
+  if (line.segments.length || lines.length === 0) flush();
+  return lines;
+}
+
+class PdfLayout {
+  constructor(pageSize) {
+    this.pageWidth = pageSize.width;
+    this.pageHeight = pageSize.height;
+    this.contentWidth = pageSize.width - 2 * MARGIN;
+    this.bottom = pageSize.height - MARGIN;
+    this.pages = [];
+    this.images = [];
+    this.replaced = 0;
+    this.newPage();
+  }
+
+  newPage() {
+    this.page = { ops: [], links: [], images: new Set() };
+    this.pages.push(this.page);
+    this.y = MARGIN; // distance from the top
+  }
+
+  get atPageTop() {
+    return this.y === MARGIN;
+  }
+
+  ensureSpace(height) {
+    if (this.y + height > this.bottom && !this.atPageTop) this.newPage();
+  }
+
+  // PDF string of text in WinAnsi; unsupported characters become "?"
+  encode(text) {
+    let out = '';
+    for (const ch of text) {
+      let code = winAnsiCode(ch);
+      if (code === null) {
+        this.replaced++;
+        code = 0x3f;
+      }
+      const c = String.fromCharCode(code);
+      out += c === '(' || c === ')' || c === '\\' ? `\\${c}` : c;
+    }
+    return `(${out})`;
+  }
+
+  text(x, y, text, font, size) {
+    this.page.ops.push(`BT /${font.key} ${formatNumber(size)} Tf ${formatNumber(x)} ${formatNumber(this.pageHeight - y)} Td ${this.encode(text)} Tj ET`);
+  }
+
+  rect(x, y, width, height, operator) {
+    this.page.ops.push(`${formatNumber(x)} ${formatNumber(this.pageHeight - y - height)} ${formatNumber(width)} ${formatNumber(height)} re ${operator}`);
+  }
+
+  /**
+   * Draw wrapped lines at the cursor, breaking pages as needed
+   */
+  drawLines(lines, { x = MARGIN, width = this.contentWidth, size, align, lineHeight = size * LINE_HEIGHT, marker }) {
+    lines.forEach((line, i) => {
+      this.ensureSpace(lineHeight);
+      const baseline = this.y + size;
+      let cursor = x;
+      if (align === 'center') cursor += (width - line.width) / 2;
+      else if (align === 'right') cursor += width - line.width;
+      if (marker && i === 0) this.text(x - marker.width, baseline, marker.text, marker.font, size);
+
+      for (const segment of line.segments) {
+        const segmentWidth = textWidth(segment.text, segment.font, segment.size);
+        if (segment.link) this.page.ops.push('0 0.35 0.75 rg');
+        this.text(cursor, baseline, segment.text, segment.font, segment.size);
+        if (segment.underline) {
+          this.page.ops.push(`${segment.link ? '0 0.35 0.75 RG ' : ''}0.5 w ${formatNumber(cursor)} ${formatNumber(this.pageHeight - baseline - 1.5)} m ${formatNumber(cursor + segmentWidth)} ${formatNumber(this.pageHeight - baseline - 1.5)} l S 0 G`);
+        }
+        if (segment.link) {
+          this.page.ops.push('0 g');
+          this.page.links.push({ x: cursor, y: this.pageHeight - baseline - 2, width: segmentWidth, height: size + 2, url: segment.link });
+        }
+        cursor += segmentWidth;
+      }
+      this.y += lineHeight;
+    });
+  }
+
+  heading(block) {
+    const size = HEADING_SIZES[block.level - 1];
+    const runs = block.runs.map(run => ({ ...run, bold: true }));
+    const lines = wrapRuns(runs, size, this.contentWidth);
+    // Keep the heading with the first lines after it
+    this.ensureSpace(size * 0.8 + lines.length * size * LINE_HEIGHT + BODY_SIZE * LINE_HEIGHT * 2);
+    if (!this.atPageTop) this.y += size * 0.8;
+    this.drawLines(lines, { size });
+    this.y += size * 0.3;
+  }
+
+  paragraph(block) {
+    this.drawLines(wrapRuns(block.runs, BODY_SIZE, this.contentWidth), { size: BODY_SIZE, align: block.align });
+    this.y += BODY_SIZE * 0.7;
+  }
+
+  list(items, ordered, level) {
+    const x = MARGIN + LIST_INDENT * (level + 1);
+    const width = this.contentWidth - LIST_INDENT * (level + 1);
+    items.forEach((item, i) => {
+      const markerText = ordered ? `${i + 1}.` : level % 2 ? '–' : '•';
+      const marker = { text: markerText, font: FONTS.regular, width: textWidth(markerText, FONTS.regular, BODY_SIZE) + 5 };
+      this.drawLines(wrapRuns(item.runs, BODY_SIZE, width), { x, width, size: BODY_SIZE, marker });
+      this.y += 2;
+      if (item.items.length) this.list(item.items, ordered, level + 1);
+    });
+    if (level === 0) this.y += BODY_SIZE * 0.5;
+  }
+
+  table(block) {
+    const size = BODY_SIZE - 1;
+    const lineHeight = size * 1.3;
+    const columns = Math.max(...block.rows.map(r => r.length));
+    const inner = CELL_PADDING * 2;
+
+    // Columns get width in proportion to their longest line, at least one longest word
+    const natural = Array(columns).fill(0);
+    const minimum = Array(columns).fill(0);
+    block.rows.forEach((row, r) => row.forEach((cell, c) => {
+      const font = block.header && r === 0 ? FONTS.bold : FONTS.regular;
+      natural[c] = Math.max(natural[c], textWidth(cell, font, size) + inner);
+      for (const word of cell.split(/\s+/)) minimum[c] = Math.max(minimum[c], Math.min(textWidth(word, font, size) + inner, this.contentWidth / columns));
+    }));
+    let widths = natural.map((w, c) => Math.max(w, minimum[c], 24));
+    const total = widths.reduce((a, b) => a + b, 0);
+    if (total > this.contentWidth) {
+      const spare = this.contentWidth - minimum.reduce((a, b) => a + Math.max(b, 24), 0);
+      const extra = widths.map((w, c) => w - Math.max(minimum[c], 24));
+      const extraTotal = extra.reduce((a, b) => a + b, 0);
+      widths = spare > 0
+        ? widths.map((_, c) => Math.max(minimum[c], 24) + extra[c] / extraTotal * spare)
+        : widths.map(() => this.contentWidth / columns);
+    }
+
+    const layoutRow = (row, header) => {
+      const cells = Array.from({ length: columns }, (_, c) =>
+        wrapRuns([{ text: row[c] ?? '', bold: header }], size, widths[c] - inner)
+      );
+      return { cells, header, height: Math.max(...cells.map(lines => lines.length)) * lineHeight + inner };
+    };
+    const drawRow = (row) => {
+      this.ensureSpace(row.height);
+      let x = MARGIN;
+      if (row.header) {
+        this.page.ops.push('0.85 0.88 0.95 rg');
+        this.rect(x, this.y, widths.reduce((a, b) => a + b, 0), row.height, 'f');
+        this.page.ops.push('0 g');
+      }
+      const top = this.y;
+      row.cells.forEach((lines, c) => {
+        this.y = top + CELL_PADDING;
+        this.drawLines(lines, { x: x + CELL_PADDING, width: widths[c] - inner, size, lineHeight });
+        this.page.ops.push('0.6 G 0.5 w');
+        this.rect(x, top, widths[c], row.height, 'S');
+        this.page.ops.push('0 G');
+        x += widths[c];
+      });
+      this.y = top + row.height;
+    };
+
+    const rows = block.rows.map((row, r) => layoutRow(row, block.header && r === 0));
+    rows.forEach((row, r) => {
+      // Repeat the header row on each page the table continues on
+      if (r > 0 && rows[0].header && this.y + row.height > this.bottom) {
+        this.newPage();
+        drawRow(rows[0]);
+      }
+      drawRow(row);
+    });
+    this.y += BODY_SIZE;
+  }
+
+  image(block) {
+    const image = loadImage(block);
+    const maxHeight = this.bottom - MARGIN - (block.caption ? CAPTION_SIZE * 2 : 0);
+    // Pixels are drawn at 96 dpi
+    let width = Math.min((block.width || image.width) * 0.75, this.contentWidth);
+    let height = width * image.height / image.width;
+    if (height > maxHeight) {
+      width *= maxHeight / height;
+      height = maxHeight;
+    }
+    this.ensureSpace(height + (block.caption ? CAPTION_SIZE * 2 : 0));
+
+    const name = `Im${this.images.length + 1}`;
+    this.images.push({ name, ...image.object });
+    this.page.images.add(name);
+    const x = MARGIN + (this.contentWidth - width) / 2;
+    this.page.ops.push(`q ${formatNumber(width)} 0 0 ${formatNumber(height)} ${formatNumber(x)} ${formatNumber(this.pageHeight - this.y - height)} cm /${name} Do Q`);
+    this.y += height + 4;
+
+    if (block.caption) {
+      const lines = wrapRuns([{ text: block.caption, italic: true }], CAPTION_SIZE, this.contentWidth);
+      this.drawLines(lines, { size: CAPTION_SIZE, align: 'center' });
+    }
+    this.y += BODY_SIZE * 0.7;
+  }
+
+  code(block) {
+    const lineHeight = CODE_SIZE * 1.3;
+    const lines = block.text.split('\n').flatMap(text =>
+      // No-break spaces keep the indentation while wrapping; drawn as plain
+      // spaces (same width in Courier) so copied code still runs
+      wrapRuns([{ text: text.replace(/ /g, '\u00a0'), code: true }], CODE_SIZE, this.contentWidth - 2 * CELL_PADDING)
+    );
+    for (const segment of lines.flatMap(line => line.segments)) {
+      segment.text = segment.text.replace(/\u00a0/g, ' ');
+    }
+    this.y += 2;
+    for (const line of lines) {
+      this.ensureSpace(lineHeight);
+      // Shade line by line so the background follows page breaks
+      this.page.ops.push('0.95 g');
+      this.rect(MARGIN, this.y, this.contentWidth, lineHeight, 'f');
+      this.page.ops.push('0 g');
+      this.drawLines([line], { x: MARGIN + CELL_PADDING, size: CODE_SIZE, lineHeight });
+    }
+    this.y += BODY_SIZE;
+  }
+
+  footers() {
+    this.pages.forEach((page, i) => {
+      this.page = page;
+      const label = `Page ${i + 1} of ${this.pages.length}`;
+      this.page.ops.push('0.4 g');
+      this.text((this.pageWidth - textWidth(label, FONTS.regular, 9)) / 2, this.pageHeight - MARGIN / 2, label, FONTS.regular, 9);
+      this.page.ops.push('0 g');
+    });
+  }
+}
+
+// ==================== SERIALIZATION ====================
+
+// Text string in a PDF dictionary (UTF-16 when not ASCII)
+function infoString(text) {
+  if (/^[\x20-\x7e]*$/.test(text)) return `(${text.replace(/[()\\]/g, '\\$&')})`;
+  const utf16 = Buffer.from(`\uFEFF${text}`, 'utf16le').swap16();
+  return `<${utf16.toString('hex')}>`;
+}
+
+function serialize(layout, title) {
+  const objects = [];
+  const add = (body) => objects.push(body);
+  const stream = (dict, data) => Buffer.concat([
+    Buffer.from(`<< ${dict} /Length ${data.length} >>\nstream\n`, 'latin1'), data, Buffer.from('\nendstream', 'latin1')
+  ]);
+
+  const catalogId = add('<< /Type /Catalog /Pages 2 0 R >>');
+  add(null); // Pages, once the page ids are known
+  const now = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  const infoId = add(`<< /Producer (Nimbus) /CreationDate (D:${now}Z)${title ? ` /Title ${infoString(title)}` : ''} >>`);
+
+  // Widths are optional for the standard fonts, but text extraction relies on them
+  const characters = Array.from({ length: 224 }, (_, i) => {
+    const code = i + 32;
+    return Object.keys(WIN_ANSI_HIGH).find(ch => WIN_ANSI_HIGH[ch] === code) ?? String.fromCharCode(code);
+  });
+  const fontRefs = Object.values(FONTS).map(font => {
+    const widths = characters.map(ch => charWidth(ch, font)).join(' ');
+    const id = add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding /FirstChar 32 /LastChar 255 /Widths [${widths}] >>`);
+    return `/${font.key} ${id} 0 R`;
+  }).join(' ');
+
+  const imageIds = {};
+  for (const image of layout.images) {
+    const maskId = image.mask ? add(stream(image.mask.dict, image.mask.data)) : null;
+    imageIds[image.name] = add(stream(image.dict + (maskId ? ` /SMask ${maskId} 0 R` : ''), image.data));
+  }
+
+  const pageIds = layout.pages.map(page => {
+    const contentId = add(stream('/Filter /FlateDecode', zlib.deflateSync(Buffer.from(page.ops.join('\n'), 'latin1'))));
+    const annots = page.links.map(link => add(
+      `<< /Type /Annot /Subtype /Link /Border [0 0 0] /Rect [${[link.x, link.y, link.x + link.width, link.y + link.height].map(formatNumber).join(' ')}] ` +
+      `/A << /S /URI /URI ${infoString(link.url)} >> >>`
+    ));
+    const xobjects = [...page.images].map(name => `/${name} ${imageIds[name]} 0 R`).join(' ');
+    return add(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(layout.pageWidth)} ${formatNumber(layout.pageHeight)}] ` +
+      `/Resources << /Font << ${fontRefs} >>${xobjects ? ` /XObject << ${xobjects} >>` : ''} >> /Contents ${contentId} 0 R` +
+      `${annots.length ? ` /Annots [${annots.map(id => `${id} 0 R`).join(' ')}]` : ''} >>`
+    );
+  });
+  objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let offset = chunks[0].length;
+  const offsets = objects.map((body, i) => {
+    const chunk = Buffer.concat([
+      Buffer.from(`${i + 1} 0 obj\n`, 'latin1'),
+      Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+      Buffer.from('\nendobj\n', 'latin1')
+    ]);
+    chunks.push(chunk);
+    const start = offset;
+    offset += chunk.length;
+    return start;
+  });
+
+  chunks.push(Buffer.from(
+    `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+    offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('') +
+    `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${offset}\n%%EOF\n`,
+    'latin1'
+  ));
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Build a PDF document
+ * @param {Object} spec
+ * @param {Object[]} spec.content - Blocks, as for createDocx
+ * @param {string} [spec.title]
+ * @param {string} [spec.page_size] - "A4" (default) or "Letter"
+ * @returns {{ buffer: Buffer, pages: number, images: number, replaced_characters: number }}
+ */
+export function createPdf({ content, title, page_size: pageSize = 'A4' } = {}) {
+  const blocks = normalizeBlocks(content);
+  const size = PAGE_SIZES[String(pageSize).toLowerCase()];
+  if (!size) throw new Error(`page_size must be "A4" or "Letter", got "${pageSize}"`);
+
+  const layout = new PdfLayout(size);
+  for (const block of blocks) {
+    switch (block.type) {
+      case 'heading': layout.heading(block); break;
+      case 'paragraph': layout.paragraph(block); break;
+      case 'list': layout.list(block.items, block.ordered, 0); break;
+      case 'table': layout.table(block); break;
+      case 'image': layout.image(block); break;
+      case 'code': layout.code(block); break;
+      case 'page_break': if (!layout.atPageTop) layout.newPage(); break;
+    }
+  }
+  layout.footers();
+
+  return {
+    buffer: serialize(layout, title),
+    pages: layout.pages.length,
+    images: layout.images.length,
+    replaced_characters: layout.replaced
+  };
+}
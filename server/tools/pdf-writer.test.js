@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createPdf } from './pdf-writer.js';
+import { readDocument } from './documents.js';
+
+let dir;
+
+beforeAll(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdf-writer-'));
+});
+
+afterAll(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+// Write a PDF and read it back the way the Read tool does
+async function roundTrip(name, spec, options) {
+  const created = createPdf(spec);
+  const file = path.join(dir, name);
+  await fs.writeFile(file, created.buffer);
+  return { created, result: await readDocument(file, options) };
+}
+
+describe('createPdf', () => {
+  it('reads back the text of every block, page by page', async () => {
+    const { created, result } = await roundTrip('report.pdf', {
+      title: 'Report',
+      content: [
+        { type: 'heading', level: 1, text: 'Quarterly report' },
+        'Revenue grew **12%** & costs fell.',
+        { type: 'list', items: ['North', { text: 'South', items: ['Coast'] }] },
+        { type: 'table', rows: [['Region', 'Total'], ['North', 12]] },
+        { type: 'code', text: 'SELECT 1;' },
+        { type: 'page_break' },
+        { type: 'heading', level: 2, text: 'Café naïve – “quotes”' }
+      ]
+    });
+    expect(created).toMatchObject({ pages: 2, images: 0, replaced_characters: 0 });
+
+    expect(result).toMatchObject({ type: 'pdf', pages: '1-2', total_pages: 2 });
+    expect(result.content).toBe([
+      '--- Page 1 ---',
+      'Quarterly report',
+      'Revenue grew 12% & costs fell.',
+      '• North',
+      '• South',
+      '– Coast',
+      'Region Total',
+      'North 12',
+      'SELECT 1;',
+      'Page 1 of 2',
+      '',
+      '--- Page 2 ---',
+      'Café naïve – “quotes”',
+      'Page 2 of 2'
+    ].join('\n'));
+  });
+
+  it('flows long content onto new pages that can be read by range', async () => {
+    const paragraphs = Array.from({ length: 120 }, (_, i) => `Paragraph ${i + 1} of the appendix.`);
+    const { created, result } = await roundTrip('long.pdf', { content: paragraphs, page_size: 'Letter' }, { pages: '2-' });
+    expect(created.pages).toBeGreaterThan(2);
+
+    expect(result.total_pages).toBe(created.pages);
+    expect(result.pages).toBe(`2-${created.pages}`);
+    expect(result.content).not.toContain('Paragraph 1 of');
+    expect(result.content).toContain('Paragraph 120 of the appendix.');
+    // Every paragraph appears exactly once across pages 1 and 2-
+    const all = (await readDocument(path.join(dir, 'long.pdf'))).content;
+    expect(all.match(/Paragraph \d+ of/g)).toHaveLength(120);
+  });
+
+  it('keeps code indentation as plain spaces', async () => {
+    const { result } = await roundTrip('code.pdf', { content: [{ type: 'code', text: 'def f(x):\n    return x  # twice' }] });
+    expect(result.content).toBe('--- Page 1 ---\ndef f(x):\n    return x  # twice\nPage 1 of 1');
+  });
+
+  it('replaces characters the standard fonts cannot show', async () => {
+    const { created, result } = await roundTrip('cjk.pdf', { content: ['Tokyo 東京'] });
+    expect(created.replaced_characters).toBe(2);
+    expect(result.content).toMatch(/Tokyo \?\?/);
+  });
+});
@@ -0,0 +1,793 @@
+/**
+ * PDF text extraction for the Read tool, in plain JS.
+ * Objects are found by scanning the file (so damaged cross-reference tables
+ * don't matter) and object streams are expanded. Text comes from the page
+ * content streams: fonts are decoded through their ToUnicode CMaps or their
+ * simple encodings, and glyph widths are tracked so line breaks and word
+ * gaps can be recovered from text positions.
+ */
+
+import zlib from 'zlib';
+
+const WHITESPACE = new Set(['\0', '\t', '\n', '\f', '\r', ' ']);
+const DELIMITERS = new Set(['(', ')', '<', '>', '[', ']', '{', '}', '/', '%']);
+
+// Form XObjects can nest; deeper ones are ignored
+const MAX_XOBJECT_DEPTH = 5;
+
+// bfrange entries spanning more codes than this are ignored (malformed CMaps)
+const MAX_CMAP_RANGE = 0x10000;
+
+class Ref {
+  constructor(num) {
+    this.num = num;
+  }
+}
+
+class PdfString {
+  constructor(bytes) {
+    this.bytes = bytes; // one character per byte (latin1)
+  }
+}
+
+class Op {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+function isDict(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Tokenizer/parser for PDF objects and content streams. Names are returned
+ * as strings (without the slash), strings as PdfString, bare keywords as Op.
+ */
+class Lexer {
+  constructor(text, pos = 0) {
+    this.text = text;
+    this.pos = pos;
+  }
+
+  skipSpace() {
+    const t = this.text;
+    while (this.pos < t.length) {
+      const c = t[this.pos];
+      if (WHITESPACE.has(c)) {
+        this.pos++;
+      } else if (c === '%') {
+        while (this.pos < t.length && t[this.pos] !== '\n' && t[this.pos] !== '\r') this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  readWord() {
+    const t = this.text;
+    const start = this.pos;
+    while (this.pos < t.length && !WHITESPACE.has(t[this.pos]) && !DELIMITERS.has(t[this.pos])) this.pos++;
+    return t.slice(start, this.pos);
+  }
+
+  /**
+   * Next value, or undefined at the end of the text
+   */
+  next() {
+    this.skipSpace();
+    const t = this.text;
+    if (this.pos >= t.length) return undefined;
+    const c = t[this.pos];
+
+    if (c === '<' && t[this.pos + 1] === '<') {
+      this.pos += 2;
+      const dict = {};
+      while (true) {
+        this.skipSpace();
+        if (this.pos >= t.length) break;
+        if (t.startsWith('>>', this.pos)) {
+          this.pos += 2;
+          break;
+        }
+        const key = this.next();
+        if (key === undefined) break;
+        if (typeof key !== 'string') continue;
+        dict[key] = this.next();
+      }
+      return dict;
+    }
+    if (c === '<') return this.readHexString();
+    if (c === '(') return this.readLiteralString();
+    if (c === '[') {
+      this.pos++;
+      const array = [];
+      while (true) {
+        this.skipSpace();
+        if (this.pos >= t.length) break;
+        if (t[this.pos] === ']') {
+          this.pos++;
+          break;
+        }
+        const value = this.next();
+        if (value === undefined) break;
+        array.push(value);
+      }
+      return array;
+    }
+    if (c === '/') {
+      this.pos++;
+      return this.readWord().replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+    if (DELIMITERS.has(c)) {
+      this.pos++;
+      return new Op(c);
+    }
+
+    const word = this.readWord();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+      const number = parseFloat(word);
+      // "12 0 R" is a reference
+      if (/^\d+$/.test(word)) {
+        const saved = this.pos;
+        this.skipSpace();
+        const generation = this.readWord();
+        this.skipSpace();
+        if (/^\d+$/.test(generation) && t[this.pos] === 'R' && (this.pos + 1 >= t.length || WHITESPACE.has(t[this.pos + 1]) || DELIMITERS.has(t[this.pos + 1]))) {
+          this.pos++;
+          return new Ref(number);
+        }
+        this.pos = saved;
+      }
+      return number;
+    }
+    if (word === 'true') return true;
+    if (word === 'false') return false;
+    if (word === 'null') return null;
+    return new Op(word);
+  }
+
+  readHexString() {
+    const end = this.text.indexOf('>', this.pos);
+    const stop = end === -1 ? this.text.length : end;
+    let hex = this.text.slice(this.pos + 1, stop).replace(/[^0-9a-fA-F]/g, '');
+    this.pos = stop + 1;
+    if (hex.length % 2) hex += '0';
+    return new PdfString(Buffer.from(hex, 'hex').toString('latin1'));
+  }
+
+  readLiteralString() {
+    const t = this.text;
+    let depth = 0;
+    let out = '';
+    this.pos++;
+    while (this.pos < t.length) {
+      const c = t[this.pos++];
+      if (c === '\\') {
+        const e = t[this.pos++];
+        const simple = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+        if (e in simple) {
+          out += simple[e];
+        } else if (e >= '0' && e <= '7') {
+          let octal = e;
+          while (octal.length < 3 && t[this.pos] >= '0' && t[this.pos] <= '7') octal += t[this.pos++];
+          out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (e === '\r') {
+          if (t[this.pos] === '\n') this.pos++; // line continuation
+        } else if (e !== '\n') {
+          out += e;
+        }
+      } else if (c === '(') {
+        depth++;
+        out += c;
+      } else if (c === ')') {
+        if (depth === 0) break;
+        depth--;
+        out += c;
+      } else {
+        out += c;
+      }
+    }
+    return new PdfString(out);
+  }
+}
+
+// ==================== STREAM FILTERS ====================
+
+function decodeAsciiHex(data) {
+  let hex = data.toString('latin1').split('>')[0].replace(/[^0-9a-fA-F]/g, '');
+  if (hex.length % 2) hex += '0';
+  return Buffer.from(hex, 'hex');
+}
+
+function decodeAscii85(data) {
+  let text = data.toString('latin1').replace(/\s+/g, '').replace(/^<~/, '');
+  const end = text.indexOf('~>');
+  if (end !== -1) text = text.slice(0, end);
+
+  const out = [];
+  const flush = (group, count) => {
+    let value = 0;
+    for (const digit of group) value = value * 85 + digit;
+    out.push(...[value >>> 24, value >>> 16, value >>> 8, value].map(b => b & 0xff).slice(0, count));
+  };
+
+  let group = [];
+  for (const ch of text) {
+    if (ch === 'z' && group.length === 0) {
+      out.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(ch.charCodeAt(0) - 33);
+    if (group.length === 5) {
+      flush(group, 4);
+      group = [];
+    }
+  }
+  if (group.length > 1) {
+    const count = group.length - 1;
+    while (group.length < 5) group.push(84);
+    flush(group, count);
+  }
+  return Buffer.from(out);
+}
+
+// ==================== FONTS ====================
+
+// WinAnsiEncoding differs from latin1 in 0x80-0x9f
+const WIN_ANSI_EXTRA = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ',
+  0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“',
+  0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›',
+  0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+// Glyph names used in /Differences that aren't single letters or uniXXXX
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+  quotesingle: "'", parenleft: '(', parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-',
+  period: '.', slash: '/', zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6',
+  seven: '7', eight: '8', nine: '9', colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>',
+  question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']', asciicircum: '^',
+  underscore: '_', grave: '`', braceleft: '{', bar: '|', braceright: '}', asciitilde: '~',
+  quoteleft: '‘', quoteright: '’', quotedblleft: '“', quotedblright: '”', quotesinglbase: '‚',
+  quotedblbase: '„', bullet: '•', endash: '–', emdash: '—', ellipsis: '…', dagger: '†', daggerdbl: '‡',
+  fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl', trademark: '™', copyright: '©', registered: '®',
+  degree: '°', minus: '−', multiply: '×', divide: '÷', section: '§', paragraph: '¶', cent: '¢',
+  sterling: '£', yen: '¥', Euro: '€', nbspace: ' ', periodcentered: '·', guillemotleft: '«',
+  guillemotright: '»', exclamdown: '¡', questiondown: '¿', plusminus: '±', mu: 'µ',
+  Adieresis: 'Ä', Odieresis: 'Ö', Udieresis: 'Ü', adieresis: 'ä', odieresis: 'ö', udieresis: 'ü',
+  germandbls: 'ß', eacute: 'é', egrave: 'è', aacute: 'á', agrave: 'à', ccedilla: 'ç', ntilde: 'ñ'
+};
+
+function glyphToUnicode(name) {
+  if (/^[A-Za-z]$/.test(name)) return name;
+  if (GLYPH_NAMES[name]) return GLYPH_NAMES[name];
+  const uni = name.match(/^uni((?:[0-9A-Fa-f]{4})+)$/);
+  if (uni) return uni[1].match(/.{4}/g).map(h => String.fromCharCode(parseInt(h, 16))).join('');
+  const u = name.match(/^u([0-9A-Fa-f]{4,6})$/);
+  if (u) return String.fromCodePoint(parseInt(u[1], 16));
+  // Variants such as "a.sc" or "one.oldstyle"
+  if (name.includes('.')) return glyphToUnicode(name.split('.')[0]);
+  return '';
+}
+
+function utf16beToString(bytes) {
+  let out = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) {
+    out += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+  }
+  return out;
+}
+
+function hexToBytes(hex) {
+  return Buffer.from(hex.length % 2 ? hex + '0' : hex, 'hex').toString('latin1');
+}
+
+/**
+ * Parse a ToUnicode CMap into byte-string -> text, plus the code lengths in use
+ */
+function parseToUnicode(text) {
+  const map = new Map();
+  const lengths = new Set();
+
+  for (const block of text.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+    for (const range of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<[0-9a-fA-F]+>/g)) {
+      lengths.add(Math.ceil(range[1].length / 2));
+    }
+  }
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const entry of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(hexToBytes(entry[1]), utf16beToString(hexToBytes(entry[2])));
+    }
+  }
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const entry of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      const low = parseInt(entry[1], 16);
+      const high = parseInt(entry[2], 16);
+      if (high < low || high - low > MAX_CMAP_RANGE) continue;
+      const width = entry[1].length;
+      const codeAt = code => hexToBytes(code.toString(16).padStart(width, '0'));
+
+      if (entry[3].startsWith('[')) {
+        [...entry[3].matchAll(/<([0-9a-fA-F]*)>/g)].forEach((dst, k) => {
+          if (low + k <= high) map.set(codeAt(low + k), utf16beToString(hexToBytes(dst[1])));
+        });
+      } else {
+        // Consecutive codes map to consecutive values of the last UTF-16 unit
+        const base = utf16beToString(hexToBytes(entry[3].slice(1, -1)));
+        const prefix = base.slice(0, -1);
+        const last = base.charCodeAt(base.length - 1);
+        for (let code = low; code <= high; code++) {
+          map.set(codeAt(code), prefix + String.fromCharCode(last + code - low));
+        }
+      }
+    }
+  }
+
+  if (lengths.size === 0) {
+    for (const key of map.keys()) lengths.add(key.length);
+  }
+  return { map, lengths: [...lengths].sort((a, b) => a - b) };
+}
+
+// ==================== DOCUMENT ====================
+
+function multiply(m1, m2) {
+  const [a1, b1, c1, d1, e1, f1] = m1;
+  const [a2, b2, c2, d2, e2, f2] = m2;
+  return [
+    a1 * a2 + b1 * c2, a1 * b2 + b1 * d2,
+    c1 * a2 + d1 * c2, c1 * b2 + d1 * d2,
+    e1 * a2 + f1 * c2 + e2, e1 * b2 + f1 * d2 + f2
+  ];
+}
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+class PdfDocument {
+  /**
+   * @param {Buffer} buffer
+   */
+  constructor(buffer) {
+    this.objects = new Map(); // object number -> { value, stream }
+    this.fonts = new Map();   // font dictionary -> decoder
+    this.text = buffer.toString('latin1');
+    this.scanObjects(buffer);
+    this.expandObjectStreams();
+    this.trailer = this.findTrailer();
+    if (this.trailer?.Encrypt) throw new Error('Encrypted PDFs are not supported');
+  }
+
+  scanObjects(buffer) {
+    const text = this.text;
+    const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+      const lexer = new Lexer(text, match.index + match[0].length);
+      const value = lexer.next();
+      let stream = null;
+
+      lexer.skipSpace();
+      if (isDict(value) && text.startsWith('stream', lexer.pos)) {
+        let start = lexer.pos + 6;
+        if (text[start] === '\r') start++;
+        if (text[start] === '\n') start++;
+
+        let end;
+        const length = value.Length;
+        if (typeof length === 'number' && /^\s*endstream/.test(text.slice(start + length, start + length + 20))) {
+          end = start + length;
+        } else {
+          // Indirect or wrong /Length: look for the end marker instead
+          end = text.indexOf('endstream', start);
+          if (end === -1) end = text.length;
+          if (text[end - 1] === '\n') end--;
+          if (text[end - 1] === '\r') end--;
+        }
+        stream = buffer.subarray(start, end);
+        pattern.lastIndex = end;
+      } else {
+        pattern.lastIndex = Math.max(pattern.lastIndex, lexer.pos);
+      }
+
+      // Later definitions (incremental updates) replace earlier ones
+      this.objects.set(Number(match[1]), { value, stream });
+    }
+  }
+
+  expandObjectStreams() {
+    for (const object of [...this.objects.values()]) {
+      if (object.value?.Type !== 'ObjStm' || !object.stream) continue;
+      try {
+        const data = this.decodeStream(object)?.toString('latin1');
+        if (!data) continue;
+        const first = this.resolve(object.value.First);
+        const count = this.resolve(object.value.N);
+        const header = new Lexer(data);
+        const entries = [];
+        for (let i = 0; i < count; i++) entries.push([header.next(), header.next()]);
+
+        for (const [num, offset] of entries) {
+          // Objects written directly in the file take precedence
+          if (typeof num !== 'number' || this.objects.has(num)) continue;
+          this.objects.set(num, { value: new Lexer(data, first + offset).next(), stream: null });
+        }
+      } catch {
+        // A broken object stream only loses the objects inside it
+      }
+    }
+  }
+
+  findTrailer() {
+    let trailer = null;
+    for (const match of this.text.matchAll(/trailer\s*<</g)) {
+      const value = new Lexer(this.text, match.index + 7).next();
+      if (value?.Root) trailer = value;
+    }
+    if (trailer) return trailer;
+
+    // Cross-reference streams carry the trailer entries in their dictionary
+    for (const { value } of this.objects.values()) {
+      if (value?.Type === 'XRef' && value.Root) trailer = value;
+    }
+    return trailer;
+  }
+
+  resolve(value) {
+    let depth = 0;
+    while (value instanceof Ref && depth++ < 32) {
+      value = this.objects.get(value.num)?.value ?? null;
+    }
+    return value;
+  }
+
+  /**
+   * Decoded data of a stream object (or reference to one), or null for
+   * filters that can't carry text (images) or fail to decode
+   */
+  decodeStream(object) {
+    if (object instanceof Ref) object = this.objects.get(object.num);
+    if (!object?.stream) return null;
+
+    const filters = [].concat(this.resolve(object.value.Filter) ?? []).map(f => this.resolve(f));
+    let data = object.stream;
+    try {
+      for (const filter of filters) {
+        if (filter === 'FlateDecode' || filter === 'Fl') {
+          // Sync flush tolerates truncated or slightly corrupt streams
+          data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+        } else if (filter === 'ASCIIHexDecode' || filter === 'AHx') {
+          data = decodeAsciiHex(data);
+        } else if (filter === 'ASCII85Decode' || filter === 'A85') {
+          data = decodeAscii85(data);
+        } else {
+          return null;
+        }
+      }
+    } catch {
+      return null;
+    }
+    return data;
+  }
+
+  /**
+   * Pages in document order with their (inherited) resources
+   * @returns {Array<{ dict: Object, resources: Object }>}
+   */
+  getPages() {
+    let root = this.resolve(this.trailer?.Root);
+    if (!isDict(root)) {
+      root = [...this.objects.values()].map(o => o.value).find(v => v?.Type === 'Catalog');
+    }
+
+    const pages = [];
+    const seen = new Set();
+    const visit = (ref, resources) => {
+      const node = this.resolve(ref);
+      if (!isDict(node) || seen.has(node)) return;
+      seen.add(node);
+      const inherited = node.Resources ?? resources;
+      const kids = this.resolve(node.Kids);
+      if (Array.isArray(kids)) {
+        kids.forEach(kid => visit(kid, inherited));
+      } else {
+        pages.push({ dict: node, resources: this.resolve(inherited) ?? {} });
+      }
+    };
+    visit(root?.Pages, null);
+
+    if (pages.length === 0) {
+      // No usable page tree: fall back to every page object in object order
+      const numbers = [...this.objects.keys()].sort((a, b) => a - b);
+      for (const num of numbers) {
+        const value = this.objects.get(num).value;
+        if (value?.Type === 'Page') pages.push({ dict: value, resources: this.resolve(value.Resources) ?? {} });
+      }
+    }
+    return pages;
+  }
+
+  getFont(ref) {
+    const font = this.resolve(ref);
+    if (!isDict(font)) return null;
+    if (!this.fonts.has(font)) this.fonts.set(font, this.createFont(font));
+    return this.fonts.get(font);
+  }
+
+  /**
+   * Decoder for a font: code bytes -> text, and glyph widths (1/1000 em)
+   */
+  createFont(font) {
+    const composite = font.Subtype === 'Type0';
+    const toUnicodeData = font.ToUnicode instanceof Ref ? this.decodeStream(font.ToUnicode) : null;
+    const toUnicode = toUnicodeData ? parseToUnicode(toUnicodeData.toString('latin1')) : null;
+
+    // Simple fonts: base encoding plus /Differences
+    const encoding = new Map();
+    const encodingDict = this.resolve(font.Encoding);
+    if (isDict(encodingDict)) {
+      let code = 0;
+      for (const item of this.resolve(encodingDict.Differences) ?? []) {
+        if (typeof item === 'number') code = item;
+        else if (typeof item === 'string') encoding.set(code++, glyphToUnicode(item));
+      }
+    }
+    const simpleChar = code => encoding.get(code) ?? WIN_ANSI_EXTRA[code] ?? String.fromCharCode(code);
+
+    // Widths
+    let widthOf;
+    if (composite) {
+      const descendant = this.resolve(this.resolve(font.DescendantFonts)?.[0]) ?? {};
+      const defaultWidth = this.resolve(descendant.DW) ?? 1000;
+      const widths = new Map();
+      const w = this.resolve(descendant.W) ?? [];
+      for (let i = 0; i < w.length;) {
+        const first = this.resolve(w[i]);
+        const next = this.resolve(w[i + 1]);
+        if (Array.isArray(next)) {
+          next.forEach((width, k) => widths.set(first + k, this.resolve(width)));
+          i += 2;
+        } else {
+          const width = this.resolve(w[i + 2]);
+          for (let code = first; code <= next && code - first < MAX_CMAP_RANGE; code++) widths.set(code, width);
+          i += 3;
+        }
+      }
+      widthOf = code => widths.get(code) ?? defaultWidth;
+    } else {
+      const firstChar = this.resolve(font.FirstChar) ?? 0;
+      const widths = this.resolve(font.Widths) ?? [];
+      const missing = this.resolve(this.resolve(font.FontDescriptor)?.MissingWidth) || 500;
+      widthOf = code => this.resolve(widths[code - firstChar]) ?? missing;
+    }
+
+    const defaultLength = composite ? 2 : 1;
+    const codeValue = bytes => [...bytes].reduce((value, ch) => value * 256 + ch.charCodeAt(0), 0);
+
+    return {
+      widthOf,
+      /**
+       * @returns {Array<{ code: number, length: number, text: string }>}
+       */
+      decode(bytes) {
+        const glyphs = [];
+        let i = 0;
+        while (i < bytes.length) {
+          let length = defaultLength;
+          let text = null;
+          if (toUnicode) {
+            for (const candidate of toUnicode.lengths) {
+              const key = bytes.substr(i, candidate);
+              if (toUnicode.map.has(key)) {
+                length = candidate;
+                text = toUnicode.map.get(key);
+                break;
+              }
+            }
+          }
+          const code = codeValue(bytes.substr(i, length));
+          // Composite fonts without a ToUnicode entry have no recoverable text
+          if (text === null) text = composite ? '' : simpleChar(code);
+          glyphs.push({ code, length, text });
+          i += length;
+        }
+        return glyphs;
+      }
+    };
+  }
+}
+
+// ==================== TEXT EXTRACTION ====================
+
+class TextExtractor {
+  constructor(doc) {
+    this.doc = doc;
+    this.out = '';
+    this.unmapped = 0; // glyphs of fonts without a Unicode mapping
+    this.lastX = null;
+    this.lastY = null;
+  }
+
+  /**
+   * Interpret a content stream, collecting the text it shows
+   */
+  run(content, resources, ctm = IDENTITY, depth = 0) {
+    const doc = this.doc;
+    const text = content.toString('latin1');
+    const lexer = new Lexer(text);
+    const operands = [];
+    const stack = [];
+
+    let state = { ctm, font: null, fontSize: 0, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0 };
+    let tm = IDENTITY;
+    let tlm = IDENTITY;
+
+    const moveText = (tx, ty) => {
+      tlm = multiply([1, 0, 0, 1, tx, ty], tlm);
+      tm = tlm;
+    };
+
+    const showText = (string) => {
+      const font = state.font;
+      if (!font || !(string instanceof PdfString)) return;
+      const start = multiply(tm, state.ctm);
+      const size = Math.abs(state.fontSize * Math.hypot(start[2], start[3])) || 1;
+      this.place(start[4], start[5], size);
+
+      for (const glyph of font.decode(string.bytes)) {
+        this.out += glyph.text;
+        if (!glyph.text) this.unmapped++;
+        const spacing = state.charSpacing + (glyph.length === 1 && glyph.code === 32 ? state.wordSpacing : 0);
+        const advance = (font.widthOf(glyph.code) / 1000 * state.fontSize + spacing) * state.scale;
+        tm = multiply([1, 0, 0, 1, advance, 0], tm);
+      }
+      const end = multiply(tm, state.ctm);
+      this.lastX = end[4];
+      this.lastY = end[5];
+    };
+
+    while (true) {
+      const token = lexer.next();
+      if (token === undefined) break;
+      if (!(token instanceof Op)) {
+        operands.push(token);
+        continue;
+      }
+
+      const args = operands.map(v => doc.resolve(v));
+      switch (token.name) {
+        case 'q': stack.push(state); state = { ...state }; break;
+        case 'Q': if (stack.length) state = stack.pop(); break;
+        case 'cm': if (args.length === 6) state.ctm = multiply(args, state.ctm); break;
+        case 'BT': tm = tlm = IDENTITY; break;
+        case 'Tf': state.font = doc.getFont(doc.resolve(resources?.Font)?.[args[0]]); state.fontSize = args[1] || 0; break;
+        case 'Tc': state.charSpacing = args[0] || 0; break;
+        case 'Tw': state.wordSpacing = args[0] || 0; break;
+        case 'Tz': state.scale = (args[0] ?? 100) / 100; break;
+        case 'TL': state.leading = args[0] || 0; break;
+        case 'Td': moveText(args[0] || 0, args[1] || 0); break;
+        case 'TD': state.leading = -(args[1] || 0); moveText(args[0] || 0, args[1] || 0); break;
+        case 'Tm': if (args.length === 6) tm = tlm = args; break;
+        case 'T*': moveText(0, -state.leading); break;
+        case 'Tj': showText(args[0]); break;
+        case "'": moveText(0, -state.leading); showText(args[0]); break;
+        case '"': state.wordSpacing = args[0] || 0; state.charSpacing = args[1] || 0; moveText(0, -state.leading); showText(args[2]); break;
+        case 'TJ':
+          for (const item of Array.isArray(args[0]) ? args[0] : []) {
+            if (typeof item === 'number') {
+              tm = multiply([1, 0, 0, 1, -item / 1000 * state.fontSize * state.scale, 0], tm);
+            } else {
+              showText(item);
+            }
+          }
+          break;
+        case 'Do': {
+          const ref = doc.resolve(resources?.XObject)?.[args[0]];
+          const xobject = ref instanceof Ref ? doc.objects.get(ref.num) : null;
+          if (xobject?.value?.Subtype === 'Form' && depth < MAX_XOBJECT_DEPTH) {
+            const data = doc.decodeStream(xobject);
+            const matrix = doc.resolve(xobject.value.Matrix);
+            if (data) {
+              this.run(data, doc.resolve(xobject.value.Resources) ?? resources,
+                Array.isArray(matrix) && matrix.length === 6 ? multiply(matrix.map(v => doc.resolve(v)), state.ctm) : state.ctm,
+                depth + 1);
+            }
+          }
+          break;
+        }
+        case 'ID': {
+          // Inline image data runs to the EI operator
+          const end = text.slice(lexer.pos).search(/\sEI(?=\s|$)/);
+          lexer.pos = end === -1 ? text.length : lexer.pos + end + 3;
+          break;
+        }
+      }
+      operands.length = 0;
+    }
+  }
+
+  /**
+   * Separate text runs by a newline or a space based on their positions
+   */
+  place(x, y, size) {
+    if (this.lastY === null) return;
+    if (Math.abs(y - this.lastY) > size * 0.5) {
+      this.out += '\n';
+    } else if (Math.abs(x - this.lastX) > size * 0.15 && !/\s$/.test(this.out)) {
+      this.out += ' ';
+    }
+  }
+}
+
+/**
+ * Parse a page selection such as "3", "1-5", "2,4,7-9" or "10-"
+ * @param {string} spec
+ * @param {number} total - Pages in the document
+ * @returns {number[]} Sorted 1-based page numbers
+ */
+export function parsePageRange(spec, total) {
+  const pages = new Set();
+  for (const part of String(spec).split(',').map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d*)\s*(-?)\s*(\d*)$/);
+    if (!match || (!match[1] && !match[3])) throw new Error(`Invalid page range: "${part}"`);
+    const from = match[1] ? parseInt(match[1], 10) : 1;
+    const to = match[2] ? (match[3] ? parseInt(match[3], 10) : total) : from;
+    if (from < 1 || to < from || from > total) {
+      throw new Error(`Page range "${part}" is outside the document (${total} pages)`);
+    }
+    for (let page = from; page <= Math.min(to, total); page++) pages.add(page);
+  }
+  if (pages.size === 0) throw new Error(`Invalid page range: "${spec}"`);
+  return [...pages].sort((a, b) => a - b);
+}
+
+/**
+ * Whether a buffer starts like a PDF
+ */
+export function isPdf(buffer) {
+  return buffer.subarray(0, 1024).toString('latin1').includes('%PDF-');
+}
+
+/**
+ * Extract the text of PDF pages
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {(total: number) => number[]} [options.selectPages] - Pages to extract (default: all)
+ * @returns {{ totalPages: number, pages: Array<{ page: number, text: string, unmappedGlyphs: number }> }}
+ */
+export function extractPdfText(buffer, { selectPages } = {}) {
+  const doc = new PdfDocument(buffer);
+  const pages = doc.getPages();
+  const selected = selectPages ? selectPages(pages.length) : pages.map((_, i) => i + 1);
+
+  return {
+    totalPages: pages.length,
+    pages: selected.map(number => {
+      const { dict, resources } = pages[number - 1];
+      // Contents is a stream reference or an array of them
+      let contents = dict.Contents;
+      if (contents instanceof Ref && Array.isArray(doc.resolve(contents))) contents = doc.resolve(contents);
+      contents = [].concat(contents ?? []);
+      // A page's content streams form one stream together
+      const data = Buffer.concat(contents.flatMap(ref => {
+        const decoded = doc.decodeStream(ref);
+        return decoded ? [decoded, Buffer.from('\n')] : [];
+      }));
+
+      const extractor = new TextExtractor(doc);
+      try {
+        extractor.run(data, resources);
+      } catch (error) {
+        extractor.out += `\n[Text extraction stopped: ${error.message}]`;
+      }
+      const text = extractor.out
+        .split('\n')
+        .map(line => line.trimEnd())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+      return { page: number, text, unmappedGlyphs: extractor.unmapped };
+    })
+  };
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import { extractPdfText, isPdf, parsePageRange } from './pdf.js';
+
+// Three 300x200 pages with one line of Helvetica text each
+const threePages = fs.readFileSync(new URL('./fixtures/three-pages.pdf', import.meta.url));
+
+describe('parsePageRange', () => {
+  it.each([
+    ['3', [3]],
+    ['1-5', [1, 2, 3, 4, 5]],
+    ['2,4,7-9', [2, 4, 7, 8, 9]],
+    ['8-', [8, 9, 10]],
+    ['-2', [1, 2]],
+    [' 4 - 5 , 1 ', [1, 4, 5]],
+    ['5,1-2,2', [1, 2, 5]],
+    ['9-20', [9, 10]]
+  ])('selects "%s" from 10 pages', (spec, pages) => {
+    expect(parsePageRange(spec, 10)).toEqual(pages);
+  });
+
+  it.each([
+    ['', /Invalid page range/],
+    ['-', /Invalid page range/],
+    ['one', /Invalid page range/],
+    ['0', /outside the document/],
+    ['11', /outside the document \(10 pages\)/],
+    ['5-3', /outside the document/]
+  ])('rejects "%s"', (spec, message) => {
+    expect(() => parsePageRange(spec, 10)).toThrow(message);
+  });
+});
+
+describe('extractPdfText', () => {
+  it('recognizes PDFs by their header', () => {
+    expect(isPdf(threePages)).toBe(true);
+    expect(isPdf(Buffer.from('PK\x03\x04'))).toBe(false);
+  });
+
+  it('extracts every page by default', () => {
+    const { totalPages, pages } = extractPdfText(threePages);
+    expect(totalPages).toBe(3);
+    expect(pages).toEqual([
+      { page: 1, text: 'Page 1: Introduction', unmappedGlyphs: 0 },
+      { page: 2, text: 'Page 2: Methods and data', unmappedGlyphs: 0 },
+      { page: 3, text: 'Page 3: Results', unmappedGlyphs: 0 }
+    ]);
+  });
+
+  it('extracts only the selected pages', () => {
+    const { totalPages, pages } = extractPdfText(threePages, { selectPages: total => parsePageRange('2-', total) });
+    expect(totalPages).toBe(3);
+    expect(pages.map(p => p.text)).toEqual(['Page 2: Methods and data', 'Page 3: Results']);
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Sandbox policy engine.
+ * Decides whether a tool may touch a path with allow/ask/deny rules written
+ * as globs over resolved paths, per operation (read, write, delete, exec).
+ * Rules come from .nimbus/sandbox.json, merged over the defaults below.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { realpathLenient } from './workspace.js';
+import { DEFAULT_DATA_DIR } from '../store/index.js';
+
+export const OPERATIONS = ['read', 'write', 'delete', 'exec'];
+
+// Stricter actions win when several rules match
+export const ACTION_RANK = { allow: 0, ask: 1, deny: 2 };
+
+/**
+ * Built-in policy: secrets are off limits, personal folders and system
+ * locations need the user's approval. The agent may not rewrite its own
+ * state (chat logs holding approvals, the trash manifest, this policy).
+ */
+export const DEFAULT_POLICY = {
+  defaults: { read: 'allow', write: 'allow', delete: 'allow', exec: 'allow' },
+  rules: [
+    ...[
+      `${path.resolve(DEFAULT_DATA_DIR)}/**`,
+      process.env.NIMBUS_TRASH_DIR && `${path.resolve(process.env.NIMBUS_TRASH_DIR)}/**`,
+      process.env.NIMBUS_SANDBOX_FILE && path.resolve(process.env.NIMBUS_SANDBOX_FILE)
+    ].filter(Boolean).map(statePath => ({ path: statePath, operations: ['write', 'delete'], action: 'deny' })),
+    { path: '~/.ssh/**', action: 'deny' },
+    { path: '~/.gnupg/**', action: 'deny' },
+    { path: '~/.aws/**', action: 'deny' },
+    { path: '~/.kube/**', action: 'deny' },
+    { path: '/etc/shadow', action: 'deny' },
+    { path: '/etc/gshadow', action: 'deny' },
+    { path: '/etc/sudoers', action: 'deny' },
+    { path: '/etc/sudoers.d/**', action: 'deny' },
+    { path: '/dev/sd*', operations: ['write'], action: 'deny' },
+    { path: '/dev/hd*', operations: ['write'], action: 'deny' },
+    { path: '/dev/vd*', operations: ['write'], action: 'deny' },
+    { path: '/dev/nvme*', operations: ['write'], action: 'deny' },
+    { path: '/dev/mmcblk*', operations: ['write'], action: 'deny' },
+    { path: '/dev/disk*', operations: ['write'], action: 'deny' },
+    { path: '~/Desktop/**', action: 'ask' },
+    { path: '~/Documents/**', action: 'ask' },
+    { path: '~/Downloads/**', action: 'ask' },
+    { path: '~/Pictures/**', action: 'ask' },
+    { path: '~/Videos/**', action: 'ask' },
+    { path: '~/Music/**', action: 'ask' },
+    { path: '~/.config/**', action: 'ask' },
+    { path: '~/AppData/**', action: 'ask' },
+    { path: '/etc/**', operations: ['write', 'delete'], action: 'ask' },
+    { path: '/usr/**', operations: ['write', 'delete'], action: 'ask' },
+    { path: '/bin/**', operations: ['write', 'delete'], action: 'ask' },
+    { path: '/System/**', operations: ['write', 'delete'], action: 'ask' },
+    { path: 'C:/Windows/**', operations: ['write', 'delete'], action: 'ask' },
+    { path: 'C:/Program Files/**', operations: ['write', 'delete'], action: 'ask' },
+    { path: 'C:/Program Files (x86)/**', operations: ['write', 'delete'], action: 'ask' }
+  ]
+};
+
+/**
+ * Convert a path glob into a RegExp. `**` spans directories, `*` and `?`
+ * stay within one segment, and a trailing `/**` also matches the directory
+ * itself.
+ */
+export function globToRegExp(pattern, { caseInsensitive = false } = {}) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      const wholeSegment = (i === 0 || pattern[i - 1] === '/') &&
+        (i + 2 === pattern.length || pattern[i + 2] === '/');
+      if (wholeSegment && i + 2 === pattern.length && source.endsWith('/')) {
+        // Trailing "dir/**": the directory and everything below it
+        source = source.slice(0, -1) + '(?:/.*)?';
+      } else if (wholeSegment && i + 2 < pattern.length) {
+        // "**/": zero or more directories
+        source += '(?:.*/)?';
+        i++;
+      } else {
+        source += '.*';
+      }
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, caseInsensitive ? 'i' : '');
+}
+
+/**
+ * Normalize a path for matching: forward slashes, no trailing slash,
+ * upper-case drive letter
+ */
+function normalizeForMatch(target) {
+  let normalized = target.replace(/\\/g, '/').replace(/\/+/g, '/');
+  if (normalized.length > 1 && normalized.endsWith('/')) normalized = normalized.slice(0, -1);
+  return normalized.replace(/^([a-z]):/, (_, drive) => `${drive.toUpperCase()}:`);
+}
+
+export class SandboxPolicy {
+  /**
+   * @param {Object} [config] - { defaults, rules } (see DEFAULT_POLICY)
+   * @param {Object} [options]
+   * @param {string} [options.platform] - Defaults to process.platform
+   * @param {string} [options.homeDir] - Defaults to os.homedir()
+   * @param {boolean} [options.resolveSymlinks] - Also check the real path (default: true)
+   */
+  constructor(config = DEFAULT_POLICY, options = {}) {
+    this.platform = options.platform || process.platform;
+    this.homeDir = normalizeForMatch(options.homeDir || os.homedir());
+    this.resolveSymlinks = options.resolveSymlinks ?? true;
+    // Windows and macOS filesystems are case-insensitive by default
+    this.caseInsensitive = this.platform === 'win32' || this.platform === 'darwin';
+    this.defaults = { ...DEFAULT_POLICY.defaults, ...config.defaults };
+    this.rules = (config.rules || []).map(rule => this.compileRule(rule));
+  }
+
+  compileRule(rule) {
+    if (!ACTION_RANK.hasOwnProperty(rule.action)) {
+      throw new Error(`Invalid sandbox rule action "${rule.action}" for ${rule.path}`);
+    }
+    const operations = rule.operations || OPERATIONS;
+    const unknown = operations.filter(op => !OPERATIONS.includes(op));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid sandbox rule operation(s) ${unknown.join(', ')} for ${rule.path}`);
+    }
+
+    const pattern = normalizeForMatch(rule.path.replace(/^~(?=$|[\\/])/, this.homeDir));
+    return {
+      ...rule,
+      operations,
+      regex: globToRegExp(pattern, { caseInsensitive: this.caseInsensitive })
+    };
+  }
+
+  /**
+   * Decide an operation on an already-resolved path, without touching the filesystem
+   * @param {string} target - Absolute path
+   * @param {string} operation - read, write, delete or exec
+   * @returns {{ action: string, rule: Object|null }}
+   */
+  decide(target, operation) {
+    const normalized = normalizeForMatch(target);
+    let decision = { action: this.defaults[operation] || 'allow', rule: null };
+
+    for (const rule of this.rules) {
+      if (!rule.operations.includes(operation) || !rule.regex.test(normalized)) continue;
+      if (!decision.rule || ACTION_RANK[rule.action] > ACTION_RANK[decision.action]) {
+        decision = { action: rule.action, rule };
+      }
+    }
+    return decision;
+  }
+
+  /**
+   * Decide an operation on a path, checking both the path as given and
+   * its real path after symlink resolution. The stricter decision wins.
+   * @param {string} target - Absolute path
+   * @param {string} operation - read, write, delete or exec
+   * @returns {Promise<{ action: string, rule: Object|null }>}
+   */
+  async evaluate(target, operation) {
+    if (!OPERATIONS.includes(operation)) {
+      throw new Error(`Unknown sandbox operation: ${operation}`);
+    }
+
+    const pathApi = this.platform === 'win32' ? path.win32 : path.posix;
+    const resolved = pathApi.resolve(target);
+    const decision = this.decide(resolved, operation);
+    if (!this.resolveSymlinks || decision.action === 'deny') return decision;
+
+    const real = await realpathLenient(resolved).catch(() => resolved);
+    if (real === resolved) return decision;
+    const realDecision = this.decide(real, operation);
+    return ACTION_RANK[realDecision.action] > ACTION_RANK[decision.action] ? realDecision : decision;
+  }
+}
+
+/**
+ * Load a policy file and merge it over the defaults. Rules from the file
+ * come in addition to the built-in ones unless it sets "extends": false.
+ * @param {string} file - Path to sandbox.json
+ * @returns {Promise<Object>} Policy config
+ */
+export async function loadSandboxConfig(file) {
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return DEFAULT_POLICY;
+    throw new Error(`Could not read sandbox policy ${file}: ${error.message}`);
+  }
+
+  const base = config.extends === false ? { defaults: {}, rules: [] } : DEFAULT_POLICY;
+  return {
+    ...config,
+    defaults: { ...base.defaults, ...config.defaults },
+    rules: [...base.rules, ...(config.rules || [])]
+  };
+}
+
+let sandboxPolicy = null;
+
+/**
+ * Get the shared sandbox policy (built-in rules until initialized)
+ * @returns {SandboxPolicy}
+ */
+export function getSandboxPolicy() {
+  if (!sandboxPolicy) {
+    sandboxPolicy = new SandboxPolicy(DEFAULT_POLICY);
+  }
+  return sandboxPolicy;
+}
+
+/**
+ * Load the sandbox policy from NIMBUS_SANDBOX_FILE or <dataDir>/sandbox.json.
+ * Call once on startup. An invalid file is reported and the built-in rules stay in force.
+ */
+export async function initializeSandboxPolicy() {
+  const file = process.env.NIMBUS_SANDBOX_FILE || path.join(DEFAULT_DATA_DIR, 'sandbox.json');
+  try {
+    const config = await loadSandboxConfig(file);
+    sandboxPolicy = new SandboxPolicy(config);
+    console.log(`[Sandbox] ${sandboxPolicy.rules.length} path rules active${config === DEFAULT_POLICY ? ' (built-in)' : ` from ${file}`}`);
+  } catch (error) {
+    console.error('[Sandbox] Error loading policy, using built-in rules:', error.message);
+    sandboxPolicy = new SandboxPolicy(DEFAULT_POLICY);
+  }
+}
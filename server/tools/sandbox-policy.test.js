@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { SandboxPolicy, DEFAULT_POLICY, globToRegExp } from './sandbox-policy.js';
+
+const linux = new SandboxPolicy(DEFAULT_POLICY, { platform: 'linux', homeDir: '/home/alice', resolveSymlinks: false });
+const darwin = new SandboxPolicy(DEFAULT_POLICY, { platform: 'darwin', homeDir: '/Users/alice', resolveSymlinks: false });
+const win32 = new SandboxPolicy(DEFAULT_POLICY, { platform: 'win32', homeDir: 'C:\\Users\\alice', resolveSymlinks: false });
+
+describe('SandboxPolicy built-in rules', () => {
+  it('denies every operation on /etc/shadow', async () => {
+    for (const operation of ['read', 'write', 'delete', 'exec']) {
+      expect((await linux.evaluate('/etc/shadow', operation)).action).toBe('deny');
+    }
+  });
+
+  it('denies ~/.gnupg and everything below it', async () => {
+    expect((await linux.evaluate('/home/alice/.gnupg', 'read')).action).toBe('deny');
+    expect((await linux.evaluate('/home/alice/.gnupg/private-keys-v1.d/key', 'read')).action).toBe('deny');
+    expect((await linux.evaluate('/home/alice/.gnupgx', 'read')).action).toBe('allow');
+    expect((await linux.evaluate('/home/bob/.gnupg/key', 'read')).action).toBe('allow');
+  });
+
+  it('asks before writing to C:\\Windows\\System32 but lets it be read', async () => {
+    expect((await win32.evaluate('C:\\Windows\\System32\\drivers\\etc\\hosts', 'write')).action).toBe('ask');
+    expect((await win32.evaluate('C:\\Windows\\System32', 'delete')).action).toBe('ask');
+    expect((await win32.evaluate('C:\\Windows\\System32\\notepad.exe', 'read')).action).toBe('allow');
+  });
+
+  it('normalizes backslashes and lower-case drive letters', async () => {
+    expect((await win32.evaluate('c:\\Users\\alice\\.ssh\\id_rsa', 'read')).action).toBe('deny');
+    expect((await win32.evaluate('c:/Windows/System32/config', 'write')).action).toBe('ask');
+    expect(win32.decide('C:\\Users\\alice\\Documents\\\\report.docx\\', 'write').action).toBe('ask');
+  });
+
+  it('resolves relative segments before matching', async () => {
+    expect((await linux.evaluate('/tmp/../etc/./shadow', 'read')).action).toBe('deny');
+    expect((await win32.evaluate('C:\\Temp\\..\\Windows\\System32', 'write')).action).toBe('ask');
+  });
+});
+
+describe('SandboxPolicy case folding', () => {
+  it('folds case on win32 and darwin', async () => {
+    expect((await win32.evaluate('C:\\WINDOWS\\system32\\hosts', 'write')).action).toBe('ask');
+    expect((await darwin.evaluate('/users/ALICE/.SSH/id_rsa', 'read')).action).toBe('deny');
+    expect(win32.caseInsensitive).toBe(true);
+    expect(darwin.caseInsensitive).toBe(true);
+  });
+
+  it('keeps case on linux', async () => {
+    expect(linux.caseInsensitive).toBe(false);
+    expect((await linux.evaluate('/ETC/SHADOW', 'read')).action).toBe('allow');
+    expect((await linux.evaluate('/home/alice/.SSH/id_rsa', 'read')).action).toBe('allow');
+  });
+});
+
+describe('SandboxPolicy rule resolution', () => {
+  it('lets the strictest matching rule win', () => {
+    const policy = new SandboxPolicy({
+      rules: [
+        { path: '/srv/**', action: 'ask' },
+        { path: '/srv/secret/**', operations: ['read'], action: 'deny' }
+      ]
+    }, { platform: 'linux', homeDir: '/home/alice', resolveSymlinks: false });
+
+    expect(policy.decide('/srv/secret/key', 'read').action).toBe('deny');
+    expect(policy.decide('/srv/secret/key', 'write').action).toBe('ask');
+    expect(policy.decide('/opt/app', 'write').action).toBe('allow');
+  });
+
+  it('rejects unknown actions and operations', () => {
+    const options = { platform: 'linux', homeDir: '/home/alice' };
+    expect(() => new SandboxPolicy({ rules: [{ path: '/x', action: 'maybe' }] }, options)).toThrow(/action/);
+    expect(() => new SandboxPolicy({ rules: [{ path: '/x', operations: ['chmod'], action: 'deny' }] }, options)).toThrow(/operation/);
+  });
+});
+
+describe('globToRegExp', () => {
+  it('matches "**/" as zero or more directories', () => {
+    const regex = globToRegExp('/repo/**/node_modules/**');
+    expect(regex.test('/repo/node_modules')).toBe(true);
+    expect(regex.test('/repo/a/b/node_modules/pkg/index.js')).toBe(true);
+    expect(regex.test('/repo/a/my_node_modules/pkg')).toBe(false);
+  });
+
+  it('matches a trailing "/**" on the directory itself but not on siblings', () => {
+    const regex = globToRegExp('/home/alice/.ssh/**');
+    expect(regex.test('/home/alice/.ssh')).toBe(true);
+    expect(regex.test('/home/alice/.ssh/keys/id_rsa')).toBe(true);
+    expect(regex.test('/home/alice/.sshd')).toBe(false);
+  });
+
+  it('keeps "*" and "?" within one segment', () => {
+    expect(globToRegExp('/dev/sd*').test('/dev/sda1')).toBe(true);
+    expect(globToRegExp('/dev/sd*').test('/dev/sd/a')).toBe(false);
+    expect(globToRegExp('/tmp/?.log').test('/tmp/a.log')).toBe(true);
+    expect(globToRegExp('/tmp/?.log').test('/tmp/ab.log')).toBe(false);
+  });
+
+  it('treats other characters literally', () => {
+    const regex = globToRegExp('C:/Program Files (x86)/**');
+    expect(regex.test('C:/Program Files (x86)/App/app.exe')).toBe(true);
+    expect(regex.test('C:/Program Files x86/App')).toBe(false);
+    expect(globToRegExp('/a.b').test('/axb')).toBe(false);
+  });
+
+  it('folds case only when asked', () => {
+    expect(globToRegExp('/Users/**').test('/users/alice')).toBe(false);
+    expect(globToRegExp('/Users/**', { caseInsensitive: true }).test('/users/alice')).toBe(true);
+  });
+});
+
+describe('SandboxPolicy symlinks', () => {
+  let root;
+  let policy;
+
+  beforeAll(async () => {
+    root = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'sandbox-policy-')));
+    await fs.mkdir(path.join(root, 'secrets'));
+    await fs.writeFile(path.join(root, 'secrets', 'key'), 'secret');
+    await fs.symlink(path.join(root, 'secrets'), path.join(root, 'link'), 'dir');
+    policy = new SandboxPolicy({
+      rules: [{ path: `${root}/secrets/**`, action: 'deny' }]
+    }, { platform: process.platform, homeDir: os.homedir() });
+  });
+
+  afterAll(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('denies a path that reaches a denied directory through a symlink', async () => {
+    expect((await policy.evaluate(path.join(root, 'link', 'key'), 'read')).action).toBe('deny');
+    expect((await policy.evaluate(path.join(root, 'link', 'new-file'), 'write')).action).toBe('deny');
+  });
+
+  it('only checks the path as given when symlink resolution is off', async () => {
+    const literal = new SandboxPolicy({
+      rules: [{ path: `${root}/secrets/**`, action: 'deny' }]
+    }, { platform: process.platform, homeDir: os.homedir(), resolveSymlinks: false });
+    expect((await literal.evaluate(path.join(root, 'link', 'key'), 'read')).action).toBe('allow');
+  });
+});
@@ -0,0 +1,545 @@
+/**
+ * Shell command parsing for the command policy.
+ * Splits a Bash command line into the simple commands it would run -
+ * through pipelines, lists, subshells, groups, function bodies and
+ * command/process substitutions - with their words, assignments and
+ * redirections. Nothing is expanded: words keep their quoted, variable
+ * and substitution parts so the policy can tell literal text from values
+ * only known when the command runs.
+ */
+
+export class ShellParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShellParseError';
+  }
+}
+
+// Longest first, so "&&" wins over "&"
+const OPERATORS = ['&>>', ';;&', '<<<', '<<-', '&&', '||', ';;', ';&', '|&', '&>', '>>', '>|', '<<', '<>', '>&', '<&',
+  '|', '&', ';', '(', ')', '<', '>'];
+const REDIRECTS = new Set(['<', '>', '>>', '>|', '&>', '&>>', '<>', '<<', '<<-', '<<<', '>&', '<&']);
+const CASE_SEPARATORS = new Set([';;', ';&', ';;&']);
+const WORD_BREAK = /[\s;&|()<>]/;
+
+// Reserved words that only structure the script; the word after them is a command
+const KEYWORDS = new Set(['if', 'then', 'elif', 'else', 'fi', 'do', 'done', 'while', 'until', '!']);
+
+// Substitutions inside substitutions, and so on
+const MAX_DEPTH = 16;
+const MAX_BRACE_EXPANSIONS = 64;
+
+const ANSI_C_ESCAPES = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', e: '\x1b', E: '\x1b', f: '\f', v: '\v', '\\': '\\', "'": "'", '"': '"', '?': '?' };
+
+class Lexer {
+  constructor(source) {
+    this.source = source;
+    this.pos = 0;
+    this.heredocs = [];
+    // Variable and substitution parts of heredoc bodies read so far
+    this.bodyParts = [];
+    this.peeked = null;
+  }
+
+  peek() {
+    if (this.peeked === null) this.peeked = this.readToken();
+    return this.peeked;
+  }
+
+  next() {
+    const token = this.peek();
+    this.peeked = null;
+    return token;
+  }
+
+  skipBlanks() {
+    const s = this.source;
+    for (;;) {
+      if (s[this.pos] === ' ' || s[this.pos] === '\t' || s[this.pos] === '\r') this.pos++;
+      else if (s[this.pos] === '\\' && s[this.pos + 1] === '\n') this.pos += 2;
+      else return;
+    }
+  }
+
+  readToken() {
+    const s = this.source;
+    this.skipBlanks();
+    if (this.pos >= s.length) return null;
+    const c = s[this.pos];
+
+    if (c === '\n') {
+      this.pos++;
+      this.readHeredocBodies();
+      return { type: 'op', op: '\n' };
+    }
+    if (c === '#') {
+      while (this.pos < s.length && s[this.pos] !== '\n') this.pos++;
+      return this.readToken();
+    }
+    // Process substitution: <(...) and >(...)
+    if ((c === '<' || c === '>') && s[this.pos + 1] === '(') {
+      const start = this.pos;
+      const end = this.findClosing(this.pos + 1);
+      this.pos = end + 1;
+      return { type: 'word', parts: [{ substitution: s.slice(start + 2, end) }], raw: s.slice(start, this.pos) };
+    }
+    // Arithmetic command: (( ... ))
+    if (c === '(' && s[this.pos + 1] === '(') {
+      const end = this.findClosing(this.pos);
+      const inner = s.slice(this.pos + 2, end - 1);
+      this.pos = end + 1;
+      return { type: 'arithmetic', parts: nestedParts(inner) };
+    }
+
+    const fd = /^\d+(?=[<>])/.exec(s.slice(this.pos, this.pos + 12));
+    const opStart = this.pos + (fd ? fd[0].length : 0);
+    const op = OPERATORS.find(candidate => s.startsWith(candidate, opStart));
+    if (op && (!fd || REDIRECTS.has(op))) {
+      this.pos = opStart + op.length;
+      if (!REDIRECTS.has(op)) return { type: 'op', op };
+      return this.readRedirect(op, fd ? Number(fd[0]) : null);
+    }
+    return this.readWord();
+  }
+
+  readRedirect(op, fd) {
+    this.skipBlanks();
+    if (this.pos >= this.source.length || WORD_BREAK.test(this.source[this.pos])) {
+      throw new ShellParseError(`Missing target after ${op}`);
+    }
+    const target = this.readWord();
+    const redirect = { type: 'redirect', op, fd, target };
+    if (op === '<<' || op === '<<-') {
+      // The body is read at the end of the line
+      this.heredocs.push({
+        delimiter: target.parts.map(part => part.text ?? '').join(''),
+        quoted: target.parts.some(part => part.quoted),
+        stripTabs: op === '<<-'
+      });
+    }
+    return redirect;
+  }
+
+  readHeredocBodies() {
+    const s = this.source;
+    for (const heredoc of this.heredocs) {
+      const lines = [];
+      while (this.pos < s.length) {
+        let end = s.indexOf('\n', this.pos);
+        if (end < 0) end = s.length;
+        let line = s.slice(this.pos, end);
+        this.pos = end + 1;
+        if (heredoc.stripTabs) line = line.replace(/^\t+/, '');
+        if (line === heredoc.delimiter) break;
+        lines.push(line);
+      }
+      // Unquoted bodies expand variables and substitutions
+      if (!heredoc.quoted) this.bodyParts.push(...nestedParts(lines.join('\n')));
+    }
+    this.heredocs = [];
+  }
+
+  readWord() {
+    const s = this.source;
+    const start = this.pos;
+    const parts = [];
+    const literal = (text, quoted) => {
+      const last = parts[parts.length - 1];
+      if (last && last.text !== undefined && last.quoted === quoted) last.text += text;
+      else parts.push({ text, quoted });
+    };
+
+    while (this.pos < s.length) {
+      const c = s[this.pos];
+      if (WORD_BREAK.test(c)) break;
+      if (c === '\\') {
+        if (s[this.pos + 1] !== '\n' && this.pos + 1 < s.length) literal(s[this.pos + 1], true);
+        this.pos += 2;
+      } else if (c === "'") {
+        const end = s.indexOf("'", this.pos + 1);
+        if (end < 0) throw new ShellParseError('Unterminated single quote');
+        literal(s.slice(this.pos + 1, end), true);
+        this.pos = end + 1;
+      } else if (c === '"') {
+        this.pos++;
+        this.readQuoted(parts, literal, '"');
+      } else if (c === '$') {
+        this.readDollar(parts, literal, false);
+      } else if (c === '`') {
+        parts.push({ substitution: this.readBackticks() });
+      } else {
+        literal(c, false);
+        this.pos++;
+      }
+    }
+    return { type: 'word', parts, raw: s.slice(start, this.pos) };
+  }
+
+  /**
+   * Read double-quoted text up to the terminator, or to the end when
+   * terminator is null (heredoc bodies)
+   */
+  readQuoted(parts, literal, terminator) {
+    const s = this.source;
+    while (this.pos < s.length) {
+      const c = s[this.pos];
+      if (c === terminator) {
+        this.pos++;
+        return;
+      }
+      if (c === '\\') {
+        const next = s[this.pos + 1];
+        if (next === '\n') {
+          this.pos += 2;
+        } else if (next !== undefined && '$`"\\'.includes(next)) {
+          literal(next, true);
+          this.pos += 2;
+        } else {
+          literal('\\', true);
+          this.pos++;
+        }
+      } else if (c === '$') {
+        this.readDollar(parts, literal, true);
+      } else if (c === '`') {
+        parts.push({ substitution: this.readBackticks() });
+      } else {
+        literal(c, true);
+        this.pos++;
+      }
+    }
+    if (terminator) throw new ShellParseError('Unterminated double quote');
+  }
+
+  readDollar(parts, literal, quoted) {
+    const s = this.source;
+    const next = s[this.pos + 1];
+
+    if (next === '(' && s[this.pos + 2] === '(') {
+      const end = this.findClosing(this.pos + 1);
+      parts.push({ arithmetic: s.slice(this.pos + 3, end - 1) }, ...nestedParts(s.slice(this.pos + 3, end - 1)));
+      this.pos = end + 1;
+    } else if (next === '(') {
+      const end = this.findClosing(this.pos + 1);
+      parts.push({ substitution: s.slice(this.pos + 2, end) });
+      this.pos = end + 1;
+    } else if (next === '{') {
+      const end = this.findClosing(this.pos + 1, '{', '}');
+      const inner = s.slice(this.pos + 2, end);
+      // Defaults like ${X:-$(cmd)} run their substitutions too
+      parts.push({ variable: inner }, ...nestedParts(inner));
+      this.pos = end + 1;
+    } else if (next === "'" && !quoted) {
+      this.pos += 2;
+      let text = '';
+      while (this.pos < s.length && s[this.pos] !== "'") {
+        if (s[this.pos] === '\\' && this.pos + 1 < s.length) {
+          const escape = s[this.pos + 1];
+          const hex = escape === 'x' && /^[0-9a-fA-F]{1,2}/.exec(s.slice(this.pos + 2));
+          if (hex) {
+            text += String.fromCharCode(parseInt(hex[0], 16));
+            this.pos += 2 + hex[0].length;
+          } else {
+            text += ANSI_C_ESCAPES[escape] ?? `\\${escape}`;
+            this.pos += 2;
+          }
+        } else {
+          text += s[this.pos++];
+        }
+      }
+      if (this.pos >= s.length) throw new ShellParseError('Unterminated $\'...\' string');
+      this.pos++;
+      literal(text, true);
+    } else if (next === '"' && !quoted) {
+      // $"..." is a translatable double-quoted string
+      this.pos += 2;
+      this.readQuoted(parts, literal, '"');
+    } else {
+      const name = /^(?:[A-Za-z_][A-Za-z0-9_]*|[0-9@*#?$!-])/.exec(s.slice(this.pos + 1));
+      if (name) {
+        parts.push({ variable: name[0] });
+        this.pos += 1 + name[0].length;
+      } else {
+        literal('$', quoted);
+        this.pos++;
+      }
+    }
+  }
+
+  readBackticks() {
+    const s = this.source;
+    let inner = '';
+    for (let i = this.pos + 1; i < s.length; i++) {
+      if (s[i] === '\\' && '`$\\'.includes(s[i + 1])) {
+        inner += s[++i];
+      } else if (s[i] === '`') {
+        this.pos = i + 1;
+        return inner;
+      } else {
+        inner += s[i];
+      }
+    }
+    throw new ShellParseError('Unterminated backquote');
+  }
+
+  /**
+   * Index of the bracket closing the one at openPos, skipping quoted text
+   */
+  findClosing(openPos, open = '(', close = ')') {
+    const s = this.source;
+    let depth = 0;
+    for (let i = openPos; i < s.length; i++) {
+      const c = s[i];
+      if (c === '\\') {
+        i++;
+      } else if (c === "'" && open === '(') {
+        const end = s.indexOf("'", i + 1);
+        if (end < 0) break;
+        i = end;
+      } else if (c === '"') {
+        for (i++; i < s.length && s[i] !== '"'; i++) {
+          if (s[i] === '\\') i++;
+        }
+      } else if (c === '`') {
+        for (i++; i < s.length && s[i] !== '`'; i++) {
+          if (s[i] === '\\') i++;
+        }
+      } else if (c === open) {
+        depth++;
+      } else if (c === close && --depth === 0) {
+        return i;
+      }
+    }
+    throw new ShellParseError(`Unterminated ${open === '(' ? '$(...) or (...)' : '${...}'}`);
+  }
+}
+
+/**
+ * The variable and substitution parts of text that is expanded like a
+ * double-quoted string
+ */
+function nestedParts(text) {
+  const lexer = new Lexer(text);
+  const parts = [];
+  lexer.readQuoted(parts, () => {}, null);
+  return parts;
+}
+
+/**
+ * Expand the first {a,b,...} group in text, recursively
+ * @returns {string[]}
+ */
+export function expandBraces(text) {
+  const match = /\{([^{}]*,[^{}]*)\}/.exec(text);
+  if (!match) return [text];
+  const prefix = text.slice(0, match.index);
+  const suffix = text.slice(match.index + match[0].length);
+  const results = [];
+  for (const alternative of match[1].split(',')) {
+    for (const expanded of expandBraces(prefix + alternative + suffix)) {
+      if (results.length >= MAX_BRACE_EXPANSIONS) return results;
+      results.push(expanded);
+    }
+  }
+  return results;
+}
+
+// A literal word with an unquoted {a,b} group becomes several words, as in Bash
+function braceExpandWord(word) {
+  if (!word.parts.every(part => part.text !== undefined)) return [word];
+  if (!word.parts.some(part => !part.quoted && /[{,}]/.test(part.text))) return [word];
+  const expanded = expandBraces(word.parts.map(part => part.text).join(''));
+  if (expanded.length === 1) return [word];
+  return expanded.map(text => ({ type: 'word', parts: [{ text, quoted: false }], raw: word.raw }));
+}
+
+/**
+ * A word as written, with variables and substitutions shown unexpanded
+ */
+export function wordText(word) {
+  return word.parts.map(part => {
+    if (part.text !== undefined) return part.text;
+    if (part.substitution !== undefined) return `$(${part.substitution})`;
+    if (part.arithmetic !== undefined) return `$((${part.arithmetic}))`;
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(part.variable) ? `$${part.variable}` : `\${${part.variable}}`;
+  }).join('');
+}
+
+/**
+ * Whether a word's value depends on variables or substitutions
+ */
+export function isDynamic(word) {
+  return word.parts.some(part => part.text === undefined);
+}
+
+/**
+ * Whether a word has unquoted glob characters Bash would expand
+ */
+export function hasUnquotedGlob(word) {
+  // A lone [ or [[ is the test command, not a bracket expression
+  return word.parts.some(part => part.text !== undefined && !part.quoted && /[*?]|\[.*\]/.test(part.text));
+}
+
+/**
+ * Expand a word's tilde and simple variables from env
+ * @param {Object} word
+ * @param {Object} env - Known variables
+ * @param {string} homeDir
+ * @returns {string|null} The value, or null when it is only known at run time
+ */
+export function expandWord(word, env, homeDir) {
+  let value = '';
+  for (const [index, part] of word.parts.entries()) {
+    if (part.text !== undefined) {
+      const tilde = index === 0 && !part.quoted && /^~(?=\/|$)/.test(part.text);
+      value += tilde ? homeDir + part.text.slice(1) : part.text;
+    } else if (part.variable !== undefined && Object.prototype.hasOwnProperty.call(env, part.variable)) {
+      value += env[part.variable];
+    } else {
+      return null;
+    }
+  }
+  return value;
+}
+
+function isAssignment(word) {
+  const first = word.parts[0];
+  return first?.text !== undefined && !first.quoted && /^[A-Za-z_][A-Za-z0-9_]*(?:\[[^\]]*\])?\+?=/.test(first.text);
+}
+
+/**
+ * Parse a command line into the simple commands it runs. Commands from
+ * substitutions come before the command they appear in.
+ * @param {string} source
+ * @returns {Array<{ words: Object[], assignments: Object[], redirects: Object[], piped: boolean, pipedOut: boolean, background: boolean, functionName: string|null, substitution: boolean }>}
+ * @throws {ShellParseError}
+ */
+export function parseShellCommand(source, { depth = 0, functionName = null, substitution = false } = {}) {
+  if (depth > MAX_DEPTH) throw new ShellParseError('Command nests too deeply to check');
+  const lexer = new Lexer(source);
+  const commands = [];
+  // Open subshells and { } groups, and the function each one is the body of
+  const frames = [];
+  const caseStates = [];
+  let pendingFunction = null;
+  let expectFunctionName = false;
+  let inHeader = false;
+
+  const enclosingFunction = () => [...frames].reverse().find(frame => frame.functionName)?.functionName ?? functionName;
+  const newCommand = piped => ({
+    words: [],
+    assignments: [],
+    redirects: [],
+    piped,
+    pipedOut: false,
+    background: false,
+    functionName: enclosingFunction(),
+    substitution
+  });
+  const nested = parts => {
+    for (const part of parts) {
+      if (part.substitution === undefined) continue;
+      commands.push(...parseShellCommand(part.substitution, { depth: depth + 1, functionName: enclosingFunction(), substitution: true }));
+    }
+  };
+
+  let current = newCommand(false);
+  const finish = separator => {
+    if (current.words.length || current.assignments.length || current.redirects.length) {
+      if (separator === '&') current.background = true;
+      if (separator === '|' || separator === '|&') current.pipedOut = true;
+      commands.push(current);
+    }
+    current = newCommand(separator === '|' || separator === '|&');
+  };
+
+  for (let token = lexer.next(); token; token = lexer.next()) {
+    const caseState = caseStates[caseStates.length - 1];
+    if (lexer.bodyParts.length > 0) nested(lexer.bodyParts.splice(0));
+
+    if (token.type === 'arithmetic') {
+      nested(token.parts);
+    } else if (token.type === 'redirect') {
+      nested(token.target.parts);
+      if (current.words[0] && wordText(current.words[0]) === '[[' && (token.op === '<' || token.op === '>')) {
+        // Comparison inside [[ ]], not a redirection
+        current.words.push(token.target);
+      } else {
+        current.redirects.push({ op: token.op, fd: token.fd, target: token.target });
+      }
+    } else if (token.type === 'word') {
+      nested(token.parts);
+      const text = wordText(token);
+      const atStart = current.words.length === 0 && current.assignments.length === 0;
+
+      if (caseState === 'header') {
+        if (text === 'in') caseStates[caseStates.length - 1] = 'pattern';
+      } else if (caseState === 'pattern' && atStart) {
+        if (text === 'esac') caseStates.pop();
+      } else if (inHeader) {
+        // for/select variable and word list
+      } else if (expectFunctionName) {
+        pendingFunction = text;
+        expectFunctionName = false;
+      } else if (atStart && KEYWORDS.has(text)) {
+        // Structure only
+      } else if (atStart && (text === 'for' || text === 'select')) {
+        inHeader = true;
+      } else if (atStart && text === 'case') {
+        caseStates.push('header');
+      } else if (atStart && text === 'esac') {
+        caseStates.pop();
+      } else if (atStart && text === 'function') {
+        expectFunctionName = true;
+      } else if (atStart && text === '{') {
+        frames.push({ kind: '{', functionName: pendingFunction });
+        pendingFunction = null;
+        current = newCommand(current.piped);
+      } else if (atStart && text === '}') {
+        if (frames[frames.length - 1]?.kind !== '{') throw new ShellParseError('Unexpected }');
+        frames.pop();
+        current = newCommand(false);
+      } else if (current.words.length === 0 && isAssignment(token)) {
+        current.assignments.push(token);
+      } else {
+        current.words.push(...braceExpandWord(token));
+      }
+    } else if (caseState === 'pattern' && token.op !== ')') {
+      // "(", "|" and newlines around case patterns
+    } else if (token.op === '(') {
+      const next = lexer.peek();
+      const empty = current.words.length === 0 && current.assignments.length === 0;
+      if (next?.type === 'op' && next.op === ')' && (current.words.length === 1 || (empty && pendingFunction !== null))) {
+        // name() { ...; } or function name() { ...; }
+        lexer.next();
+        if (current.words.length === 1) pendingFunction = wordText(current.words[0]);
+        current = newCommand(false);
+      } else if (current.words.length === 0 && current.assignments.length > 0 && wordText(current.assignments[current.assignments.length - 1]).endsWith('=')) {
+        // Array assignment: name=(a b c)
+        for (let element = lexer.next(); element && !(element.type === 'op' && element.op === ')'); element = lexer.next()) {
+          if (element.type === 'word') nested(element.parts);
+        }
+      } else if (empty) {
+        frames.push({ kind: '(', functionName: pendingFunction });
+        pendingFunction = null;
+        current = newCommand(current.piped);
+      } else {
+        throw new ShellParseError('Unexpected (');
+      }
+    } else if (token.op === ')') {
+      if (caseState === 'pattern') {
+        caseStates[caseStates.length - 1] = 'body';
+        continue;
+      }
+      finish(')');
+      if (frames[frames.length - 1]?.kind !== '(') throw new ShellParseError('Unexpected )');
+      frames.pop();
+    } else {
+      finish(token.op);
+      inHeader = false;
+      if (CASE_SEPARATORS.has(token.op) && caseState === 'body') caseStates[caseStates.length - 1] = 'pattern';
+    }
+  }
+  finish(null);
+  if (frames.length > 0) throw new ShellParseError(`Unclosed ${frames[frames.length - 1].kind}`);
+  return commands;
+}
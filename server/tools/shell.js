@@ -0,0 +1,578 @@
+/**
+ * Shell sessions and background jobs for Bash.
+ * Each chat gets a persistent bash process, so cd, exported variables and
+ * activated virtualenvs carry over between commands. Commands run one at
+ * a time; a marker printed after each one carries its exit code and the
+ * shell's new directory. Background jobs run in their own process groups
+ * with the session's directory and environment, writing to log files that
+ * BashOutput reads incrementally.
+ */
+
+import { spawn, exec, execFile, execFileSync } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Characters of each stream returned from one command or read
+const MAX_STDOUT = 30000;
+const MAX_STDERR = 5000;
+// Output held per stream while a command runs
+const MAX_CAPTURE = 10 * 1024 * 1024;
+// Idle sessions are closed after this long
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+const MAX_RUNNING_JOBS = 10;
+// Finished jobs kept per chat for BashOutput
+const MAX_FINISHED_JOBS = 20;
+
+const JOB_DIR = path.join(os.tmpdir(), `nimbus-jobs-${process.pid}`);
+
+// Keep programs from paging or prompting in a non-interactive shell
+const SHELL_ENV = { PAGER: 'cat', GIT_PAGER: 'cat', GIT_TERMINAL_PROMPT: '0', TERM: 'dumb' };
+
+function quote(text) {
+  return `'${String(text).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Kill a process and its children by the group leader's pid
+ * @param {number} pid
+ * @param {string} [signal]
+ * @param {{ wait?: boolean }} [options] - wait: finish before returning
+ *   (taskkill on Windows otherwise runs after the call returns)
+ */
+function killGroup(pid, signal = 'SIGKILL', { wait = false } = {}) {
+  if (!pid) return;
+  try {
+    if (process.platform === 'win32') {
+      const args = ['/pid', String(pid), '/T', '/F'];
+      if (wait) execFileSync('taskkill', args, { stdio: 'ignore', timeout: 5000 });
+      else execFile('taskkill', args, () => {});
+    } else {
+      process.kill(-pid, signal);
+    }
+  } catch {}
+}
+
+/**
+ * Length of the end of text that could be the start of sentinel, held
+ * back from streaming until the next chunk shows whether it is
+ */
+function partialSentinelLength(text, sentinel) {
+  for (let n = Math.min(text.length, sentinel.length - 1); n > 0; n--) {
+    if (sentinel.startsWith(text.slice(-n))) return n;
+  }
+  return 0;
+}
+
+/**
+ * One stream's output for a command, up to the sentinel line that ends it
+ */
+class OutputCapture {
+  constructor(sentinel) {
+    this.sentinel = sentinel;
+    this.output = '';
+    this.held = '';
+    this.trailer = null;
+  }
+
+  get finished() {
+    return this.trailer !== null && this.trailer.includes('\n');
+  }
+
+  /**
+   * Add a chunk; returns the part that is command output
+   */
+  push(data) {
+    if (this.trailer !== null) {
+      this.trailer += data;
+      return '';
+    }
+    const text = this.held + data;
+    const index = text.indexOf(this.sentinel);
+    let visible;
+    if (index !== -1) {
+      visible = text.slice(0, index);
+      this.trailer = text.slice(index + this.sentinel.length);
+      this.held = '';
+    } else {
+      const keep = partialSentinelLength(text, this.sentinel);
+      visible = text.slice(0, text.length - keep);
+      this.held = text.slice(text.length - keep);
+    }
+    if (this.output.length < MAX_CAPTURE) this.output += visible;
+    return visible;
+  }
+
+  // Output so far, including anything held back
+  get text() {
+    return this.output + this.held;
+  }
+}
+
+// ==================== SESSIONS ====================
+
+/**
+ * A persistent bash process for one chat
+ */
+export class ShellSession {
+  /**
+   * @param {string} root - Directory the shell starts in
+   */
+  constructor(root) {
+    this.root = root;
+    this.cwd = root;
+    this.child = null;
+    this.queue = Promise.resolve();
+    this.envFile = path.join(JOB_DIR, `env-${crypto.randomBytes(6).toString('hex')}`);
+  }
+
+  get alive() {
+    return Boolean(this.child) && this.child.exitCode === null && this.child.signalCode === null;
+  }
+
+  start() {
+    fs.mkdirSync(JOB_DIR, { recursive: true });
+    const child = spawn('/bin/bash', ['--noprofile', '--norc'], {
+      cwd: this.cwd,
+      env: { ...process.env, ...SHELL_ENV },
+      detached: true,
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    child.stdout.setEncoding('utf-8');
+    child.stderr.setEncoding('utf-8');
+    child.stdin.on('error', () => {});
+    // Events from a shell that was since killed and replaced are dropped
+    const forward = event => data => {
+      if (this.child === child) this.listener?.(event, data);
+    };
+    child.stdout.on('data', forward('stdout'));
+    child.stderr.on('data', forward('stderr'));
+    child.on('exit', forward('exit'));
+    child.on('error', forward('error'));
+    this.child = child;
+  }
+
+  kill() {
+    if (this.child) killGroup(this.child.pid);
+    this.child = null;
+    fs.rm(this.envFile, { force: true }, () => {});
+  }
+
+  /**
+   * The shell's exported environment after its last command
+   * @returns {Object|null}
+   */
+  env() {
+    try {
+      const env = {};
+      for (const entry of fs.readFileSync(this.envFile, 'utf-8').split('\0')) {
+        const eq = entry.indexOf('=');
+        if (eq > 0) env[entry.slice(0, eq)] = entry.slice(eq + 1);
+      }
+      delete env._;
+      return Object.keys(env).length > 0 ? env : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Run a command in the session, after any command already running
+   * @param {string} command
+   * @param {Object} [options]
+   * @param {string} [options.cwd] - Directory to cd into first (the change persists)
+   * @param {number} [options.timeout] - Milliseconds before the session is killed
+   * @param {AbortSignal} [options.signal]
+   * @param {Function} [options.onProgress] - Receives { stream, data } as output arrives
+   * @returns {Promise<{ stdout: string, stderr: string, exitCode: number|null, cwd: string, timedOut?: boolean, cancelled?: boolean, shellExited?: boolean }>}
+   */
+  run(command, options = {}) {
+    const result = this.queue.then(() => this.execute(command, options));
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  execute(command, { cwd, timeout = 120000, signal, onProgress }) {
+    if (signal?.aborted) return Promise.resolve({ stdout: '', stderr: '', exitCode: null, cwd: this.cwd, cancelled: true });
+    if (!this.alive) this.start();
+
+    const marker = `__NIMBUS_DONE_${crypto.randomBytes(8).toString('hex')}__`;
+    const stdout = new OutputCapture(`\n${marker} `);
+    const stderr = new OutputCapture(`\n${marker}`);
+    const script = [
+      `${cwd ? `cd -- ${quote(cwd)} && ` : ''}eval ${quote(command)} < /dev/null`,
+      '__nimbus_status=$?',
+      `env -0 > ${quote(this.envFile)} 2>/dev/null`,
+      `printf '\\n%s %d %s\\n' ${marker} "$__nimbus_status" "$PWD"`,
+      `printf '\\n%s\\n' ${marker} >&2`
+    ].join('\n');
+
+    return new Promise(resolve => {
+      let timer;
+      const finish = extra => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        this.listener = null;
+        resolve({ stdout: stdout.text, stderr: stderr.text, exitCode: null, cwd: this.cwd, ...extra });
+      };
+      // Killing the shell is the only way to stop a foreground command; the next one starts fresh
+      const stop = extra => {
+        this.kill();
+        this.cwd = this.root;
+        finish(extra);
+      };
+      const onAbort = () => stop({ cancelled: true });
+
+      this.listener = (event, data) => {
+        if (event === 'exit' || event === 'error') {
+          // The command ended the shell (e.g. exit); let the last output arrive first
+          this.cwd = this.root;
+          setTimeout(() => {
+            this.child = null;
+            finish({ exitCode: typeof data === 'number' ? data : null, shellExited: true });
+          }, 50);
+          return;
+        }
+        const capture = event === 'stdout' ? stdout : stderr;
+        const visible = capture.push(data);
+        if (visible) onProgress?.({ stream: event, data: visible });
+        if (stdout.finished && stderr.finished) {
+          const [, status, newCwd] = stdout.trailer.match(/^(\d+) (.*)\n/) || [];
+          if (newCwd) this.cwd = newCwd;
+          finish({ exitCode: Number(status) });
+        }
+      };
+
+      timer = setTimeout(() => stop({ timedOut: true }), timeout);
+      signal?.addEventListener('abort', onAbort);
+      this.child.stdin.write(`${script}\n`);
+    });
+  }
+}
+
+// sessionId -> ShellSession
+const sessions = new Map();
+const idleTimers = new Map();
+
+/**
+ * The chat's shell session, started in root. A session whose root no
+ * longer matches (the chat's workspace changed) is replaced.
+ * @param {string} sessionId
+ * @param {string} root
+ * @returns {ShellSession}
+ */
+export function getShellSession(sessionId, root) {
+  let session = sessions.get(sessionId);
+  if (session && session.root !== root) {
+    session.kill();
+    session = null;
+  }
+  if (!session) {
+    session = new ShellSession(root);
+    sessions.set(sessionId, session);
+  }
+
+  clearTimeout(idleTimers.get(sessionId));
+  const timer = setTimeout(() => closeShellSession(sessionId), SESSION_IDLE_MS);
+  timer.unref?.();
+  idleTimers.set(sessionId, timer);
+  return session;
+}
+
+/**
+ * Stop a chat's shell session (its background jobs keep running)
+ */
+export function closeShellSession(sessionId) {
+  sessions.get(sessionId)?.kill();
+  sessions.delete(sessionId);
+  clearTimeout(idleTimers.get(sessionId));
+  idleTimers.delete(sessionId);
+}
+
+/**
+ * Run a command in a fresh shell, for platforms without sessions (Windows)
+ * @returns {Promise<{ stdout: string, stderr: string, exitCode: number|null, cwd: string, timedOut?: boolean, cancelled?: boolean }>}
+ */
+export function runCommand(command, { cwd, timeout = 120000, signal, onProgress }) {
+  return new Promise(resolve => {
+    const child = exec(command, {
+      timeout,
+      maxBuffer: MAX_CAPTURE,
+      shell: process.platform === 'win32' ? 'powershell.exe' : '/bin/bash',
+      cwd,
+      signal
+    }, (error, stdout, stderr) => {
+      resolve({
+        stdout,
+        stderr: error ? stderr || error.message : stderr,
+        exitCode: error ? (typeof error.code === 'number' ? error.code : null) : 0,
+        cwd,
+        ...(error?.name === 'AbortError' && { cancelled: true }),
+        ...(error?.killed && error.name !== 'AbortError' && { timedOut: true })
+      });
+    });
+
+    // Stream output while the command runs
+    if (onProgress) {
+      child.stdout?.on('data', chunk => onProgress({ stream: 'stdout', data: String(chunk) }));
+      child.stderr?.on('data', chunk => onProgress({ stream: 'stderr', data: String(chunk) }));
+    }
+  });
+}
+
+// ==================== BACKGROUND JOBS ====================
+
+export class JobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JobError';
+  }
+}
+
+function summarizeJob(job) {
+  const end = job.endedAt ? new Date(job.endedAt) : new Date();
+  return {
+    job_id: job.id,
+    command: job.command,
+    cwd: job.cwd,
+    pid: job.pid,
+    status: job.status,
+    ...(job.exitCode !== null && { exit_code: job.exitCode }),
+    ...(job.signal && { signal: job.signal }),
+    started_at: job.startedAt,
+    ...(job.endedAt && { ended_at: job.endedAt }),
+    runtime_seconds: Math.round((end - new Date(job.startedAt)) / 1000)
+  };
+}
+
+async function readFrom(file, position, limit) {
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    const { size } = await handle.stat();
+    const length = Math.min(Math.max(size - position, 0), limit);
+    const buffer = Buffer.alloc(length);
+    if (length > 0) await handle.read(buffer, 0, length, position);
+    // Don't split a UTF-8 character at the end of a chunk
+    let end = length;
+    if (position + length < size) {
+      while (end > 0 && (buffer[end - 1] & 0xc0) === 0x80) end--;
+      if (end > 0 && buffer[end - 1] >= 0xc0) end--;
+    }
+    return { text: buffer.subarray(0, end).toString('utf-8'), read: end, remaining: size - position - end };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Background commands per chat
+ */
+export class JobManager {
+  constructor() {
+    this.jobs = new Map();
+    this.counter = 0;
+  }
+
+  /**
+   * Start a command in the background
+   * @param {string} sessionId
+   * @param {string} command
+   * @param {Object} options
+   * @param {string} options.cwd
+   * @param {Object} [options.env] - Defaults to the server's environment
+   * @returns {Object} Job summary
+   */
+  start(sessionId, command, { cwd, env }) {
+    const running = this.list(sessionId).filter(job => job.status === 'running');
+    if (running.length >= MAX_RUNNING_JOBS) {
+      throw new JobError(`${MAX_RUNNING_JOBS} background jobs are already running in this chat; stop one with KillJob first`);
+    }
+
+    const id = `job_${++this.counter}`;
+    const dir = path.join(JOB_DIR, id);
+    fs.mkdirSync(dir, { recursive: true });
+    const files = { stdout: path.join(dir, 'stdout.log'), stderr: path.join(dir, 'stderr.log') };
+    const outFd = fs.openSync(files.stdout, 'w');
+    const errFd = fs.openSync(files.stderr, 'w');
+
+    const windows = process.platform === 'win32';
+    let child;
+    try {
+      child = spawn(windows ? 'powershell.exe' : '/bin/bash', windows ? ['-NoProfile', '-Command', command] : ['-c', command], {
+        cwd,
+        env: { ...(env || process.env), ...SHELL_ENV },
+        detached: true,
+        windowsHide: true,
+        stdio: ['ignore', outFd, errFd]
+      });
+    } finally {
+      fs.closeSync(outFd);
+      fs.closeSync(errFd);
+    }
+    child.unref();
+
+    const job = {
+      id,
+      sessionId,
+      command,
+      cwd,
+      pid: child.pid,
+      status: 'running',
+      exitCode: null,
+      signal: null,
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      files,
+      cursor: { stdout: 0, stderr: 0 },
+      killed: false,
+      exited: null
+    };
+    job.exited = new Promise(resolve => {
+      child.on('exit', (code, signal) => {
+        job.status = job.killed ? 'killed' : 'exited';
+        job.exitCode = code;
+        job.signal = signal;
+        job.endedAt = new Date().toISOString();
+        console.log(`[Jobs] ${id} ${job.status}${code !== null ? ` with code ${code}` : ''}`);
+        resolve();
+      });
+      child.on('error', error => {
+        job.status = 'failed';
+        job.error = error.message;
+        job.endedAt = new Date().toISOString();
+        resolve();
+      });
+    });
+
+    this.jobs.set(id, job);
+    this.prune(sessionId);
+    console.log(`[Jobs] ${id} started (pid ${child.pid}): ${command}`);
+    return summarizeJob(job);
+  }
+
+  get(sessionId, id) {
+    const job = this.jobs.get(id);
+    if (!job || job.sessionId !== sessionId) throw new JobError(`No background job ${id} in this chat`);
+    return job;
+  }
+
+  /**
+   * Output written since the last read
+   * @param {string} sessionId
+   * @param {string} id
+   * @param {Object} [options]
+   * @param {string} [options.filter] - Regex; only matching lines are returned (others are still consumed)
+   * @returns {Promise<Object>} Job summary with stdout, stderr and has_more
+   */
+  async read(sessionId, id, { filter } = {}) {
+    const job = this.get(sessionId, id);
+    let pattern = null;
+    if (filter) {
+      try {
+        pattern = new RegExp(filter);
+      } catch (error) {
+        throw new JobError(`Invalid filter: ${error.message}`);
+      }
+    }
+
+    const output = {};
+    let hasMore = false;
+    for (const [stream, limit] of [['stdout', MAX_STDOUT], ['stderr', MAX_STDERR]]) {
+      const { text, read, remaining } = await readFrom(job.files[stream], job.cursor[stream], limit);
+      job.cursor[stream] += read;
+      if (remaining > 0) hasMore = true;
+      output[stream] = pattern ? text.split('\n').filter(line => pattern.test(line)).join('\n') : text;
+    }
+    return { ...summarizeJob(job), ...output, ...(hasMore && { has_more: true }) };
+  }
+
+  /**
+   * Stop a job and its child processes: SIGTERM, then SIGKILL if it
+   * hasn't exited after a few seconds
+   */
+  async kill(sessionId, id) {
+    const job = this.get(sessionId, id);
+    if (job.status !== 'running') return summarizeJob(job);
+
+    job.killed = true;
+    killGroup(job.pid, 'SIGTERM');
+    const forced = setTimeout(() => killGroup(job.pid, 'SIGKILL'), 3000);
+    forced.unref?.();
+    await Promise.race([job.exited, new Promise(resolve => setTimeout(resolve, 5000))]);
+    clearTimeout(forced);
+    return summarizeJob(job);
+  }
+
+  /**
+   * The chat's jobs, oldest first
+   * @returns {Object[]} Job summaries
+   */
+  list(sessionId) {
+    return [...this.jobs.values()].filter(job => job.sessionId === sessionId).map(summarizeJob);
+  }
+
+  // Drop the oldest finished jobs and their logs
+  prune(sessionId) {
+    const finished = [...this.jobs.values()].filter(job => job.sessionId === sessionId && job.status !== 'running');
+    for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+      this.jobs.delete(job.id);
+      fs.rm(path.dirname(job.files.stdout), { recursive: true, force: true }, () => {});
+    }
+  }
+
+  // Stop a deleted chat's jobs and remove their logs
+  deleteChat(sessionId) {
+    for (const job of [...this.jobs.values()]) {
+      if (job.sessionId !== sessionId) continue;
+      if (job.status === 'running') {
+        job.killed = true;
+        killGroup(job.pid, 'SIGKILL');
+      }
+      this.jobs.delete(job.id);
+      fs.rm(path.dirname(job.files.stdout), { recursive: true, force: true }, () => {});
+    }
+  }
+
+  // Stop everything, when the server shuts down
+  killAll() {
+    for (const job of this.jobs.values()) {
+      if (job.status !== 'running') continue;
+      job.killed = true;
+      killGroup(job.pid, 'SIGKILL', { wait: true });
+    }
+  }
+}
+
+let jobManager = null;
+
+/**
+ * Get the shared background job manager
+ * @returns {JobManager}
+ */
+export function getJobManager() {
+  if (!jobManager) {
+    jobManager = new JobManager();
+  }
+  return jobManager;
+}
+
+let shutDown = false;
+
+/**
+ * Stop every shell session and background job and remove their files.
+ * They run in their own process groups, so neither a signal to the server
+ * nor its exit reaches them: the server calls this from its SIGINT/SIGTERM
+ * handler, and it runs again (as a no-op) on exit.
+ */
+export function shutdownShells() {
+  if (shutDown) return;
+  shutDown = true;
+  jobManager?.killAll();
+  for (const sessionId of [...sessions.keys()]) closeShellSession(sessionId);
+  try {
+    fs.rmSync(JOB_DIR, { recursive: true, force: true });
+  } catch {}
+}
+
+process.once('exit', shutdownShells);
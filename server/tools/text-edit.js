@@ -0,0 +1,195 @@
+/**
+ * String edits for Edit/MultiEdit and unified diffs of the result.
+ * Matches are exact first, then whitespace-tolerant (any run of whitespace
+ * in old_string matches any run in the file). An old_string that matches
+ * more than once is rejected unless replace_all is set.
+ */
+
+const DIFF_CONTEXT_LINES = 3;
+
+// Line-level LCS is quadratic; beyond this the changed block is shown as replaced wholesale
+const MAX_DIFF_CELLS = 4_000_000;
+
+export class EditError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EditError';
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function findExact(content, search) {
+  const matches = [];
+  let index = content.indexOf(search);
+  while (index !== -1) {
+    matches.push({ start: index, end: index + search.length });
+    index = content.indexOf(search, index + search.length);
+  }
+  return matches;
+}
+
+function findWhitespaceTolerant(content, search) {
+  const words = search.trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return [];
+
+  const pattern = new RegExp(words.map(escapeRegExp).join('\\s+'), 'g');
+  return [...content.matchAll(pattern)].map(m => ({ start: m.index, end: m.index + m[0].length }));
+}
+
+/**
+ * Find where old_string occurs in content
+ * @returns {{ matches: Array<{start: number, end: number}>, fuzzy: boolean }}
+ */
+export function findMatches(content, search) {
+  const exact = findExact(content, search);
+  if (exact.length > 0) return { matches: exact, fuzzy: false };
+  return { matches: findWhitespaceTolerant(content, search), fuzzy: true };
+}
+
+/**
+ * Apply edits in order; each one sees the result of the previous ones.
+ * Throws EditError (naming the failing edit) without changing anything.
+ * @param {string} content
+ * @param {Array<{old_string: string, new_string: string, replace_all?: boolean}>} edits
+ * @returns {{ content: string, applied: Array<{ replacements: number, fuzzy: boolean }> }}
+ */
+export function applyEdits(content, edits) {
+  const applied = [];
+  let current = content;
+
+  edits.forEach((edit, i) => {
+    const label = edits.length > 1 ? `Edit ${i + 1}: ` : '';
+    const { old_string, new_string, replace_all = false } = edit;
+
+    if (typeof old_string !== 'string' || typeof new_string !== 'string') {
+      throw new EditError(`${label}old_string and new_string are required`);
+    }
+    if (old_string === '') {
+      throw new EditError(`${label}old_string must not be empty`);
+    }
+    if (old_string === new_string) {
+      throw new EditError(`${label}old_string and new_string are identical`);
+    }
+
+    const { matches, fuzzy } = findMatches(current, old_string);
+    if (matches.length === 0) {
+      throw new EditError(`${label}String not found: "${old_string.slice(0, 100)}${old_string.length > 100 ? '...' : ''}"`);
+    }
+    if (matches.length > 1 && !replace_all) {
+      throw new EditError(`${label}old_string matches ${matches.length} places. Include more surrounding context to make it unique, or set replace_all to replace every occurrence.`);
+    }
+
+    // Replace from the end so earlier offsets stay valid
+    for (const match of [...matches].reverse()) {
+      current = current.slice(0, match.start) + new_string + current.slice(match.end);
+    }
+    applied.push({ replacements: matches.length, fuzzy });
+  });
+
+  return { content: current, applied };
+}
+
+/**
+ * Line operations (' ', '-', '+') turning oldLines into newLines
+ */
+function diffLines(oldLines, newLines) {
+  // Common prefix and suffix are unchanged
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const a = oldLines.slice(start, oldEnd);
+  const b = newLines.slice(start, newEnd);
+  const middle = [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    a.forEach(line => middle.push(['-', line]));
+    b.forEach(line => middle.push(['+', line]));
+  } else {
+    // LCS table over the changed block
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        middle.push([' ', a[i++]]);
+        j++;
+      } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        middle.push(['-', a[i++]]);
+      } else {
+        middle.push(['+', b[j++]]);
+      }
+    }
+  }
+
+  return [
+    ...oldLines.slice(0, start).map(line => [' ', line]),
+    ...middle,
+    ...oldLines.slice(oldEnd).map(line => [' ', line])
+  ];
+}
+
+/**
+ * Unified diff between two versions of a file
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {string|null} filePath - Shown in the --- header (null for a created file)
+ * @param {string|null} [newPath] - Shown in the +++ header if renamed (null for a deleted file)
+ * @returns {string} Empty string when nothing changed
+ */
+export function createUnifiedDiff(oldText, newText, filePath, newPath = filePath) {
+  if (oldText === newText) return '';
+
+  const toLines = text => text === '' ? [] : (text.endsWith('\n') ? text.slice(0, -1) : text).split('\n');
+  const ops = diffLines(toLines(oldText), toLines(newText));
+  const lines = [
+    filePath === null ? '--- /dev/null' : `--- a/${filePath}`,
+    newPath === null ? '+++ /dev/null' : `+++ b/${newPath}`
+  ];
+
+  let index = 0;
+  while (index < ops.length) {
+    // Next change, and the hunk of changes closer than 2 * context lines around it
+    while (index < ops.length && ops[index][0] === ' ') index++;
+    if (index === ops.length) break;
+
+    const hunkStart = Math.max(0, index - DIFF_CONTEXT_LINES);
+    let hunkEnd = index;
+    let lastChange = index;
+    while (hunkEnd < ops.length && hunkEnd - lastChange <= DIFF_CONTEXT_LINES * 2) {
+      if (ops[hunkEnd][0] !== ' ') lastChange = hunkEnd;
+      hunkEnd++;
+    }
+    hunkEnd = Math.min(ops.length, lastChange + DIFF_CONTEXT_LINES + 1);
+
+    // 1-based start lines in the old and new file
+    let oldStart = 1;
+    let newStart = 1;
+    for (let k = 0; k < hunkStart; k++) {
+      if (ops[k][0] !== '+') oldStart++;
+      if (ops[k][0] !== '-') newStart++;
+    }
+    const hunk = ops.slice(hunkStart, hunkEnd);
+    const oldCount = hunk.filter(op => op[0] !== '+').length;
+    const newCount = hunk.filter(op => op[0] !== '-').length;
+
+    lines.push(`@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@`);
+    hunk.forEach(([op, line]) => lines.push(op + line));
+    index = hunkEnd;
+  }
+
+  return lines.join('\n');
+}
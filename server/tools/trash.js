@@ -0,0 +1,195 @@
+/**
+ * Recoverable trash for the Delete tool.
+ * Deleted files and directories are moved into <dataDir>/trash/files/<id>
+ * and recorded in <dataDir>/trash/manifest.json with their original path,
+ * chat, reason and timestamp, so an approved mistake can be restored.
+ * Entries older than the retention period are purged for good.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { DEFAULT_DATA_DIR } from '../store/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Rename, falling back to copy + remove across filesystems
+ */
+async function movePath(source, destination) {
+  try {
+    await fs.rename(source, destination);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.cp(source, destination, { recursive: true, preserveTimestamps: true });
+    await fs.rm(source, { recursive: true, force: true });
+  }
+}
+
+async function pathExists(target) {
+  try {
+    await fs.lstat(target);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export class Trash {
+  /**
+   * @param {Object} config
+   * @param {string} config.dir - Trash directory
+   * @param {number} [config.retentionDays=30] - Days to keep entries (0 keeps them forever)
+   */
+  constructor(config) {
+    this.dir = config.dir;
+    this.filesDir = path.join(this.dir, 'files');
+    this.manifestFile = path.join(this.dir, 'manifest.json');
+    this.retentionDays = config.retentionDays ?? 30;
+    this.entries = [];
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.manifestFile, 'utf-8'));
+      this.entries = Array.isArray(data.entries) ? data.entries : [];
+      console.log(`[Trash] ${this.entries.length} items in trash`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('[Trash] Could not read trash manifest:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Move a file or directory into the trash
+   * @param {string} targetPath - Absolute path
+   * @param {Object} info
+   * @param {string} info.chatId
+   * @param {string} info.reason
+   * @param {boolean} info.isDirectory
+   * @param {number} info.fileCount
+   * @returns {Promise<Object>} Manifest entry
+   */
+  async add(targetPath, { chatId, reason, isDirectory, fileCount }) {
+    const id = `trash_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    await fs.mkdir(this.filesDir, { recursive: true });
+    await movePath(targetPath, path.join(this.filesDir, id));
+
+    const entry = {
+      id,
+      originalPath: targetPath,
+      chatId: chatId ?? null,
+      reason,
+      type: isDirectory ? 'directory' : 'file',
+      fileCount,
+      deletedAt: new Date().toISOString()
+    };
+    this.entries.push(entry);
+    await this.save();
+    console.log(`[Trash] Moved ${targetPath} to trash (${id})`);
+    return entry;
+  }
+
+  /**
+   * List trashed items, newest first
+   * @param {string} [chatId] - Only items deleted in this chat
+   */
+  list(chatId) {
+    return this.entries
+      .filter(entry => !chatId || entry.chatId === chatId)
+      .slice()
+      .reverse();
+  }
+
+  /**
+   * Move an item back to its original path
+   * @param {string} id
+   * @returns {Promise<Object>} The restored entry, or { error, status }
+   */
+  async restore(id) {
+    const entry = this.entries.find(e => e.id === id);
+    if (!entry) return { error: `No trash item found with id: ${id}`, status: 404 };
+
+    if (await pathExists(entry.originalPath)) {
+      return { error: `Cannot restore: ${entry.originalPath} already exists`, status: 409 };
+    }
+
+    await fs.mkdir(path.dirname(entry.originalPath), { recursive: true });
+    await movePath(path.join(this.filesDir, id), entry.originalPath);
+
+    this.entries = this.entries.filter(e => e.id !== id);
+    await this.save();
+    console.log(`[Trash] Restored ${entry.originalPath}`);
+    return { restored: true, ...entry };
+  }
+
+  /**
+   * Permanently remove items older than the retention period
+   * @returns {Promise<number>} Number of items purged
+   */
+  async purge(now = Date.now()) {
+    if (!this.retentionDays) return 0;
+    const cutoff = now - this.retentionDays * DAY_MS;
+    const expired = this.entries.filter(e => Date.parse(e.deletedAt) < cutoff);
+    if (expired.length === 0) return 0;
+
+    for (const entry of expired) {
+      await fs.rm(path.join(this.filesDir, entry.id), { recursive: true, force: true });
+    }
+    const expiredIds = new Set(expired.map(e => e.id));
+    this.entries = this.entries.filter(e => !expiredIds.has(e.id));
+    await this.save();
+    console.log(`[Trash] Purged ${expired.length} items older than ${this.retentionDays} days`);
+    return expired.length;
+  }
+
+  save() {
+    const content = JSON.stringify({ entries: this.entries }, null, 2);
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await fs.mkdir(this.dir, { recursive: true });
+        const tmp = `${this.manifestFile}.tmp`;
+        await fs.writeFile(tmp, content, 'utf-8');
+        await fs.rename(tmp, this.manifestFile);
+      })
+      .catch(error => console.error('[Trash] Failed to write trash manifest:', error.message));
+    return this.writeQueue;
+  }
+}
+
+let trash = null;
+
+/**
+ * Get the shared trash (NIMBUS_TRASH_DIR or <dataDir>/trash)
+ * @returns {Trash}
+ */
+export function getTrash() {
+  if (!trash) {
+    const retention = parseInt(process.env.NIMBUS_TRASH_RETENTION_DAYS ?? '30', 10);
+    trash = new Trash({
+      dir: process.env.NIMBUS_TRASH_DIR || path.join(DEFAULT_DATA_DIR, 'trash'),
+      retentionDays: Number.isNaN(retention) ? 30 : retention
+    });
+  }
+  return trash;
+}
+
+/**
+ * Restore the trash manifest and start retention purging. Call once on startup.
+ */
+export async function initializeTrash() {
+  const instance = getTrash();
+  try {
+    await instance.load();
+    await instance.purge();
+  } catch (error) {
+    console.error('[Trash] Error initializing trash:', error.message);
+  }
+
+  const timer = setInterval(() => {
+    instance.purge().catch(error => console.error('[Trash] Purge failed:', error.message));
+  }, PURGE_INTERVAL_MS);
+  timer.unref();
+}
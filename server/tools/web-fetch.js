@@ -0,0 +1,263 @@
+/**
+ * Fetch layer for WebFetch.
+ * Follows a bounded number of redirects, decodes gzip/deflate/br bodies
+ * up to a size limit, works out the text encoding and turns the response
+ * into something readable: Markdown for HTML, pretty-printed JSON, PDF
+ * text, plain text, or an image.
+ */
+
+import http from 'http';
+import https from 'https';
+import zlib from 'zlib';
+import { USER_AGENT } from '../search/base-backend.js';
+import { htmlToMarkdown } from './html.js';
+import { isPdf, extractPdfText } from './pdf.js';
+import { getNetworkPolicy } from './network-policy.js';
+
+const MAX_REDIRECTS = 5;
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const TIMEOUT_MS = 20000;
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const IMAGE_TYPES = new Set(['image/png', 'image/jpeg', 'image/gif', 'image/webp']);
+
+// Recently fetched pages, so paging through a long page doesn't refetch it
+const CACHE_SIZE = 20;
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const pageCache = new Map();
+
+function request(url, { signal, lookup }) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml,application/json;q=0.9,text/plain;q=0.8,*/*;q=0.5',
+        'Accept-Encoding': 'gzip, deflate, br',
+        'Accept-Language': 'en-US,en;q=0.8'
+      },
+      timeout: TIMEOUT_MS,
+      lookup,
+      signal
+    }, resolve);
+
+    req.on('error', error => reject(error.name === 'AbortError' ? new Error('Request cancelled') : error));
+    req.on('timeout', () => req.destroy(new Error(`Request timed out after ${TIMEOUT_MS / 1000}s`)));
+  });
+}
+
+/**
+ * Read a response body, decompressing it and stopping at maxBytes
+ * @returns {Promise<{ body: Buffer, truncated: boolean }>}
+ */
+function readBody(response, maxBytes) {
+  const encoding = (response.headers['content-encoding'] || '').trim().toLowerCase();
+  const decoders = {
+    gzip: zlib.createGunzip,
+    'x-gzip': zlib.createGunzip,
+    deflate: zlib.createInflate,
+    br: zlib.createBrotliDecompress
+  };
+  const stream = decoders[encoding] ? response.pipe(decoders[encoding]()) : response;
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let done = false;
+    const finish = truncated => {
+      if (done) return;
+      done = true;
+      resolve({ body: Buffer.concat(chunks), truncated });
+    };
+
+    stream.on('data', chunk => {
+      if (done) return;
+      const room = maxBytes - size;
+      chunks.push(chunk.length > room ? chunk.subarray(0, room) : chunk);
+      size += Math.min(chunk.length, room);
+      if (size >= maxBytes) {
+        finish(true);
+        response.destroy();
+        if (stream !== response) stream.destroy();
+      }
+    });
+    stream.on('end', () => finish(false));
+    stream.on('error', error => {
+      if (!done) reject(new Error(`Could not decode ${encoding || 'response'} body: ${error.message}`));
+    });
+    response.on('error', error => {
+      if (!done) reject(error);
+    });
+  });
+}
+
+/**
+ * GET a URL, following up to maxRedirects redirects. Every hop is checked
+ * against the network policy, both before the request and on the address
+ * actually connected to.
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {number} [options.maxBytes] - Decoded body size limit
+ * @param {number} [options.maxRedirects]
+ * @returns {Promise<{ url: string, status: number, statusText: string, headers: Object, body: Buffer, truncated: boolean, redirects: string[] }>}
+ */
+export async function fetchResource(url, { signal, maxBytes = MAX_BODY_BYTES, maxRedirects = MAX_REDIRECTS } = {}) {
+  let current = new URL(url);
+  const redirects = [];
+
+  for (;;) {
+    if (current.protocol !== 'http:' && current.protocol !== 'https:') {
+      throw new Error(`Unsupported URL scheme: ${current.protocol}`);
+    }
+    const policy = getNetworkPolicy();
+    await policy.checkUrl(current);
+    const response = await request(current, { signal, lookup: policy.guardedLookup(current) });
+
+    if (REDIRECT_STATUSES.has(response.statusCode) && response.headers.location) {
+      response.resume();
+      if (redirects.length >= maxRedirects) throw new Error(`Too many redirects (more than ${maxRedirects})`);
+      current = new URL(response.headers.location, current);
+      redirects.push(current.href);
+      continue;
+    }
+
+    const { body, truncated } = await readBody(response, maxBytes);
+    return {
+      url: current.href,
+      status: response.statusCode,
+      statusText: response.statusMessage || '',
+      headers: response.headers,
+      body,
+      truncated,
+      redirects
+    };
+  }
+}
+
+/**
+ * Work out a body's text encoding: BOM, then the Content-Type charset,
+ * then a <meta> or XML declaration, then UTF-8
+ */
+export function detectCharset(body, contentType = '') {
+  if (body[0] === 0xef && body[1] === 0xbb && body[2] === 0xbf) return 'utf-8';
+  if (body[0] === 0xfe && body[1] === 0xff) return 'utf-16be';
+  if (body[0] === 0xff && body[1] === 0xfe) return 'utf-16le';
+
+  const declared = contentType.match(/charset\s*=\s*["']?([\w.:-]+)/i)?.[1];
+  if (declared) return declared.toLowerCase();
+
+  const head = body.subarray(0, 4096).toString('latin1');
+  const sniffed = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i)?.[1] ||
+    head.match(/^\s*<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)/i)?.[1];
+  return sniffed ? sniffed.toLowerCase() : 'utf-8';
+}
+
+function decodeText(body, charset) {
+  try {
+    return new TextDecoder(charset).decode(body);
+  } catch {
+    // Unknown label
+    return new TextDecoder('utf-8').decode(body);
+  }
+}
+
+function sniffType(body, mime) {
+  if (mime && mime !== 'application/octet-stream' && mime !== 'binary/octet-stream') return mime;
+  if (isPdf(body)) return 'application/pdf';
+  const head = body.subarray(0, 512).toString('latin1').trimStart().toLowerCase();
+  if (head.startsWith('<!doctype html') || head.startsWith('<html') || /^<(head|body|div|p)[\s>]/.test(head)) return 'text/html';
+  if (head.startsWith('{') || head.startsWith('[')) return 'application/json';
+  if (body[0] === 0x89 && body[1] === 0x50) return 'image/png';
+  if (body[0] === 0xff && body[1] === 0xd8) return 'image/jpeg';
+  return mime || 'application/octet-stream';
+}
+
+/**
+ * Turn a fetched response into readable content
+ * @returns {Object} { type: 'markdown'|'html'|'json'|'text'|'pdf', content, title? } or an image result
+ */
+function convertResponse(response, { raw }) {
+  const contentType = response.headers['content-type'] || '';
+  const mime = sniffType(response.body, contentType.split(';')[0].trim().toLowerCase());
+
+  if (mime === 'application/pdf') {
+    if (response.truncated) throw new Error(`PDF is larger than the ${MAX_BODY_BYTES / 1024 / 1024} MB limit`);
+    const { totalPages, pages } = extractPdfText(response.body);
+    return {
+      type: 'pdf',
+      content: pages.map(p => `--- Page ${p.page} ---\n${p.text || '[no text on this page]'}`).join('\n\n'),
+      total_pages: totalPages
+    };
+  }
+
+  if (IMAGE_TYPES.has(mime)) {
+    if (response.truncated || response.body.length > MAX_IMAGE_BYTES) {
+      throw new Error(`Image is larger than the ${MAX_IMAGE_BYTES / 1024 / 1024} MB limit`);
+    }
+    return { type: 'image', media_type: mime, size: response.body.length, data: response.body.toString('base64') };
+  }
+
+  const isHtml = mime === 'text/html' || mime === 'application/xhtml+xml';
+  const isJson = mime === 'application/json' || mime.endsWith('+json');
+  const isText = mime.startsWith('text/') || mime.endsWith('+xml') || mime === 'application/xml' ||
+    mime === 'application/javascript' || mime === 'application/x-ndjson';
+  if (!isHtml && !isJson && !isText) {
+    throw new Error(`Unsupported content type: ${mime}`);
+  }
+
+  const text = decodeText(response.body, detectCharset(response.body, contentType));
+
+  if (isHtml) {
+    if (raw) return { type: 'html', content: text };
+    return { type: 'markdown', ...htmlToMarkdown(text, { url: response.url }) };
+  }
+  if (isJson && !response.truncated) {
+    try {
+      return { type: 'json', content: JSON.stringify(JSON.parse(text), null, 2) };
+    } catch {}
+  }
+  return { type: 'text', content: text };
+}
+
+/**
+ * Fetch a URL and convert it for the model. Results are cached briefly
+ * so a long page can be read in several calls.
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {boolean} [options.raw] - Return HTML as-is instead of Markdown
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object>} { url, final_url, status, status_text, truncated, type, content, title? }
+ */
+export async function fetchPage(url, { raw = false, signal } = {}) {
+  const key = `${raw ? 'raw' : 'md'} ${url}`;
+  const cached = pageCache.get(key);
+  if (cached && Date.now() - cached.at < CACHE_TTL_MS) return cached.page;
+
+  const response = await fetchResource(url, { signal });
+  const ok = response.status >= 200 && response.status < 300;
+  let converted;
+  try {
+    converted = convertResponse(response, { raw });
+  } catch (error) {
+    // An error page's body is only supporting detail
+    if (ok) throw error;
+    converted = { type: 'text', content: '' };
+  }
+  const page = {
+    url,
+    final_url: response.url,
+    status: response.status,
+    status_text: response.statusText,
+    truncated: response.truncated,
+    ...converted
+  };
+
+  if (ok && page.type !== 'image') {
+    pageCache.delete(key);
+    pageCache.set(key, { at: Date.now(), page });
+    while (pageCache.size > CACHE_SIZE) pageCache.delete(pageCache.keys().next().value);
+  }
+  return page;
+}
@@ -0,0 +1,109 @@
+/**
+ * Workspace resolution for file tools.
+ * Each chat can carry a workspace root that relative paths resolve against.
+ * In confined mode, paths that escape the root - including through
+ * symlinks - are rejected.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Resolve the real path of a target that may not exist yet, by resolving
+ * its deepest existing ancestor and re-appending the rest
+ */
+export async function realpathLenient(target) {
+  const missing = [];
+  let current = target;
+
+  while (true) {
+    try {
+      const real = await fs.realpath(current);
+      return path.join(real, ...missing.reverse());
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+      const parent = path.dirname(current);
+      if (parent === current) return target;
+      missing.push(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+// Names such as "..cache" are inside; only a leading ".." segment leaves the root
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  return !(relative === '..' || relative.startsWith('..' + path.sep) || path.isAbsolute(relative));
+}
+
+/**
+ * Working directory for a chat: its workspace root, else the server's cwd
+ * @param {{ root?: string }|null} workspace
+ * @returns {string}
+ */
+export function getWorkingDirectory(workspace) {
+  return workspace?.root || process.cwd();
+}
+
+/**
+ * Resolve a tool path against the chat's workspace
+ * @param {string} target - Absolute or workspace-relative path
+ * @param {{ root?: string, confine?: boolean }|null} workspace
+ * @returns {Promise<string>} Absolute path
+ * @throws {Error} If the workspace is confined and the path escapes it
+ */
+export async function resolveWorkspacePath(target, workspace) {
+  const resolved = path.resolve(getWorkingDirectory(workspace), target ?? '.');
+
+  if (workspace?.root && workspace.confine) {
+    const [realRoot, realTarget] = await Promise.all([
+      fs.realpath(workspace.root),
+      realpathLenient(resolved)
+    ]);
+    if (!isInside(realRoot, realTarget)) {
+      throw new Error(`Path is outside the workspace (${workspace.root}): ${target}`);
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Validate a workspace root before it is attached to a chat
+ * @param {string} root
+ * @returns {Promise<string>} Normalized absolute root
+ * @throws {Error} If the root is not an existing directory
+ */
+export async function validateWorkspaceRoot(root) {
+  const resolved = path.resolve(root);
+  let stat;
+  try {
+    stat = await fs.stat(resolved);
+  } catch {
+    throw new Error(`Workspace not found: ${root}`);
+  }
+  if (!stat.isDirectory()) {
+    throw new Error(`Workspace is not a directory: ${root}`);
+  }
+  return resolved;
+}
+
+/**
+ * Drop paths (e.g. glob matches) that resolve outside a confined workspace
+ * @param {string[]} paths - Absolute paths
+ * @param {{ root?: string, confine?: boolean }|null} workspace
+ * @returns {Promise<string[]>}
+ */
+export async function filterInsideWorkspace(paths, workspace) {
+  if (!workspace?.root || !workspace.confine) return paths;
+
+  const realRoot = await fs.realpath(workspace.root);
+  const checks = await Promise.all(paths.map(async p => {
+    try {
+      return isInside(realRoot, await realpathLenient(p));
+    } catch {
+      return false;
+    }
+  }));
+  return paths.filter((_, i) => checks[i]);
+}
@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { filterInsideWorkspace, resolveWorkspacePath } from './workspace.js';
+
+let base;
+let workspace;
+
+beforeAll(async () => {
+  base = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'workspace-')));
+  const root = path.join(base, 'project');
+  await fs.mkdir(path.join(root, '..cache'), { recursive: true });
+  await fs.mkdir(path.join(base, 'project-evil'));
+  await fs.symlink(base, path.join(root, 'up'), 'dir');
+  workspace = { root, confine: true };
+});
+
+afterAll(async () => {
+  await fs.rm(base, { recursive: true, force: true });
+});
+
+describe('resolveWorkspacePath in a confined workspace', () => {
+  it.each([
+    ['.', ''],
+    ['src/index.js', 'src/index.js'],
+    ['..cache/entry', '..cache/entry'],
+    ['..notes.md', '..notes.md'],
+    ['a/../..cache', '..cache']
+  ])('resolves %s inside the root', async (target, relative) => {
+    expect(await resolveWorkspacePath(target, workspace)).toBe(path.join(workspace.root, relative));
+  });
+
+  it.each([
+    '..',
+    '../project-evil/x',
+    'src/../../x',
+    '/etc/passwd',
+    'up/project-evil'
+  ])('rejects %s', async target => {
+    await expect(resolveWorkspacePath(target, workspace)).rejects.toThrow(/outside the workspace/);
+  });
+
+  it('leaves paths alone when the workspace is not confined', async () => {
+    expect(await resolveWorkspacePath('../x', { root: workspace.root, confine: false })).toBe(path.join(base, 'x'));
+  });
+});
+
+describe('filterInsideWorkspace', () => {
+  it('keeps dot-dot named entries and drops paths outside the root', async () => {
+    const paths = [
+      path.join(workspace.root, '..cache', 'entry'),
+      path.join(base, 'project-evil', 'x'),
+      path.join(workspace.root, 'up', 'secret')
+    ];
+    expect(await filterInsideWorkspace(paths, workspace)).toEqual([paths[0]]);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import { createZip, isZip, readZip } from './zip.js';
+
+// Written by Python's zipfile: a stored entry, a directory, a deflated entry and an archive comment
+const stored = fs.readFileSync(new URL('./fixtures/stored.zip', import.meta.url));
+
+describe('readZip', () => {
+  it('reads stored and deflated entries past an archive comment', () => {
+    const entries = readZip(stored);
+    expect([...entries.keys()]).toEqual(['readme.txt', 'docs/', 'docs/notes.md']);
+    expect(entries.get('readme.txt').read().toString()).toBe('stored, not deflated\n');
+    expect(entries.get('docs/notes.md').read().toString()).toBe('# Notes\n');
+    expect(entries.get('docs/notes.md').size).toBe(8);
+  });
+
+  it('rejects buffers without a central directory', () => {
+    expect(isZip(Buffer.from('%PDF-1.4'))).toBe(false);
+    expect(() => readZip(Buffer.alloc(64))).toThrow(/no central directory/);
+  });
+});
+
+describe('createZip', () => {
+  it('round-trips entries through readZip', () => {
+    const binary = Buffer.from([0, 1, 2, 253, 254, 255]);
+    const archive = createZip([
+      { name: '[Content_Types].xml', data: '<Types/>' },
+      { name: 'xl/média/ünïcode.bin', data: binary },
+      { name: 'empty.txt', data: '' }
+    ]);
+
+    expect(isZip(archive)).toBe(true);
+    const entries = readZip(archive);
+    expect([...entries.keys()]).toEqual(['[Content_Types].xml', 'xl/média/ünïcode.bin', 'empty.txt']);
+    expect(entries.get('[Content_Types].xml').read().toString()).toBe('<Types/>');
+    expect(entries.get('xl/média/ünïcode.bin').read()).toEqual(binary);
+    expect(entries.get('empty.txt').read().length).toBe(0);
+  });
+});
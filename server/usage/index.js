@@ -0,0 +1,40 @@
+import path from 'path';
+import { DEFAULT_DATA_DIR } from '../store/index.js';
+import { UsageTracker } from './usage-tracker.js';
+import { loadPriceTable, DEFAULT_PRICES } from './pricing.js';
+
+let usageTracker = null;
+
+/**
+ * Get the shared usage tracker.
+ * Totals are persisted next to the conversation store unless NIMBUS_STORE=memory.
+ *
+ * @returns {UsageTracker}
+ */
+export function getUsageTracker() {
+  if (!usageTracker) {
+    const persist = (process.env.NIMBUS_STORE || 'jsonl').toLowerCase() !== 'memory';
+    usageTracker = new UsageTracker({
+      dataDir: persist ? DEFAULT_DATA_DIR : null,
+      prices: { ...DEFAULT_PRICES }
+    });
+  }
+  return usageTracker;
+}
+
+/**
+ * Load the price table (NIMBUS_PRICING_FILE or <dataDir>/pricing.json)
+ * and restore persisted totals. Call once on startup.
+ */
+export async function initializeUsageTracker() {
+  const tracker = getUsageTracker();
+  try {
+    tracker.prices = await loadPriceTable(process.env.NIMBUS_PRICING_FILE || path.join(DEFAULT_DATA_DIR, 'pricing.json'));
+    await tracker.load();
+  } catch (error) {
+    console.error('[Usage] Error initializing usage tracker:', error.message);
+  }
+}
+
+export { UsageTracker, normalizeUsage } from './usage-tracker.js';
+export { DEFAULT_PRICES, loadPriceTable, findPrice, computeCost } from './pricing.js';
@@ -0,0 +1,70 @@
+import fs from 'fs/promises';
+
+/**
+ * Default prices in USD per million tokens.
+ * Keys are model-name prefixes, so 'claude-sonnet-4-5' also covers
+ * 'claude-sonnet-4-5-thinking' and dated snapshot ids.
+ * Thinking tokens are billed as output tokens.
+ */
+export const DEFAULT_PRICES = {
+  'claude-opus-4-5': { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+  'claude-sonnet-4-5': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-haiku-4-5': { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+  'gemini-3-pro': { input: 2, output: 12, cacheRead: 0.2, cacheWrite: 0 },
+  'gemini-3-flash': { input: 0.5, output: 3, cacheRead: 0.05, cacheWrite: 0 },
+  'gemini-2.5-pro': { input: 1.25, output: 10, cacheRead: 0.125, cacheWrite: 0 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5, cacheRead: 0.03, cacheWrite: 0 }
+};
+
+/**
+ * Load a price table, merging overrides from a JSON file over the defaults.
+ * The file maps model prefixes to { input, output, cacheRead, cacheWrite }.
+ *
+ * @param {string} [file] - Path to a pricing JSON file
+ * @returns {Promise<Object>}
+ */
+export async function loadPriceTable(file) {
+  if (!file) return { ...DEFAULT_PRICES };
+
+  try {
+    const overrides = JSON.parse(await fs.readFile(file, 'utf-8'));
+    console.log(`[Usage] Loaded prices for ${Object.keys(overrides).length} models from ${file}`);
+    return { ...DEFAULT_PRICES, ...overrides };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[Usage] Could not read price table ${file}:`, error.message);
+    }
+    return { ...DEFAULT_PRICES };
+  }
+}
+
+/**
+ * Find the price entry for a model (longest matching prefix)
+ * @param {Object} prices - Price table
+ * @param {string} model
+ * @returns {Object|null}
+ */
+export function findPrice(prices, model) {
+  if (!model) return null;
+  const name = model.toLowerCase();
+  const match = Object.keys(prices)
+    .filter(prefix => name.startsWith(prefix.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? prices[match] : null;
+}
+
+/**
+ * Cost of one turn in USD, or null when the model has no price entry
+ * @param {Object} usage - Normalized usage (see UsageTracker)
+ * @param {Object|null} price
+ * @returns {number|null}
+ */
+export function computeCost(usage, price) {
+  if (!price) return null;
+  const cost =
+    usage.input_tokens * (price.input || 0) +
+    usage.output_tokens * (price.output || 0) +
+    usage.cache_read_tokens * (price.cacheRead || 0) +
+    usage.cache_write_tokens * (price.cacheWrite || 0);
+  return cost / 1_000_000;
+}
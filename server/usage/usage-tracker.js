@@ -0,0 +1,119 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { findPrice, computeCost } from './pricing.js';
+
+const TOKEN_FIELDS = ['input_tokens', 'output_tokens', 'cache_read_tokens', 'cache_write_tokens', 'thinking_tokens'];
+
+function emptyTotals() {
+  return {
+    input_tokens: 0,
+    output_tokens: 0,
+    cache_read_tokens: 0,
+    cache_write_tokens: 0,
+    thinking_tokens: 0,
+    cost: 0,
+    turns: 0
+  };
+}
+
+function addTo(totals, usage, cost) {
+  for (const field of TOKEN_FIELDS) {
+    totals[field] += usage[field];
+  }
+  totals.cost += cost || 0;
+  totals.turns += 1;
+}
+
+/**
+ * Normalize a provider usage report. Providers report
+ * { input_tokens, output_tokens, cache_read_tokens, cache_write_tokens, thinking_tokens }
+ * where output_tokens includes thinking tokens; missing fields count as 0.
+ */
+export function normalizeUsage(usage = {}) {
+  const normalized = {};
+  for (const field of TOKEN_FIELDS) {
+    normalized[field] = Math.max(0, Math.round(Number(usage[field]) || 0));
+  }
+  return normalized;
+}
+
+/**
+ * Token and cost accounting.
+ * Accumulates per-turn usage into totals per chat (with a per-provider
+ * breakdown) and per calendar day, persisted to <dataDir>/usage.json.
+ */
+export class UsageTracker {
+  constructor(config = {}) {
+    this.file = config.dataDir ? path.join(config.dataDir, 'usage.json') : null;
+    this.prices = config.prices || {};
+    this.chats = {};
+    this.days = {};
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    if (!this.file) return;
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf-8'));
+      this.chats = data.chats || {};
+      this.days = data.days || {};
+      console.log(`[Usage] Restored usage for ${Object.keys(this.chats).length} chats`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('[Usage] Could not read usage totals:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Record one turn's usage
+   * @param {string} chatId
+   * @param {Object} report - Usage event from a provider ({ usage, model, cost?, provider })
+   * @returns {{ usage: Object, cost: number|null, totals: Object }} Normalized turn usage and the chat totals
+   */
+  record(chatId, report) {
+    const usage = normalizeUsage(report.usage);
+    // Prefer our price table; fall back to a cost the provider reported itself
+    const computed = computeCost(usage, findPrice(this.prices, report.model));
+    const cost = computed ?? (typeof report.cost === 'number' ? report.cost : null);
+
+    const chatKey = chatId ?? 'default';
+    const chat = this.chats[chatKey] ||= { ...emptyTotals(), providers: {} };
+    addTo(chat, usage, cost);
+    const providerName = report.provider || 'unknown';
+    addTo(chat.providers[providerName] ||= emptyTotals(), usage, cost);
+
+    const day = new Date().toISOString().slice(0, 10);
+    addTo(this.days[day] ||= emptyTotals(), usage, cost);
+
+    this.save();
+    return { usage, cost, totals: chat };
+  }
+
+  getChatUsage(chatId) {
+    return this.chats[chatId ?? 'default'] || null;
+  }
+
+  getDailyUsage() {
+    return this.days;
+  }
+
+  deleteChat(chatId) {
+    delete this.chats[chatId ?? 'default'];
+    this.save();
+  }
+
+  save() {
+    if (!this.file) return this.writeQueue;
+    const content = JSON.stringify({ chats: this.chats, days: this.days });
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        await fs.writeFile(tmp, content, 'utf-8');
+        await fs.rename(tmp, this.file);
+      })
+      .catch(error => console.error('[Usage] Failed to persist usage totals:', error.message));
+    return this.writeQueue;
+  }
+}
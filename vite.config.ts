@@ -1,3 +1,4 @@
+/// <reference types="vitest" />
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 import path from 'path';
@@ -22,4 +23,8 @@ export default defineConfig({
     port: 5173,
     strictPort: true,
   },
+  test: {
+    // Scan the whole repo, not just the renderer root (server tests live next to their modules)
+    dir: __dirname,
+  },
 });